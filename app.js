@@ -4,12 +4,30 @@ const bodyParser = require('body-parser');
 const config = require('./config');
 const connectDB = require('./config/db');
 const logger = require('./utils/logger');
+const seatHoldService = require('./services/seatHoldService');
+const timetableService = require('./services/timetableService');
+const notificationService = require('./services/notificationService');
+const waitlistService = require('./services/waitlistService');
+const reconciliationService = require('./services/reconciliationService');
 require('./models/Route');     // Make sure Route schema is registered
 require('./models/Vehicle');   // <--- ADD THIS LINE if it's missing or commented out
 require('./models/Departure'); // Make sure Departure schema is registered
 require('./models/Session');   // Make sure Session schema is registered
 require('./models/Booking');   // Make sure 
+require('./models/SupportTicket');
+require('./models/Timetable');
+require('./models/Holiday');
+require('./models/Notification');
+require('./models/WaitlistEntry');
+require('./models/ReconciliationReport');
 const webhookRoutes = require('./routes/webhookRoutes'); // Will create this next
+const channelRoutes = require('./routes/channelRoutes');
+const paystackRoutes = require('./routes/paystackRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const supportRoutes = require('./routes/supportRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const ticketRoutes = require('./routes/ticketRoutes');
+const boardingRoutes = require('./routes/boardingRoutes');
 
 //const errorHandler = require('./middlewares/errorHandler'); // Will create this later
 
@@ -21,13 +39,38 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Release seats held for bookings that were never paid
+seatHoldService.startSweeper();
+
+// Offer seats freed by expired holds to waitlisted travellers, and roll on offers that weren't taken
+waitlistService.startSweeper();
+
+// Check payments whose webhook never arrived with the provider, and write the daily reconciliation report
+reconciliationService.startJob();
+
+// Keep timetabled departures generated over the rolling horizon
+timetableService.startGenerator();
+
+// Send departure reminders and catch up on disruption notices
+notificationService.startScheduler();
+
 // Middleware
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+    // Keep the raw body around so payment webhook signatures can be verified
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(requestLogger); // Custom request logging middleware
 
 // Routes
 app.use('/webhook', webhookRoutes);
+app.use('/channels', channelRoutes);
+app.use('/paystack-webhook', paystackRoutes);
+app.use('/payments', paymentRoutes);
+app.use('/support', supportRoutes);
+app.use('/admin', adminRoutes);
+app.use('/tickets', ticketRoutes);
+app.use('/boarding', boardingRoutes);
 
 // Root route for health check
 app.get('/', (req, res) => {
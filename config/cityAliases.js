@@ -0,0 +1,15 @@
+// config/cityAliases.js
+// Nicknames and abbreviations travellers use for our cities, keyed by the city name as stored on routes.
+// Spacing, punctuation and case are ignored when matching, so "P/H", "p.h" and "PH" are all the same alias.
+module.exports = {
+    'ABUJA': ['FCT', 'ABJ', 'Abuja FCT'],
+    'LAGOS': ['LOS', 'Lasgidi', 'Eko'],
+    'PORT HARCOURT': ['PH', 'PHC', 'Pitakwa'],
+    'IBADAN': ['IB'],
+    'BENIN': ['Benin City'],
+    'ENUGU': ['Coal City'],
+    'KADUNA': ['KD'],
+    'CALABAR': ['CAL'],
+    'JOS': ['J-Town'],
+    'ABEOKUTA': ['ABK']
+};
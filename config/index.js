@@ -3,11 +3,106 @@ require('dotenv').config();
 
 module.exports = {
     port: process.env.PORT || 3000,
+    appBaseUrl: process.env.APP_BASE_URL, // Public URL of this service, used for callbacks and ticket links
     mongoURI: process.env.MONGO_URI || 'mongodb://localhost:27017/whatsapp_booking_db',
     twilio: {
         accountSid: process.env.TWILIO_ACCOUNT_SID,
         authToken: process.env.TWILIO_AUTH_TOKEN,
-        whatsappNumber: process.env.TWILIO_WHATSAPP_NUMBER // Your Twilio WhatsApp number
+        whatsappNumber: process.env.TWILIO_WHATSAPP_NUMBER, // Your Twilio WhatsApp number
+        interactiveMessages: process.env.TWILIO_INTERACTIVE_MESSAGES !== 'false', // Buttons and list pickers via Twilio Content; 'false' sends plain numbered lists only
+        smsNumber: process.env.TWILIO_SMS_NUMBER // Twilio number for the SMS channel; SMS is off while unset
+    },
+    telegram: {
+        botToken: process.env.TELEGRAM_BOT_TOKEN, // Telegram is off while unset
+        webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET, // The secret_token given to setWebhook, sent back in every update
+        baseUrl: 'https://api.telegram.org'
+    },
+    webChat: {
+        enabled: process.env.WEB_CHAT_ENABLED === 'true',
+        allowedOrigins: (process.env.WEB_CHAT_ALLOWED_ORIGINS || '') // Comma-separated sites allowed to embed the chat widget
+            .split(',')
+            .map(o => o.trim())
+            .filter(Boolean),
+        historyLimit: parseInt(process.env.WEB_CHAT_HISTORY_LIMIT, 10) || 50, // Messages kept per visitor for the widget to fetch
+        retentionHours: parseInt(process.env.WEB_CHAT_RETENTION_HOURS, 10) || 24, // How long a visitor's unfetched messages are kept after the last one
+        visitorsPerMinute: parseInt(process.env.WEB_CHAT_VISITORS_PER_MINUTE, 10) || 10, // New visitor IDs issued per client IP per minute
+        visitorSecret: process.env.WEB_CHAT_VISITOR_SECRET // Signs the visitor IDs we issue, so made-up ones are refused
+    },
+    paystack: {
+        secretKey: process.env.PAYSTACK_SECRET_KEY, // Also used to verify webhook signatures
+        baseUrl: 'https://api.paystack.co',
+        callbackUrl: process.env.PAYSTACK_CALLBACK_URL || `${process.env.APP_BASE_URL}/paystack-webhook` // Where Paystack sends the traveller after paying
+    },
+    flutterwave: {
+        secretKey: process.env.FLUTTERWAVE_SECRET_KEY,
+        webhookHash: process.env.FLUTTERWAVE_WEBHOOK_HASH, // The "secret hash" set in the Flutterwave dashboard, sent back in the 'verif-hash' header
+        baseUrl: 'https://api.flutterwave.com/v3',
+        redirectUrl: process.env.FLUTTERWAVE_REDIRECT_URL || `${process.env.APP_BASE_URL}/payments/flutterwave/callback`
+    },
+    payments: {
+        providers: (process.env.PAYMENT_PROVIDERS || 'paystack') // Comma-separated, in the order travellers see them: paystack, flutterwave, pay_at_park, fake
+            .split(',')
+            .map(p => p.trim())
+            .filter(Boolean),
+        payAtPark: {
+            holdHours: parseInt(process.env.PAY_AT_PARK_HOLD_HOURS, 10) || 24, // How long seats stay reserved for a traveller paying cash
+            cutoffMinutes: parseInt(process.env.PAY_AT_PARK_CUTOFF_MINUTES, 10) || 60 // Cash must be paid at least this long before departure
+        }
+    },
+    seatHold: {
+        holdMinutes: parseInt(process.env.SEAT_HOLD_MINUTES, 10) || 15, // How long seats stay reserved while awaiting payment
+        sweepIntervalSeconds: parseInt(process.env.SEAT_HOLD_SWEEP_SECONDS, 10) || 60
+    },
+    waitlist: {
+        offerMinutes: parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30, // How long a waitlisted traveller has to pay for freed seats
+        sweepIntervalSeconds: parseInt(process.env.WAITLIST_SWEEP_SECONDS, 10) || 60
+    },
+    reconciliation: {
+        intervalMinutes: parseInt(process.env.RECONCILIATION_INTERVAL_MINUTES, 10) || 15,
+        graceMinutes: parseInt(process.env.RECONCILIATION_GRACE_MINUTES, 10) || 10, // Give the webhook this long to arrive before asking the provider
+        lookbackHours: parseInt(process.env.RECONCILIATION_LOOKBACK_HOURS, 10) || 48 // Unpaid bookings older than this are no longer checked
+    },
+    pricing: {
+        quoteLockMinutes: parseInt(process.env.FARE_QUOTE_LOCK_MINUTES, 10) || 15 // How long a quoted fare is honoured once a departure is chosen
+    },
+    cancellation: {
+        fullRefundHours: parseInt(process.env.CANCEL_FULL_REFUND_HOURS, 10) || 24, // Full refund if cancelled at least this many hours before departure
+        partialRefundPercent: process.env.CANCEL_PARTIAL_REFUND_PERCENT !== undefined
+            ? Number(process.env.CANCEL_PARTIAL_REFUND_PERCENT)
+            : 50, // Refund percentage after the full-refund window closes
+        cutoffHours: parseInt(process.env.CANCEL_CUTOFF_HOURS, 10) || 1 // No self-service cancellation this close to departure
+    },
+    tickets: {
+        signingSecret: process.env.TICKET_SIGNING_SECRET, // Signs QR boarding tokens and ticket download links
+        linkTtlMinutes: parseInt(process.env.TICKET_LINK_TTL_MINUTES, 10) || 60, // How long a ticket download link stays valid
+        fontPath: process.env.TICKET_FONT_PATH || null, // TrueType font with the accented letters of every language, e.g. NotoSans-Regular.ttf
+        boldFontPath: process.env.TICKET_BOLD_FONT_PATH || process.env.TICKET_FONT_PATH || null
+    },
+    timetable: {
+        horizonDays: parseInt(process.env.TIMETABLE_HORIZON_DAYS, 10) || 14, // How far ahead departures are generated
+        generatorIntervalMinutes: parseInt(process.env.TIMETABLE_GENERATOR_INTERVAL_MINUTES, 10) || 360
+    },
+    notifications: {
+        reminderOffsetsHours: (process.env.REMINDER_OFFSETS_HOURS || '24,2') // Send reminders this many hours before departure
+            .split(',')
+            .map(h => parseFloat(h))
+            .filter(h => h > 0)
+            .sort((a, b) => a - b),
+        schedulerIntervalSeconds: parseInt(process.env.NOTIFICATION_SCHEDULER_SECONDS, 10) || 300,
+        maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3 // Retries for sends that failed at Twilio
+    },
+    admin: {
+        apiKey: process.env.ADMIN_API_KEY // Required by operations staff calling the /admin API
+    },
+    boarding: {
+        apiKey: process.env.BOARDING_API_KEY, // Required by drivers and station staff calling the /boarding API
+        staffNumbers: (process.env.STAFF_WHATSAPP_NUMBERS || '') // Comma-separated WhatsApp numbers allowed to use the 'board' command
+            .split(',')
+            .map(n => n.trim())
+            .filter(Boolean)
+    },
+    support: {
+        apiKey: process.env.SUPPORT_API_KEY // Required by agents calling the /support API
     },
     // Add other configurations here
     env: process.env.NODE_ENV || 'development'
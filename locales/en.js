@@ -0,0 +1,265 @@
+// locales/en.js
+// English message catalogue. This is the reference catalogue: every key used by the bot must exist here,
+// and other languages fall back to it for anything they don't translate.
+// Placeholders are written as {name} and filled in by utils/i18n.js.
+module.exports = {
+    code: 'en',
+    name: 'English',
+    dateLocale: 'en-US',
+
+    // Words that trigger commands. English keywords work in every language.
+    keywords: {
+        reset: ['reset', 'restart'],
+        menu: ['menu'],
+        yes: ['yes', 'confirm', 'y'],
+        no: ['no', 'n'],
+        cancel: ['cancel'],
+        support: ['support'],
+        language: ['language', 'lang'],
+        ticket: ['ticket'],
+        today: ['today'],
+        tomorrow: ['tomorrow'],
+        return: ['return', 'round trip'],
+        skip: ['skip', 'none'],
+        promo: ['promo', 'coupon', 'voucher'],
+        back: ['back', 'go back']
+    },
+
+    messages: {
+        // Language picker
+        'language.prompt': "Please choose your language",
+        'language.saved': "Great, I'll chat with you in English. You can change this at any time by typing 'language'.",
+        'language.invalid': "Sorry, I didn't get that. Please reply with the number of your language.",
+
+        // Main menu
+        'menu.options': "*1.* Book a new trip\n*2.* Check my booking\n*3.* Help & Support (chat with an agent)",
+        'menu.welcomeBack': "Welcome back! Here's what I can do for you:\n\n{options}\n\nPlease reply with the number of your choice, or type 'reset' to start over.",
+        'menu.invalid': "I didn't understand that. Please choose from the options (1, 2, 3) or type 'menu' to see options.",
+
+        // General
+        'general.reset': "Okay, I've reset our conversation. Type 'menu' to start over.",
+        'general.unknown': "I'm not sure how to respond to that. Please type 'menu' to see what I can do, or 'reset' to start over.",
+        'general.noBack': "There's no earlier step to go back to from here. Type 'menu' to see what I can do, or 'reset' to start over.",
+
+        // Human support
+        'support.handoff': "I've passed our conversation to our support team. An agent will reply right here shortly. Type 'reset' at any time to go back to the booking assistant.",
+        'support.ended': "Okay, I've ended your chat with our support team and reset our conversation. Type 'menu' to start over.",
+        'support.handback': "Thanks for chatting with our support team. You're now back with the booking assistant. Type 'menu' to see what I can do.",
+
+        // Booking flow
+        'booking.askOrigin': "Great! Where would you like to **depart from**?\n\n{options}\n\nPlease reply with the city name or number.",
+        'booking.positiveIntro': "Fantastic choice! Let's get you set up for your next trip. ",
+        'booking.noRoutes': "Sorry, no routes are currently available. Please try again later or type 'reset'.",
+        'booking.askDestination': "Okay, from {origin}. Where would you like to **go to**?\n\n{options}\n\nPlease reply with the city name or number.",
+        'booking.noDestinations': "Sorry, no destinations available from {origin}. Please choose a different origin or type 'reset'.",
+        'booking.invalidOrigin': "I didn't recognize that departure city. Please choose from the list or type 'menu' to start over.",
+        'booking.availableOrigins': "Available origins:",
+        'booking.askDate': "Got it, to {destination}. When would you like to travel? Please provide the **date** (e.g., *tomorrow*, *this Friday*, *20/07* or *Friday morning*).",
+        'booking.invalidDestination': "I didn't recognize that destination city. Please choose from the list or type 'menu' to start over.",
+        'booking.availableDestinations': "Available destinations from {origin}:",
+        'booking.didYouMean': "Did you mean *{city}*? Reply 'Yes' to continue, or type the city again.",
+        'booking.didYouMeanList': "Did you mean one of these?\n{options}\n\nReply with the number, or type the city again.",
+        'booking.departuresHeader': "Great! Here are the available departures for {origin} to {destination} on {date}:",
+        'booking.departureOption': "*{number}.* {vehicle} at {time} - Fare: NGN{fare} - Seats: {seats}",
+        'booking.departureOptionFull': "*{number}.* {vehicle} at {time} - Fare: NGN{fare} - *Full* (reply {number} to join the waitlist)",
+        'booking.chooseDeparture': "Please reply with the number of your preferred departure.",
+        'booking.noDepartures': "Sorry, no available departures found for {origin} to {destination} on {date}. Please choose another date or type 'reset'.",
+        'booking.noDeparturesInPeriod': "There are no {period} departures that day, so here is the whole day.",
+        'booking.routeNotServed': "Sorry, we don't run trips from {origin} to {destination} yet.",
+        'booking.invalidDate': "I couldn't understand that date or it's in the past. Try something like 'tomorrow', 'this Friday', '20th July', '20/07' or 'in 3 days'. You can add a time of day, e.g. 'Friday morning'.",
+        'booking.departureSelected': "You've selected the {time} departure with {vehicle}. How many passengers will be traveling? (Available seats: {seats})",
+        'booking.departureUnavailable': "Sorry, that departure is no longer available or has no seats. Please choose another one or type 'reset'.",
+        'booking.askWaitlistSeats': "⏳ The {time} departure is full. Reply with how many seats you need and I'll put you on the waitlist, or 'no' to choose another departure.",
+        'booking.invalidWaitlistSeats': "Please reply with a number of seats from 1 to {max}, or 'no' to choose another departure.",
+        'booking.invalidDeparture': "I didn't understand that choice. Please reply with the number of your preferred departure.",
+        'booking.missingDetails': "Missing previous booking details. Please try 'reset' and start over.",
+        'booking.departureNotFound': "Could not find departure details for your booking. Please type 'reset' to start over.",
+        'booking.invalidPassengers': "Invalid number of passengers or not enough seats available ({seats} seats left). Please enter a valid number.",
+        'booking.askPassengerName': "👤 Passenger {number} of {total}: please send their full name, and their phone number if you have it (e.g., 'Ada Obi, 08031234567').",
+        'booking.invalidPassengerName': "Please send the passenger's full name, optionally followed by a Nigerian phone number (e.g., 'Ada Obi, 08031234567').",
+        'booking.askNextOfKin': "Next of kin for {name}: send their name and phone number (e.g., 'Chidi Obi, 08021234567'), or 'skip'.",
+        'booking.invalidNextOfKin': "Please send the next of kin's name and phone number (e.g., 'Chidi Obi, 08021234567'), or 'skip'.",
+        'booking.askSeats': "💺 Pick {count} seat(s). The front of the vehicle is at the top and taken seats show as --.\n\n{map}\n\nReply with the seat numbers (e.g., '3 4'), or 'skip' and we'll pick for you.",
+        'booking.invalidSeats': "Please reply with {count} free seat number(s) from the map (e.g., '3 4'), or 'skip' and we'll pick for you.",
+        'booking.seatsTaken': "Sorry, seat(s) {seats} have just been taken. Please pick again.",
+        'booking.review': "Please review your booking details:\n\n*From:* {origin}\n*To:* {destination}\n*Date:* {date}\n*Time:* {time}\n*Vehicle:* {vehicle}\n*Passengers:* {passengers}\n*Seats:* {seats}\n*Fare per person:* NGN{fare}\n*Total Amount:* NGN{total}{discount}\n\nReply 'Yes' to confirm or 'No' to cancel.",
+        'booking.reviewInvalid': "Please reply with 'Yes' to confirm or 'No' to cancel.",
+        'booking.priceChanged': "⚠️ The fare you were quoted has expired and the price has changed. Here is your updated booking:",
+        'booking.returnHint': "Type 'return' to add a return trip.",
+        'booking.promoHint': "Have a promo code? Type 'promo' followed by the code.",
+        'booking.askReturnDate': "🔁 Return trip from *{origin}* to *{destination}*. When do you want to come back? (e.g., 'next Sunday', '25/07')",
+        'booking.connectionPlanned': "There's no direct trip from {origin} to {destination}, but you can connect through *{via}*. Let's book both legs.",
+        'booking.connectionNextLeg': "✅ First leg saved. Now for the connecting trip from *{origin}* to *{destination}*.",
+        'booking.reviewTrip': "Please review your trip:\n\n{legs}\n\n*Total Amount:* NGN{total}{discount}\n\nReply 'Yes' to confirm or 'No' to cancel.",
+        'booking.reviewLeg': "*{number}. {origin} to {destination}*\n{date}, {time} - {vehicle}\n{passengers} x NGN{fare} - Seats {seats}",
+        'booking.criticalDetailsMissing': "Missing critical booking details. Please try 'reset' and start over.",
+        'booking.notEnoughSeats': "Sorry, only {seats} seats are now available for that departure. Please try again or type 'reset'.",
+        'booking.positiveCreated': "Fantastic! 🎉 ",
+        'booking.paymentLink': "Your booking (Ref: *{reference}*) has been created. Please complete your payment of NGN{amount} using this secure link:\n\n{url}\n\n*Important:* Your seats are held until {holdTime}. If payment isn't completed by then, they will be released.",
+        'booking.askPaymentMethod': "💳 How would you like to pay?\n\n{options}\n\nReply with the number of your choice.",
+        'booking.invalidPaymentMethod': "Please reply with the number of a payment method from the list, or 'No' to cancel.",
+        'booking.paymentMethodUnavailable': "Sorry, that payment method can't be used for this departure any more. Please choose another one.",
+        'booking.noPaymentMethod': "Sorry, there's no way to pay for this departure right now. Please try again later, or type 'support' to talk to our team.",
+        'booking.payAtPark': "Your booking (Ref: *{reference}*) has been created. Please pay NGN{amount} in cash at the park counter, quoting your reference.\n\n*Important:* Your seats are held until {holdTime}. If payment isn't made by then, they will be released. Your e-ticket will be sent once staff record the payment.",
+        'booking.paymentInitFailed': "Sorry, I couldn't initiate payment at this time. Please try again or type 'reset'.",
+        'booking.paymentInitError': "Sorry, there was an error initiating payment. Please try again later or type 'reset'.",
+        'booking.abandoned': "Okay, I've cancelled the booking process. Type 'menu' to start over.",
+        'booking.awaitingPayment': "I'm currently waiting for your payment confirmation. If you've already paid, please wait a moment for me to update. If you're having trouble, please type 'support' or 'reset'.",
+        'booking.paymentReceived': "Your payment has been received and your booking is confirmed. 🎉\n\n{options}\n\nPlease reply with the number of your choice.",
+
+        // Promo codes
+        'promo.usage': "To use a promo code, type 'promo' followed by the code, e.g. 'promo EASTER10'.",
+        'promo.applied': "🏷️ Promo code *{code}* applied: NGN{discount} off.",
+        'promo.discountLine': "*Promo {code}:* -NGN{discount}\n*Amount to Pay:* NGN{total}",
+        'promo.removed': "⚠️ Promo code *{code}* was removed: {reason}",
+        'promo.unavailable': "⚠️ Sorry, promo code *{code}* can no longer be used: {reason} Here is your booking without it:",
+        'promo.notFound': "We couldn't find that promo code. Please check it and try again.",
+        'promo.expired': "This promo code isn't valid right now.",
+        'promo.exhausted': "This promo code has been fully used.",
+        'promo.alreadyUsed': "You've already used this promo code.",
+        'promo.routeNotEligible': "This promo code isn't valid on this route.",
+        'promo.minAmount': "This promo code needs a booking of at least NGN{minAmount}.",
+
+        // Waitlist
+        'waitlist.joined': "✅ You're on the waitlist for {seats} seat(s) on the {time} departure on {date}, number {position} in line. If seats free up, I'll send you a payment link to claim them. Type 'menu' for anything else.",
+        'waitlist.offer': "🎉 Good news! {seats} seat(s) just freed up on the {origin} to {destination} departure on {date} at {time}, and they're yours if you want them.\n\nPay NGN{amount} (Ref: *{reference}*) using this link before {expiryTime}:\n\n{url}\n\nIf you don't pay by then, the seats go to the next person on the waitlist.",
+
+        // Payment, refund and seat hold notices, sent outside the conversation
+        'notice.bookingConfirmed': "✅ Payment received! Your booking is confirmed.",
+        'notice.bookingConfirmedFooter': "Please arrive at the park at least 30 minutes before departure. Type 'menu' to make another booking.",
+        'notice.tripConfirmed': "✅ Payment received! Your trip is confirmed.\n\n*Trip reference:* {reference}",
+        'notice.tripLeg': "*{number}. {origin} to {destination}* (Ref: {reference})\n{date}, {time} - {vehicle}",
+        'notice.tripLegSeats': " - Seats {seats}",
+        'notice.tripConfirmedFooter': "You'll get a separate e-ticket for each leg. Please arrive at the park at least 30 minutes before each departure.",
+        'notice.tripRefunded': "⚠️ We received your payment for trip *{reference}*, but we couldn't keep seats on every leg, so the whole trip has been cancelled and your payment will be refunded in full. Type 'menu' to book again.",
+        'notice.paymentFailed': "❌ Your payment for booking *{reference}* was not successful{reason}. Your seats have been released. Type 'menu' to try again.",
+        'notice.refundProcessed': "💸 Your refund of NGN{amount} for booking *{reference}* has been processed. It may take a few business days to reflect in your account.",
+        'notice.holdExpired': "⌛ Your seat hold for booking *{reference}* has expired because payment was not completed in time. The seats have been released. Type 'menu' to book again.",
+
+        // Trip reminders and operator changes
+        'reminder.message': "⏰ *Trip reminder*\n\nYour trip from *{origin}* to *{destination}* leaves in {timeLeft}, on {dateTime}.\n\n*Booking Reference:* {reference}\n*Vehicle:* {vehicle}\n*Passengers:* {passengers}\n\nPlease arrive at the park at least 30 minutes early. Type *ticket {reference}* if you need your e-ticket again.",
+        'reminder.minute': "1 minute",
+        'reminder.minutes': "{count} minutes",
+        'reminder.hour': "about 1 hour",
+        'reminder.hours': "about {count} hours",
+        'disruption.cancelled': "⚠️ *Trip cancelled*\n\nWe're sorry, your trip from *{origin}* to *{destination}* on {dateTime} (booking *{reference}*) has been cancelled by the operator.\n\n*Your options:*\n*1.* Full refund of NGN{amount}: type *cancel {reference}*\n*2.* Book another departure: type 'menu'\n*3.* Talk to our team: type 'support'",
+        'disruption.alternatives': "*Other departures on this route:*",
+        'disruption.alternative': "- {dateTime} ({seats} seats left)",
+        'disruption.rescheduled': "⚠️ *Trip rescheduled*\n\nYour trip from *{origin}* to *{destination}* (booking *{reference}*) has been moved from {from} to *{to}*.\n\nYour booking and e-ticket are still valid for the new time, so you don't need to do anything.\n\nIf the new time doesn't work for you:\n*1.* Full refund of NGN{amount}: type *cancel {reference}*\n*2.* Move to another departure: type 'support'",
+
+        // Payment methods
+        'payment.paystack': "Card, bank transfer or USSD (Paystack)",
+        'payment.flutterwave': "Card, bank transfer or USSD (Flutterwave)",
+        'payment.pay_at_park': "Pay cash at the park",
+        'payment.fake': "Test payment (no real money)",
+
+        // Buttons and lists (WhatsApp limits button titles to 20 characters and list titles to 24)
+        'choice.list': "See options",
+        'choice.book': "Book a trip",
+        'choice.myBookings': "My bookings",
+        'choice.support': "Talk to an agent",
+        'choice.yes': "Yes",
+        'choice.no': "No",
+        'choice.departure': "{vehicle} - NGN{fare} - {seats} seats left",
+        'choice.departureFull': "{vehicle} - NGN{fare} - Full, join the waitlist",
+
+        // Checking bookings
+        'bookings.none': "You don't have any bookings with us yet. If you have a booking reference (e.g. *BOOK-1A2B3C4D*), type it to look it up, or type 'menu' to book a trip.",
+        'bookings.upcoming': "*Upcoming trips:*",
+        'bookings.recent': "*Recent bookings:*",
+        'bookings.listFooter': "Reply with a number to see the full details, type a booking reference (e.g. *BOOK-1A2B3C4D*), or type 'menu' to go back.",
+        'bookings.listItem': "*{number}.* {reference} - {origin} to {destination}\n    {dateTime} - {vehicle} - Payment: {paymentStatus}",
+        'bookings.listItemUnavailable': "*{number}.* {reference} - Departure no longer available - Payment: {paymentStatus}",
+        'bookings.detailsFooter': "Reply with another number to see a different booking, or type 'menu' to go back.",
+        'bookings.gone': "Sorry, I couldn't find that booking anymore. Please choose another one or type 'menu' to go back.",
+        'bookings.invalidChoice': "I didn't understand that choice. Please reply with the number of a booking from the list, type a booking reference (e.g. *BOOK-1A2B3C4D*), or type 'menu' to go back.",
+        'bookings.referenceNotFound': "I couldn't find a booking with reference *{reference}*. Please check the reference and try again.",
+        'bookings.hintTicket': "To get your e-ticket, type *ticket {reference}*.",
+        'bookings.hintCancel': "To cancel this booking, type *cancel {reference}*.",
+
+        // Booking details
+        'details.title': "*Booking {reference}*",
+        'details.from': "*From:* {value}",
+        'details.to': "*To:* {value}",
+        'details.departure': "*Departure:* {value}",
+        'details.vehicle': "*Vehicle:* {value}",
+        'details.departureStatus': "*Departure Status:* {value}",
+        'details.departureUnavailable': "*Departure:* No longer available",
+        'details.passengers': "*Passengers:* {value}",
+        'details.totalAmount': "*Total Amount:* NGN{value}",
+        'details.bookingStatus': "*Booking Status:* {value}",
+        'details.paymentStatus': "*Payment Status:* {value}",
+        'details.reference': "*Reference:* {value}",
+        'details.date': "*Date:* {value}",
+        'details.time': "*Time:* {value}",
+        'details.seats': "*Seats:* {value}",
+        'details.amountPaid': "*Amount Paid:* NGN{value}",
+
+        // Status names
+        'status.pending': "Pending",
+        'status.confirmed': "Confirmed",
+        'status.cancelled': "Cancelled",
+        'status.completed': "Completed",
+        'status.failed': "Failed",
+        'status.paid': "Paid",
+        'status.refunded': "Refunded",
+        'status.partially_refunded': "Partially refunded",
+        'status.scheduled': "Scheduled",
+        'status.departed': "Departed",
+
+        // E-tickets
+        'tickets.notFound': "I couldn't find a booking with reference *{reference}* for this WhatsApp number.",
+        'tickets.notTicketable': "Booking *{reference}* doesn't have an e-ticket because it isn't a paid, confirmed booking.",
+        'tickets.noUpcoming': "You don't have any upcoming paid trips. Type 'menu' to book one.",
+        'tickets.sendFailed': "Sorry, I couldn't send your e-ticket right now. Please try again in a few minutes or type 'support'.",
+        'tickets.sent': "I've sent your e-ticket for {references}. It should arrive in a moment.",
+        'tickets.sentMany': "I've sent your e-tickets for {references}. They should arrive in a moment.",
+        'tickets.caption': "🎫 Here is your e-ticket for booking *{reference}*. Show the QR code when boarding.",
+
+        // E-ticket PDF
+        'ticketPdf.title': "E-Ticket",
+        'ticketPdf.from': "From",
+        'ticketPdf.to': "To",
+        'ticketPdf.departure': "Departure",
+        'ticketPdf.vehicle': "Vehicle",
+        'ticketPdf.passengers': "Passengers",
+        'ticketPdf.seats': "Seats",
+        'ticketPdf.amountPaid': "Amount Paid",
+        'ticketPdf.instructions': "Show this QR code to staff at the park when boarding. Please arrive at least 30 minutes before departure.",
+
+        // Cancelling a booking
+        'cancel.notOwner': "Sorry, you can only cancel bookings made from this WhatsApp number.",
+        'cancel.notAllowed': "Sorry, booking *{reference}* can't be cancelled. {reason}",
+        'cancel.notFound': "I couldn't find that booking.",
+        'cancel.alreadyCancelled': "It has already been cancelled.",
+        'cancel.alreadyCompleted': "The trip has already taken place.",
+        'cancel.alreadyFailed': "It was never paid for and has expired.",
+        'cancel.notScheduled': "Its departure is no longer scheduled. Please type 'support' for help.",
+        'cancel.tooLate': "Bookings can't be cancelled less than {hours} hour(s) before departure.",
+        'cancel.confirmIntro': "You're about to cancel booking *{reference}* ({origin} to {destination}, {dateTime}).",
+        'cancel.refundQuote': "*Refund:* NGN{amount} ({percent}% of NGN{total})",
+        'cancel.noPayment': "No payment has been made for this booking, so no refund is due.",
+        'cancel.confirmPrompt': "Reply 'Yes' to cancel this booking or 'No' to keep it.",
+        'cancel.failed': "Sorry, I couldn't cancel that booking. {reason} Type 'menu' to see other options.",
+        'cancel.done': "Your booking *{reference}* has been cancelled and the seats have been released.",
+        'cancel.refundRequested': "A refund of NGN{amount} has been requested. I'll message you once it has been processed.",
+        'cancel.refundManual': "We couldn't start your refund of NGN{amount} automatically, so our team will process it for you.",
+        'cancel.bookAnother': "Type 'menu' to make another booking.",
+        'cancel.kept': "Okay, your booking has not been cancelled. Type 'menu' to see other options.",
+        'cancel.invalid': "Please reply with 'Yes' to cancel the booking or 'No' to keep it.",
+
+        // Station staff
+        'boarding.rejected': "❌ Do NOT board{reference}. {reason}",
+        'boarding.boarded': "✅ Boarded: *{reference}*",
+        'boarding.valid': "✅ Valid ticket: *{reference}*",
+        'boarding.details': "*Passengers:* {passengers}\n*Trip:* {origin} to {destination}, {dateTime}\n*Vehicle:* {vehicle}",
+        'boarding.recordHint': "Type *board {reference}* to record boarding.",
+
+        // Dates
+        'period.morning': "morning",
+        'period.afternoon': "afternoon",
+        'period.evening': "evening",
+        'period.night': "night",
+        'date.at': "{date} at {time}"
+    }
+};
@@ -0,0 +1,243 @@
+// locales/ha.js
+// Hausa message catalogue. Missing keys fall back to English (locales/en.js).
+module.exports = {
+    code: 'ha',
+    name: 'Hausa',
+    dateLocale: 'ha',
+
+    keywords: {
+        reset: ['sake farawa', 'fara sabo'],
+        menu: ['zaɓuɓɓuka'],
+        yes: ['eh', 'ee', 'na yarda', 'to'],
+        no: ["a'a", 'aa', 'ban yarda ba'],
+        cancel: ['soke'],
+        support: ['taimako'],
+        language: ['canza harshe'],
+        ticket: ['tikiti'],
+        today: ['yau'],
+        tomorrow: ['gobe'],
+        return: ['dawowa', 'komawa'],
+        skip: ['tsallake', 'babu'],
+        promo: ['promo', 'rangwame'],
+        back: ['koma baya']
+    },
+
+    messages: {
+        'language.prompt': "Da fatan za a zaɓi harshenka",
+        'language.saved': "Madalla, zan yi magana da kai da Hausa. Za ka iya canza shi a kowane lokaci ta hanyar rubuta 'language'.",
+        'language.invalid': "Yi haƙuri, ban gane ba. Da fatan ka amsa da lambar harshenka.",
+
+        'menu.options': "*1.* Yi sabuwar tafiya\n*2.* Duba bukin da na yi\n*3.* Taimako (yi magana da ma'aikacinmu)",
+        'menu.welcomeBack': "Barka da dawowa! Ga abin da zan iya yi maka:\n\n{options}\n\nDa fatan ka amsa da lambar zaɓinka, ko ka rubuta 'reset' don sake farawa.",
+        'menu.invalid': "Ban gane ba. Da fatan ka zaɓi ɗaya daga cikin (1, 2, 3) ko ka rubuta 'menu' don ganin zaɓuɓɓuka.",
+
+        'general.reset': "To, na sake saita tattaunawarmu. Rubuta 'menu' don sake farawa.",
+        'general.unknown': "Ban san yadda zan amsa wannan ba. Rubuta 'menu' don ganin abin da zan iya yi, ko 'reset' don sake farawa.",
+        'general.noBack': "Babu matakin da ya gabata da za ka koma daga nan. Rubuta 'menu' don ganin abin da zan iya yi, ko 'reset' don sake farawa.",
+
+        'support.handoff': "Na miƙa tattaunawarmu ga ma'aikatan taimakonmu. Ɗaya daga cikinsu zai amsa maka a nan ba da jimawa ba. Rubuta 'reset' a kowane lokaci don komawa wurin mataimakin buki.",
+        'support.ended': "To, na kawo ƙarshen tattaunawarka da ma'aikatanmu kuma na sake saita tattaunawarmu. Rubuta 'menu' don sake farawa.",
+        'support.handback': "Mun gode da tattaunawa da ma'aikatan taimakonmu. Yanzu ka dawo wurin mataimakin buki. Rubuta 'menu' don ganin abin da zan iya yi.",
+
+        'booking.askOrigin': "Madalla! Daga ina kake so ka **tashi**?\n\n{options}\n\nDa fatan ka amsa da sunan gari ko lamba.",
+        'booking.positiveIntro': "Zaɓi mai kyau! Bari mu shirya tafiyarka ta gaba. ",
+        'booking.noRoutes': "Yi haƙuri, babu hanyoyin tafiya a yanzu. Da fatan ka sake gwadawa daga baya ko ka rubuta 'reset'.",
+        'booking.askDestination': "To, daga {origin}. Ina kake so ka **je**?\n\n{options}\n\nDa fatan ka amsa da sunan gari ko lamba.",
+        'booking.noDestinations': "Yi haƙuri, babu inda ake zuwa daga {origin}. Da fatan ka zaɓi wani gari ko ka rubuta 'reset'.",
+        'booking.invalidOrigin': "Ban gane wannan garin ba. Da fatan ka zaɓa daga jerin ko ka rubuta 'menu' don sake farawa.",
+        'booking.availableOrigins': "Garuruwan da za ka iya tashi daga:",
+        'booking.askDate': "Na gane, zuwa {destination}. Yaushe kake so ka yi tafiya? Da fatan ka ba ni **kwanan wata** (misali *tomorrow*, *this Friday*, *20/07* ko *Friday morning*).",
+        'booking.invalidDestination': "Ban gane wannan garin ba. Da fatan ka zaɓa daga jerin ko ka rubuta 'menu' don sake farawa.",
+        'booking.availableDestinations': "Garuruwan da za ka iya zuwa daga {origin}:",
+        'booking.didYouMean': "Kana nufin *{city}*? Amsa 'Yes' don ci gaba, ko ka sake rubuta sunan garin.",
+        'booking.didYouMeanList': "Kana nufin ɗaya daga cikin waɗannan?\n{options}\n\nAmsa da lambar, ko ka sake rubuta sunan garin.",
+        'booking.departuresHeader': "Madalla! Ga motocin da ke tafiya daga {origin} zuwa {destination} a ranar {date}:",
+        'booking.departureOption': "*{number}.* {vehicle} da ƙarfe {time} - Kuɗi: NGN{fare} - Kujeru: {seats}",
+        'booking.departureOptionFull': "*{number}.* {vehicle} da {time} - Kuɗi: NGN{fare} - *Ya cika* (amsa {number} don shiga jerin jira)",
+        'booking.chooseDeparture': "Da fatan ka amsa da lambar motar da kake so.",
+        'booking.noDepartures': "Yi haƙuri, babu mota daga {origin} zuwa {destination} a ranar {date}. Da fatan ka zaɓi wata rana ko ka rubuta 'reset'.",
+        'booking.noDeparturesInPeriod': "Babu tafiyar {period} a wannan rana, don haka ga duk ranar.",
+        'booking.routeNotServed': "Yi haƙuri, har yanzu ba mu da tafiya daga {origin} zuwa {destination}.",
+        'booking.invalidDate': "Ban gane wannan kwanan wata ba ko ya wuce. Gwada wani abu kamar 'tomorrow', 'this Friday', '20th July', '20/07' ko 'in 3 days'. Za ka iya ƙara lokacin rana, misali 'Friday morning'.",
+        'booking.departureSelected': "Ka zaɓi motar {vehicle} ta ƙarfe {time}. Mutane nawa ne za su yi tafiya? (Kujerun da suka rage: {seats})",
+        'booking.departureUnavailable': "Yi haƙuri, wannan motar babu ita kuma ko ta cika. Da fatan ka zaɓi wata ko ka rubuta 'reset'.",
+        'booking.askWaitlistSeats': "⏳ Tafiyar {time} ta cika. Faɗa mini kujeru nawa kake buƙata in saka ka a jerin jira, ko 'no' don zaɓar wata tafiya.",
+        'booking.invalidWaitlistSeats': "Da fatan ka amsa da adadin kujeru daga 1 zuwa {max}, ko 'no' don zaɓar wata tafiya.",
+        'booking.invalidDeparture': "Ban gane zaɓinka ba. Da fatan ka amsa da lambar motar da kake so.",
+        'booking.missingDetails': "Wasu bayanan buki sun ɓace. Da fatan ka rubuta 'reset' ka sake farawa.",
+        'booking.departureNotFound': "Ba a sami bayanan motar bukinka ba. Da fatan ka rubuta 'reset' don sake farawa.",
+        'booking.invalidPassengers': "Adadin fasinjoji bai dace ba ko kujeru ba su isa ba (kujeru {seats} suka rage). Da fatan ka shigar da lamba mai kyau.",
+        'booking.askPassengerName': "👤 Fasinja {number} cikin {total}: da fatan ka aiko da cikakken sunansa, da lambar wayarsa idan kana da ita (misali, 'Ada Obi, 08031234567').",
+        'booking.invalidPassengerName': "Da fatan ka aiko da cikakken sunan fasinjan, tare da lambar wayar Najeriya idan kana so (misali, 'Ada Obi, 08031234567').",
+        'booking.askNextOfKin': "Dangi na kusa na {name}: aiko da sunansa da lambar wayarsa (misali, 'Chidi Obi, 08021234567'), ko 'skip'.",
+        'booking.invalidNextOfKin': "Da fatan ka aiko da sunan dangi na kusa da lambar wayarsa (misali, 'Chidi Obi, 08021234567'), ko 'skip'.",
+        'booking.askSeats': "💺 Zaɓi kujeru {count}. Gaban mota yana sama, kuma kujerun da aka riga aka ɗauka suna nuna --.\n\n{map}\n\nAmsa da lambobin kujeru (misali, '3 4'), ko 'skip' mu zaɓa maka.",
+        'booking.invalidSeats': "Da fatan ka amsa da lambobin kujeru {count} marasa kowa daga taswirar (misali, '3 4'), ko 'skip' mu zaɓa maka.",
+        'booking.seatsTaken': "Yi haƙuri, an ɗauki kujera {seats} yanzu. Da fatan ka sake zaɓa.",
+        'booking.review': "Da fatan ka duba bayanan bukinka:\n\n*Daga:* {origin}\n*Zuwa:* {destination}\n*Rana:* {date}\n*Lokaci:* {time}\n*Mota:* {vehicle}\n*Fasinjoji:* {passengers}\n*Kujeru:* {seats}\n*Kuɗin mutum ɗaya:* NGN{fare}\n*Jimillar kuɗi:* NGN{total}{discount}\n\nAmsa 'Yes' don tabbatarwa ko 'No' don sokewa.",
+        'booking.reviewInvalid': "Da fatan ka amsa 'Yes' don tabbatarwa ko 'No' don sokewa.",
+        'booking.priceChanged': "⚠️ Farashin da aka faɗa maka ya ƙare kuma ya canza. Ga sabon bayanin ajiyarka:",
+        'booking.returnHint': "Rubuta 'return' don ƙara tafiyar dawowa.",
+        'booking.promoHint': "Kana da lambar rangwame? Rubuta 'promo' sannan lambar.",
+        'booking.askReturnDate': "🔁 Tafiyar dawowa daga *{origin}* zuwa *{destination}*. Yaushe kake son dawowa? (misali, 'next Sunday', '25/07')",
+        'booking.connectionPlanned': "Babu tafiya kai tsaye daga {origin} zuwa {destination}, amma za ka iya bi ta *{via}*. Bari mu yi bukin duka biyun.",
+        'booking.connectionNextLeg': "✅ An ajiye tafiya ta farko. Yanzu tafiya ta gaba daga *{origin}* zuwa *{destination}*.",
+        'booking.reviewTrip': "Da fatan ka duba tafiyarka:\n\n{legs}\n\n*Jimillar kuɗi:* NGN{total}{discount}\n\nAmsa 'Yes' don tabbatarwa ko 'No' don sokewa.",
+        'booking.reviewLeg': "*{number}. {origin} zuwa {destination}*\n{date}, {time} - {vehicle}\n{passengers} x NGN{fare} - Kujeru {seats}",
+        'booking.criticalDetailsMissing': "Muhimman bayanan buki sun ɓace. Da fatan ka rubuta 'reset' ka sake farawa.",
+        'booking.notEnoughSeats': "Yi haƙuri, kujeru {seats} kawai suka rage a wannan motar yanzu. Da fatan ka sake gwadawa ko ka rubuta 'reset'.",
+        'booking.positiveCreated': "Madalla! 🎉 ",
+        'booking.paymentLink': "An yi bukinka (Ref: *{reference}*). Da fatan ka biya NGN{amount} ta wannan amintaccen mahaɗi:\n\n{url}\n\n*Muhimmi:* Za a riƙe maka kujerunka har zuwa {holdTime}. Idan ba ka biya kafin lokacin ba, za a sake su.",
+        'booking.askPaymentMethod': "💳 Ta yaya kake so ka biya?\n\n{options}\n\nAmsa da lambar zaɓinka.",
+        'booking.invalidPaymentMethod': "Da fatan ka amsa da lambar hanyar biya daga jerin, ko 'No' don sokewa.",
+        'booking.paymentMethodUnavailable': "Yi haƙuri, ba za a iya amfani da wannan hanyar biya don wannan tafiya ba yanzu. Da fatan ka zaɓi wata.",
+        'booking.noPaymentMethod': "Yi haƙuri, babu hanyar biya don wannan tafiya yanzu. Da fatan ka sake gwadawa daga baya, ko ka rubuta 'support' don magana da ma'aikatanmu.",
+        'booking.payAtPark': "An yi bukinka (Ref: *{reference}*). Da fatan ka biya NGN{amount} tsabar kuɗi a teburin tasha, ka faɗi lambar bukinka.\n\n*Muhimmi:* Za a riƙe maka kujerunka har zuwa {holdTime}. Idan ba ka biya kafin lokacin ba, za a sake su. Za a aiko maka da e-ticket da zarar ma'aikata sun rubuta biyan.",
+        'booking.paymentInitFailed': "Yi haƙuri, ba zan iya fara biyan kuɗi yanzu ba. Da fatan ka sake gwadawa ko ka rubuta 'reset'.",
+        'booking.paymentInitError': "Yi haƙuri, an sami kuskure wajen fara biyan kuɗi. Da fatan ka sake gwadawa daga baya ko ka rubuta 'reset'.",
+        'booking.abandoned': "To, na dakatar da bukin. Rubuta 'menu' don sake farawa.",
+        'booking.awaitingPayment': "Har yanzu ina jiran tabbacin biyan kuɗinka. Idan ka riga ka biya, da fatan ka ɗan jira. Idan kana da matsala, rubuta 'support' ko 'reset'.",
+        'booking.paymentReceived': "Mun karɓi kuɗinka kuma an tabbatar da bukinka. 🎉\n\n{options}\n\nDa fatan ka amsa da lambar zaɓinka.",
+
+        'promo.usage': "Don amfani da lambar rangwame, rubuta 'promo' sannan lambar, misali 'promo EASTER10'.",
+        'promo.applied': "🏷️ An yi amfani da lambar rangwame *{code}*: an rage NGN{discount}.",
+        'promo.discountLine': "*Rangwame {code}:* -NGN{discount}\n*Abin da Za Ka Biya:* NGN{total}",
+        'promo.removed': "⚠️ An cire lambar rangwame *{code}*: {reason}",
+        'promo.unavailable': "⚠️ Yi haƙuri, ba za a iya amfani da lambar rangwame *{code}* ba kuma: {reason} Ga ajiyarka ba tare da ita ba:",
+        'promo.notFound': "Ba mu sami wannan lambar rangwame ba. Da fatan ka duba ka sake gwadawa.",
+        'promo.expired': "Wannan lambar rangwame ba ta aiki a yanzu.",
+        'promo.exhausted': "An gama amfani da wannan lambar rangwame.",
+        'promo.alreadyUsed': "Ka riga ka yi amfani da wannan lambar rangwame.",
+        'promo.routeNotEligible': "Wannan lambar rangwame ba ta aiki a wannan hanyar.",
+        'promo.minAmount': "Wannan lambar rangwame tana buƙatar ajiya ta aƙalla NGN{minAmount}.",
+
+        'waitlist.joined': "✅ Kana cikin jerin jira don kujeru {seats} a tafiyar {time} ranar {date}, kai ne na {position} a layi. Idan kujeru suka samu, zan aiko maka da hanyar biya. Rubuta 'menu' don wani abu.",
+        'waitlist.offer': "🎉 Albishir! Kujeru {seats} sun samu a tafiyar {origin} zuwa {destination} ranar {date} da {time}, naka ne idan kana so.\n\nBiya NGN{amount} (Ref: *{reference}*) ta wannan hanyar kafin {expiryTime}:\n\n{url}\n\nIdan ba ka biya kafin lokacin ba, kujerun za su tafi ga na gaba a jerin jira.",
+
+        'notice.bookingConfirmed': "✅ An karɓi kuɗinka! An tabbatar da bukinka.",
+        'notice.bookingConfirmedFooter': "Da fatan ka iso tasha aƙalla minti 30 kafin tashi. Rubuta 'menu' don yin wani buki.",
+        'notice.tripConfirmed': "✅ An karɓi kuɗinka! An tabbatar da tafiyarka.\n\n*Lambar tafiya:* {reference}",
+        'notice.tripLeg': "*{number}. {origin} zuwa {destination}* (Ref: {reference})\n{date}, {time} - {vehicle}",
+        'notice.tripLegSeats': " - Kujeru {seats}",
+        'notice.tripConfirmedFooter': "Za ka sami e-ticket daban na kowane ɓangare na tafiyar. Da fatan ka iso tasha aƙalla minti 30 kafin kowace tashi.",
+        'notice.tripRefunded': "⚠️ Mun karɓi kuɗinka na tafiya *{reference}*, amma ba mu iya riƙe kujeru a kowane ɓangare na tafiyar ba, don haka an soke tafiyar gaba ɗaya kuma za a mayar maka da kuɗinka duka. Rubuta 'menu' don sake yin buki.",
+        'notice.paymentFailed': "❌ Biyan kuɗinka na buki *{reference}* bai yi nasara ba{reason}. An saki kujerunka. Rubuta 'menu' don sake gwadawa.",
+        'notice.refundProcessed': "💸 An mayar maka da NGN{amount} na buki *{reference}*. Zai iya ɗaukar 'yan kwanakin aiki kafin ya bayyana a asusunka.",
+        'notice.holdExpired': "⌛ Lokacin riƙe kujerunka na buki *{reference}* ya ƙare saboda ba a biya kuɗi a kan lokaci ba. An saki kujerun. Rubuta 'menu' don sake yin buki.",
+
+        'reminder.message': "⏰ *Tunatarwar tafiya*\n\nTafiyarka daga *{origin}* zuwa *{destination}* za ta tashi nan da {timeLeft}, a ranar {dateTime}.\n\n*Lambar buki:* {reference}\n*Mota:* {vehicle}\n*Fasinjoji:* {passengers}\n\nDa fatan ka iso tasha aƙalla minti 30 da wuri. Rubuta *ticket {reference}* idan kana buƙatar e-ticket ɗinka kuma.",
+        'reminder.minute': "minti 1",
+        'reminder.minutes': "minti {count}",
+        'reminder.hour': "kusan awa 1",
+        'reminder.hours': "kusan awa {count}",
+        'disruption.cancelled': "⚠️ *An soke tafiya*\n\nMuna baƙin ciki, kamfanin ya soke tafiyarka daga *{origin}* zuwa *{destination}* a ranar {dateTime} (buki *{reference}*).\n\n*Zaɓuɓɓukanka:*\n*1.* A mayar maka da kuɗinka duka, NGN{amount}: rubuta *cancel {reference}*\n*2.* Yi buki na wata tashi: rubuta 'menu'\n*3.* Yi magana da ma'aikatanmu: rubuta 'support'",
+        'disruption.alternatives': "*Sauran tashi a wannan hanyar:*",
+        'disruption.alternative': "- {dateTime} (Kujeru {seats} sun rage)",
+        'disruption.rescheduled': "⚠️ *An canza lokacin tafiya*\n\nAn mayar da tafiyarka daga *{origin}* zuwa *{destination}* (buki *{reference}*) daga {from} zuwa *{to}*.\n\nBukinka da e-ticket ɗinka suna aiki har yanzu don sabon lokacin, don haka ba sai ka yi komai ba.\n\nIdan sabon lokacin bai dace da kai ba:\n*1.* A mayar maka da kuɗinka duka, NGN{amount}: rubuta *cancel {reference}*\n*2.* Koma wata tashi: rubuta 'support'",
+
+        'payment.paystack': "Kati, tura kuɗi ta banki ko USSD (Paystack)",
+        'payment.flutterwave': "Kati, tura kuɗi ta banki ko USSD (Flutterwave)",
+        'payment.pay_at_park': "Biya tsabar kuɗi a tasha",
+        'payment.fake': "Biyan gwaji (ba kuɗi na gaske ba)",
+
+        'choice.list': "Duba zaɓuɓɓuka",
+        'choice.book': "Yi tafiya",
+        'choice.myBookings': "Bukin da na yi",
+        'choice.support': "Yi magana da mu",
+        'choice.yes': "Eh",
+        'choice.no': "A'a",
+        'choice.departure': "{vehicle} - NGN{fare} - Kujeru {seats} sun rage",
+        'choice.departureFull': "{vehicle} - NGN{fare} - Ya cika, shiga jerin jira",
+
+        'bookings.none': "Ba ka da wani buki tare da mu tukuna. Idan kana da lambar buki (misali *BOOK-1A2B3C4D*), rubuta ta don in duba, ko ka rubuta 'menu' don yin buki.",
+        'bookings.upcoming': "*Tafiye-tafiye masu zuwa:*",
+        'bookings.recent': "*Bukuka na baya-bayan nan:*",
+        'bookings.listFooter': "Amsa da lamba don ganin cikakken bayani, rubuta lambar buki (misali *BOOK-1A2B3C4D*), ko ka rubuta 'menu' don komawa.",
+        'bookings.listItem': "*{number}.* {reference} - {origin} zuwa {destination}\n    {dateTime} - {vehicle} - Biya: {paymentStatus}",
+        'bookings.listItemUnavailable': "*{number}.* {reference} - Motar babu ita kuma - Biya: {paymentStatus}",
+        'bookings.detailsFooter': "Amsa da wata lamba don ganin wani buki, ko ka rubuta 'menu' don komawa.",
+        'bookings.gone': "Yi haƙuri, ban sake samun wannan bukin ba. Da fatan ka zaɓi wani ko ka rubuta 'menu' don komawa.",
+        'bookings.invalidChoice': "Ban gane zaɓinka ba. Da fatan ka amsa da lambar buki daga jerin, rubuta lambar buki (misali *BOOK-1A2B3C4D*), ko ka rubuta 'menu' don komawa.",
+        'bookings.referenceNotFound': "Ban sami wani buki mai lamba *{reference}* ba. Da fatan ka duba lambar ka sake gwadawa.",
+        'bookings.hintTicket': "Don samun e-ticket ɗinka, rubuta *ticket {reference}*.",
+        'bookings.hintCancel': "Don soke wannan bukin, rubuta *cancel {reference}*.",
+
+        'details.title': "*Buki {reference}*",
+        'details.from': "*Daga:* {value}",
+        'details.to': "*Zuwa:* {value}",
+        'details.departure': "*Tashi:* {value}",
+        'details.vehicle': "*Mota:* {value}",
+        'details.departureStatus': "*Matsayin mota:* {value}",
+        'details.departureUnavailable': "*Tashi:* Babu shi kuma",
+        'details.passengers': "*Fasinjoji:* {value}",
+        'details.totalAmount': "*Jimillar kuɗi:* NGN{value}",
+        'details.bookingStatus': "*Matsayin buki:* {value}",
+        'details.paymentStatus': "*Matsayin biya:* {value}",
+        'details.reference': "*Lambar buki:* {value}",
+        'details.date': "*Rana:* {value}",
+        'details.time': "*Lokaci:* {value}",
+        'details.seats': "*Kujeru:* {value}",
+        'details.amountPaid': "*Kuɗin da aka biya:* NGN{value}",
+
+        'status.pending': "Ana jira",
+        'status.confirmed': "An tabbatar",
+        'status.cancelled': "An soke",
+        'status.completed': "An kammala",
+        'status.failed': "Bai yi nasara ba",
+        'status.paid': "An biya",
+        'status.refunded': "An mayar da kuɗi",
+        'status.partially_refunded': "An mayar da wani sashi",
+        'status.scheduled': "An tsara",
+        'status.departed': "Ta tashi",
+
+        'tickets.notFound': "Ban sami buki mai lamba *{reference}* na wannan lambar WhatsApp ba.",
+        'tickets.notTicketable': "Buki *{reference}* ba shi da e-ticket saboda ba a biya ko tabbatar da shi ba.",
+        'tickets.noUpcoming': "Ba ka da wata tafiya mai zuwa da ka biya. Rubuta 'menu' don yin buki.",
+        'tickets.sendFailed': "Yi haƙuri, ba zan iya aika e-ticket ɗinka yanzu ba. Da fatan ka sake gwadawa bayan 'yan mintuna ko ka rubuta 'support'.",
+        'tickets.sent': "Na aika e-ticket ɗinka na {references}. Zai iso nan ba da jimawa ba.",
+        'tickets.sentMany': "Na aika e-ticket ɗinka na {references}. Za su iso nan ba da jimawa ba.",
+        'tickets.caption': "🎫 Ga e-ticket ɗinka na buki *{reference}*. Nuna lambar QR lokacin shiga mota.",
+
+        'ticketPdf.title': "E-Ticket",
+        'ticketPdf.from': "Daga",
+        'ticketPdf.to': "Zuwa",
+        'ticketPdf.departure': "Tashi",
+        'ticketPdf.vehicle': "Mota",
+        'ticketPdf.passengers': "Fasinjoji",
+        'ticketPdf.seats': "Kujeru",
+        'ticketPdf.amountPaid': "Kuɗin da aka biya",
+        'ticketPdf.instructions': "Nuna wannan lambar QR ga ma'aikata a tasha lokacin shiga mota. Da fatan ka iso aƙalla minti 30 kafin tashi.",
+
+        'cancel.notOwner': "Yi haƙuri, bukukuwan da aka yi da wannan lambar WhatsApp kawai za ka iya soke.",
+        'cancel.notAllowed': "Yi haƙuri, ba za a iya soke buki *{reference}* ba. {reason}",
+        'cancel.notFound': "Ban sami wannan bukin ba.",
+        'cancel.alreadyCancelled': "An riga an soke shi.",
+        'cancel.alreadyCompleted': "Tafiyar ta riga ta wuce.",
+        'cancel.alreadyFailed': "Ba a taɓa biyan kuɗinsa ba, kuma ya ƙare.",
+        'cancel.notScheduled': "Ba a shirya tashin motarsa kuma ba. Da fatan ka rubuta 'support' don taimako.",
+        'cancel.tooLate': "Ba za a iya soke buki ba idan saura ƙasa da awa {hours} kafin tashi.",
+        'cancel.confirmIntro': "Kana shirin soke buki *{reference}* ({origin} zuwa {destination}, {dateTime}).",
+        'cancel.refundQuote': "*Kuɗin da za a mayar:* NGN{amount} ({percent}% na NGN{total})",
+        'cancel.noPayment': "Ba a biya kuɗin wannan bukin ba, don haka babu kuɗin da za a mayar.",
+        'cancel.confirmPrompt': "Amsa 'Yes' don soke wannan bukin ko 'No' don ajiye shi.",
+        'cancel.failed': "Yi haƙuri, ban iya soke wannan bukin ba. {reason} Rubuta 'menu' don ganin wasu zaɓuɓɓuka.",
+        'cancel.done': "An soke bukinka *{reference}* kuma an sake kujerun.",
+        'cancel.refundRequested': "An nemi a mayar maka da NGN{amount}. Zan aiko maka da saƙo idan an kammala.",
+        'cancel.refundManual': "Ba mu iya fara mayar maka da NGN{amount} kai tsaye ba, don haka ma'aikatanmu za su yi maka.",
+        'cancel.bookAnother': "Rubuta 'menu' don yin wani buki.",
+        'cancel.kept': "To, ba a soke bukinka ba. Rubuta 'menu' don ganin wasu zaɓuɓɓuka.",
+        'cancel.invalid': "Da fatan ka amsa 'Yes' don soke bukin ko 'No' don ajiye shi.",
+
+        'boarding.rejected': "❌ KAR a bari su shiga{reference}. {reason}",
+        'boarding.boarded': "✅ An shiga mota: *{reference}*",
+        'boarding.valid': "✅ Tikiti ingantacce: *{reference}*",
+        'boarding.details': "*Fasinjoji:* {passengers}\n*Tafiya:* {origin} zuwa {destination}, {dateTime}\n*Mota:* {vehicle}",
+        'boarding.recordHint': "Rubuta *board {reference}* don rubuta cewa sun shiga mota.",
+
+        'period.morning': "safe",
+        'period.afternoon': "rana",
+        'period.evening': "yamma",
+        'period.night': "dare",
+        'date.at': "{date} da ƙarfe {time}"
+    }
+};
@@ -0,0 +1,244 @@
+// locales/ig.js
+// Igbo message catalogue. Missing keys fall back to English (locales/en.js).
+// Commands are matched without diacritics, so "mba" and "mbà" both work.
+module.exports = {
+    code: 'ig',
+    name: 'Igbo',
+    dateLocale: 'ig',
+
+    keywords: {
+        reset: ['bido ọzọ', 'malite ọzọ'],
+        menu: ['nhọrọ'],
+        yes: ['ee', 'eh', 'ọ dị mma'],
+        no: ['mba', 'ee mba'],
+        cancel: ['kagbuo'],
+        support: ['enyemaka'],
+        language: ['gbanwee asụsụ'],
+        ticket: ['tiketi'],
+        today: ['taa'],
+        tomorrow: ['echi'],
+        return: ['ịlọghachi', 'lọghachi'],
+        skip: ['wụfee', 'enweghị'],
+        promo: ['promo', 'mbelata'],
+        back: ['laghachi azụ']
+    },
+
+    messages: {
+        'language.prompt': "Biko họrọ asụsụ gị",
+        'language.saved': "Ọ dị mma, aga m eji Igbo na-agwa gị okwu. Ị nwere ike ịgbanwe ya mgbe ọ bụla site n'ide 'language'.",
+        'language.invalid': "Ndo, aghọtaghị m. Biko jiri nọmba asụsụ gị zaa.",
+
+        'menu.options': "*1.* Debe njem ọhụrụ\n*2.* Lelee ndebe m\n*3.* Enyemaka (gwa onye ọrụ anyị okwu)",
+        'menu.welcomeBack': "Nnọọ ọzọ! Nke a bụ ihe m nwere ike imere gị:\n\n{options}\n\nBiko jiri nọmba nhọrọ gị zaa, ma ọ bụ dee 'reset' ka ịmalite ọzọ.",
+        'menu.invalid': "Aghọtaghị m nke ahụ. Biko họrọ otu n'ime (1, 2, 3) ma ọ bụ dee 'menu' ka ịhụ nhọrọ.",
+
+        'general.reset': "Ọ dị mma, amalitegharịala m mkparịta ụka anyị. Dee 'menu' ka ịmalite ọzọ.",
+        'general.unknown': "Amaghị m otu m ga-esi zaa nke ahụ. Biko dee 'menu' ka ịhụ ihe m nwere ike ime, ma ọ bụ 'reset' ka ịmalite ọzọ.",
+        'general.noBack': "Enweghị nzọụkwụ gara aga ị ga-alaghachi na ya site ebe a. Dee 'menu' ka ịhụ ihe m nwere ike ime, ma ọ bụ 'reset' ka ịmalite ọzọ.",
+
+        'support.handoff': "Enyefela m mkparịta ụka anyị n'aka ndị ọrụ enyemaka anyị. Otu n'ime ha ga-aza gị ebe a n'oge na-adịghị anya. Dee 'reset' mgbe ọ bụla ka ịlaghachi na onye enyemaka ndebe.",
+        'support.ended': "Ọ dị mma, akwụsịla m mkparịta ụka gị na ndị ọrụ anyị ma malitegharịa mkparịta ụka anyị. Dee 'menu' ka ịmalite ọzọ.",
+        'support.handback': "Daalụ maka ịkparịta ụka na ndị ọrụ enyemaka anyị. Ị laghachila na onye enyemaka ndebe. Dee 'menu' ka ịhụ ihe m nwere ike ime.",
+
+        'booking.askOrigin': "Ọ dị mma! Ebee ka ị chọrọ **isi pụọ**?\n\n{options}\n\nBiko jiri aha obodo ma ọ bụ nọmba zaa.",
+        'booking.positiveIntro': "Nhọrọ magburu onwe ya! Ka anyị hazie njem gị ọzọ. ",
+        'booking.noRoutes': "Ndo, ọ nweghị ụzọ njem dị ugbu a. Biko nwaa ọzọ emechaa ma ọ bụ dee 'reset'.",
+        'booking.askDestination': "Ọ dị mma, site na {origin}. Ebee ka ị chọrọ **ịga**?\n\n{options}\n\nBiko jiri aha obodo ma ọ bụ nọmba zaa.",
+        'booking.noDestinations': "Ndo, ọ nweghị ebe a na-aga site na {origin}. Biko họrọ obodo ọzọ ma ọ bụ dee 'reset'.",
+        'booking.invalidOrigin': "Amaghị m obodo ahụ. Biko họrọ site na ndepụta ma ọ bụ dee 'menu' ka ịmalite ọzọ.",
+        'booking.availableOrigins': "Obodo ị nwere ike isi pụọ:",
+        'booking.askDate': "Aghọtala m, gaa {destination}. Kedu mgbe ị chọrọ ime njem? Biko nye m **ụbọchị** (dịka *tomorrow*, *this Friday*, *20/07* ma ọ bụ *Friday morning*).",
+        'booking.invalidDestination': "Amaghị m obodo ahụ. Biko họrọ site na ndepụta ma ọ bụ dee 'menu' ka ịmalite ọzọ.",
+        'booking.availableDestinations': "Obodo ị nwere ike ịga site na {origin}:",
+        'booking.didYouMean': "Ọ bụ *{city}* ka ị na-ekwu? Zaa 'Yes' ka ị gaa n'ihu, ma ọ bụ dee aha obodo ahụ ọzọ.",
+        'booking.didYouMeanList': "Ọ bụ otu n'ime ndị a ka ị na-ekwu?\n{options}\n\nZaa nọmba ya, ma ọ bụ dee aha obodo ahụ ọzọ.",
+        'booking.departuresHeader': "Ọ dị mma! Nke a bụ ụgbọ ala na-aga site na {origin} ruo {destination} na {date}:",
+        'booking.departureOption': "*{number}.* {vehicle} na {time} - Ego: NGN{fare} - Oche: {seats}",
+        'booking.departureOptionFull': "*{number}.* {vehicle} na {time} - Ego: NGN{fare} - *Ọ juola* (zaa {number} ka ịbanye n'ndepụta nchere)",
+        'booking.chooseDeparture': "Biko jiri nọmba ụgbọ ala ị chọrọ zaa.",
+        'booking.noDepartures': "Ndo, ọ nweghị ụgbọ ala site na {origin} ruo {destination} na {date}. Biko họrọ ụbọchị ọzọ ma ọ bụ dee 'reset'.",
+        'booking.noDeparturesInPeriod': "Ọ nweghị njem {period} n'ụbọchị ahụ, ya mere lee ụbọchị ahụ niile.",
+        'booking.routeNotServed': "Ndo, anyị anaghị eme njem site na {origin} gaa {destination} ugbu a.",
+        'booking.invalidDate': "Aghọtaghị m ụbọchị ahụ ma ọ bụ na ọ gafeela. Nwaa ihe dịka 'tomorrow', 'this Friday', '20th July', '20/07' ma ọ bụ 'in 3 days'. Ị nwere ike ịgbakwunye oge n'ụbọchị, dịka 'Friday morning'.",
+        'booking.departureSelected': "Ị họrọla ụgbọ ala {vehicle} nke {time}. Mmadụ ole ga-eme njem? (Oche fọdụrụ: {seats})",
+        'booking.departureUnavailable': "Ndo, ụgbọ ala ahụ adịghịzi ma ọ bụ na ọ jupụtala. Biko họrọ nke ọzọ ma ọ bụ dee 'reset'.",
+        'booking.askWaitlistSeats': "⏳ Njem {time} ejupụtala. Zaa ọnụ ọgụgụ oche ị chọrọ ka m tinye gị n'ndepụta nchere, ma ọ bụ 'no' ka ịhọrọ njem ọzọ.",
+        'booking.invalidWaitlistSeats': "Biko zaa ọnụ ọgụgụ oche site na 1 ruo {max}, ma ọ bụ 'no' ka ịhọrọ njem ọzọ.",
+        'booking.invalidDeparture': "Aghọtaghị m nhọrọ ahụ. Biko jiri nọmba ụgbọ ala ị chọrọ zaa.",
+        'booking.missingDetails': "Ụfọdụ nkọwa ndebe efuola. Biko dee 'reset' ma malite ọzọ.",
+        'booking.departureNotFound': "Achọtaghị nkọwa ụgbọ ala maka ndebe gị. Biko dee 'reset' ka ịmalite ọzọ.",
+        'booking.invalidPassengers': "Ọnụ ọgụgụ ndị njem ezighi ezi ma ọ bụ oche ezughị (oche {seats} fọdụrụ). Biko tinye nọmba ziri ezi.",
+        'booking.askPassengerName': "👤 Onye njem {number} n'ime {total}: biko zite aha ya zuru ezu, na nọmba ekwentị ya ma ọ bụrụ na ị nwere ya (dịka, 'Ada Obi, 08031234567').",
+        'booking.invalidPassengerName': "Biko zite aha onye njem ahụ zuru ezu, ma ọ bụrụ na ịchọrọ, soro ya nọmba ekwentị Naịjirịa (dịka, 'Ada Obi, 08031234567').",
+        'booking.askNextOfKin': "Onye ikwu kacha nso nke {name}: zite aha ya na nọmba ekwentị ya (dịka, 'Chidi Obi, 08021234567'), ma ọ bụ 'skip'.",
+        'booking.invalidNextOfKin': "Biko zite aha na nọmba ekwentị onye ikwu kacha nso (dịka, 'Chidi Obi, 08021234567'), ma ọ bụ 'skip'.",
+        'booking.askSeats': "💺 Họrọ oche {count}. Ihu ụgbọ ala dị n'elu, oche ndị e weelarị na-egosi dịka --.\n\n{map}\n\nZaa nọmba oche (dịka, '3 4'), ma ọ bụ 'skip' ka anyị họọrọ maka gị.",
+        'booking.invalidSeats': "Biko zaa nọmba oche {count} tọgbọrọ chakoo site na maapụ (dịka, '3 4'), ma ọ bụ 'skip' ka anyị họọrọ maka gị.",
+        'booking.seatsTaken': "Ndo, e weere oche {seats} ugbu a. Biko họrọ ọzọ.",
+        'booking.review': "Biko lelee nkọwa ndebe gị:\n\n*Site na:* {origin}\n*Ruo:* {destination}\n*Ụbọchị:* {date}\n*Oge:* {time}\n*Ụgbọ ala:* {vehicle}\n*Ndị njem:* {passengers}\n*Oche:* {seats}\n*Ego otu onye:* NGN{fare}\n*Ego niile:* NGN{total}{discount}\n\nZaa 'Yes' ka ịkwado ma ọ bụ 'No' ka ịkagbu.",
+        'booking.reviewInvalid': "Biko zaa 'Yes' ka ịkwado ma ọ bụ 'No' ka ịkagbu.",
+        'booking.priceChanged': "⚠️ Ọnụahịa e kwuru gị agwụla, ọ gbanwekwala. Nke a bụ ndokwa gị emelitere:",
+        'booking.returnHint': "Dee 'return' ka ịgbakwunye njem ịlọghachi.",
+        'booking.promoHint': "Ị nwere koodu mbelata? Dee 'promo' sochie ya koodu ahụ.",
+        'booking.askReturnDate': "🔁 Njem ịlọghachi site na *{origin}* ruo *{destination}*. Olee mgbe ị chọrọ ịlọghachi? (dịka, 'next Sunday', '25/07')",
+        'booking.connectionPlanned': "Enweghị njem kpọmkwem site na {origin} ruo {destination}, mana ị nwere ike ịgafe *{via}*. Ka anyị debe njem abụọ ahụ.",
+        'booking.connectionNextLeg': "✅ Edebere njem mbụ. Ugbu a, njem na-esote site na *{origin}* ruo *{destination}*.",
+        'booking.reviewTrip': "Biko lelee njem gị:\n\n{legs}\n\n*Ego niile:* NGN{total}{discount}\n\nZaa 'Yes' ka ịkwado ma ọ bụ 'No' ka ịkagbu.",
+        'booking.reviewLeg': "*{number}. {origin} ruo {destination}*\n{date}, {time} - {vehicle}\n{passengers} x NGN{fare} - Oche {seats}",
+        'booking.criticalDetailsMissing': "Nkọwa ndebe dị mkpa efuola. Biko dee 'reset' ma malite ọzọ.",
+        'booking.notEnoughSeats': "Ndo, ọ bụ naanị oche {seats} fọdụrụ n'ụgbọ ala ahụ ugbu a. Biko nwaa ọzọ ma ọ bụ dee 'reset'.",
+        'booking.positiveCreated': "Ọ dị mma nke ukwuu! 🎉 ",
+        'booking.paymentLink': "Emeela ndebe gị (Ref: *{reference}*). Biko kwụọ NGN{amount} site na njikọ nchekwa a:\n\n{url}\n\n*Ihe dị mkpa:* A ga-ejide oche gị ruo {holdTime}. Ọ bụrụ na ịkwụghị ụgwọ tupu oge ahụ, a ga-ahapụ ha.",
+        'booking.askPaymentMethod': "💳 Kedu ka ị chọrọ isi kwụọ ụgwọ?\n\n{options}\n\nZaghachi na nọmba nhọrọ gị.",
+        'booking.invalidPaymentMethod': "Biko zaghachi na nọmba otu ụzọ ịkwụ ụgwọ site na ndepụta, ma ọ bụ 'No' ka ịkagbu.",
+        'booking.paymentMethodUnavailable': "Ndo, enweghị ike iji ụzọ ịkwụ ụgwọ ahụ maka njem a ọzọ. Biko họrọ nke ọzọ.",
+        'booking.noPaymentMethod': "Ndo, enweghị ụzọ ịkwụ ụgwọ maka njem a ugbu a. Biko nwaa ọzọ ma emechaa, ma ọ bụ dee 'support' ka gị na ndị ọrụ anyị kwurịta okwu.",
+        'booking.payAtPark': "Emeela ndebe gị (Ref: *{reference}*). Biko kwụọ NGN{amount} ego n'aka na kantụ ogige ụgbọ, kwuo nọmba ndebe gị.\n\n*Ihe dị mkpa:* A ga-ejide oche gị ruo {holdTime}. Ọ bụrụ na ịkwụghị ụgwọ tupu oge ahụ, a ga-ahapụ ha. A ga-ezitere gị e-ticket gị ozugbo ndị ọrụ deturu ụgwọ ahụ.",
+        'booking.paymentInitFailed': "Ndo, enweghị m ike ịmalite ịkwụ ụgwọ ugbu a. Biko nwaa ọzọ ma ọ bụ dee 'reset'.",
+        'booking.paymentInitError': "Ndo, njehie mere mgbe m na-amalite ịkwụ ụgwọ. Biko nwaa ọzọ emechaa ma ọ bụ dee 'reset'.",
+        'booking.abandoned': "Ọ dị mma, akwụsịla m ndebe ahụ. Dee 'menu' ka ịmalite ọzọ.",
+        'booking.awaitingPayment': "Ana m echere nkwenye ịkwụ ụgwọ gị. Ọ bụrụ na ịkwụọla ụgwọ, biko chere ntakịrị. Ọ bụrụ na i nwere nsogbu, dee 'support' ma ọ bụ 'reset'.",
+        'booking.paymentReceived': "Anatala anyị ego gị ma kwado ndebe gị. 🎉\n\n{options}\n\nBiko jiri nọmba nhọrọ gị zaa.",
+
+        'promo.usage': "Iji koodu mbelata, dee 'promo' sochie ya koodu ahụ, dịka 'promo EASTER10'.",
+        'promo.applied': "🏷️ Etinyela koodu mbelata *{code}*: e wepụla NGN{discount}.",
+        'promo.discountLine': "*Mbelata {code}:* -NGN{discount}\n*Ego Ị Ga-akwụ:* NGN{total}",
+        'promo.removed': "⚠️ Ewepụla koodu mbelata *{code}*: {reason}",
+        'promo.unavailable': "⚠️ Ndo, a pụghị iji koodu mbelata *{code}* ọzọ: {reason} Nke a bụ ndokwa gị na-enweghị ya:",
+        'promo.notFound': "Anyị ahụghị koodu mbelata ahụ. Biko lelee ya ma nwaa ọzọ.",
+        'promo.expired': "Koodu mbelata a anaghị arụ ọrụ ugbu a.",
+        'promo.exhausted': "E jirila koodu mbelata a mee ihe ruo ọgwụgwụ.",
+        'promo.alreadyUsed': "Ị jirila koodu mbelata a mee ihe na mbụ.",
+        'promo.routeNotEligible': "Koodu mbelata a anaghị arụ ọrụ n'ụzọ a.",
+        'promo.minAmount': "Koodu mbelata a chọrọ ndokwa ruru opekata mpe NGN{minAmount}.",
+
+        'waitlist.joined': "✅ Ị nọ n'ndepụta nchere maka oche {seats} na njem {time} n'ụbọchị {date}, ị bụ nke {position} n'ahịrị. Ọ bụrụ na oche tọghere, aga m ezitere gị njikọ ịkwụ ụgwọ. Dee 'menu' maka ihe ọzọ.",
+        'waitlist.offer': "🎉 Ozi ọma! Oche {seats} tọgheere na njem {origin} gaa {destination} n'ụbọchị {date} na {time}, ha bụ nke gị ma ọ bụrụ na ị chọrọ ha.\n\nKwụọ NGN{amount} (Ref: *{reference}*) site na njikọ a tupu {expiryTime}:\n\n{url}\n\nỌ bụrụ na ị kwụghị ụgwọ tupu mgbe ahụ, oche ndị ahụ ga-aga nye onye ọzọ n'ndepụta nchere.",
+
+        'notice.bookingConfirmed': "✅ Anatala ụgwọ gị! Akwadola ndebe gị.",
+        'notice.bookingConfirmedFooter': "Biko bịa n'ọdọ ụgbọ ala opekata mpe nkeji 30 tupu ọpụpụ. Dee 'menu' ka ime ndebe ọzọ.",
+        'notice.tripConfirmed': "✅ Anatala ụgwọ gị! Akwadola njem gị.\n\n*Nọmba njem:* {reference}",
+        'notice.tripLeg': "*{number}. {origin} ruo {destination}* (Ref: {reference})\n{date}, {time} - {vehicle}",
+        'notice.tripLegSeats': " - Oche {seats}",
+        'notice.tripConfirmedFooter': "Ị ga-enweta e-ticket dị iche maka akụkụ ọ bụla nke njem ahụ. Biko bịa n'ọdọ ụgbọ ala opekata mpe nkeji 30 tupu ọpụpụ ọ bụla.",
+        'notice.tripRefunded': "⚠️ Anyị natara ụgwọ gị maka njem *{reference}*, mana anyị enweghị ike idobe oche n'akụkụ ọ bụla nke njem ahụ, ya mere akagbuola njem ahụ niile, a ga-eweghachikwa ego gị niile. Dee 'menu' ka ịdebe ọzọ.",
+        'notice.paymentFailed': "❌ Ịkwụ ụgwọ gị maka ndebe *{reference}* agaghị nke ọma{reason}. Ahapụla oche gị. Dee 'menu' ka ịnwaa ọzọ.",
+        'notice.refundProcessed': "💸 Eweghachila NGN{amount} maka ndebe *{reference}*. Ọ nwere ike were ụbọchị ọrụ ole na ole tupu ọ pụta n'akaụntụ gị.",
+        'notice.holdExpired': "⌛ Oge e jidere oche gị maka ndebe *{reference}* agwụla n'ihi na akwụghị ụgwọ n'oge. Ahapụla oche ndị ahụ. Dee 'menu' ka ịdebe ọzọ.",
+
+        'reminder.message': "⏰ *Ncheta njem*\n\nNjem gị site na *{origin}* ruo *{destination}* ga-apụ n'ime {timeLeft}, na {dateTime}.\n\n*Nọmba ndebe:* {reference}\n*Ụgbọ ala:* {vehicle}\n*Ndị njem:* {passengers}\n\nBiko bịa n'ọdọ ụgbọ ala opekata mpe nkeji 30 tupu oge. Dee *ticket {reference}* ma ọ bụrụ na ịchọrọ e-ticket gị ọzọ.",
+        'reminder.minute': "nkeji 1",
+        'reminder.minutes': "nkeji {count}",
+        'reminder.hour': "ihe dị ka awa 1",
+        'reminder.hours': "ihe dị ka awa {count}",
+        'disruption.cancelled': "⚠️ *Akagbuola njem*\n\nNdo, ụlọ ọrụ akagbuola njem gị site na *{origin}* ruo *{destination}* na {dateTime} (ndebe *{reference}*).\n\n*Nhọrọ gị:*\n*1.* Nweta ego gị niile azụ, NGN{amount}: dee *cancel {reference}*\n*2.* Debe ụgbọ ala ọzọ: dee 'menu'\n*3.* Gwa ndị ọrụ anyị okwu: dee 'support'",
+        'disruption.alternatives': "*Ụgbọ ala ndị ọzọ n'ụzọ a:*",
+        'disruption.alternative': "- {dateTime} (Oche {seats} fọdụrụ)",
+        'disruption.rescheduled': "⚠️ *Agbanweela oge njem*\n\nEbugharịala njem gị site na *{origin}* ruo *{destination}* (ndebe *{reference}*) site na {from} gaa *{to}*.\n\nNdebe gị na e-ticket gị ka dị irè maka oge ọhụrụ ahụ, ya mere ọ dịghị ihe ị ga-eme.\n\nỌ bụrụ na oge ọhụrụ ahụ adabaghị gị:\n*1.* Nweta ego gị niile azụ, NGN{amount}: dee *cancel {reference}*\n*2.* Gbanwee gaa n'ụgbọ ala ọzọ: dee 'support'",
+
+        'payment.paystack': "Kaadị, nnyefe ego n'ụlọ akụ ma ọ bụ USSD (Paystack)",
+        'payment.flutterwave': "Kaadị, nnyefe ego n'ụlọ akụ ma ọ bụ USSD (Flutterwave)",
+        'payment.pay_at_park': "Kwụọ ego n'aka n'ogige ụgbọ",
+        'payment.fake': "Ịkwụ ụgwọ nnwale (ọ bụghị ezigbo ego)",
+
+        'choice.list': "Lee nhọrọ",
+        'choice.book': "Debe njem",
+        'choice.myBookings': "Ndebe m",
+        'choice.support': "Gwa onye ọrụ okwu",
+        'choice.yes': "Ee",
+        'choice.no': "Mba",
+        'choice.departure': "{vehicle} - NGN{fare} - Oche {seats} fọdụrụ",
+        'choice.departureFull': "{vehicle} - NGN{fare} - Ọ juola, banye n'ndepụta nchere",
+
+        'bookings.none': "I nwebeghị ndebe ọ bụla n'aka anyị. Ọ bụrụ na i nwere nọmba ndebe (dịka *BOOK-1A2B3C4D*), dee ya ka m chọọ ya, ma ọ bụ dee 'menu' ka ịdebe njem.",
+        'bookings.upcoming': "*Njem na-abịa:*",
+        'bookings.recent': "*Ndebe nso nso a:*",
+        'bookings.listFooter': "Jiri nọmba zaa ka ịhụ nkọwa zuru ezu, dee nọmba ndebe (dịka *BOOK-1A2B3C4D*), ma ọ bụ dee 'menu' ka ịlaghachi.",
+        'bookings.listItem': "*{number}.* {reference} - {origin} ruo {destination}\n    {dateTime} - {vehicle} - Ịkwụ ụgwọ: {paymentStatus}",
+        'bookings.listItemUnavailable': "*{number}.* {reference} - Ụgbọ ala adịghịzi - Ịkwụ ụgwọ: {paymentStatus}",
+        'bookings.detailsFooter': "Jiri nọmba ọzọ zaa ka ịhụ ndebe ọzọ, ma ọ bụ dee 'menu' ka ịlaghachi.",
+        'bookings.gone': "Ndo, enweghị m ike ịchọta ndebe ahụ ọzọ. Biko họrọ nke ọzọ ma ọ bụ dee 'menu' ka ịlaghachi.",
+        'bookings.invalidChoice': "Aghọtaghị m nhọrọ ahụ. Biko jiri nọmba ndebe si na ndepụta zaa, dee nọmba ndebe (dịka *BOOK-1A2B3C4D*), ma ọ bụ dee 'menu' ka ịlaghachi.",
+        'bookings.referenceNotFound': "Achọtaghị m ndebe ọ bụla nwere nọmba *{reference}*. Biko lelee ya ma nwaa ọzọ.",
+        'bookings.hintTicket': "Iji nweta e-ticket gị, dee *ticket {reference}*.",
+        'bookings.hintCancel': "Iji kagbuo ndebe a, dee *cancel {reference}*.",
+
+        'details.title': "*Ndebe {reference}*",
+        'details.from': "*Site na:* {value}",
+        'details.to': "*Ruo:* {value}",
+        'details.departure': "*Mbupụta:* {value}",
+        'details.vehicle': "*Ụgbọ ala:* {value}",
+        'details.departureStatus': "*Ọnọdụ ụgbọ ala:* {value}",
+        'details.departureUnavailable': "*Mbupụta:* Adịghịzi",
+        'details.passengers': "*Ndị njem:* {value}",
+        'details.totalAmount': "*Ego niile:* NGN{value}",
+        'details.bookingStatus': "*Ọnọdụ ndebe:* {value}",
+        'details.paymentStatus': "*Ọnọdụ ịkwụ ụgwọ:* {value}",
+        'details.reference': "*Nọmba ndebe:* {value}",
+        'details.date': "*Ụbọchị:* {value}",
+        'details.time': "*Oge:* {value}",
+        'details.seats': "*Oche:* {value}",
+        'details.amountPaid': "*Ego akwụrụ:* NGN{value}",
+
+        'status.pending': "Na-eche",
+        'status.confirmed': "Ekwadoro",
+        'status.cancelled': "Akagburu",
+        'status.completed': "Emechara",
+        'status.failed': "Ọ gaghị nke ọma",
+        'status.paid': "Akwụọla",
+        'status.refunded': "Eweghachiri ego",
+        'status.partially_refunded': "Eweghachiri akụkụ ego",
+        'status.scheduled': "Ahaziri",
+        'status.departed': "Ọ pụọla",
+
+        'tickets.notFound': "Achọtaghị m ndebe nwere nọmba *{reference}* maka nọmba WhatsApp a.",
+        'tickets.notTicketable': "Ndebe *{reference}* enweghị e-ticket n'ihi na akwụbeghị ụgwọ ya ma ọ bụ kwado ya.",
+        'tickets.noUpcoming': "I nweghị njem na-abịa nke ịkwụrụ ụgwọ ya. Dee 'menu' ka ịdebe otu.",
+        'tickets.sendFailed': "Ndo, enweghị m ike iziga e-ticket gị ugbu a. Biko nwaa ọzọ mgbe nkeji ole na ole gachara ma ọ bụ dee 'support'.",
+        'tickets.sent': "Ezigala m e-ticket gị maka {references}. Ọ ga-abịa n'oge na-adịghị anya.",
+        'tickets.sentMany': "Ezigala m e-ticket gị maka {references}. Ha ga-abịa n'oge na-adịghị anya.",
+        'tickets.caption': "🎫 Lee e-ticket gị maka ndebe *{reference}*. Gosi koodu QR mgbe ị na-abanye n'ụgbọ.",
+
+        'ticketPdf.title': "E-Ticket",
+        'ticketPdf.from': "Site na",
+        'ticketPdf.to': "Ruo",
+        'ticketPdf.departure': "Mbupụta",
+        'ticketPdf.vehicle': "Ụgbọ ala",
+        'ticketPdf.passengers': "Ndị njem",
+        'ticketPdf.seats': "Oche",
+        'ticketPdf.amountPaid': "Ego akwụrụ",
+        'ticketPdf.instructions': "Gosi ndị ọrụ nọ n'ọdọ ụgbọ ala koodu QR a mgbe ị na-abanye. Biko bịa opekata mpe nkeji 30 tupu ọpụpụ.",
+
+        'cancel.notOwner': "Ndo, ọ bụ naanị ndebe emere site na nọmba WhatsApp a ka ị nwere ike ịkagbu.",
+        'cancel.notAllowed': "Ndo, enweghị ike ịkagbu ndebe *{reference}*. {reason}",
+        'cancel.notFound': "Achọtaghị m ndebe ahụ.",
+        'cancel.alreadyCancelled': "Akagbuola ya.",
+        'cancel.alreadyCompleted': "Njem ahụ emeela.",
+        'cancel.alreadyFailed': "Akwụghị ụgwọ ya, o gwụkwala.",
+        'cancel.notScheduled': "Ọpụpụ ya anọghịzi na usoro. Biko dee 'support' maka enyemaka.",
+        'cancel.tooLate': "Enweghị ike ịkagbu ndebe ma ọ fọdụrụ ihe na-erughị awa {hours} tupu ọpụpụ.",
+        'cancel.confirmIntro': "Ị na-achọ ịkagbu ndebe *{reference}* ({origin} ruo {destination}, {dateTime}).",
+        'cancel.refundQuote': "*Ego a ga-eweghachi:* NGN{amount} ({percent}% nke NGN{total})",
+        'cancel.noPayment': "Akwụbeghị ụgwọ maka ndebe a, ya mere ọ nweghị ego a ga-eweghachi.",
+        'cancel.confirmPrompt': "Zaa 'Yes' ka ịkagbu ndebe a ma ọ bụ 'No' ka ịdebe ya.",
+        'cancel.failed': "Ndo, enweghị m ike ịkagbu ndebe ahụ. {reason} Dee 'menu' ka ịhụ nhọrọ ndị ọzọ.",
+        'cancel.done': "Akagbuola ndebe gị *{reference}* ma hapụ oche ndị ahụ.",
+        'cancel.refundRequested': "Arịọla anyị ka eweghachi NGN{amount}. Aga m ezitere gị ozi ozugbo emechara ya.",
+        'cancel.refundManual': "Anyị enweghị ike ịmalite iweghachi NGN{amount} n'onwe ya, ya mere ndị ọrụ anyị ga-emere gị ya.",
+        'cancel.bookAnother': "Dee 'menu' ka ime ndebe ọzọ.",
+        'cancel.kept': "Ọ dị mma, akagbughị ndebe gị. Dee 'menu' ka ịhụ nhọrọ ndị ọzọ.",
+        'cancel.invalid': "Biko zaa 'Yes' ka ịkagbu ndebe ahụ ma ọ bụ 'No' ka ịdebe ya.",
+
+        'boarding.rejected': "❌ EKWELA ha banye{reference}. {reason}",
+        'boarding.boarded': "✅ Abanyela: *{reference}*",
+        'boarding.valid': "✅ Tiketi ziri ezi: *{reference}*",
+        'boarding.details': "*Ndị njem:* {passengers}\n*Njem:* {origin} ruo {destination}, {dateTime}\n*Ụgbọ ala:* {vehicle}",
+        'boarding.recordHint': "Dee *board {reference}* ka idekọ na ha abanyela.",
+
+        'period.morning': "ụtụtụ",
+        'period.afternoon': "ehihie",
+        'period.evening': "mgbede",
+        'period.night': "abalị",
+        'date.at': "{date} na {time}"
+    }
+};
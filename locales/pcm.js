@@ -0,0 +1,243 @@
+// locales/pcm.js
+// Nigerian Pidgin message catalogue. Missing keys fall back to English (locales/en.js).
+module.exports = {
+    code: 'pcm',
+    name: 'Pidgin (Naijá)',
+    dateLocale: 'pcm',
+
+    keywords: {
+        reset: ['start again', 'start am again'],
+        menu: ['menu'],
+        yes: ['yes o', 'na so', 'oya', 'i gree'],
+        no: ['no o', 'i no gree', 'abeg no'],
+        cancel: ['comot am'],
+        support: ['help me', 'i wan talk to person'],
+        language: ['change language'],
+        ticket: ['ticket'],
+        today: ['today', 'tiday'],
+        tomorrow: ['tomorrow', 'tumoro', 'tomoro'],
+        return: ['return', 'come back'],
+        skip: ['skip', 'no get'],
+        promo: ['promo'],
+        back: ['go back']
+    },
+
+    messages: {
+        'language.prompt': "Abeg pick your language",
+        'language.saved': "Correct! I go dey talk to you for Pidgin. If you wan change am any time, type 'language'.",
+        'language.invalid': "Abeg, I no understand. Reply with the number of the language wey you want.",
+
+        'menu.options': "*1.* Book new trip\n*2.* Check my booking\n*3.* Help & Support (talk to our person)",
+        'menu.welcomeBack': "You don come back! See wetin I fit do for you:\n\n{options}\n\nAbeg reply with the number wey you choose, or type 'reset' to start again.",
+        'menu.invalid': "I no understand dat one. Abeg choose from the options (1, 2, 3) or type 'menu' to see the options.",
+
+        'general.reset': "No wahala, I don reset our conversation. Type 'menu' to start again.",
+        'general.unknown': "I no sure how to answer dat one. Type 'menu' to see wetin I fit do, or 'reset' to start again.",
+        'general.noBack': "No step dey before dis one wey you fit go back to. Type 'menu' to see wetin I fit do, or 'reset' to start again.",
+
+        'support.handoff': "I don pass our conversation give our support people. One of dem go reply you for here soon. Type 'reset' any time to come back to the booking assistant.",
+        'support.ended': "No wahala, I don end your chat with our support people and reset our conversation. Type 'menu' to start again.",
+        'support.handback': "Thank you say you yarn with our support people. You don come back to the booking assistant. Type 'menu' to see wetin I fit do.",
+
+        'booking.askOrigin': "Correct! Where you go **comot from**?\n\n{options}\n\nAbeg reply with the city name or number.",
+        'booking.positiveIntro': "Better choice! Make we arrange your next trip. ",
+        'booking.noRoutes': "Sorry, no route dey available now. Abeg try again later or type 'reset'.",
+        'booking.askDestination': "Okay, from {origin}. Where you dey **go**?\n\n{options}\n\nAbeg reply with the city name or number.",
+        'booking.noDestinations': "Sorry, no destination dey from {origin}. Abeg choose another place or type 'reset'.",
+        'booking.invalidOrigin': "I no know dat city. Abeg choose from the list or type 'menu' to start again.",
+        'booking.availableOrigins': "Places wey you fit comot from:",
+        'booking.askDate': "I don hear, to {destination}. Which day you wan travel? Abeg give me the **date** (like *tomorrow*, *this Friday*, *20/07* or *Friday morning*).",
+        'booking.invalidDestination': "I no know dat destination. Abeg choose from the list or type 'menu' to start again.",
+        'booking.availableDestinations': "Places wey you fit go from {origin}:",
+        'booking.didYouMean': "You mean *{city}*? Reply 'Yes' make we continue, or type the city again.",
+        'booking.didYouMeanList': "You mean one of dem?\n{options}\n\nReply with the number, or type the city again.",
+        'booking.departuresHeader': "Correct! See the motors wey dey go from {origin} to {destination} on {date}:",
+        'booking.departureOption': "*{number}.* {vehicle} by {time} - Price: NGN{fare} - Seats: {seats}",
+        'booking.departureOptionFull': "*{number}.* {vehicle} by {time} - Fare: NGN{fare} - *E don full* (reply {number} to join the waitlist)",
+        'booking.chooseDeparture': "Abeg reply with the number of the one wey you want.",
+        'booking.noDepartures': "Sorry, no motor dey go from {origin} to {destination} on {date}. Abeg choose another day or type 'reset'.",
+        'booking.noDeparturesInPeriod': "No {period} motor dey that day, so na the whole day be this.",
+        'booking.routeNotServed': "Sorry, we never dey run trip from {origin} go {destination} for now.",
+        'booking.invalidDate': "I no understand dat date or e don pass. Try something like 'tomorrow', 'this Friday', '20th July', '20/07' or 'in 3 days'. You fit add time of day, like 'Friday morning'.",
+        'booking.departureSelected': "You don choose the {time} motor ({vehicle}). How many people go travel? (Seats wey remain: {seats})",
+        'booking.departureUnavailable': "Sorry, dat motor no dey again or e don full. Abeg choose another one or type 'reset'.",
+        'booking.askWaitlistSeats': "⏳ The {time} motor don full. Tell me how many seats you need make I put you for the waitlist, or type 'no' to choose another one.",
+        'booking.invalidWaitlistSeats': "Abeg reply with number of seats from 1 reach {max}, or 'no' to choose another motor.",
+        'booking.invalidDeparture': "I no understand your choice. Abeg reply with the number of the motor wey you want.",
+        'booking.missingDetails': "Some booking details don miss. Abeg type 'reset' make we start again.",
+        'booking.departureNotFound': "I no fit find the motor for your booking. Abeg type 'reset' to start again.",
+        'booking.invalidPassengers': "The number of people no correct or seat no reach ({seats} seats remain). Abeg put correct number.",
+        'booking.askPassengerName': "👤 Passenger {number} of {total}: abeg send the person full name, plus phone number if you get am (e.g., 'Ada Obi, 08031234567').",
+        'booking.invalidPassengerName': "Abeg send the passenger full name, and Naija phone number if you get am (e.g., 'Ada Obi, 08031234567').",
+        'booking.askNextOfKin': "Next of kin for {name}: send the person name and phone number (e.g., 'Chidi Obi, 08021234567'), or type 'skip'.",
+        'booking.invalidNextOfKin': "Abeg send the next of kin name and phone number (e.g., 'Chidi Obi, 08021234567'), or type 'skip'.",
+        'booking.askSeats': "💺 Choose {count} seat. Front of the motor dey for top, and seat wey don go show as --.\n\n{map}\n\nReply with the seat numbers (e.g., '3 4'), or 'skip' make we choose for you.",
+        'booking.invalidSeats': "Abeg reply with {count} free seat number from the map (e.g., '3 4'), or 'skip' make we choose for you.",
+        'booking.seatsTaken': "Sorry, person don just take seat {seats}. Abeg choose again.",
+        'booking.review': "Abeg check your booking well:\n\n*From:* {origin}\n*To:* {destination}\n*Date:* {date}\n*Time:* {time}\n*Motor:* {vehicle}\n*People:* {passengers}\n*Seat:* {seats}\n*Price for one person:* NGN{fare}\n*Total:* NGN{total}{discount}\n\nReply 'Yes' to confirm or 'No' to cancel.",
+        'booking.reviewInvalid': "Abeg reply 'Yes' to confirm or 'No' to cancel.",
+        'booking.priceChanged': "⚠️ The price wey we quote you don expire and e don change. See your updated booking:",
+        'booking.returnHint': "Type 'return' if you wan book the trip back too.",
+        'booking.promoHint': "You get promo code? Type 'promo' follow am with the code.",
+        'booking.askReturnDate': "🔁 Trip back from *{origin}* to *{destination}*. When you wan come back? (e.g., 'next Sunday', '25/07')",
+        'booking.connectionPlanned': "We no get direct trip from {origin} to {destination}, but you fit change motor for *{via}*. Make we book the two trips.",
+        'booking.connectionNextLeg': "✅ First trip don set. Now for the next motor from *{origin}* to *{destination}*.",
+        'booking.reviewTrip': "Abeg check your trip well:\n\n{legs}\n\n*Total:* NGN{total}{discount}\n\nReply 'Yes' to confirm or 'No' to cancel.",
+        'booking.reviewLeg': "*{number}. {origin} to {destination}*\n{date}, {time} - {vehicle}\n{passengers} x NGN{fare} - Seat {seats}",
+        'booking.criticalDetailsMissing': "Important booking details don miss. Abeg type 'reset' make we start again.",
+        'booking.notEnoughSeats': "Sorry, na only {seats} seats remain for dat motor now. Abeg try again or type 'reset'.",
+        'booking.positiveCreated': "Correct! 🎉 ",
+        'booking.paymentLink': "Your booking (Ref: *{reference}*) don ready. Abeg pay NGN{amount} with this safe link:\n\n{url}\n\n*Important:* We go hold your seats till {holdTime}. If you no pay before dat time, we go release dem.",
+        'booking.askPaymentMethod': "💳 How you wan pay?\n\n{options}\n\nReply with the number wey you choose.",
+        'booking.invalidPaymentMethod': "Abeg reply with the number of one payment method from the list, or 'No' to cancel.",
+        'booking.paymentMethodUnavailable': "Sorry, you no fit use dat payment method for this motor again. Abeg choose another one.",
+        'booking.noPaymentMethod': "Sorry, no way to pay for this motor for now. Abeg try again later, or type 'support' to talk to our people.",
+        'booking.payAtPark': "Your booking (Ref: *{reference}*) don ready. Abeg pay NGN{amount} cash for the park counter, and tell dem your reference.\n\n*Important:* We go hold your seats till {holdTime}. If you no pay before dat time, we go release dem. We go send your e-ticket once staff record your payment.",
+        'booking.paymentInitFailed': "Sorry, I no fit start the payment now. Abeg try again or type 'reset'.",
+        'booking.paymentInitError': "Sorry, wahala happen as I wan start the payment. Abeg try again later or type 'reset'.",
+        'booking.abandoned': "No wahala, I don stop the booking. Type 'menu' to start again.",
+        'booking.awaitingPayment': "I still dey wait for your payment confirmation. If you don pay, abeg hold small make e update. If you get wahala, type 'support' or 'reset'.",
+        'booking.paymentReceived': "We don receive your payment and your booking don confirm. 🎉\n\n{options}\n\nAbeg reply with the number wey you choose.",
+
+        'promo.usage': "To use promo code, type 'promo' follow am with the code, like 'promo EASTER10'.",
+        'promo.applied': "🏷️ Promo code *{code}* don work: NGN{discount} off.",
+        'promo.discountLine': "*Promo {code}:* -NGN{discount}\n*Wetin You Go Pay:* NGN{total}",
+        'promo.removed': "⚠️ We don remove promo code *{code}*: {reason}",
+        'promo.unavailable': "⚠️ Sorry, promo code *{code}* no fit work again: {reason} See your booking without am:",
+        'promo.notFound': "We no see that promo code. Abeg check am try again.",
+        'promo.expired': "This promo code no dey valid now.",
+        'promo.exhausted': "People don finish this promo code.",
+        'promo.alreadyUsed': "You don use this promo code before.",
+        'promo.routeNotEligible': "This promo code no work for this route.",
+        'promo.minAmount': "This promo code need booking wey reach NGN{minAmount}.",
+
+        'waitlist.joined': "✅ You don enter the waitlist for {seats} seat(s) for the {time} motor on {date}, you be number {position} for line. If seat free, I go send you payment link. Type 'menu' for any other thing.",
+        'waitlist.offer': "🎉 Good news! {seats} seat(s) just free for the {origin} to {destination} motor on {date} by {time}, and na your own if you want am.\n\nPay NGN{amount} (Ref: *{reference}*) with this link before {expiryTime}:\n\n{url}\n\nIf you no pay before then, the seats go go to the next person for the waitlist.",
+
+        'notice.bookingConfirmed': "✅ We don collect your money! Your booking don confirm.",
+        'notice.bookingConfirmedFooter': "Abeg reach the park at least 30 minutes before the motor comot. Type 'menu' to make another booking.",
+        'notice.tripConfirmed': "✅ We don collect your money! Your trip don confirm.\n\n*Trip reference:* {reference}",
+        'notice.tripLeg': "*{number}. {origin} to {destination}* (Ref: {reference})\n{date}, {time} - {vehicle}",
+        'notice.tripLegSeats': " - Seat {seats}",
+        'notice.tripConfirmedFooter': "You go get separate e-ticket for each part of the trip. Abeg reach the park at least 30 minutes before each motor comot.",
+        'notice.tripRefunded': "⚠️ We don collect your money for trip *{reference}*, but we no fit hold seat for every part of the trip, so we don cancel the whole trip and we go return all your money. Type 'menu' to book again.",
+        'notice.paymentFailed': "❌ Your payment for booking *{reference}* no go through{reason}. We don release your seats. Type 'menu' to try again.",
+        'notice.refundProcessed': "💸 We don process your refund of NGN{amount} for booking *{reference}*. E fit take some working days before e show for your account.",
+        'notice.holdExpired': "⌛ The time wey we hold your seat for booking *{reference}* don finish because you no pay on time. We don release the seats. Type 'menu' to book again.",
+
+        'reminder.message': "⏰ *Trip reminder*\n\nYour trip from *{origin}* to *{destination}* go comot in {timeLeft}, on {dateTime}.\n\n*Booking Reference:* {reference}\n*Motor:* {vehicle}\n*People:* {passengers}\n\nAbeg reach the park at least 30 minutes early. Type *ticket {reference}* if you need your e-ticket again.",
+        'reminder.minute': "1 minute",
+        'reminder.minutes': "{count} minutes",
+        'reminder.hour': "about 1 hour",
+        'reminder.hours': "about {count} hours",
+        'disruption.cancelled': "⚠️ *Trip don cancel*\n\nSorry, the company don cancel your trip from *{origin}* to *{destination}* on {dateTime} (booking *{reference}*).\n\n*Wetin you fit do:*\n*1.* Collect all your money back, NGN{amount}: type *cancel {reference}*\n*2.* Book another motor: type 'menu'\n*3.* Talk to our people: type 'support'",
+        'disruption.alternatives': "*Other motors for this route:*",
+        'disruption.alternative': "- {dateTime} ({seats} seat remain)",
+        'disruption.rescheduled': "⚠️ *Trip time don change*\n\nThe company don move your trip from *{origin}* to *{destination}* (booking *{reference}*) from {from} to *{to}*.\n\nYour booking and e-ticket still dey valid for the new time, so you no need do anything.\n\nIf the new time no work for you:\n*1.* Collect all your money back, NGN{amount}: type *cancel {reference}*\n*2.* Change to another motor: type 'support'",
+
+        'payment.paystack': "Card, bank transfer or USSD (Paystack)",
+        'payment.flutterwave': "Card, bank transfer or USSD (Flutterwave)",
+        'payment.pay_at_park': "Pay cash for the park",
+        'payment.fake': "Test payment (no real money)",
+
+        'choice.list': "See options",
+        'choice.book': "Book trip",
+        'choice.myBookings': "My booking",
+        'choice.support': "Talk to our person",
+        'choice.yes': "Yes",
+        'choice.no': "No",
+        'choice.departure': "{vehicle} - NGN{fare} - {seats} seat remain",
+        'choice.departureFull': "{vehicle} - NGN{fare} - E don full, join the waitlist",
+
+        'bookings.none': "You never get any booking with us. If you get booking reference (like *BOOK-1A2B3C4D*), type am make I check am, or type 'menu' to book trip.",
+        'bookings.upcoming': "*Trips wey dey come:*",
+        'bookings.recent': "*Your last bookings:*",
+        'bookings.listFooter': "Reply with number to see everything about am, type booking reference (like *BOOK-1A2B3C4D*), or type 'menu' to go back.",
+        'bookings.listItem': "*{number}.* {reference} - {origin} to {destination}\n    {dateTime} - {vehicle} - Payment: {paymentStatus}",
+        'bookings.listItemUnavailable': "*{number}.* {reference} - The motor no dey again - Payment: {paymentStatus}",
+        'bookings.detailsFooter': "Reply with another number to see another booking, or type 'menu' to go back.",
+        'bookings.gone': "Sorry, I no fit find dat booking again. Abeg choose another one or type 'menu' to go back.",
+        'bookings.invalidChoice': "I no understand your choice. Abeg reply with the number of booking from the list, type booking reference (like *BOOK-1A2B3C4D*), or type 'menu' to go back.",
+        'bookings.referenceNotFound': "I no see any booking with reference *{reference}*. Abeg check am well and try again.",
+        'bookings.hintTicket': "To collect your e-ticket, type *ticket {reference}*.",
+        'bookings.hintCancel': "To cancel this booking, type *cancel {reference}*.",
+
+        'details.title': "*Booking {reference}*",
+        'details.from': "*From:* {value}",
+        'details.to': "*To:* {value}",
+        'details.departure': "*Time wey motor go comot:* {value}",
+        'details.vehicle': "*Motor:* {value}",
+        'details.departureStatus': "*Motor Status:* {value}",
+        'details.departureUnavailable': "*Motor:* E no dey again",
+        'details.passengers': "*People:* {value}",
+        'details.totalAmount': "*Total:* NGN{value}",
+        'details.bookingStatus': "*Booking Status:* {value}",
+        'details.paymentStatus': "*Payment Status:* {value}",
+        'details.reference': "*Reference:* {value}",
+        'details.date': "*Date:* {value}",
+        'details.time': "*Time:* {value}",
+        'details.seats': "*Seat:* {value}",
+        'details.amountPaid': "*Money wey you pay:* NGN{value}",
+
+        'status.pending': "E still dey wait",
+        'status.confirmed': "E don confirm",
+        'status.cancelled': "E don cancel",
+        'status.completed': "E don finish",
+        'status.failed': "E no work",
+        'status.paid': "You don pay",
+        'status.refunded': "We don refund",
+        'status.partially_refunded': "We don refund part",
+        'status.scheduled': "E dey schedule",
+        'status.departed': "E don comot",
+
+        'tickets.notFound': "I no see any booking with reference *{reference}* for this WhatsApp number.",
+        'tickets.notTicketable': "Booking *{reference}* no get e-ticket because e never pay or e never confirm.",
+        'tickets.noUpcoming': "You no get any paid trip wey dey come. Type 'menu' to book one.",
+        'tickets.sendFailed': "Sorry, I no fit send your e-ticket now. Abeg try again after some minutes or type 'support'.",
+        'tickets.sent': "I don send your e-ticket for {references}. E go land soon.",
+        'tickets.sentMany': "I don send your e-tickets for {references}. Dem go land soon.",
+        'tickets.caption': "🎫 See your e-ticket for booking *{reference}*. Show the QR code when you wan enter motor.",
+
+        'ticketPdf.title': "E-Ticket",
+        'ticketPdf.from': "From",
+        'ticketPdf.to': "To",
+        'ticketPdf.departure': "Time wey motor go comot",
+        'ticketPdf.vehicle': "Motor",
+        'ticketPdf.passengers': "People",
+        'ticketPdf.seats': "Seat",
+        'ticketPdf.amountPaid': "Money wey you pay",
+        'ticketPdf.instructions': "Show this QR code to our staff for the park when you wan enter motor. Abeg reach at least 30 minutes before the motor comot.",
+
+        'cancel.notOwner': "Sorry, na only bookings wey you make with this WhatsApp number you fit cancel.",
+        'cancel.notAllowed': "Sorry, you no fit cancel booking *{reference}*. {reason}",
+        'cancel.notFound': "I no fit find dat booking.",
+        'cancel.alreadyCancelled': "Dem don already cancel am.",
+        'cancel.alreadyCompleted': "Dat trip don already happen.",
+        'cancel.alreadyFailed': "Nobody pay for am, so e don expire.",
+        'cancel.notScheduled': "The bus no dey go again for dat time. Abeg type 'support' make we help you.",
+        'cancel.tooLate': "You no fit cancel booking wen e remain less than {hours} hour(s) before the bus comot.",
+        'cancel.confirmIntro': "You wan cancel booking *{reference}* ({origin} to {destination}, {dateTime}).",
+        'cancel.refundQuote': "*Refund:* NGN{amount} ({percent}% of NGN{total})",
+        'cancel.noPayment': "You never pay for this booking, so no refund dey.",
+        'cancel.confirmPrompt': "Reply 'Yes' to cancel this booking or 'No' to keep am.",
+        'cancel.failed': "Sorry, I no fit cancel dat booking. {reason} Type 'menu' to see other options.",
+        'cancel.done': "We don cancel your booking *{reference}* and release the seats.",
+        'cancel.refundRequested': "We don request refund of NGN{amount}. I go message you once e don process.",
+        'cancel.refundManual': "We no fit start your refund of NGN{amount} by ourself, so our people go process am for you.",
+        'cancel.bookAnother': "Type 'menu' to make another booking.",
+        'cancel.kept': "No wahala, we no cancel your booking. Type 'menu' to see other options.",
+        'cancel.invalid': "Abeg reply 'Yes' to cancel the booking or 'No' to keep am.",
+
+        'boarding.rejected': "❌ NO board{reference}. {reason}",
+        'boarding.boarded': "✅ E don board: *{reference}*",
+        'boarding.valid': "✅ Ticket correct: *{reference}*",
+        'boarding.details': "*People:* {passengers}\n*Trip:* {origin} to {destination}, {dateTime}\n*Motor:* {vehicle}",
+        'boarding.recordHint': "Type *board {reference}* to record say dem don board.",
+
+        'period.morning': "morning",
+        'period.afternoon': "afternoon",
+        'period.evening': "evening",
+        'period.night': "night",
+        'date.at': "{date} by {time}"
+    }
+};
@@ -0,0 +1,244 @@
+// locales/yo.js
+// Yoruba message catalogue. Missing keys fall back to English (locales/en.js).
+// Commands are matched without tone marks, so "beeni" and "bẹ́ẹ̀ni" both work.
+module.exports = {
+    code: 'yo',
+    name: 'Yorùbá',
+    dateLocale: 'yo',
+
+    keywords: {
+        reset: ['bẹ̀rẹ̀ lẹ́ẹ̀kansi', 'tun bẹ̀rẹ̀'],
+        menu: ['àkójọ'],
+        yes: ['bẹ́ẹ̀ni', 'bẹ́ẹ̀ ni', 'ó dáa'],
+        no: ['rárá', 'bẹ́ẹ̀kọ́'],
+        cancel: ['fagilé'],
+        support: ['ìrànlọ́wọ́'],
+        language: ['yí èdè padà'],
+        ticket: ['tíkẹ́ẹ̀tì'],
+        today: ['òní', 'lónìí'],
+        tomorrow: ['ọ̀la', 'lọ́la'],
+        return: ['padà', 'àtibọ̀'],
+        skip: ['fò ó', 'kò sí'],
+        promo: ['promo', 'ẹ̀dinwó'],
+        back: ['padà sẹ́yìn']
+    },
+
+    messages: {
+        'language.prompt': "Jọ̀wọ́ yan èdè rẹ",
+        'language.saved': "Ó dáa, màá bá ọ sọ̀rọ̀ ní èdè Yorùbá. O lè yí i padà nígbàkígbà nípa kíkọ 'language'.",
+        'language.invalid': "Má bínú, kò yé mi. Jọ̀wọ́ fi nọ́ńbà èdè rẹ dáhùn.",
+
+        'menu.options': "*1.* Ra tíkẹ́ẹ̀tì ìrìn-àjò tuntun\n*2.* Ṣàyẹ̀wò ìforúkọsílẹ̀ mi\n*3.* Ìrànlọ́wọ́ (bá òṣìṣẹ́ wa sọ̀rọ̀)",
+        'menu.welcomeBack': "Ẹ káàbọ̀ padà! Ohun tí mo lè ṣe fún ọ nìyí:\n\n{options}\n\nJọ̀wọ́ fi nọ́ńbà ohun tí o yàn dáhùn, tàbí kọ 'reset' láti bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+        'menu.invalid': "Kò yé mi. Jọ̀wọ́ yan ọ̀kan nínú (1, 2, 3) tàbí kọ 'menu' láti rí àwọn àṣàyàn.",
+
+        'general.reset': "Ó dáa, mo ti tún ìjíròrò wa bẹ̀rẹ̀. Kọ 'menu' láti bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+        'general.unknown': "N kò mọ bí mo ṣe lè dáhùn ìyẹn. Jọ̀wọ́ kọ 'menu' láti rí ohun tí mo lè ṣe, tàbí 'reset' láti bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+        'general.noBack': "Kò sí ìgbésẹ̀ tẹ́lẹ̀ tí o lè padà sí láti ibí. Kọ 'menu' láti rí ohun tí mo lè ṣe, tàbí 'reset' láti bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+
+        'support.handoff': "Mo ti fi ìjíròrò wa ránṣẹ́ sí àwọn òṣìṣẹ́ ìrànlọ́wọ́ wa. Ọ̀kan nínú wọn yóò dá ọ lóhùn níbí láìpẹ́. Kọ 'reset' nígbàkígbà láti padà sí olùrànlọ́wọ́ ìforúkọsílẹ̀.",
+        'support.ended': "Ó dáa, mo ti parí ìjíròrò rẹ pẹ̀lú àwọn òṣìṣẹ́ wa, mo sì ti tún ìjíròrò wa bẹ̀rẹ̀. Kọ 'menu' láti bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+        'support.handback': "A dúpẹ́ pé o bá àwọn òṣìṣẹ́ ìrànlọ́wọ́ wa sọ̀rọ̀. O ti padà sọ́dọ̀ olùrànlọ́wọ́ ìforúkọsílẹ̀. Kọ 'menu' láti rí ohun tí mo lè ṣe.",
+
+        'booking.askOrigin': "Ó dáa! Ibo ni o ti fẹ́ **gbéra**?\n\n{options}\n\nJọ̀wọ́ fi orúkọ ìlú tàbí nọ́ńbà dáhùn.",
+        'booking.positiveIntro': "Àṣàyàn tó dára! Jẹ́ ká ṣètò ìrìn-àjò rẹ tó kàn. ",
+        'booking.noRoutes': "Má bínú, kò sí ọ̀nà ìrìn-àjò kankan báyìí. Jọ̀wọ́ gbìyànjú lẹ́yìn náà tàbí kọ 'reset'.",
+        'booking.askDestination': "Ó dáa, láti {origin}. Ibo ni o fẹ́ **lọ**?\n\n{options}\n\nJọ̀wọ́ fi orúkọ ìlú tàbí nọ́ńbà dáhùn.",
+        'booking.noDestinations': "Má bínú, kò sí ibi tí a ń lọ láti {origin}. Jọ̀wọ́ yan ìlú mìíràn tàbí kọ 'reset'.",
+        'booking.invalidOrigin': "N kò mọ ìlú yẹn. Jọ̀wọ́ yan láti inú àkójọ tàbí kọ 'menu' láti bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+        'booking.availableOrigins': "Àwọn ìlú tí o lè gbéra láti:",
+        'booking.askDate': "Ó yé mi, sí {destination}. Ìgbà wo ni o fẹ́ rìnrìn-àjò? Jọ̀wọ́ fún mi ní **ọjọ́** (bí àpẹẹrẹ *tomorrow*, *this Friday*, *20/07* tàbí *Friday morning*).",
+        'booking.invalidDestination': "N kò mọ ìlú yẹn. Jọ̀wọ́ yan láti inú àkójọ tàbí kọ 'menu' láti bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+        'booking.availableDestinations': "Àwọn ìlú tí o lè lọ láti {origin}:",
+        'booking.didYouMean': "Ṣé *{city}* ni o ní lọ́kàn? Dáhùn 'Yes' láti tẹ̀síwájú, tàbí kọ orúkọ ìlú náà lẹ́ẹ̀kansi.",
+        'booking.didYouMeanList': "Ṣé ọ̀kan nínú ìwọ̀nyí ni o ní lọ́kàn?\n{options}\n\nDáhùn pẹ̀lú nọ́mbà, tàbí kọ orúkọ ìlú náà lẹ́ẹ̀kansi.",
+        'booking.departuresHeader': "Ó dáa! Àwọn ọkọ̀ tó ń lọ láti {origin} sí {destination} ní {date} nìyí:",
+        'booking.departureOption': "*{number}.* {vehicle} ní {time} - Owó: NGN{fare} - Ìjókòó: {seats}",
+        'booking.departureOptionFull': "*{number}.* {vehicle} ní {time} - Owó: NGN{fare} - *Ó ti kún* (fèsì {number} láti dara pọ̀ mọ́ àtòjọ ìdúró)",
+        'booking.chooseDeparture': "Jọ̀wọ́ fi nọ́ńbà ọkọ̀ tí o fẹ́ dáhùn.",
+        'booking.noDepartures': "Má bínú, kò sí ọkọ̀ láti {origin} sí {destination} ní {date}. Jọ̀wọ́ yan ọjọ́ mìíràn tàbí kọ 'reset'.",
+        'booking.noDeparturesInPeriod': "Kò sí ọkọ̀ {period} ní ọjọ́ náà, nítorí náà gbogbo ọjọ́ náà nìyí.",
+        'booking.routeNotServed': "Má bínú, a kò tíì ní ìrìn-àjò láti {origin} sí {destination}.",
+        'booking.invalidDate': "Ọjọ́ yẹn kò yé mi tàbí ó ti kọjá. Gbìyànjú nǹkan bí 'tomorrow', 'this Friday', '20th July', '20/07' tàbí 'in 3 days'. O lè fi àkókò ọjọ́ kún un, bí 'Friday morning'.",
+        'booking.departureSelected': "O ti yan ọkọ̀ {vehicle} ti {time}. Èèyàn mélòó ni yóò rìnrìn-àjò? (Ìjókòó tó kù: {seats})",
+        'booking.departureUnavailable': "Má bínú, ọkọ̀ yẹn kò sí mọ́ tàbí ó ti kún. Jọ̀wọ́ yan òmíràn tàbí kọ 'reset'.",
+        'booking.askWaitlistSeats': "⏳ Ìrìn-àjò {time} ti kún. Sọ iye ìjókòó tí o nílò, màá sì fi ọ́ sí àtòjọ ìdúró, tàbí 'no' láti yan ìrìn-àjò mìíràn.",
+        'booking.invalidWaitlistSeats': "Jọ̀wọ́ fèsì pẹ̀lú iye ìjókòó láti 1 sí {max}, tàbí 'no' láti yan ìrìn-àjò mìíràn.",
+        'booking.invalidDeparture': "Àṣàyàn yẹn kò yé mi. Jọ̀wọ́ fi nọ́ńbà ọkọ̀ tí o fẹ́ dáhùn.",
+        'booking.missingDetails': "Àwọn àlàyé ìforúkọsílẹ̀ kan ti sọnù. Jọ̀wọ́ kọ 'reset' kí o sì bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+        'booking.departureNotFound': "A kò rí àlàyé ọkọ̀ fún ìforúkọsílẹ̀ rẹ. Jọ̀wọ́ kọ 'reset' láti bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+        'booking.invalidPassengers': "Iye èrò kò tọ̀nà tàbí ìjókòó kò tó (ìjókòó {seats} ló kù). Jọ̀wọ́ kọ iye tó tọ̀nà.",
+        'booking.askPassengerName': "👤 Èrò {number} nínú {total}: jọ̀wọ́ fi orúkọ rẹ̀ ní kíkún ránṣẹ́, àti nọ́mbà fóònù rẹ̀ tí o bá ní i (àpẹẹrẹ, 'Ada Obi, 08031234567').",
+        'booking.invalidPassengerName': "Jọ̀wọ́ fi orúkọ èrò náà ní kíkún ránṣẹ́, pẹ̀lú nọ́mbà fóònù Nàìjíríà tí o bá fẹ́ (àpẹẹrẹ, 'Ada Obi, 08031234567').",
+        'booking.askNextOfKin': "Ẹbí tó súnmọ́ {name}: fi orúkọ àti nọ́mbà fóònù wọn ránṣẹ́ (àpẹẹrẹ, 'Chidi Obi, 08021234567'), tàbí 'skip'.",
+        'booking.invalidNextOfKin': "Jọ̀wọ́ fi orúkọ àti nọ́mbà fóònù ẹbí tó súnmọ́ ránṣẹ́ (àpẹẹrẹ, 'Chidi Obi, 08021234567'), tàbí 'skip'.",
+        'booking.askSeats': "💺 Yan ìjókòó {count}. Iwájú ọkọ̀ wà lókè, àwọn ìjókòó tí a ti gbà sì hàn bí --.\n\n{map}\n\nDáhùn pẹ̀lú nọ́mbà ìjókòó (àpẹẹrẹ, '3 4'), tàbí 'skip' kí a yàn fún ọ.",
+        'booking.invalidSeats': "Jọ̀wọ́ dáhùn pẹ̀lú nọ́mbà ìjókòó {count} tó ṣófo láti inú àwòrán (àpẹẹrẹ, '3 4'), tàbí 'skip' kí a yàn fún ọ.",
+        'booking.seatsTaken': "Má bínú, wọ́n ṣẹ̀ṣẹ̀ gba ìjókòó {seats}. Jọ̀wọ́ tún yan.",
+        'booking.review': "Jọ̀wọ́ ṣàyẹ̀wò ìforúkọsílẹ̀ rẹ:\n\n*Láti:* {origin}\n*Sí:* {destination}\n*Ọjọ́:* {date}\n*Àkókò:* {time}\n*Ọkọ̀:* {vehicle}\n*Èrò:* {passengers}\n*Ìjókòó:* {seats}\n*Owó fún ẹnì kan:* NGN{fare}\n*Àpapọ̀ owó:* NGN{total}{discount}\n\nDáhùn 'Yes' láti jẹ́rìí sí i tàbí 'No' láti fagilé.",
+        'booking.reviewInvalid': "Jọ̀wọ́ dáhùn 'Yes' láti jẹ́rìí sí i tàbí 'No' láti fagilé.",
+        'booking.priceChanged': "⚠️ Iye owó tí a sọ fún ọ ti pé, ó sì ti yí padà. Èyí ni ìfiṣura rẹ tí a ṣe àtúnṣe sí:",
+        'booking.returnHint': "Tẹ 'return' láti fi ìrìn-àjò ìpadà kún un.",
+        'booking.promoHint': "Ṣé o ní kóòdù ẹ̀dinwó? Tẹ 'promo' àti kóòdù náà.",
+        'booking.askReturnDate': "🔁 Ìrìn-àjò ìpadà láti *{origin}* sí *{destination}*. Ìgbà wo ni o fẹ́ padà? (àpẹẹrẹ, 'next Sunday', '25/07')",
+        'booking.connectionPlanned': "Kò sí ìrìn-àjò tààrà láti {origin} sí {destination}, ṣùgbọ́n o lè gba *{via}* kọjá. Ẹ jẹ́ ká forúkọ sílẹ̀ fún méjèèjì.",
+        'booking.connectionNextLeg': "✅ A ti fi apá àkọ́kọ́ pamọ́. Báyìí, ìrìn-àjò tó kàn láti *{origin}* sí *{destination}*.",
+        'booking.reviewTrip': "Jọ̀wọ́ ṣàyẹ̀wò ìrìn-àjò rẹ:\n\n{legs}\n\n*Àpapọ̀ owó:* NGN{total}{discount}\n\nDáhùn 'Yes' láti jẹ́rìí sí i tàbí 'No' láti fagilé.",
+        'booking.reviewLeg': "*{number}. {origin} sí {destination}*\n{date}, {time} - {vehicle}\n{passengers} x NGN{fare} - Ìjókòó {seats}",
+        'booking.criticalDetailsMissing': "Àwọn àlàyé pàtàkì ti sọnù. Jọ̀wọ́ kọ 'reset' kí o sì bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+        'booking.notEnoughSeats': "Má bínú, ìjókòó {seats} péré ló kù lórí ọkọ̀ yẹn báyìí. Jọ̀wọ́ gbìyànjú lẹ́ẹ̀kansi tàbí kọ 'reset'.",
+        'booking.positiveCreated': "Ó dáa gan-an! 🎉 ",
+        'booking.paymentLink': "A ti ṣe ìforúkọsílẹ̀ rẹ (Ref: *{reference}*). Jọ̀wọ́ san NGN{amount} pẹ̀lú ìtọ́ka ààbò yìí:\n\n{url}\n\n*Pàtàkì:* A ó di ìjókòó rẹ mú títí di {holdTime}. Tí o kò bá sanwó ṣáájú ìgbà náà, a ó tú wọn sílẹ̀.",
+        'booking.askPaymentMethod': "💳 Báwo lo ṣe fẹ́ sanwó?\n\n{options}\n\nFi nọ́mbà àṣàyàn rẹ dáhùn.",
+        'booking.invalidPaymentMethod': "Jọ̀wọ́ fi nọ́mbà ọ̀nà ìsanwó kan láti inú àtòjọ dáhùn, tàbí 'No' láti fagilé.",
+        'booking.paymentMethodUnavailable': "Má bínú, a kò lè lo ọ̀nà ìsanwó yẹn fún ìrìn-àjò yìí mọ́. Jọ̀wọ́ yan òmíràn.",
+        'booking.noPaymentMethod': "Má bínú, kò sí ọ̀nà ìsanwó fún ìrìn-àjò yìí báyìí. Jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan sí i ní àkókò míì, tàbí kọ 'support' láti bá àwọn òṣìṣẹ́ wa sọ̀rọ̀.",
+        'booking.payAtPark': "A ti ṣe ìforúkọsílẹ̀ rẹ (Ref: *{reference}*). Jọ̀wọ́ san NGN{amount} ní owó ọwọ́ ní kántà gàréèjì, kí o sì sọ nọ́mbà ìtọ́kasí rẹ.\n\n*Pàtàkì:* A ó di ìjókòó rẹ mú títí di {holdTime}. Tí o kò bá sanwó ṣáájú ìgbà náà, a ó tú wọn sílẹ̀. A ó fi e-ticket rẹ ránṣẹ́ lẹ́yìn tí òṣìṣẹ́ bá ti kọ ìsanwó náà sílẹ̀.",
+        'booking.paymentInitFailed': "Má bínú, n kò lè bẹ̀rẹ̀ ìsanwó báyìí. Jọ̀wọ́ gbìyànjú lẹ́ẹ̀kansi tàbí kọ 'reset'.",
+        'booking.paymentInitError': "Má bínú, àṣìṣe kan ṣẹlẹ̀ nígbà tí mo ń bẹ̀rẹ̀ ìsanwó. Jọ̀wọ́ gbìyànjú lẹ́yìn náà tàbí kọ 'reset'.",
+        'booking.abandoned': "Ó dáa, mo ti dá ìforúkọsílẹ̀ náà dúró. Kọ 'menu' láti bẹ̀rẹ̀ lẹ́ẹ̀kansi.",
+        'booking.awaitingPayment': "Mo ṣì ń dúró de ìjẹ́rìísí ìsanwó rẹ. Tí o bá ti sanwó, jọ̀wọ́ dúró díẹ̀. Tí ìṣòro bá wà, kọ 'support' tàbí 'reset'.",
+        'booking.paymentReceived': "A ti gba owó rẹ, a sì ti jẹ́rìí sí ìforúkọsílẹ̀ rẹ. 🎉\n\n{options}\n\nJọ̀wọ́ fi nọ́ńbà ohun tí o yàn dáhùn.",
+
+        'promo.usage': "Láti lo kóòdù ẹ̀dinwó, tẹ 'promo' àti kóòdù náà, fún àpẹẹrẹ 'promo EASTER10'.",
+        'promo.applied': "🏷️ A ti lo kóòdù ẹ̀dinwó *{code}*: NGN{discount} kúrò.",
+        'promo.discountLine': "*Ẹ̀dinwó {code}:* -NGN{discount}\n*Iye Tí O Máa San:* NGN{total}",
+        'promo.removed': "⚠️ A ti yọ kóòdù ẹ̀dinwó *{code}* kúrò: {reason}",
+        'promo.unavailable': "⚠️ Má bínú, kóòdù ẹ̀dinwó *{code}* kò ṣeé lò mọ́: {reason} Èyí ni ìfiṣura rẹ láìsí i:",
+        'promo.notFound': "A kò rí kóòdù ẹ̀dinwó yẹn. Jọ̀wọ́ ṣàyẹ̀wò rẹ̀ kí o sì tún gbìyànjú.",
+        'promo.expired': "Kóòdù ẹ̀dinwó yìí kò wúlò lásìkò yìí.",
+        'promo.exhausted': "Wọ́n ti lo kóòdù ẹ̀dinwó yìí tán.",
+        'promo.alreadyUsed': "O ti lo kóòdù ẹ̀dinwó yìí tẹ́lẹ̀.",
+        'promo.routeNotEligible': "Kóòdù ẹ̀dinwó yìí kò wúlò fún ọ̀nà yìí.",
+        'promo.minAmount': "Kóòdù ẹ̀dinwó yìí nílò ìfiṣura tó kéré tán NGN{minAmount}.",
+
+        'waitlist.joined': "✅ O ti wà ní àtòjọ ìdúró fún ìjókòó {seats} lórí ìrìn-àjò {time} ní {date}, ipò {position} ní ìlà. Tí ìjókòó bá ṣí sílẹ̀, màá fi ọ̀nà ìsanwó ránṣẹ́ sí ọ. Tẹ 'menu' fún nǹkan mìíràn.",
+        'waitlist.offer': "🎉 Ìròyìn ayọ̀! Ìjókòó {seats} ṣẹ̀ṣẹ̀ ṣí sílẹ̀ lórí ìrìn-àjò {origin} sí {destination} ní {date} ní {time}, tìrẹ ni tí o bá fẹ́.\n\nSan NGN{amount} (Ref: *{reference}*) pẹ̀lú ọ̀nà yìí ṣáájú {expiryTime}:\n\n{url}\n\nTí o kò bá san nígbà náà, ìjókòó náà yóò lọ sọ́dọ̀ ẹni tó kàn ní àtòjọ ìdúró.",
+
+        'notice.bookingConfirmed': "✅ A ti gba owó rẹ! Ìforúkọsílẹ̀ rẹ ti dájú.",
+        'notice.bookingConfirmedFooter': "Jọ̀wọ́ dé ibùdókọ̀ ní ó kéré tán ìṣẹ́jú 30 ṣáájú ìgbéra. Kọ 'menu' láti ṣe ìforúkọsílẹ̀ mìíràn.",
+        'notice.tripConfirmed': "✅ A ti gba owó rẹ! Ìrìn-àjò rẹ ti dájú.\n\n*Nọ́ńbà ìrìn-àjò:* {reference}",
+        'notice.tripLeg': "*{number}. {origin} sí {destination}* (Ref: {reference})\n{date}, {time} - {vehicle}",
+        'notice.tripLegSeats': " - Ìjókòó {seats}",
+        'notice.tripConfirmedFooter': "Wàá gba e-ticket ọ̀tọ̀ fún apá kọ̀ọ̀kan ìrìn-àjò náà. Jọ̀wọ́ dé ibùdókọ̀ ní ó kéré tán ìṣẹ́jú 30 ṣáájú ìgbéra kọ̀ọ̀kan.",
+        'notice.tripRefunded': "⚠️ A gba owó rẹ fún ìrìn-àjò *{reference}*, ṣùgbọ́n a kò rí ìjókòó mú fún gbogbo apá ìrìn-àjò náà, nítorí náà a ti fagilé gbogbo ìrìn-àjò náà, a ó sì dá gbogbo owó rẹ padà. Kọ 'menu' láti forúkọsílẹ̀ lẹ́ẹ̀kan sí i.",
+        'notice.paymentFailed': "❌ Ìsanwó rẹ fún ìforúkọsílẹ̀ *{reference}* kò yọrí sí rere{reason}. A ti tú ìjókòó rẹ sílẹ̀. Kọ 'menu' láti gbìyànjú lẹ́ẹ̀kan sí i.",
+        'notice.refundProcessed': "💸 A ti dá NGN{amount} padà fún ìforúkọsílẹ̀ *{reference}*. Ó lè gba ọjọ́ iṣẹ́ díẹ̀ kí ó tó hàn nínú àkọọ́lẹ̀ rẹ.",
+        'notice.holdExpired': "⌛ Àkókò tí a fi di ìjókòó rẹ mú fún ìforúkọsílẹ̀ *{reference}* ti parí nítorí pé o kò sanwó lásìkò. A ti tú ìjókòó náà sílẹ̀. Kọ 'menu' láti forúkọsílẹ̀ lẹ́ẹ̀kan sí i.",
+
+        'reminder.message': "⏰ *Ìránnilétí ìrìn-àjò*\n\nÌrìn-àjò rẹ láti *{origin}* sí *{destination}* yóò gbéra ní {timeLeft}, ní {dateTime}.\n\n*Nọ́ńbà ìforúkọsílẹ̀:* {reference}\n*Ọkọ̀:* {vehicle}\n*Èrò:* {passengers}\n\nJọ̀wọ́ dé ibùdókọ̀ ní ó kéré tán ìṣẹ́jú 30 ṣáájú. Kọ *ticket {reference}* tí o bá nílò e-ticket rẹ lẹ́ẹ̀kan sí i.",
+        'reminder.minute': "ìṣẹ́jú 1",
+        'reminder.minutes': "ìṣẹ́jú {count}",
+        'reminder.hour': "bí wákàtí 1",
+        'reminder.hours': "bí wákàtí {count}",
+        'disruption.cancelled': "⚠️ *A ti fagilé ìrìn-àjò*\n\nMá bínú, ilé-iṣẹ́ ti fagilé ìrìn-àjò rẹ láti *{origin}* sí *{destination}* ní {dateTime} (ìforúkọsílẹ̀ *{reference}*).\n\n*Àwọn àṣàyàn rẹ:*\n*1.* Gba gbogbo owó rẹ padà, NGN{amount}: kọ *cancel {reference}*\n*2.* Forúkọsílẹ̀ fún ọkọ̀ mìíràn: kọ 'menu'\n*3.* Bá àwọn òṣìṣẹ́ wa sọ̀rọ̀: kọ 'support'",
+        'disruption.alternatives': "*Àwọn ọkọ̀ mìíràn lórí ọ̀nà yìí:*",
+        'disruption.alternative': "- {dateTime} (Ìjókòó {seats} ló kù)",
+        'disruption.rescheduled': "⚠️ *A ti yí àkókò ìrìn-àjò padà*\n\nA ti sún ìrìn-àjò rẹ láti *{origin}* sí *{destination}* (ìforúkọsílẹ̀ *{reference}*) láti {from} sí *{to}*.\n\nÌforúkọsílẹ̀ àti e-ticket rẹ ṣì wúlò fún àkókò tuntun náà, nítorí náà o kò nílò láti ṣe nǹkan kan.\n\nTí àkókò tuntun náà kò bá bá ọ mu:\n*1.* Gba gbogbo owó rẹ padà, NGN{amount}: kọ *cancel {reference}*\n*2.* Yí padà sí ọkọ̀ mìíràn: kọ 'support'",
+
+        'payment.paystack': "Káàdì, ìfiránṣẹ́ owó báńkì tàbí USSD (Paystack)",
+        'payment.flutterwave': "Káàdì, ìfiránṣẹ́ owó báńkì tàbí USSD (Flutterwave)",
+        'payment.pay_at_park': "San owó ọwọ́ ní gàréèjì",
+        'payment.fake': "Ìsanwó ìdánwò (kì í ṣe owó gidi)",
+
+        'choice.list': "Wo àwọn àṣàyàn",
+        'choice.book': "Ra tíkẹ́ẹ̀tì",
+        'choice.myBookings': "Ìforúkọsílẹ̀ mi",
+        'choice.support': "Bá òṣìṣẹ́ sọ̀rọ̀",
+        'choice.yes': "Bẹ́ẹ̀ni",
+        'choice.no': "Rárá",
+        'choice.departure': "{vehicle} - NGN{fare} - Ìjókòó {seats} ló kù",
+        'choice.departureFull': "{vehicle} - NGN{fare} - Ó ti kún, dara pọ̀ mọ́ àtòjọ ìdúró",
+
+        'bookings.none': "O kò tíì ní ìforúkọsílẹ̀ kankan pẹ̀lú wa. Tí o bá ní nọ́ńbà ìforúkọsílẹ̀ (bí *BOOK-1A2B3C4D*), kọ ọ́ kí n wá a, tàbí kọ 'menu' láti ra tíkẹ́ẹ̀tì.",
+        'bookings.upcoming': "*Ìrìn-àjò tó ń bọ̀:*",
+        'bookings.recent': "*Ìforúkọsílẹ̀ àìpẹ́:*",
+        'bookings.listFooter': "Fi nọ́ńbà kan dáhùn láti rí gbogbo àlàyé, kọ nọ́ńbà ìforúkọsílẹ̀ (bí *BOOK-1A2B3C4D*), tàbí kọ 'menu' láti padà.",
+        'bookings.listItem': "*{number}.* {reference} - {origin} sí {destination}\n    {dateTime} - {vehicle} - Ìsanwó: {paymentStatus}",
+        'bookings.listItemUnavailable': "*{number}.* {reference} - Ọkọ̀ kò sí mọ́ - Ìsanwó: {paymentStatus}",
+        'bookings.detailsFooter': "Fi nọ́ńbà mìíràn dáhùn láti rí ìforúkọsílẹ̀ mìíràn, tàbí kọ 'menu' láti padà.",
+        'bookings.gone': "Má bínú, n kò rí ìforúkọsílẹ̀ yẹn mọ́. Jọ̀wọ́ yan òmíràn tàbí kọ 'menu' láti padà.",
+        'bookings.invalidChoice': "Àṣàyàn yẹn kò yé mi. Jọ̀wọ́ fi nọ́ńbà ìforúkọsílẹ̀ láti inú àkójọ dáhùn, kọ nọ́ńbà ìforúkọsílẹ̀ (bí *BOOK-1A2B3C4D*), tàbí kọ 'menu' láti padà.",
+        'bookings.referenceNotFound': "N kò rí ìforúkọsílẹ̀ kankan pẹ̀lú nọ́ńbà *{reference}*. Jọ̀wọ́ ṣàyẹ̀wò rẹ̀ kí o sì gbìyànjú lẹ́ẹ̀kansi.",
+        'bookings.hintTicket': "Láti gba e-ticket rẹ, kọ *ticket {reference}*.",
+        'bookings.hintCancel': "Láti fagilé ìforúkọsílẹ̀ yìí, kọ *cancel {reference}*.",
+
+        'details.title': "*Ìforúkọsílẹ̀ {reference}*",
+        'details.from': "*Láti:* {value}",
+        'details.to': "*Sí:* {value}",
+        'details.departure': "*Ìgbéra:* {value}",
+        'details.vehicle': "*Ọkọ̀:* {value}",
+        'details.departureStatus': "*Ipò ọkọ̀:* {value}",
+        'details.departureUnavailable': "*Ìgbéra:* Kò sí mọ́",
+        'details.passengers': "*Èrò:* {value}",
+        'details.totalAmount': "*Àpapọ̀ owó:* NGN{value}",
+        'details.bookingStatus': "*Ipò ìforúkọsílẹ̀:* {value}",
+        'details.paymentStatus': "*Ipò ìsanwó:* {value}",
+        'details.reference': "*Nọ́ńbà ìforúkọsílẹ̀:* {value}",
+        'details.date': "*Ọjọ́:* {value}",
+        'details.time': "*Àkókò:* {value}",
+        'details.seats': "*Ìjókòó:* {value}",
+        'details.amountPaid': "*Owó tí o san:* NGN{value}",
+
+        'status.pending': "Ó ń dúró",
+        'status.confirmed': "A ti jẹ́rìí sí i",
+        'status.cancelled': "A ti fagilé e",
+        'status.completed': "Ó ti parí",
+        'status.failed': "Kò ṣàṣeyọrí",
+        'status.paid': "A ti sanwó",
+        'status.refunded': "A ti dá owó padà",
+        'status.partially_refunded': "A ti dá apá kan owó padà",
+        'status.scheduled': "Ó wà lórí ètò",
+        'status.departed': "Ó ti gbéra",
+
+        'tickets.notFound': "N kò rí ìforúkọsílẹ̀ pẹ̀lú nọ́ńbà *{reference}* fún nọ́ńbà WhatsApp yìí.",
+        'tickets.notTicketable': "Ìforúkọsílẹ̀ *{reference}* kò ní e-ticket nítorí pé a kò tíì sanwó rẹ̀ tàbí jẹ́rìí sí i.",
+        'tickets.noUpcoming': "O kò ní ìrìn-àjò tí o ti sanwó fún tó ń bọ̀. Kọ 'menu' láti ra ọ̀kan.",
+        'tickets.sendFailed': "Má bínú, n kò lè fi e-ticket rẹ ránṣẹ́ báyìí. Jọ̀wọ́ gbìyànjú lẹ́yìn ìṣẹ́jú díẹ̀ tàbí kọ 'support'.",
+        'tickets.sent': "Mo ti fi e-ticket rẹ ránṣẹ́ fún {references}. Yóò dé láìpẹ́.",
+        'tickets.sentMany': "Mo ti fi àwọn e-ticket rẹ ránṣẹ́ fún {references}. Wọn yóò dé láìpẹ́.",
+        'tickets.caption': "🎫 E-ticket rẹ fún ìforúkọsílẹ̀ *{reference}* nìyí. Fi QR code hàn nígbà tí o bá ń wọkọ̀.",
+
+        'ticketPdf.title': "E-Ticket",
+        'ticketPdf.from': "Láti",
+        'ticketPdf.to': "Sí",
+        'ticketPdf.departure': "Ìgbéra",
+        'ticketPdf.vehicle': "Ọkọ̀",
+        'ticketPdf.passengers': "Èrò",
+        'ticketPdf.seats': "Ìjókòó",
+        'ticketPdf.amountPaid': "Owó tí o san",
+        'ticketPdf.instructions': "Fi QR code yìí han òṣìṣẹ́ ní ibùdókọ̀ nígbà tí o bá ń wọkọ̀. Jọ̀wọ́ dé ní ó kéré tán ìṣẹ́jú 30 ṣáájú ìgbéra.",
+
+        'cancel.notOwner': "Má bínú, ìforúkọsílẹ̀ tí o ṣe pẹ̀lú nọ́ńbà WhatsApp yìí nìkan ni o lè fagilé.",
+        'cancel.notAllowed': "Má bínú, a kò lè fagilé ìforúkọsílẹ̀ *{reference}*. {reason}",
+        'cancel.notFound': "N kò rí ìforúkọsílẹ̀ yẹn.",
+        'cancel.alreadyCancelled': "A ti fagilé e tẹ́lẹ̀.",
+        'cancel.alreadyCompleted': "Ìrìn-àjò náà ti wáyé tẹ́lẹ̀.",
+        'cancel.alreadyFailed': "A kò san owó rẹ̀ rí, ó sì ti parí.",
+        'cancel.notScheduled': "Ọkọ̀ rẹ̀ kò sí lórí ètò mọ́. Jọ̀wọ́ kọ 'support' fún ìrànlọ́wọ́.",
+        'cancel.tooLate': "A kò lè fagilé ìforúkọsílẹ̀ tí ó bá ku kéré sí wákàtí {hours} kí ọkọ̀ tó lọ.",
+        'cancel.confirmIntro': "O fẹ́ fagilé ìforúkọsílẹ̀ *{reference}* ({origin} sí {destination}, {dateTime}).",
+        'cancel.refundQuote': "*Owó tí a ó dá padà:* NGN{amount} ({percent}% nínú NGN{total})",
+        'cancel.noPayment': "O kò tíì sanwó fún ìforúkọsílẹ̀ yìí, nítorí náà kò sí owó láti dá padà.",
+        'cancel.confirmPrompt': "Dáhùn 'Yes' láti fagilé ìforúkọsílẹ̀ yìí tàbí 'No' láti pa á mọ́.",
+        'cancel.failed': "Má bínú, n kò lè fagilé ìforúkọsílẹ̀ yẹn. {reason} Kọ 'menu' láti rí àwọn àṣàyàn mìíràn.",
+        'cancel.done': "A ti fagilé ìforúkọsílẹ̀ rẹ *{reference}*, a sì ti tú àwọn ìjókòó sílẹ̀.",
+        'cancel.refundRequested': "A ti béèrè fún ìdápadà NGN{amount}. Màá fi iṣẹ́ ránṣẹ́ sí ọ nígbà tí ó bá parí.",
+        'cancel.refundManual': "A kò lè bẹ̀rẹ̀ ìdápadà NGN{amount} fúnra wa, nítorí náà àwọn òṣìṣẹ́ wa yóò ṣe é fún ọ.",
+        'cancel.bookAnother': "Kọ 'menu' láti ṣe ìforúkọsílẹ̀ mìíràn.",
+        'cancel.kept': "Ó dáa, a kò fagilé ìforúkọsílẹ̀ rẹ. Kọ 'menu' láti rí àwọn àṣàyàn mìíràn.",
+        'cancel.invalid': "Jọ̀wọ́ dáhùn 'Yes' láti fagilé ìforúkọsílẹ̀ náà tàbí 'No' láti pa á mọ́.",
+
+        'boarding.rejected': "❌ MÁ ṢE jẹ́ kí wọ́n wọlé{reference}. {reason}",
+        'boarding.boarded': "✅ Ti wọ ọkọ̀: *{reference}*",
+        'boarding.valid': "✅ Tíkẹ́ẹ̀tì tó péye: *{reference}*",
+        'boarding.details': "*Èrò:* {passengers}\n*Ìrìn-àjò:* {origin} sí {destination}, {dateTime}\n*Ọkọ̀:* {vehicle}",
+        'boarding.recordHint': "Kọ *board {reference}* láti ṣe àkọsílẹ̀ pé wọ́n ti wọ ọkọ̀.",
+
+        'period.morning': "òwúrọ̀",
+        'period.afternoon': "ọ̀sán",
+        'period.evening': "ìrọ̀lẹ́",
+        'period.night': "alẹ́",
+        'date.at': "{date} ní {time}"
+    }
+};
@@ -0,0 +1,30 @@
+// middlewares/apiKeyAuth.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Creates a middleware that only lets through requests carrying the given API key,
+ * either as 'Authorization: Bearer <key>' or in the 'x-api-key' header.
+ * @param {string} apiKey - The expected key. If it's not configured, every request is rejected.
+ * @param {string} [realm='api'] - Name used in log messages.
+ * @returns {Function} Express middleware.
+ */
+const apiKeyAuth = (apiKey, realm = 'api') => (req, res, next) => {
+    if (!apiKey) {
+        logger.error(`[Auth - ${realm}] No API key configured. Rejecting request to ${req.originalUrl}.`);
+        return res.status(503).json({ error: 'API access is not configured.' });
+    }
+
+    const authHeader = req.get('authorization') || '';
+    const provided = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : req.get('x-api-key');
+
+    const expectedBuffer = Buffer.from(apiKey);
+    const providedBuffer = Buffer.from(provided || '');
+    if (expectedBuffer.length !== providedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, providedBuffer)) {
+        logger.warn(`[Auth - ${realm}] Rejected request to ${req.originalUrl} with missing or invalid API key.`, { ip: req.ip });
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+};
+
+module.exports = apiKeyAuth;
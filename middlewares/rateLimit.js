@@ -0,0 +1,45 @@
+// middlewares/rateLimit.js
+const logger = require('../utils/logger');
+
+/**
+ * Creates a middleware that lets each client IP make at most `max` requests per window.
+ * Counts are kept in this process, so with several instances each one allows `max`.
+ * Behind a reverse proxy, set Express's 'trust proxy' so req.ip is the client's address.
+ * @param {object} options
+ * @param {number} options.max - Requests allowed per IP per window.
+ * @param {number} options.windowMs - Window length in milliseconds.
+ * @param {string} [options.realm='api'] - Name used in log messages.
+ * @returns {Function} Express middleware.
+ */
+const rateLimit = ({ max, windowMs, realm = 'api' }) => {
+    const counters = new Map(); // ip -> { count, resetAt }
+    let nextSweepAt = Date.now() + windowMs;
+
+    return (req, res, next) => {
+        const now = Date.now();
+        if (now >= nextSweepAt) {
+            for (const [ip, counter] of counters) {
+                if (counter.resetAt <= now) {
+                    counters.delete(ip);
+                }
+            }
+            nextSweepAt = now + windowMs;
+        }
+
+        let counter = counters.get(req.ip);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            counters.set(req.ip, counter);
+        }
+        counter.count++;
+
+        if (counter.count > max) {
+            logger.warn(`[RateLimit - ${realm}] Too many requests to ${req.originalUrl}.`, { ip: req.ip });
+            res.set('Retry-After', String(Math.ceil((counter.resetAt - now) / 1000)));
+            return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+        }
+        next();
+    };
+};
+
+module.exports = rateLimit;
@@ -2,7 +2,7 @@
 const mongoose = require('mongoose');
 
 const bookingSchema = new mongoose.Schema({
-    userId: {
+    userId: { // Conversation address of the traveller who booked (see channelService)
         type: String,
         required: true
     },
@@ -21,16 +21,52 @@ const bookingSchema = new mongoose.Schema({
         required: true,
         min: 1
     },
-    totalAmount: {
+    passengerDetails: [{ // The manifest: one entry per traveller, lead passenger first
+        _id: false,
+        name: { type: String, trim: true, required: true },
+        phone: { type: String, trim: true, default: null }, // +234 format
+        nextOfKin: {
+            name: { type: String, trim: true, default: null },
+            phone: { type: String, trim: true, default: null }
+        }
+    }],
+    seatNumbers: { // Seats picked on the seat map, one per passenger; empty for bookings made before seat selection
+        type: [String],
+        default: []
+    },
+    passengerDetailsPending: { // Booked without names (e.g. a waitlist offer); staff take them at boarding
+        type: Boolean,
+        default: false
+    },
+    totalAmount: { // What was charged for this booking, after any promo discount
         type: Number,
         required: true,
         min: 0
     },
+    promoCode: { // Code redeemed at checkout; on a trip it is shared by every leg
+        type: String,
+        default: null
+    },
+    discountAmount: { // This booking's share of the promo discount, in NGN
+        type: Number,
+        min: 0,
+        default: 0
+    },
     bookingReference: { // Unique reference code for the user
         type: String,
         unique: true,
         required: true // KEEP required: true
     },
+    tripReference: { // Shared by every leg of a return or connecting trip; the trip is paid for under this reference
+        type: String,
+        default: null,
+        index: true
+    },
+    leg: { // Position of this booking in its trip, starting at 1
+        type: Number,
+        default: 1,
+        min: 1
+    },
     status: {
         type: String,
         enum: ['pending', 'confirmed', 'cancelled', 'completed', 'failed'],
@@ -38,15 +74,59 @@ const bookingSchema = new mongoose.Schema({
     },
     paymentStatus: {
         type: String,
-        enum: ['pending', 'paid', 'refunded'],
+        enum: ['pending', 'paid', 'refunded', 'partially_refunded'],
         default: 'pending'
     },
+    paymentProvider: { // How the traveller chose to pay; refunds go back through the same provider
+        type: String,
+        enum: ['paystack', 'flutterwave', 'pay_at_park', 'fake'],
+        default: 'paystack'
+    },
+    paymentReference: { // Reference the provider knows the transaction by; every leg of a trip shares it
+        type: String,
+        default: null,
+        index: true
+    },
+    holdExpiresAt: { // Seats are held on the departure until this time while payment is pending
+        type: Date,
+        default: null
+    },
+    paidAt: { // Set when the payment provider (or station staff, for cash) confirms the payment
+        type: Date,
+        default: null
+    },
+    cancellation: {
+        cancelledAt: { type: Date, default: null },
+        reason: { type: String, default: null },
+        refundPercent: { type: Number, default: null },
+        refundAmount: { type: Number, default: null },
+        refundStatus: { // Tracks the refund with the payment provider until it is processed
+            type: String,
+            enum: ['not_applicable', 'pending', 'processed', 'failed', null],
+            default: null
+        }
+    },
+    boarding: { // Set when staff check the ticket at the park
+        boardedAt: { type: Date, default: null },
+        boardedBy: { type: String, default: null }, // Staff name or WhatsApp number
+        method: { type: String, enum: ['reference', 'qr', null], default: null }
+    },
+    history: [{ // Audit trail of everything that happens to the booking after checkout
+        action: { type: String, required: true },
+        note: { type: String, default: null },
+        at: { type: Date, default: Date.now }
+    }],
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+bookingSchema.index({ status: 1, holdExpiresAt: 1 }); // For the expired-hold sweeper
+bookingSchema.index({ departure: 1, status: 1 }); // Bookings on a departure (boarding, completion)
+bookingSchema.index({ paymentStatus: 1, createdAt: 1 }); // Unpaid bookings, for payment reconciliation
+bookingSchema.index({ paidAt: 1 }); // Payments taken on a given day, for the reconciliation report
+
 // --- REMOVE THIS ENTIRE BLOCK ---
 // bookingSchema.pre('save', function(next) {
 //     if (this.isNew && !this.bookingReference) {
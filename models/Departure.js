@@ -21,11 +21,28 @@ const departureSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
-    fare: { // Final fare for this specific departure (basePrice * priceModifier)
+    seatLayout: { // Copied from the vehicle when scheduled, so later layout changes don't move booked seats
+        type: [[String]],
+        default: undefined
+    },
+    takenSeats: { // Seat labels held or booked; only ever changed together with availableSeats
+        type: [String],
+        default: []
+    },
+    fare: { // Base fare for this departure (basePrice * priceModifier); travellers are quoted it with pricing rules applied
         type: Number,
         required: true,
         min: 0
     },
+    timetable: { // Set when the departure was generated from a recurring timetable
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Timetable',
+        default: null
+    },
+    rescheduledFrom: { // Previous departure time, set when an admin reschedules it
+        type: Date,
+        default: null
+    },
     status: {
         type: String,
         enum: ['scheduled', 'departed', 'completed', 'cancelled'],
@@ -39,5 +56,15 @@ const departureSchema = new mongoose.Schema({
 
 departureSchema.index({ route: 1, departureTime: 1 }, { unique: true }); // One departure per route/time
 departureSchema.index({ departureTime: 1 }); // For querying upcoming departures
+departureSchema.index({ timetable: 1, departureTime: 1 }); // For cleaning up after a timetable is retired
+departureSchema.index({ status: 1, departureTime: 1 }); // For reminders and disruption notices
+
+/**
+ * Standard fare for a departure: the route's base price adjusted by the vehicle's price modifier.
+ * @param {object} route - Route document.
+ * @param {object} vehicle - Vehicle document.
+ * @returns {number} The fare in NGN.
+ */
+departureSchema.statics.calculateFare = (route, vehicle) => Math.round(route.basePrice * vehicle.priceModifier);
 
 module.exports = mongoose.model('Departure', departureSchema);
@@ -0,0 +1,22 @@
+// models/Holiday.js
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+    date: { // Local calendar date (YYYY-MM-DD) on which no timetabled departures are generated
+        type: String,
+        required: true,
+        unique: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'date must be in YYYY-MM-DD format']
+    },
+    name: { // e.g. "Christmas Day"
+        type: String,
+        trim: true,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Holiday', holidaySchema);
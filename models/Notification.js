@@ -0,0 +1,51 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+// One record per outbound notification. The unique dedupeKey is claimed before sending,
+// so a message is never sent twice, even across restarts or concurrent scheduler runs.
+const notificationSchema = new mongoose.Schema({
+    dedupeKey: { // e.g. 'reminder:24h:<bookingId>:<departureTime>'
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: ['reminder', 'departure_cancelled', 'departure_rescheduled'],
+        required: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    userId: { // Conversation address the message went to
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['sending', 'sent', 'failed'],
+        default: 'sending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+notificationSchema.index({ booking: 1, createdAt: -1 }); // Notifications sent for a booking
+
+module.exports = mongoose.model('Notification', notificationSchema);
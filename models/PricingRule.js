@@ -0,0 +1,92 @@
+// models/PricingRule.js
+const mongoose = require('mongoose');
+
+// Each type is matched by a function in services/pricingService.js; add both together
+const RULE_TYPES = ['load_factor', 'days_before', 'weekday', 'holiday'];
+
+// Condition fields each rule type needs
+const REQUIRED_CONDITIONS = {
+    load_factor: ['minLoadFactor'],
+    days_before: [],
+    weekday: ['daysOfWeek'],
+    holiday: []
+};
+
+const pricingRuleSchema = new mongoose.Schema({
+    name: { // e.g. "Last-minute surcharge", "Christmas rush"
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: RULE_TYPES
+    },
+    route: { // Only applies to this route; null applies to every route
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Route',
+        default: null
+    },
+    adjustmentPercent: { // Added to the base fare, e.g. 20 for +20% or -10 for a 10% discount
+        type: Number,
+        required: true,
+        min: -90,
+        max: 500
+    },
+    minLoadFactor: { // load_factor: share of the vehicle's seats already sold or held, 0 to 1, e.g. 0.7
+        type: Number,
+        min: 0,
+        max: 1,
+        default: null
+    },
+    minDaysBefore: { // days_before: applies when departure is at least this many days away (0 = today)
+        type: Number,
+        min: 0,
+        default: null
+    },
+    maxDaysBefore: { // days_before: ...and at most this many days away
+        type: Number,
+        min: 0,
+        default: null
+    },
+    daysOfWeek: { // weekday: 0 = Sunday ... 6 = Saturday, in Africa/Lagos
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: undefined
+    },
+    daysBeforeHoliday: { // holiday: also applies this many days before a holiday, for the rush out of town
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+pricingRuleSchema.pre('validate', function (next) {
+    for (const field of REQUIRED_CONDITIONS[this.type] || []) {
+        const value = this[field];
+        if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+            this.invalidate(field, `${field} is required for ${this.type} rules`);
+        }
+    }
+    if (this.type === 'days_before' && this.minDaysBefore === null && this.maxDaysBefore === null) {
+        this.invalidate('maxDaysBefore', 'days_before rules need minDaysBefore, maxDaysBefore or both');
+    }
+    if (this.minDaysBefore !== null && this.maxDaysBefore !== null && this.minDaysBefore > this.maxDaysBefore) {
+        this.invalidate('maxDaysBefore', 'maxDaysBefore must not be less than minDaysBefore');
+    }
+    next();
+});
+
+pricingRuleSchema.index({ isActive: 1, route: 1 });
+
+pricingRuleSchema.statics.RULE_TYPES = RULE_TYPES;
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
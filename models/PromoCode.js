@@ -0,0 +1,91 @@
+// models/PromoCode.js
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+    code: { // What travellers type after 'promo', e.g. "EASTER10"; stored in upper case
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z0-9_-]{3,20}$/, 'code must be 3-20 letters, digits, dashes or underscores']
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    discountType: {
+        type: String,
+        required: true,
+        enum: ['percent', 'fixed']
+    },
+    discountValue: { // Percent off (1-90) for 'percent', NGN off the whole checkout for 'fixed'
+        type: Number,
+        required: true,
+        min: 1
+    },
+    maxDiscount: { // Largest NGN amount a 'percent' code can take off; null for no limit
+        type: Number,
+        min: 0,
+        default: null
+    },
+    minAmount: { // Smallest checkout total the code can be used on, in NGN
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    validFrom: {
+        type: Date,
+        default: null
+    },
+    validUntil: {
+        type: Date,
+        default: null
+    },
+    maxRedemptions: { // Across all travellers; null for unlimited
+        type: Number,
+        min: 1,
+        default: null
+    },
+    maxRedemptionsPerUser: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    routes: { // Only valid when every leg is on one of these routes; empty for every route
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Route' }],
+        default: []
+    },
+    redemptionCount: { // Kept in step with redemptions so the overall limit can be checked in the same update
+        type: Number,
+        default: 0
+    },
+    redemptions: [{ // One per checkout that used the code; released again if that payment never completes
+        _id: false,
+        waId: String,
+        reference: String, // Booking or trip reference the payment was opened under
+        discountAmount: Number,
+        redeemedAt: { type: Date, default: Date.now }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+promoCodeSchema.pre('validate', function (next) {
+    if (this.discountType === 'percent' && this.discountValue > 90) {
+        this.invalidate('discountValue', 'percent discounts can be at most 90');
+    }
+    if (this.validFrom && this.validUntil && this.validFrom > this.validUntil) {
+        this.invalidate('validUntil', 'validUntil must be after validFrom');
+    }
+    next();
+});
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
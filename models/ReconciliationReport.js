@@ -0,0 +1,42 @@
+// models/ReconciliationReport.js
+const mongoose = require('mongoose');
+
+// Totals are in NGN. Cash taken at the park has no gateway to check against, so it is reported separately.
+const totalsFields = () => ({
+    bookings: { type: Number, default: 0 },
+    bookingTotal: { type: Number, default: 0 }, // What the bookings say was paid
+    gatewayTotal: { type: Number, default: 0 }, // What the payment providers report as charged
+    cashTotal: { type: Number, default: 0 }, // Recorded by staff for pay-at-the-park bookings
+    difference: { type: Number, default: 0 } // bookingTotal - gatewayTotal - cashTotal; should be 0
+});
+
+const reconciliationReportSchema = new mongoose.Schema({
+    date: { // Local calendar date (YYYY-MM-DD) the payments were taken on
+        type: String,
+        required: true,
+        unique: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'date must be in YYYY-MM-DD format']
+    },
+    routes: [{
+        _id: false,
+        route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', default: null },
+        origin: String,
+        destination: String,
+        ...totalsFields()
+    }],
+    totals: totalsFields(),
+    discrepancies: [{ // Payments whose gateway record doesn't match the bookings
+        _id: false,
+        reference: String,
+        provider: String,
+        bookingTotal: Number,
+        gatewayTotal: Number,
+        gatewayStatus: String // 'success', 'failed' or 'pending' as the provider reports it
+    }],
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -26,6 +26,16 @@ const routeSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    minFare: { // Floor for the dynamic fare; null for none
+        type: Number,
+        min: 0,
+        default: null
+    },
+    maxFare: { // Cap on the dynamic fare, however many surcharges apply; null for none
+        type: Number,
+        min: 0,
+        default: null
+    },
     duration: { // Estimated travel time in minutes. Your seed used travelTimeHours, consider renaming or converting.
         type: Number,
         min: 0,
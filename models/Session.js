@@ -2,26 +2,34 @@
 const mongoose = require('mongoose');
 
 const sessionSchema = new mongoose.Schema({
-    waId: {
+    waId: { // Conversation address: the WhatsApp number, or channel and user ID, e.g. 'telegram:51234567' (see channelService)
         type: String,
         unique: true,
         required: true,
         index: true
     },
-    currentStep: {
+    currentStep: { // Every step here needs a handler in the conversation flow (see conversationService), checked at startup
         type: String,
         enum: [
             'welcome',
+            'choose_language',
             'ask_origin',
             'ask_destination',
+            'confirm_city', // Waiting for a yes to "Did you mean …?" after an unclear city
             'ask_date',
             'ask_departure_choice', // Ensure this is present
             'ask_passengers',
+            'ask_waitlist_seats', // The chosen departure is full; asking how many seats to waitlist
+            'ask_seats', // Picking seats on the seat map
+            'ask_passenger_name', // Collecting the manifest, one traveller at a time
+            'ask_next_of_kin',
             'review_booking',
+            'ask_payment_method', // Only asked when more than one payment method can be used
             'awaiting_payment',
             'booking_complete',
-            'main_menu',
-            'inactive'
+            'check_booking', // Browsing the traveller's own bookings
+            'confirm_cancellation',
+            'with_agent' // Handed over to a human agent; the bot stays silent
         ],
         default: 'welcome'
     },
@@ -29,10 +37,35 @@ const sessionSchema = new mongoose.Schema({
         origin: { type: String, trim: true, default: null },
         destination: { type: String, trim: true, default: null },
         date: { type: Date, default: null },
+        timeOfDay: { type: String, enum: ['morning', 'afternoon', 'evening', 'night', null], default: null }, // Narrows the departure list
         passengers: { type: Number, default: null },
+        passengerDetails: [{ // Names collected so far, in the same shape as Booking.passengerDetails
+            _id: false,
+            name: String,
+            phone: String,
+            nextOfKin: { name: String, phone: String }
+        }],
         departureId: { type: mongoose.Schema.Types.ObjectId, default: null },
-        fare: { type: Number, default: null },
+        seatNumbers: { type: [String], default: undefined }, // Seats picked on the chosen departure
+        fare: { type: Number, default: null }, // Quoted when the departure was chosen
+        fareLockedUntil: { type: Date, default: null }, // The quote is honoured until then, and re-checked after
         totalAmount: { type: Number, default: null }, // <--- ADD THIS LINE!
+        promoCode: { type: String, default: null }, // Applied at review with 'promo CODE'; redeemed at checkout
+        connectTo: { type: String, trim: true, default: null }, // Final destination when travelling via a connecting city
+        legs: [{ // Earlier legs of a return or connecting trip; the fields above are the leg being chosen
+            _id: false,
+            origin: String,
+            destination: String,
+            date: Date,
+            departureId: mongoose.Schema.Types.ObjectId,
+            departureTime: Date,
+            arrivalTime: Date, // When the next leg can leave at the earliest
+            passengers: Number,
+            seatNumbers: [String],
+            fare: Number,
+            fareLockedUntil: Date,
+            totalAmount: Number
+        }]
     },
     context: {
         type: mongoose.Schema.Types.Mixed,
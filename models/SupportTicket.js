@@ -0,0 +1,52 @@
+// models/SupportTicket.js
+const mongoose = require('mongoose');
+
+const supportMessageSchema = new mongoose.Schema({
+    from: { // Who wrote the message
+        type: String,
+        enum: ['traveller', 'agent', 'system'],
+        required: true
+    },
+    agentName: { type: String, trim: true, default: null },
+    text: { type: String, required: true },
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const supportTicketSchema = new mongoose.Schema({
+    waId: { // Conversation address of the traveller who asked for help
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    reason: { // What triggered the handoff, e.g. the 'support' command
+        type: String,
+        default: null
+    },
+    assignedAgent: { // Set by the first agent who replies
+        type: String,
+        trim: true,
+        default: null
+    },
+    messages: [supportMessageSchema],
+    closedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+supportTicketSchema.index({ waId: 1, status: 1 }); // Finding a traveller's open ticket
+supportTicketSchema.index({ status: 1, updatedAt: -1 }); // Agent inbox
+
+module.exports = mongoose.model('SupportTicket', supportTicketSchema);
@@ -0,0 +1,73 @@
+// models/Timetable.js
+const mongoose = require('mongoose');
+
+const timetableSchema = new mongoose.Schema({
+    name: { // e.g. "Lagos - Abuja weekday shuttle"
+        type: String,
+        trim: true,
+        default: null
+    },
+    route: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Route',
+        required: true
+    },
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    daysOfWeek: { // 0 = Sunday ... 6 = Saturday, e.g. [1, 2, 3, 4, 5] for weekdays
+        type: [{ type: Number, min: 0, max: 6 }],
+        validate: {
+            validator: (days) => Array.isArray(days) && days.length > 0,
+            message: 'daysOfWeek must contain at least one day (0 = Sunday ... 6 = Saturday)'
+        }
+    },
+    times: { // Local departure times as HH:mm, e.g. ['06:30', '14:00']
+        type: [{ type: String, match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'times must be in HH:mm format'] }],
+        validate: {
+            validator: (times) => Array.isArray(times) && times.length > 0,
+            message: 'times must contain at least one HH:mm time'
+        }
+    },
+    timezone: { // IANA time zone the times are expressed in
+        type: String,
+        default: 'Africa/Lagos',
+        validate: {
+            validator: (value) => {
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: value });
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            },
+            message: 'timezone must be a valid IANA time zone, e.g. Africa/Lagos'
+        }
+    },
+    startDate: { // Optional first local date (YYYY-MM-DD) the rule applies to
+        type: String,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'startDate must be in YYYY-MM-DD format'],
+        default: null
+    },
+    endDate: { // Optional last local date (YYYY-MM-DD) the rule applies to
+        type: String,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'endDate must be in YYYY-MM-DD format'],
+        default: null
+    },
+    isActive: { // Retired rules stop generating departures
+        type: Boolean,
+        default: true
+    },
+    retiredAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Timetable', timetableSchema);
@@ -2,8 +2,9 @@
 const mongoose = require('mongoose');
 
 const userSchema = new mongoose.Schema({
-    waId: { type: String, unique: true, required: true }, // WhatsApp ID (e.g., 23480xxxxxxxx)
-    language: { type: String, default: 'en' },
+    waId: { type: String, unique: true, required: true }, // Conversation address: the WhatsApp number (e.g., +23480xxxxxxxx) or e.g. 'sms:+23480xxxxxxxx'
+    language: { type: String, enum: ['en', 'pcm', 'yo', 'ha', 'ig'], default: 'en' }, // See utils/i18n.js
+    languageChosenAt: { type: Date, default: null }, // Null until the traveller picks a language
     createdAt: { type: Date, default: Date.now },
     lastActive: { type: Date, default: Date.now }
 });
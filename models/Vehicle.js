@@ -1,5 +1,6 @@
 // models/Vehicle.js
 const mongoose = require('mongoose');
+const { validateLayout } = require('../utils/seatMap');
 
 const vehicleSchema = new mongoose.Schema({
     name: { // e.g., "Luxury Bus", "Standard Mini-Bus"
@@ -19,6 +20,19 @@ const vehicleSchema = new mongoose.Schema({
         required: true,
         min: 1
     },
+    seatLayout: { // Rows of seat labels, '' for an aisle or gap. Numbered four to a row when not set.
+        type: [[String]],
+        default: undefined,
+        validate: {
+            validator: function (layout) {
+                const problem = layout && layout.length > 0 ? validateLayout(layout, this.capacity) : null;
+                if (problem) {
+                    throw new Error(`Invalid seat layout: ${problem}`); // Mongoose reports the thrown message
+                }
+                return true;
+            }
+        }
+    },
     features: [String], // e.g., ['AC', 'WiFi', 'Reclining Seats']
     priceModifier: { // Can be used to adjust base price for vehicle type
         type: Number,
@@ -0,0 +1,60 @@
+// models/WaitlistEntry.js
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+    waId: { // Traveller's conversation address (see channelService)
+        type: String,
+        required: true,
+        index: true
+    },
+    sessionId: { // Session they joined from; offer bookings are recorded against it
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+        required: true
+    },
+    departure: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Departure',
+        required: true
+    },
+    seats: { // Seats wanted; only offered once that many are free together
+        type: Number,
+        required: true,
+        min: 1
+    },
+    language: { // For the offer message, which arrives outside the conversation
+        type: String,
+        default: 'en'
+    },
+    status: {
+        type: String,
+        enum: [
+            'waiting',  // In the queue
+            'offered',  // Seats held and a payment link sent
+            'accepted', // Offer paid for
+            'expired'   // Offer not paid in time, or the departure left or was cancelled
+        ],
+        default: 'waiting'
+    },
+    booking: { // Pending booking created for the offer
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    offeredAt: {
+        type: Date,
+        default: null
+    },
+    offerExpiresAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: { // Queue order
+        type: Date,
+        default: Date.now
+    }
+});
+
+waitlistEntrySchema.index({ departure: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
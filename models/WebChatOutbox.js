@@ -0,0 +1,31 @@
+// models/WebChatOutbox.js
+const mongoose = require('mongoose');
+
+// Messages sent to a web chat visitor outside a reply (payment confirmations, tickets, agent replies),
+// kept until the widget fetches them. Stored here rather than in memory so they survive restarts
+// and every app instance sees the same outbox.
+const webChatOutboxSchema = new mongoose.Schema({
+    visitorId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    lastMessageId: { // Messages are numbered per visitor, so the widget can ask for the ones after the last it showed
+        type: Number,
+        default: 0
+    },
+    messages: [{ // Oldest first, capped at WEB_CHAT_HISTORY_LIMIT
+        _id: false,
+        id: { type: Number, required: true },
+        text: { type: String, default: null },
+        mediaUrl: { type: String, default: null },
+        sentAt: { type: Date, default: Date.now }
+    }],
+    expiresAt: { // Pushed back on every message; MongoDB removes the outbox once it passes
+        type: Date,
+        required: true,
+        expires: 0
+    }
+});
+
+module.exports = mongoose.model('WebChatOutbox', webChatOutboxSchema);
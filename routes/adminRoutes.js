@@ -0,0 +1,225 @@
+// routes/adminRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const logger = require('../utils/logger');
+const config = require('../config');
+const apiKeyAuth = require('../middlewares/apiKeyAuth');
+const adminService = require('../services/adminService');
+const timetableService = require('../services/timetableService');
+const boardingService = require('../services/boardingService');
+const manifestService = require('../services/manifestService');
+const pricingService = require('../services/pricingService');
+const promoService = require('../services/promoService');
+const reconciliationService = require('../services/reconciliationService');
+
+router.use(apiKeyAuth(config.admin.apiKey, 'admin'));
+
+// Any :id that isn't a valid ObjectId can't exist
+router.param('id', (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+    next();
+});
+
+/**
+ * Maps service and Mongoose errors to HTTP responses.
+ * @param {object} res - Express response.
+ * @param {Error} error - The error thrown while handling the request.
+ * @param {string} action - What was being done, for the log message.
+ */
+const sendError = (res, error, action) => {
+    if (error.name === 'ValidationError') {
+        const details = Object.values(error.errors || {}).map(e => e.message);
+        return res.status(400).json({ error: 'Validation failed', details });
+    }
+    if (error.name === 'CastError' || error.name === 'InvalidInputError') {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error.name === 'ConflictError') {
+        return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ error: 'A record with the same unique fields already exists', details: error.keyValue });
+    }
+    logger.error(`[Admin API] Error while ${action}: ${error.message}`, { error });
+    res.status(500).json({ error: `Error while ${action}` });
+};
+
+/**
+ * Wraps a handler that returns the response payload (or null for 404).
+ * @param {string} action - Description used in error logs.
+ * @param {Function} handler - async (req) => payload.
+ * @param {number} [successStatus=200] - Status code for a successful response.
+ * @returns {Function} Express route handler.
+ */
+const handle = (action, handler, successStatus = 200) => async (req, res) => {
+    try {
+        const payload = await handler(req);
+        if (!payload) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        res.status(successStatus).json(payload);
+    } catch (error) {
+        sendError(res, error, action);
+    }
+};
+
+// Parses ?isActive=true|false into a filter
+const activeFilter = (query) => {
+    if (query.isActive === undefined) {
+        return {};
+    }
+    return { isActive: query.isActive === 'true' };
+};
+
+// --- Routes ---
+router.get('/routes', handle('listing routes', async (req) => ({ routes: await adminService.listRoutes(activeFilter(req.query)) })));
+router.post('/routes', handle('creating route', async (req) => ({ route: await adminService.createRoute(req.body) }), 201));
+router.get('/routes/:id', handle('loading route', async (req) => {
+    const route = await adminService.getRoute(req.params.id);
+    return route && { route };
+}));
+router.patch('/routes/:id', handle('updating route', async (req) => {
+    const route = await adminService.updateRoute(req.params.id, req.body);
+    return route && { route };
+}));
+router.delete('/routes/:id', handle('deleting route', async (req) => {
+    const route = await adminService.deleteRoute(req.params.id);
+    return route && { route };
+}));
+
+// --- Vehicles ---
+router.get('/vehicles', handle('listing vehicles', async (req) => ({ vehicles: await adminService.listVehicles(activeFilter(req.query)) })));
+router.post('/vehicles', handle('creating vehicle', async (req) => ({ vehicle: await adminService.createVehicle(req.body) }), 201));
+router.get('/vehicles/:id', handle('loading vehicle', async (req) => {
+    const vehicle = await adminService.getVehicle(req.params.id);
+    return vehicle && { vehicle };
+}));
+router.patch('/vehicles/:id', handle('updating vehicle', async (req) => {
+    const vehicle = await adminService.updateVehicle(req.params.id, req.body);
+    return vehicle && { vehicle };
+}));
+router.delete('/vehicles/:id', handle('deleting vehicle', async (req) => {
+    const vehicle = await adminService.deleteVehicle(req.params.id);
+    return vehicle && { vehicle };
+}));
+
+// --- Departures ---
+// GET /admin/departures?routeId=&status=&from=&to=
+router.get('/departures', handle('listing departures', async (req) => ({ departures: await adminService.listDepartures(req.query) })));
+// POST /admin/departures { routeId, vehicleId, departureTime }
+router.post('/departures', handle('creating departure', async (req) => ({ departure: await adminService.createDeparture(req.body) }), 201));
+router.get('/departures/:id', handle('loading departure', async (req) => {
+    const departure = await adminService.getDeparture(req.params.id);
+    return departure && { departure };
+}));
+// POST /admin/departures/:id/reschedule { departureTime }
+router.post('/departures/:id/reschedule', handle('rescheduling departure', async (req) => {
+    return adminService.rescheduleDeparture(req.params.id, req.body && req.body.departureTime);
+}));
+router.post('/departures/:id/cancel', handle('cancelling departure', async (req) => {
+    return adminService.cancelDeparture(req.params.id);
+}));
+// Marks the trip as done; bookings that boarded it move to 'completed'
+router.post('/departures/:id/complete', handle('completing departure', async (req) => {
+    return boardingService.completeDeparture(req.params.id);
+}));
+
+// What a traveller would be quoted right now, with the rules that applied
+router.get('/departures/:id/quote', handle('quoting departure', async (req) => {
+    const departure = await adminService.getDeparture(req.params.id);
+    return departure && { quote: await pricingService.quoteFare(departure) };
+}));
+
+// GET /admin/departures/:id/manifest?format=csv|pdf - passenger names and next of kin for boarding
+router.get('/departures/:id/manifest', async (req, res) => {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'pdf'].includes(format)) {
+        return res.status(400).json({ error: "format must be 'csv' or 'pdf'" });
+    }
+    try {
+        const manifest = await manifestService.getManifest(req.params.id);
+        if (!manifest) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        const filename = `manifest-${req.params.id}.${format}`;
+        if (format === 'pdf') {
+            res.set({ 'Content-Type': 'application/pdf', 'Content-Disposition': `attachment; filename="${filename}"` });
+            return res.status(200).send(await manifestService.renderManifestPdf(manifest));
+        }
+        res.set({ 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="${filename}"` });
+        res.status(200).send(manifestService.toCsv(manifest));
+    } catch (error) {
+        sendError(res, error, 'exporting manifest');
+    }
+});
+
+// --- Timetables ---
+router.get('/timetables', handle('listing timetables', async (req) => ({ timetables: await timetableService.listTimetables(activeFilter(req.query)) })));
+// POST /admin/timetables { route, vehicle, daysOfWeek: [1,2,3,4,5], times: ['06:30', '14:00'], timezone, startDate, endDate, name }
+router.post('/timetables', handle('creating timetable', async (req) => ({ timetable: await timetableService.createTimetable(req.body) }), 201));
+// Runs the generator immediately instead of waiting for the next scheduled run
+router.post('/timetables/generate', handle('generating departures', async () => timetableService.generateDepartures()));
+router.get('/timetables/:id', handle('loading timetable', async (req) => {
+    const timetable = await timetableService.getTimetable(req.params.id);
+    return timetable && { timetable };
+}));
+router.post('/timetables/:id/retire', handle('retiring timetable', async (req) => {
+    return timetableService.retireTimetable(req.params.id);
+}));
+
+// --- Holidays ---
+router.get('/holidays', handle('listing holidays', async () => ({ holidays: await timetableService.listHolidays() })));
+// POST /admin/holidays { date: 'YYYY-MM-DD', name }
+router.post('/holidays', handle('creating holiday', async (req) => ({ holiday: await timetableService.createHoliday(req.body) }), 201));
+router.delete('/holidays/:id', handle('deleting holiday', async (req) => {
+    const holiday = await timetableService.deleteHoliday(req.params.id);
+    return holiday && { holiday };
+}));
+
+// --- Pricing rules ---
+router.get('/pricing-rules', handle('listing pricing rules', async (req) => ({ pricingRules: await pricingService.listRules(activeFilter(req.query)) })));
+// POST /admin/pricing-rules { name, type, adjustmentPercent, route?, minLoadFactor | minDaysBefore/maxDaysBefore | daysOfWeek | daysBeforeHoliday }
+router.post('/pricing-rules', handle('creating pricing rule', async (req) => ({ pricingRule: await pricingService.createRule(req.body) }), 201));
+router.patch('/pricing-rules/:id', handle('updating pricing rule', async (req) => {
+    const pricingRule = await pricingService.updateRule(req.params.id, req.body);
+    return pricingRule && { pricingRule };
+}));
+router.delete('/pricing-rules/:id', handle('deleting pricing rule', async (req) => {
+    const pricingRule = await pricingService.deleteRule(req.params.id);
+    return pricingRule && { pricingRule };
+}));
+
+// --- Promo codes ---
+router.get('/promo-codes', handle('listing promo codes', async (req) => ({ promoCodes: await promoService.listCodes(activeFilter(req.query)) })));
+// POST /admin/promo-codes { code, discountType: 'percent'|'fixed', discountValue, maxDiscount, minAmount, validFrom, validUntil, maxRedemptions, maxRedemptionsPerUser, routes }
+router.post('/promo-codes', handle('creating promo code', async (req) => ({ promoCode: await promoService.createCode(req.body) }), 201));
+router.get('/promo-codes/:id', handle('loading promo code', async (req) => {
+    const promoCode = await promoService.getCode(req.params.id);
+    return promoCode && { promoCode };
+}));
+router.patch('/promo-codes/:id', handle('updating promo code', async (req) => {
+    const promoCode = await promoService.updateCode(req.params.id, req.body);
+    return promoCode && { promoCode };
+}));
+router.delete('/promo-codes/:id', handle('deleting promo code', async (req) => {
+    const promoCode = await promoService.deleteCode(req.params.id);
+    return promoCode && { promoCode };
+}));
+
+// --- Payment reconciliation ---
+// Checks pending payments with the providers now instead of waiting for the next scheduled run
+router.post('/reconciliation/run', handle('reconciling payments', async () => reconciliationService.reconcilePendingPayments()));
+router.get('/reconciliation/reports', handle('listing reconciliation reports', async () => ({ reports: await reconciliationService.listReports() })));
+router.get('/reconciliation/reports/:date', handle('loading reconciliation report', async (req) => {
+    const report = await reconciliationService.getReport(req.params.date);
+    return report && { report };
+}));
+// Builds (or rebuilds) the report for a day: POST /admin/reconciliation/reports/2025-07-20
+router.post('/reconciliation/reports/:date', handle('building reconciliation report', async (req) => ({
+    report: await reconciliationService.buildDailyReport(req.params.date)
+})));
+
+module.exports = router;
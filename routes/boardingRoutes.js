@@ -0,0 +1,107 @@
+// routes/boardingRoutes.js
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const config = require('../config');
+const apiKeyAuth = require('../middlewares/apiKeyAuth');
+const boardingService = require('../services/boardingService');
+const bookingService = require('../services/bookingService');
+
+router.use(apiKeyAuth(config.boarding.apiKey, 'boarding'));
+
+/**
+ * Shapes a boarding check result for the scanner app.
+ * Valid tickets get 200, unrecognised ones 404 and every other rejection 422, always with the reason.
+ * @param {object} res - Express response.
+ * @param {object} result - Result from boardingService.validateTicket or boardPassenger.
+ */
+const sendResult = (res, result) => {
+    const booking = result.booking;
+    const departure = booking && booking.departure;
+    const status = result.valid ? 200 : (booking ? 422 : 404);
+    res.status(status).json({
+        valid: result.valid,
+        reason: result.reason || null,
+        booking: booking ? {
+            bookingReference: booking.bookingReference,
+            passengers: booking.passengers,
+            status: booking.status,
+            paymentStatus: booking.paymentStatus,
+            boarding: booking.boarding,
+            departure: departure && departure.route ? {
+                id: departure._id,
+                origin: departure.route.origin,
+                destination: departure.route.destination,
+                departureTime: departure.departureTime,
+                vehicle: departure.vehicle ? departure.vehicle.name : null,
+                status: departure.status
+            } : null
+        } : null
+    });
+};
+
+// Reads the booking reference or scanned QR token from the request body
+const readCode = (req) => {
+    const { bookingReference, token } = req.body || {};
+    return String(token || bookingReference || '').trim();
+};
+
+// Check a ticket without boarding: POST /boarding/verify { bookingReference } or { token }
+router.post('/verify', async (req, res) => {
+    const code = readCode(req);
+    if (!code) {
+        return res.status(400).json({ error: 'bookingReference or token is required' });
+    }
+    try {
+        sendResult(res, await boardingService.validateTicket(code));
+    } catch (error) {
+        logger.error(`[Boarding API] Error verifying ticket: ${error.message}`, { error });
+        res.status(500).json({ error: 'Could not verify the ticket' });
+    }
+});
+
+// Check a ticket and record boarding: POST /boarding/board { bookingReference | token, staffName }
+router.post('/board', async (req, res) => {
+    const code = readCode(req);
+    const staffName = String((req.body && req.body.staffName) || '').trim();
+    if (!code || !staffName) {
+        return res.status(400).json({ error: 'staffName and either bookingReference or token are required' });
+    }
+    try {
+        sendResult(res, await boardingService.boardPassenger(code, staffName));
+    } catch (error) {
+        logger.error(`[Boarding API] Error boarding ticket: ${error.message}`, { error });
+        res.status(500).json({ error: 'Could not record the boarding' });
+    }
+});
+
+// Record cash paid at the counter for a pay-at-the-park booking or trip: POST /boarding/cash-payments { bookingReference, amount, staffName }
+// amount is in NGN and must match what the traveller was quoted
+router.post('/cash-payments', async (req, res) => {
+    const reference = String((req.body && req.body.bookingReference) || '').trim().toUpperCase();
+    const staffName = String((req.body && req.body.staffName) || '').trim();
+    const amount = Number(req.body && req.body.amount);
+    if (!reference || !staffName || !(amount > 0)) {
+        return res.status(400).json({ error: 'bookingReference, amount and staffName are required' });
+    }
+    try {
+        const result = await bookingService.confirmPayment(reference, Math.round(amount * 100), 'pay_at_park');
+        if (!result) {
+            return res.status(422).json({ error: 'Payment not recorded. Check that the reference is for an unpaid pay-at-the-park booking and the amount matches.' });
+        }
+        logger.info(`[Boarding API] Cash payment of NGN${amount.toLocaleString()} for ${reference} recorded by ${staffName}.`);
+        const bookings = Array.isArray(result) ? result : [result];
+        res.status(200).json({
+            bookings: bookings.map(booking => ({
+                bookingReference: booking.bookingReference,
+                status: booking.status,
+                paymentStatus: booking.paymentStatus
+            }))
+        });
+    } catch (error) {
+        logger.error(`[Boarding API] Error recording cash payment for ${reference}: ${error.message}`, { error });
+        res.status(500).json({ error: 'Could not record the payment' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+// routes/channelRoutes.js
+const express = require('express');
+const router = express.Router();
+const twilio = require('twilio');
+const config = require('../config');
+const logger = require('../utils/logger');
+const rateLimit = require('../middlewares/rateLimit');
+const channelService = require('../services/channelService');
+const conversationService = require('../services/conversationService');
+const telegramService = require('../services/telegramService');
+const webChatService = require('../services/webChatService');
+
+/**
+ * Only lets requests through to a channel that is configured, and puts it on req.channel.
+ * @param {string} name - Channel name.
+ * @returns {Function} Express middleware.
+ */
+const requireChannel = (name) => (req, res, next) => {
+    const channel = channelService.getChannel(name);
+    if (!channel) {
+        return res.status(404).send('Channel not enabled');
+    }
+    req.channel = channel;
+    next();
+};
+
+// Twilio signs the public URL it called, so the URL is worked out per request
+// (the WhatsApp webhook is also still reachable at its old /webhook address)
+const validateTwilioRequest = (req, res, next) => twilio.webhook({
+    authToken: config.twilio.authToken,
+    url: config.env === 'development' ? undefined : `${config.appBaseUrl}${req.originalUrl}`
+})(req, res, next);
+
+const validateTelegramRequest = (req, res, next) => {
+    if (!telegramService.isAuthentic(req)) {
+        logger.warn('[Channels] Rejected Telegram update with missing or invalid secret token.', { ip: req.ip });
+        return res.status(401).send('Invalid secret token');
+    }
+    next();
+};
+
+/**
+ * @param {object} res - Express response.
+ * @param {object} channel - The channel answering.
+ * @param {number} status - HTTP status.
+ * @param {{contentType: string, body: string}} response - Rendered by the channel.
+ */
+const sendResponse = (res, channel, status, { contentType, body }) => {
+    res.writeHead(channel.alwaysAcknowledge ? 200 : status, { 'Content-Type': contentType });
+    res.end(body);
+};
+
+/**
+ * Answers a message on any channel: the channel reads the request, the conversation service works
+ * out the reply, and the channel renders it in its own format.
+ */
+const handleMessage = async (req, res) => {
+    const { channel } = req;
+    logger.info(`Received ${channel.displayName} webhook payload:`, { body: req.body });
+
+    const incoming = channel.parseIncoming(req);
+    if (!incoming) {
+        logger.warn(`Received ${channel.displayName} webhook with unparseable message.`, { body: req.body });
+        return sendResponse(res, channel, 400, await channel.renderReply(null, "I'm sorry, I couldn't understand your message format.", null));
+    }
+
+    const address = channelService.addressOf(channel.name, incoming.userId);
+    logger.info(`Processing ${channel.displayName} message from ${address}: "${incoming.text}"`);
+    try {
+        // Delegate the main conversational logic to the conversation service
+        const { reply, choices } = await conversationService.handleIncomingMessage(address, incoming.text);
+        sendResponse(res, channel, 200, await channel.renderReply(incoming, reply, choices));
+        logger.info(`Reply sent to ${address}.`);
+    } catch (error) {
+        logger.error(`Error during conversation handling for ${address}: ${error.message}`, { error: error, incomingMessage: incoming });
+        sendResponse(res, channel, 500, await channel.renderReply(incoming, "Oops! Something went wrong on our end. Our team has been notified. Please try again later.", null));
+    }
+};
+
+// --- Messaging platforms ---
+router.post('/whatsapp', requireChannel('whatsapp'), validateTwilioRequest, handleMessage);
+router.post('/sms', requireChannel('sms'), validateTwilioRequest, handleMessage);
+router.post('/telegram', requireChannel('telegram'), validateTelegramRequest, handleMessage);
+
+// --- Web chat widget ---
+// The sites in WEB_CHAT_ALLOWED_ORIGINS may call these from the browser
+router.use('/web', requireChannel('web'), (req, res, next) => {
+    const origin = req.get('origin');
+    if (origin && config.webChat.allowedOrigins.includes(origin)) {
+        res.set({
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Allow-Methods': 'GET, POST',
+            'Access-Control-Allow-Headers': 'Content-Type, X-Visitor-Id',
+            Vary: 'Origin'
+        });
+    }
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
+    next();
+});
+
+// Visitor IDs are only issued to pages on the allowed sites, and only a few per client, since each can create a session
+const requireAllowedOrigin = (req, res, next) => {
+    if (!config.webChat.allowedOrigins.includes(req.get('origin'))) {
+        logger.warn('[WebChat] Refused a visitor ID to a request from an origin that is not allowed.', { ip: req.ip, origin: req.get('origin') });
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+    next();
+};
+
+// Starts a conversation: the widget keeps the returned visitorId and sends it as X-Visitor-Id
+router.post('/web/visitors', requireAllowedOrigin, rateLimit({ max: config.webChat.visitorsPerMinute, windowMs: 60 * 1000, realm: 'web visitors' }), (req, res) => {
+    try {
+        res.status(201).json({ visitorId: webChatService.createVisitor() });
+    } catch (error) {
+        logger.error(`[WebChat] Could not issue a visitor ID: ${error.message}`, { error });
+        res.status(500).json({ error: 'Could not start a chat' });
+    }
+});
+
+// POST { text } -> { reply, choices }
+router.post('/web/messages', handleMessage);
+
+// Messages sent outside a reply (payment confirmations, tickets, agent replies): GET /channels/web/messages?after=<last id seen>
+router.get('/web/messages', async (req, res) => {
+    try {
+        const messages = await webChatService.listMessages(req.get('x-visitor-id'), parseInt(req.query.after, 10) || 0);
+        if (!messages) {
+            return res.status(400).json({ error: 'X-Visitor-Id header is missing or invalid' });
+        }
+        res.json({ messages });
+    } catch (error) {
+        logger.error(`[WebChat] Error listing messages: ${error.message}`, { error });
+        res.status(500).json({ error: 'Could not load messages' });
+    }
+});
+
+module.exports = router;
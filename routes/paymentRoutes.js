@@ -0,0 +1,96 @@
+// routes/paymentRoutes.js
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const paymentService = require('../services/paymentService');
+const bookingService = require('../services/bookingService');
+
+/**
+ * Applies a payment event reported by a provider to the bookings paid under its reference.
+ * @param {object} provider - The provider that reported it.
+ * @param {object} event - Result of the provider's parseWebhook.
+ * @returns {Promise<void>}
+ */
+const applyEvent = async (provider, event) => {
+    switch (event.type) {
+        case 'payment.succeeded':
+            await bookingService.confirmPayment(event.reference, event.amountKobo, provider.name);
+            break;
+
+        case 'payment.failed':
+            await bookingService.failPayment(event.reference, event.reason, provider.name);
+            break;
+
+        case 'refund.processed':
+            await bookingService.completeRefund(event.reference, event.amountKobo);
+            break;
+
+        case 'refund.failed':
+            await bookingService.failRefund(event.reference, event.reason);
+            break;
+
+        default:
+            logger.debug(`[Payments Webhook] Ignoring unhandled ${provider.displayName} event "${event.event}".`);
+            break;
+    }
+};
+
+// Server-to-server event notifications: POST /payments/:provider/webhook
+router.post('/:provider/webhook', async (req, res) => {
+    const provider = paymentService.getProviderForBooking(req.params.provider);
+    if (!provider) {
+        return res.status(404).send('Unknown payment provider');
+    }
+
+    let event = null;
+    try {
+        event = await provider.parseWebhook(req);
+    } catch (error) {
+        // e.g. the provider's API couldn't be reached to re-verify the charge; a 500 makes it retry
+        logger.error(`[Payments Webhook] Could not read ${provider.displayName} event: ${error.message}`, { error });
+        return res.sendStatus(500);
+    }
+    if (!event) {
+        logger.warn(`[Payments Webhook] Rejected ${provider.displayName} event with missing or invalid signature.`, { ip: req.ip });
+        return res.status(401).send('Invalid signature');
+    }
+    logger.info(`[Payments Webhook] Received ${provider.displayName} event "${event.event}" for reference ${event.reference}.`);
+
+    try {
+        await applyEvent(provider, event);
+        res.sendStatus(200);
+    } catch (error) {
+        // A non-2xx response makes the provider retry, which is safe because the handlers are idempotent
+        logger.error(`[Payments Webhook] Error processing ${provider.displayName} event "${event.event}" for ${event.reference}: ${error.message}`, { error });
+        res.sendStatus(500);
+    }
+});
+
+// The provider redirects the customer's browser here after checkout: GET /payments/:provider/callback
+router.get('/:provider/callback', (req, res) => {
+    logger.info(`[Payments] Customer redirected back from ${req.params.provider} checkout for reference ${req.query.reference || req.query.tx_ref}.`);
+    res.status(200).send('Thank you! Your payment is being processed. You will receive a confirmation on WhatsApp shortly.');
+});
+
+// Payment link handed out by the fake provider: GET /payments/fake/pay/:reference[?outcome=failed]
+router.get('/fake/pay/:reference', async (req, res) => {
+    const provider = paymentService.getProvider('fake');
+    if (!provider) {
+        return res.status(404).send('Test payments are not enabled');
+    }
+    const event = provider.settle(req.params.reference, req.query.outcome);
+    if (!event) {
+        return res.status(404).send('No pending test payment under this reference');
+    }
+    try {
+        await applyEvent(provider, event);
+        res.status(200).send(event.type === 'payment.succeeded'
+            ? 'Test payment completed. You will receive a confirmation on WhatsApp shortly.'
+            : 'Test payment declined.');
+    } catch (error) {
+        logger.error(`[Payments] Error applying test payment for ${req.params.reference}: ${error.message}`, { error });
+        res.sendStatus(500);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// routes/paystackRoutes.js
+const express = require('express');
+const router = express.Router();
+const paymentRoutes = require('./paymentRoutes');
+
+// The webhook and callback URLs already registered with Paystack. They are handled exactly like
+// /payments/paystack/webhook and /payments/paystack/callback, which new setups should use.
+router.post('/', (req, res, next) => {
+    req.url = req.url.replace(/^\//, '/paystack/webhook'); // Keeps the query string
+    paymentRoutes(req, res, next);
+});
+
+router.get('/', (req, res, next) => {
+    req.url = req.url.replace(/^\//, '/paystack/callback');
+    paymentRoutes(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+// routes/supportRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const logger = require('../utils/logger');
+const config = require('../config');
+const apiKeyAuth = require('../middlewares/apiKeyAuth');
+const supportService = require('../services/supportService');
+
+router.use(apiKeyAuth(config.support.apiKey, 'support'));
+
+// Loads the ticket named in the URL into req.ticket, or responds with 404
+const loadTicket = async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Ticket not found' });
+    }
+    try {
+        const ticket = await supportService.getTicket(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+        req.ticket = ticket;
+        next();
+    } catch (error) {
+        logger.error(`[Support API] Error loading ticket ${req.params.id}: ${error.message}`, { error });
+        res.status(500).json({ error: 'Could not load the ticket' });
+    }
+};
+
+// Agent inbox: GET /support/tickets?status=open|closed
+router.get('/tickets', async (req, res) => {
+    const status = req.query.status || 'open';
+    if (!['open', 'closed'].includes(status)) {
+        return res.status(400).json({ error: "status must be 'open' or 'closed'" });
+    }
+    try {
+        const tickets = await supportService.listTickets(status);
+        res.status(200).json({ tickets });
+    } catch (error) {
+        logger.error(`[Support API] Error listing tickets: ${error.message}`, { error });
+        res.status(500).json({ error: 'Could not list tickets' });
+    }
+});
+
+router.get('/tickets/:id', loadTicket, (req, res) => {
+    res.status(200).json({ ticket: req.ticket });
+});
+
+// Reply to the traveller: POST /support/tickets/:id/messages { agentName, text }
+router.post('/tickets/:id/messages', loadTicket, async (req, res) => {
+    const { agentName, text } = req.body || {};
+    if (!agentName || !text || !String(text).trim()) {
+        return res.status(400).json({ error: 'agentName and text are required' });
+    }
+    if (req.ticket.status !== 'open') {
+        return res.status(409).json({ error: 'Ticket is closed' });
+    }
+    try {
+        const ticket = await supportService.replyAsAgent(req.ticket, String(agentName).trim(), String(text).trim());
+        res.status(200).json({ ticket });
+    } catch (error) {
+        logger.error(`[Support API] Error sending reply on ticket ${req.ticket._id}: ${error.message}`, { error });
+        res.status(502).json({ error: 'Could not deliver the reply to the traveller' });
+    }
+});
+
+// Hand the conversation back to the bot: POST /support/tickets/:id/close { agentName }
+router.post('/tickets/:id/close', loadTicket, async (req, res) => {
+    if (req.ticket.status !== 'open') {
+        return res.status(409).json({ error: 'Ticket is already closed' });
+    }
+    try {
+        const { agentName } = req.body || {};
+        const ticket = await supportService.closeTicket(req.ticket, { closedBy: agentName || null });
+        res.status(200).json({ ticket });
+    } catch (error) {
+        logger.error(`[Support API] Error closing ticket ${req.ticket._id}: ${error.message}`, { error });
+        res.status(500).json({ error: 'Could not close the ticket' });
+    }
+});
+
+module.exports = router;
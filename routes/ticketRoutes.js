@@ -0,0 +1,36 @@
+// routes/ticketRoutes.js
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const ticketService = require('../services/ticketService');
+const bookingService = require('../services/bookingService');
+
+// Serves the e-ticket PDF behind a signed, expiring link (fetched by Twilio when sending the media message)
+router.get('/:token.pdf', async (req, res) => {
+    try {
+        const payload = ticketService.verifyToken(req.params.token);
+        if (!payload || payload.typ !== 'download') {
+            logger.warn('[Ticket] Rejected ticket download with invalid or expired link.', { ip: req.ip });
+            return res.status(410).send('This ticket link is invalid or has expired. Type "ticket" in WhatsApp to get a new one.');
+        }
+
+        const booking = await bookingService.findByReference(payload.ref);
+        if (!booking || booking.paymentStatus !== 'paid' || !booking.departure) {
+            return res.status(404).send('Ticket not found.');
+        }
+
+        const pdf = await ticketService.renderTicketPdf(booking, payload.lang);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${booking.bookingReference}.pdf"`,
+            'Cache-Control': 'private, no-store'
+        });
+        res.status(200).send(pdf);
+        logger.info(`[Ticket] Served e-ticket PDF for ${booking.bookingReference}.`);
+    } catch (error) {
+        logger.error(`[Ticket] Error serving ticket: ${error.message}`, { error });
+        res.status(500).send('Could not generate the ticket.');
+    }
+});
+
+module.exports = router;
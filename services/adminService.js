@@ -0,0 +1,303 @@
+// services/adminService.js
+const Route = require('../models/Route');
+const Vehicle = require('../models/Vehicle');
+const Departure = require('../models/Departure');
+const Booking = require('../models/Booking');
+const logger = require('../utils/logger');
+const notificationService = require('./notificationService');
+const { ConflictError, InvalidInputError } = require('../utils/errors');
+const { getSeatLayout } = require('../utils/seatMap');
+
+// Fields operations staff may set through the admin API
+const ROUTE_FIELDS = ['origin', 'destination', 'distanceKm', 'basePrice', 'minFare', 'maxFare', 'duration', 'isActive'];
+const VEHICLE_FIELDS = ['name', 'type', 'capacity', 'seatLayout', 'features', 'priceModifier', 'isActive'];
+
+/**
+ * Copies only the allowed keys from a request body.
+ * @param {object} body - The request body.
+ * @param {Array<string>} fields - Allowed field names.
+ * @returns {object} The filtered updates.
+ */
+const pick = (body, fields) => {
+    const result = {};
+    for (const field of fields) {
+        if (body && body[field] !== undefined) {
+            result[field] = body[field];
+        }
+    }
+    return result;
+};
+
+/**
+ * Parses and checks a departure time from the request.
+ * @param {string} value - ISO 8601 date-time.
+ * @returns {Date} The parsed date.
+ */
+const parseDepartureTime = (value) => {
+    const departureTime = new Date(value);
+    if (!value || isNaN(departureTime.getTime())) {
+        throw new InvalidInputError('departureTime must be a valid ISO 8601 date-time');
+    }
+    if (departureTime.getTime() <= Date.now()) {
+        throw new InvalidInputError('departureTime must be in the future');
+    }
+    return departureTime;
+};
+/**
+ * Sends disruption notices for a departure without failing the admin change.
+ * Notices that can't be sent now are picked up by the notification scheduler.
+ * @param {object} departure - The cancelled or rescheduled departure.
+ * @returns {Promise<number>} Number of travellers notified.
+ */
+const notifyDisruption = async (departure) => {
+    try {
+        return await notificationService.sendDisruptionNotices(departure);
+    } catch (error) {
+        logger.error(`[Admin] Could not send disruption notices for departure ${departure._id}: ${error.message}`, { error });
+        return 0;
+    }
+};
+
+const adminService = {
+    // --- Routes ---
+
+    /**
+     * Lists routes alphabetically.
+     * @param {object} [filter] - Mongo filter, e.g. { isActive: true }.
+     * @returns {Promise<Array<object>>} The routes.
+     */
+    listRoutes: async (filter = {}) => {
+        return Route.find(filter).sort({ origin: 1, destination: 1 });
+    },
+
+    /**
+     * @param {string} routeId - The Route _id.
+     * @returns {Promise<object|null>} The route, or null.
+     */
+    getRoute: async (routeId) => {
+        return Route.findById(routeId);
+    },
+
+    /**
+     * Creates a route after validating it against the Route schema.
+     * @param {object} body - Route fields.
+     * @returns {Promise<object>} The new route.
+     */
+    createRoute: async (body) => {
+        const route = new Route(pick(body, ROUTE_FIELDS));
+        await route.save(); // Runs the schema validators
+        logger.info(`[Admin] Route ${route.origin} -> ${route.destination} created (${route._id}).`);
+        return route;
+    },
+
+    /**
+     * Updates a route, e.g. its basePrice or isActive flag.
+     * @param {string} routeId - The Route _id.
+     * @param {object} body - Fields to change.
+     * @returns {Promise<object|null>} The updated route, or null if not found.
+     */
+    updateRoute: async (routeId, body) => {
+        const route = await Route.findById(routeId);
+        if (!route) {
+            return null;
+        }
+        route.set(pick(body, ROUTE_FIELDS));
+        await route.save();
+        logger.info(`[Admin] Route ${route._id} updated.`, { updates: pick(body, ROUTE_FIELDS) });
+        return route;
+    },
+
+    /**
+     * Deletes a route that has never had departures.
+     * @param {string} routeId - The Route _id.
+     * @returns {Promise<object|null>} The deleted route, or null if not found.
+     */
+    deleteRoute: async (routeId) => {
+        const inUse = await Departure.exists({ route: routeId });
+        if (inUse) {
+            throw new ConflictError('Route has departures. Deactivate it instead (isActive: false).');
+        }
+        const route = await Route.findByIdAndDelete(routeId);
+        if (route) {
+            logger.info(`[Admin] Route ${route._id} deleted.`);
+        }
+        return route;
+    },
+
+    // --- Vehicles ---
+
+    /**
+     * Lists vehicles alphabetically.
+     * @param {object} [filter] - Mongo filter, e.g. { isActive: true }.
+     * @returns {Promise<Array<object>>} The vehicles.
+     */
+    listVehicles: async (filter = {}) => {
+        return Vehicle.find(filter).sort({ name: 1 });
+    },
+
+    /**
+     * @param {string} vehicleId - The Vehicle _id.
+     * @returns {Promise<object|null>} The vehicle, or null.
+     */
+    getVehicle: async (vehicleId) => {
+        return Vehicle.findById(vehicleId);
+    },
+
+    /**
+     * Creates a vehicle after validating it against the Vehicle schema.
+     * @param {object} body - Vehicle fields.
+     * @returns {Promise<object>} The new vehicle.
+     */
+    createVehicle: async (body) => {
+        const vehicle = new Vehicle(pick(body, VEHICLE_FIELDS));
+        await vehicle.save();
+        logger.info(`[Admin] Vehicle "${vehicle.name}" created (${vehicle._id}).`);
+        return vehicle;
+    },
+
+    /**
+     * Updates a vehicle, e.g. its priceModifier or isActive flag.
+     * @param {string} vehicleId - The Vehicle _id.
+     * @param {object} body - Fields to change.
+     * @returns {Promise<object|null>} The updated vehicle, or null if not found.
+     */
+    updateVehicle: async (vehicleId, body) => {
+        const vehicle = await Vehicle.findById(vehicleId);
+        if (!vehicle) {
+            return null;
+        }
+        vehicle.set(pick(body, VEHICLE_FIELDS));
+        await vehicle.save();
+        logger.info(`[Admin] Vehicle ${vehicle._id} updated.`, { updates: pick(body, VEHICLE_FIELDS) });
+        return vehicle;
+    },
+
+    /**
+     * Deletes a vehicle that has never been assigned to a departure.
+     * @param {string} vehicleId - The Vehicle _id.
+     * @returns {Promise<object|null>} The deleted vehicle, or null if not found.
+     */
+    deleteVehicle: async (vehicleId) => {
+        const inUse = await Departure.exists({ vehicle: vehicleId });
+        if (inUse) {
+            throw new ConflictError('Vehicle has departures. Deactivate it instead (isActive: false).');
+        }
+        const vehicle = await Vehicle.findByIdAndDelete(vehicleId);
+        if (vehicle) {
+            logger.info(`[Admin] Vehicle ${vehicle._id} deleted.`);
+        }
+        return vehicle;
+    },
+
+    // --- Departures ---
+
+    /**
+     * Lists departures, soonest first.
+     * @param {object} query - Optional routeId, status, from and to (ISO dates).
+     * @returns {Promise<Array<object>>} Departures with route and vehicle populated.
+     */
+    listDepartures: async ({ routeId, status, from, to } = {}) => {
+        const filter = {};
+        if (routeId) filter.route = routeId;
+        if (status) filter.status = status;
+        if (from || to) {
+            filter.departureTime = {};
+            if (from) filter.departureTime.$gte = new Date(from);
+            if (to) filter.departureTime.$lt = new Date(to);
+        }
+        return Departure.find(filter).sort('departureTime').limit(500).populate('route').populate('vehicle');
+    },
+
+    /**
+     * @param {string} departureId - The Departure _id.
+     * @returns {Promise<object|null>} The departure with route and vehicle populated, or null.
+     */
+    getDeparture: async (departureId) => {
+        return Departure.findById(departureId).populate('route').populate('vehicle');
+    },
+
+    /**
+     * Schedules a departure. Its base fare is Route.basePrice * Vehicle.priceModifier (pricing rules are
+     * applied on top when it is shown) and all of the vehicle's seats start out available.
+     * @param {object} body - routeId, vehicleId and departureTime.
+     * @returns {Promise<object>} The new departure.
+     */
+    createDeparture: async (body) => {
+        const { routeId, vehicleId } = body || {};
+        const departureTime = parseDepartureTime(body && body.departureTime);
+
+        const route = await Route.findById(routeId);
+        if (!route || !route.isActive) {
+            throw new InvalidInputError('routeId must reference an active route');
+        }
+        const vehicle = await Vehicle.findById(vehicleId);
+        if (!vehicle || !vehicle.isActive) {
+            throw new InvalidInputError('vehicleId must reference an active vehicle');
+        }
+
+        const departure = new Departure({
+            route: route._id,
+            vehicle: vehicle._id,
+            departureTime,
+            availableSeats: vehicle.capacity,
+            seatLayout: getSeatLayout(vehicle),
+            fare: Departure.calculateFare(route, vehicle)
+        });
+        await departure.save();
+        logger.info(`[Admin] Departure ${departure._id} scheduled: ${route.origin} -> ${route.destination} at ${departureTime.toISOString()} with ${vehicle.name}. Fare: NGN${departure.fare}.`);
+        return departure;
+    },
+
+    /**
+     * Moves a scheduled departure to a new time and tells its paid travellers.
+     * @param {string} departureId - The Departure _id.
+     * @param {string} newTime - ISO 8601 date-time.
+     * @returns {Promise<{departure: object, previousTime: Date, notifiedBookings: number}|null>} The updated departure, its old time and how many travellers were notified, or null if not found.
+     */
+    rescheduleDeparture: async (departureId, newTime) => {
+        const departureTime = parseDepartureTime(newTime);
+        const departure = await Departure.findById(departureId);
+        if (!departure) {
+            return null;
+        }
+        if (departure.status !== 'scheduled') {
+            throw new ConflictError(`Only scheduled departures can be rescheduled (status: ${departure.status}).`);
+        }
+
+        const previousTime = departure.departureTime;
+        departure.departureTime = departureTime;
+        departure.rescheduledFrom = previousTime;
+        await departure.save();
+        logger.info(`[Admin] Departure ${departure._id} rescheduled from ${previousTime.toISOString()} to ${departureTime.toISOString()}.`);
+        const notifiedBookings = await notifyDisruption(departure);
+        return { departure, previousTime, notifiedBookings };
+    },
+
+    /**
+     * Cancels a scheduled departure so it no longer shows up for booking.
+     * @param {string} departureId - The Departure _id.
+     * Paid travellers are told straight away and offered a refund or another departure.
+     * @returns {Promise<{departure: object, affectedBookings: number, notifiedBookings: number}|null>} The cancelled departure, the number of active bookings on it and how many travellers were notified, or null if not found.
+     */
+    cancelDeparture: async (departureId) => {
+        const departure = await Departure.findOneAndUpdate(
+            { _id: departureId, status: 'scheduled' },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        );
+        if (!departure) {
+            const existing = await Departure.findById(departureId);
+            if (!existing) {
+                return null;
+            }
+            throw new ConflictError(`Only scheduled departures can be cancelled (status: ${existing.status}).`);
+        }
+
+        const affectedBookings = await Booking.countDocuments({ departure: departure._id, status: { $in: ['pending', 'confirmed'] } });
+        logger.info(`[Admin] Departure ${departure._id} cancelled. ${affectedBookings} active booking(s) affected.`);
+        const notifiedBookings = await notifyDisruption(departure);
+        return { departure, affectedBookings, notifiedBookings };
+    }
+};
+
+module.exports = adminService;
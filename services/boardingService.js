@@ -0,0 +1,145 @@
+// services/boardingService.js
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const config = require('../config');
+const logger = require('../utils/logger');
+const bookingService = require('./bookingService');
+const ticketService = require('./ticketService');
+const { startOfZonedDay } = require('../utils/timezone');
+const { ConflictError } = require('../utils/errors');
+const { BOOKING_REFERENCE_PATTERN } = require('../utils/bookingReference');
+
+/**
+ * Finds the booking for a typed booking reference or a scanned QR token.
+ * @param {string} code - 'BOOK-XXXXXXXX' or the QR token.
+ * @returns {Promise<{booking: object|null, method: string|null}>} The booking (with departure populated) and how it was identified.
+ */
+const resolveBooking = async (code) => {
+    const input = (code || '').trim();
+    if (BOOKING_REFERENCE_PATTERN.test(input)) {
+        return { booking: await bookingService.findByReference(input), method: 'reference' };
+    }
+
+    const payload = ticketService.verifyToken(input);
+    if (!payload || payload.typ !== 'boarding') {
+        return { booking: null, method: null };
+    }
+    const booking = await bookingService.findByReference(payload.ref);
+    if (booking && booking._id.toString() !== payload.bid) {
+        return { booking: null, method: null };
+    }
+    return { booking, method: 'qr' };
+};
+
+const boardingService = {
+    /**
+     * Whether a WhatsApp number belongs to station staff allowed to board passengers from chat.
+     * @param {string} waId - The sender's WhatsApp ID.
+     * @returns {boolean}
+     */
+    isStaff: (waId) => config.boarding.staffNumbers.includes(waId),
+
+    /**
+     * Checks a ticket without recording anything.
+     * A ticket is valid if the booking is paid and confirmed, its departure is today
+     * (Africa/Lagos) and still running, and nobody has boarded on it yet.
+     * @param {string} code - Booking reference or QR token.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @returns {Promise<{valid: boolean, reason?: string, booking?: object, method?: string}>}
+     */
+    validateTicket: async (code, now = new Date()) => {
+        const { booking, method } = await resolveBooking(code);
+        if (!booking) {
+            return { valid: false, reason: 'Ticket not recognised.' };
+        }
+        if (booking.paymentStatus !== 'paid') {
+            return { valid: false, reason: `Booking is not paid (payment status: ${booking.paymentStatus}).`, booking, method };
+        }
+        if (booking.boarding && booking.boarding.boardedAt) {
+            return { valid: false, reason: `Already boarded at ${new Date(booking.boarding.boardedAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone: 'Africa/Lagos' })}.`, booking, method };
+        }
+        if (booking.status !== 'confirmed') {
+            return { valid: false, reason: `Booking is ${booking.status}.`, booking, method };
+        }
+
+        const departure = booking.departure;
+        if (!departure || !['scheduled', 'departed'].includes(departure.status)) {
+            return { valid: false, reason: `Departure is ${departure ? departure.status : 'missing'}.`, booking, method };
+        }
+        const startOfToday = startOfZonedDay(now);
+        const startOfTomorrow = new Date(startOfToday.getTime() + 24 * 60 * 60 * 1000);
+        const departureTime = new Date(departure.departureTime);
+        if (departureTime < startOfToday || departureTime >= startOfTomorrow) {
+            return { valid: false, reason: 'Ticket is not for a departure today.', booking, method };
+        }
+
+        return { valid: true, booking, method };
+    },
+
+    /**
+     * Validates a ticket and records the boarding on the booking.
+     * The write is conditional, so scanning the same ticket twice only boards once.
+     * @param {string} code - Booking reference or QR token.
+     * @param {string} staff - Who checked the ticket.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @returns {Promise<{valid: boolean, reason?: string, booking?: object}>}
+     */
+    boardPassenger: async (code, staff, now = new Date()) => {
+        const result = await boardingService.validateTicket(code, now);
+        if (!result.valid) {
+            logger.info(`[Boarding] Ticket rejected by ${staff}: ${result.reason}`);
+            return result;
+        }
+
+        const boarded = await Booking.findOneAndUpdate(
+            { _id: result.booking._id, status: 'confirmed', paymentStatus: 'paid', 'boarding.boardedAt': null },
+            {
+                $set: { 'boarding.boardedAt': now, 'boarding.boardedBy': staff, 'boarding.method': result.method },
+                $push: { history: { action: 'boarded', note: `Checked in by ${staff} using ${result.method === 'qr' ? 'QR code' : 'booking reference'}`, at: now } }
+            },
+            { new: true }
+        );
+        if (!boarded) {
+            return { valid: false, reason: 'Already boarded.', booking: result.booking };
+        }
+
+        logger.info(`[Boarding] ${boarded.bookingReference} (${boarded.passengers} passenger(s)) boarded, checked by ${staff}.`);
+        return { valid: true, booking: await bookingService.findById(boarded._id) };
+    },
+
+    /**
+     * Marks a departure as completed and moves every booking that boarded it to 'completed'.
+     * Paid bookings that never boarded stay 'confirmed' so staff can follow up on no-shows.
+     * @param {string} departureId - The Departure _id.
+     * @returns {Promise<{departure: object, completedBookings: number}|null>} The result, or null if not found.
+     */
+    completeDeparture: async (departureId) => {
+        const departure = await Departure.findOneAndUpdate(
+            { _id: departureId, status: { $in: ['scheduled', 'departed'] } },
+            { $set: { status: 'completed' } },
+            { new: true }
+        );
+        if (!departure) {
+            const existing = await Departure.findById(departureId);
+            if (!existing) {
+                return null;
+            }
+            if (existing.status === 'cancelled') {
+                throw new ConflictError('A cancelled departure cannot be completed');
+            }
+            return { departure: existing, completedBookings: 0 }; // Already completed
+        }
+
+        const result = await Booking.updateMany(
+            { departure: departure._id, status: 'confirmed', 'boarding.boardedAt': { $ne: null } },
+            {
+                $set: { status: 'completed' },
+                $push: { history: { action: 'completed', note: 'Departure completed', at: Date.now() } }
+            }
+        );
+        logger.info(`[Boarding] Departure ${departure._id} completed. ${result.modifiedCount} boarded booking(s) marked as completed.`);
+        return { departure, completedBookings: result.modifiedCount };
+    }
+};
+
+module.exports = boardingService;
@@ -0,0 +1,779 @@
+// services/bookingService.js
+const Booking = require('../models/Booking');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { t, formatDate, formatTime } = require('../utils/i18n');
+const sessionService = require('./sessionService');
+const channelService = require('./channelService');
+const seatHoldService = require('./seatHoldService');
+const paymentService = require('./paymentService');
+const promoService = require('./promoService');
+const waitlistService = require('./waitlistService');
+const ticketService = require('./ticketService');
+
+// How confirmations show the travel day, e.g. "Fri, Jul 18, 2025"
+const DATE_FORMAT = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+
+/**
+ * Builds the WhatsApp confirmation text for a paid booking.
+ * @param {object} booking - Booking with departure, route and vehicle populated.
+ * @param {string} lang - The traveller's language code.
+ * @returns {string} The message body.
+ */
+const buildConfirmationMessage = (booking, lang) => {
+    const departure = booking.departure;
+    const lines = [
+        t(lang, 'details.reference', { value: booking.bookingReference }),
+        t(lang, 'details.from', { value: departure.route.origin }),
+        t(lang, 'details.to', { value: departure.route.destination }),
+        t(lang, 'details.date', { value: formatDate(lang, departure.departureTime, DATE_FORMAT) }),
+        t(lang, 'details.time', { value: formatTime(lang, departure.departureTime) }),
+        t(lang, 'details.vehicle', { value: departure.vehicle.name }),
+        t(lang, 'details.passengers', { value: booking.passengers })
+    ];
+    if (booking.seatNumbers && booking.seatNumbers.length > 0) {
+        lines.push(t(lang, 'details.seats', { value: booking.seatNumbers.join(', ') }));
+    }
+    lines.push(t(lang, 'details.amountPaid', { value: booking.totalAmount.toLocaleString() }));
+    return `${t(lang, 'notice.bookingConfirmed')}\n\n${lines.join('\n')}\n\n${t(lang, 'notice.bookingConfirmedFooter')}`;
+};
+
+/**
+ * Appends an entry to a booking's history.
+ * @param {object} bookingId - The Booking _id.
+ * @param {string} action - Short machine-readable action name, e.g. 'refund_requested'.
+ * @param {string} [note] - Human-readable details.
+ * @returns {Promise<void>}
+ */
+const recordHistory = async (bookingId, action, note = null) => {
+    await Booking.updateOne({ _id: bookingId }, { $push: { history: { action, note, at: Date.now() } } });
+};
+
+/**
+ * Takes a late-paid booking's seats again after its hold lapsed. If someone else has since been given
+ * the seats it picked, any free seats will do: the traveller has paid, so a seat matters more than which one.
+ * @param {object} booking - The booking, as it was before the payment was recorded.
+ * @returns {Promise<Array<string>|null>} The seat numbers now held (empty if none were picked), or null if the departure is full.
+ */
+const reholdSeats = async (booking) => {
+    const seatNumbers = booking.seatNumbers || [];
+    if (await seatHoldService.holdSeats(booking.departure, booking.passengers, seatNumbers)) {
+        return seatNumbers;
+    }
+    if (seatNumbers.length === 0 || !await seatHoldService.holdSeats(booking.departure, booking.passengers)) {
+        return null;
+    }
+    await Booking.updateOne({ _id: booking._id }, {
+        $set: { seatNumbers: [] },
+        $push: { history: { action: 'seats_reassigned', note: `Seats ${seatNumbers.join(', ')} were taken while the hold was lapsed. Seats to be assigned at the park.`, at: Date.now() } }
+    });
+    logger.warn(`[Booking] Seats ${seatNumbers.join(', ')} of late-paid booking ${booking.bookingReference} were taken. Held unassigned seats instead.`);
+    return [];
+};
+
+/**
+ * Builds the WhatsApp confirmation text for a paid trip with several legs.
+ * @param {string} tripReference - The reference the trip was paid under.
+ * @param {Array<object>} legs - The trip's bookings in leg order, with departure, route and vehicle populated.
+ * @param {string} lang - The traveller's language code.
+ * @returns {string} The message body.
+ */
+const buildTripConfirmationMessage = (tripReference, legs, lang) => {
+    const legLines = legs.map(booking => {
+        const departure = booking.departure;
+        const seats = booking.seatNumbers && booking.seatNumbers.length > 0
+            ? t(lang, 'notice.tripLegSeats', { seats: booking.seatNumbers.join(', ') })
+            : '';
+        return t(lang, 'notice.tripLeg', {
+            number: booking.leg,
+            origin: departure.route.origin,
+            destination: departure.route.destination,
+            reference: booking.bookingReference,
+            date: formatDate(lang, departure.departureTime, DATE_FORMAT),
+            time: formatTime(lang, departure.departureTime),
+            vehicle: departure.vehicle.name
+        }) + seats;
+    });
+    const totals = [
+        t(lang, 'details.passengers', { value: legs[0].passengers }),
+        t(lang, 'details.amountPaid', { value: legs.reduce((sum, booking) => sum + booking.totalAmount, 0).toLocaleString() })
+    ];
+    return `${t(lang, 'notice.tripConfirmed', { reference: tripReference })}\n\n${legLines.join('\n\n')}\n\n${totals.join('\n')}\n\n${t(lang, 'notice.tripConfirmedFooter')}`;
+};
+
+/**
+ * The reference a booking was paid under: its trip's reference if it is one leg of a trip, otherwise its own.
+ * Refunds have to be requested against this reference.
+ * @param {object} booking - The booking.
+ * @returns {string} The payment provider's transaction reference.
+ */
+const paymentReferenceOf = (booking) => booking.tripReference || booking.bookingReference;
+
+/**
+ * Display name of the provider a booking is paid through, for history notes.
+ * @param {object} booking - The booking.
+ * @returns {string}
+ */
+const providerNameOf = (booking) => {
+    const provider = paymentService.getProviderForBooking(booking.paymentProvider);
+    return provider ? provider.displayName : booking.paymentProvider;
+};
+
+/**
+ * Asks the provider the booking was paid through for a refund and records the request.
+ * Refunds the provider completes on the spot are marked as processed straight away;
+ * the others are settled by the provider's refund webhook.
+ * The booking's cancellation.refundAmount and refundStatus must already be set.
+ * @param {object} booking - The booking being refunded.
+ * @param {number} amount - Amount to refund, in NGN.
+ * @throws {Error} If the provider refused the refund.
+ */
+const requestRefund = async (booking, amount) => {
+    const reference = paymentReferenceOf(booking);
+    const result = await paymentService.refund(booking.paymentProvider, reference, Math.round(amount * 100));
+    await recordHistory(booking._id, 'refund_requested', `NGN${amount.toLocaleString()} refund requested from ${providerNameOf(booking)}`);
+    if (result.processed) {
+        await bookingService.completeRefund(reference, Math.round(amount * 100));
+    }
+};
+
+/**
+ * Offers seats that just came free to the departure's waitlist. Failures are only logged,
+ * since the waitlist sweeper picks the seats up on its next run anyway.
+ * @param {string|object} departureId - The Departure _id.
+ */
+const offerToWaitlist = async (departureId) => {
+    try {
+        await waitlistService.offerFreedSeats(departureId);
+    } catch (error) {
+        logger.error(`[Booking] Could not offer freed seats on departure ${departureId} to the waitlist: ${error.message}`, { error });
+    }
+};
+
+/**
+ * Cancels every leg of an unpaid trip together, since one payment covers them all, and gives back the seats they hold.
+ * The legs are cancelled with one conditional update, so a leg paid, failed or cancelled in the meantime is left alone.
+ * @param {object} booking - The leg the traveller asked to cancel.
+ * @param {object} quote - Its cancellation quote; nothing is refunded on an unpaid trip.
+ * @param {string} reason - Why the trip was cancelled.
+ * @returns {Promise<{booking: object|null, quote: object, refundRequested: boolean}>}
+ */
+const cancelUnpaidTrip = async (booking, quote, reason) => {
+    const { tripReference } = booking;
+    const cancellable = { tripReference, status: { $in: ['pending', 'confirmed'] }, paymentStatus: { $ne: 'paid' } };
+    const legs = await Booking.find(cancellable);
+    const cancelledAt = new Date();
+
+    const result = await Booking.updateMany(
+        { ...cancellable, _id: { $in: legs.map(leg => leg._id) } },
+        {
+            $set: {
+                status: 'cancelled',
+                holdExpiresAt: null,
+                'cancellation.cancelledAt': cancelledAt,
+                'cancellation.reason': reason,
+                'cancellation.refundPercent': 0,
+                'cancellation.refundAmount': 0,
+                'cancellation.refundStatus': 'not_applicable'
+            },
+            $push: { history: { action: 'cancelled', note: `${reason}. Unpaid trip ${tripReference} cancelled as a whole. Refund: none due`, at: cancelledAt } }
+        }
+    );
+    if (result.modifiedCount === 0) {
+        return { booking, quote: { allowed: false, reason: 'alreadyCancelled' }, refundRequested: false };
+    }
+
+    // Only give back seats of the legs this update cancelled, as they were just before it
+    const cancelledIds = new Set((await Booking.find({ tripReference, status: 'cancelled', 'cancellation.cancelledAt': cancelledAt }, '_id'))
+        .map(leg => leg._id.toString()));
+    const cancelled = legs.filter(leg => cancelledIds.has(leg._id.toString()));
+    logger.info(`[Booking] Unpaid trip ${tripReference} cancelled (${cancelled.length} leg(s)).`);
+
+    for (const leg of cancelled.filter(leg => leg.holdExpiresAt)) {
+        await seatHoldService.releaseSeats(leg.departure, leg.passengers, leg.seatNumbers);
+        await recordHistory(leg._id, 'seats_released', `${leg.passengers} seat(s) returned to the departure`);
+    }
+    for (const leg of cancelled.filter(leg => leg.holdExpiresAt)) {
+        await offerToWaitlist(leg.departure);
+    }
+
+    const promoCode = cancelled.map(leg => leg.promoCode).find(Boolean);
+    if (promoCode) {
+        await promoService.release(promoCode, tripReference);
+    }
+
+    return { booking: await bookingService.findById(booking._id), quote, refundRequested: false };
+};
+
+/**
+ * Query matching the booking, or every leg of the trip, paid under a payment reference.
+ * @param {string} reference - A booking or trip reference.
+ * @returns {object} A Booking filter.
+ */
+const paymentFilter = (reference) => ({ $or: [{ bookingReference: reference }, { tripReference: reference }] });
+
+// Populate spec used whenever a booking is shown to a traveller
+const DEPARTURE_DETAILS = { path: 'departure', populate: [{ path: 'route' }, { path: 'vehicle' }] };
+
+const bookingService = {
+    /**
+     * Lists a traveller's bookings, split into upcoming trips and recent history.
+     * @param {string} userId - The traveller's WhatsApp ID.
+     * @param {number} [recentLimit=5] - Maximum number of past/inactive bookings to return.
+     * @returns {Promise<{upcoming: Array<object>, recent: Array<object>}>} Bookings with departure, route and vehicle populated.
+     */
+    getUserBookings: async (userId, recentLimit = 5) => {
+        const bookings = await Booking.find({ userId })
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .populate(DEPARTURE_DETAILS);
+
+        const now = Date.now();
+        const upcoming = [];
+        const recent = [];
+        for (const booking of bookings) {
+            const isActive = ['pending', 'confirmed'].includes(booking.status);
+            if (isActive && booking.departure && new Date(booking.departure.departureTime).getTime() >= now) {
+                upcoming.push(booking);
+            } else if (recent.length < recentLimit) {
+                recent.push(booking);
+            }
+        }
+        upcoming.sort((a, b) => new Date(a.departure.departureTime) - new Date(b.departure.departureTime));
+
+        logger.debug(`[Booking] Found ${upcoming.length} upcoming and ${recent.length} recent bookings for ${userId}.`);
+        return { upcoming, recent };
+    },
+
+    /**
+     * Finds a booking by its reference (e.g. BOOK-1A2B3C4D), case-insensitively.
+     * @param {string} reference - The booking reference.
+     * @returns {Promise<object|null>} The booking with departure, route and vehicle populated, or null.
+     */
+    findByReference: async (reference) => {
+        return Booking.findOne({ bookingReference: reference.trim().toUpperCase() }).populate(DEPARTURE_DETAILS);
+    },
+
+    /**
+     * Finds a booking by its _id.
+     * @param {string} bookingId - The Booking _id.
+     * @returns {Promise<object|null>} The booking with departure, route and vehicle populated, or null.
+     */
+    findById: async (bookingId) => {
+        return Booking.findById(bookingId).populate(DEPARTURE_DETAILS);
+    },
+
+    /**
+     * Marks a booking as paid after a successful charge.
+     * Seats are normally already held from checkout; they are only reserved again
+     * if the hold expired before the payment arrived.
+     * Safe to call more than once for the same reference: only the first call
+     * (the one that flips paymentStatus from 'pending') has any effect.
+     * Trip references are handed to confirmTripPayment.
+     * @param {string} reference - The booking or trip reference sent to the payment provider.
+     * @param {number} amountKobo - The amount the provider reports as charged, in kobo.
+     * @param {string} [providerName] - The provider reporting the payment; ignored unless the booking is paid through it.
+     * @returns {Promise<object|Array<object>|null>} The updated booking (or trip legs), or null if nothing was changed.
+     */
+    confirmPayment: async (reference, amountKobo, providerName) => {
+        const pending = await Booking.findOne({ bookingReference: reference });
+        if (!pending) {
+            if (await Booking.exists({ tripReference: reference })) {
+                return bookingService.confirmTripPayment(reference, amountKobo, providerName);
+            }
+            logger.warn(`[Booking] Payment confirmation for unknown reference ${reference}. Ignoring.`);
+            return null;
+        }
+        if (providerName && pending.paymentProvider !== providerName) {
+            logger.warn(`[Booking] Payment confirmation for ${reference} came from ${providerName}, but it is paid through ${pending.paymentProvider}. Ignoring.`);
+            return null;
+        }
+        if (pending.paymentStatus !== 'pending') {
+            logger.info(`[Booking] Duplicate payment confirmation for ${reference} (paymentStatus: ${pending.paymentStatus}). Ignoring.`);
+            return null;
+        }
+        if (Math.round(pending.totalAmount * 100) !== amountKobo) {
+            logger.error(`[Booking] Amount mismatch for ${reference}. Expected ${pending.totalAmount * 100} kobo, received ${amountKobo}. Not confirming.`);
+            return null;
+        }
+        if (pending.status === 'cancelled') {
+            // The traveller cancelled before the payment went through, so give the money straight back
+            return bookingService.refundLatePayment(pending);
+        }
+
+        // Conditional update so concurrent deliveries of the same event only confirm once.
+        // The pre-update document tells us whether the seat hold was still in place.
+        const previous = await Booking.findOneAndUpdate(
+            { _id: pending._id, paymentStatus: 'pending', status: { $ne: 'cancelled' } },
+            {
+                $set: { paymentStatus: 'paid', status: 'confirmed', paidAt: Date.now(), holdExpiresAt: null },
+                $push: { history: { action: 'payment_confirmed', note: `${providerNameOf(pending)} payment of ${amountKobo} kobo received`, at: Date.now() } }
+            },
+            { new: false }
+        );
+        if (!previous) {
+            logger.info(`[Booking] Booking ${reference} was confirmed by a concurrent request. Ignoring.`);
+            return null;
+        }
+        let booking = await Booking.findById(previous._id);
+
+        if (previous.status === 'failed' || !previous.holdExpiresAt) {
+            // The hold expired (or the payment failed earlier) and the seats went back on sale, so take them again
+            const heldSeats = await reholdSeats(previous);
+            if (!heldSeats) {
+                // The customer has already paid, so keep the booking and flag it for manual follow-up
+                logger.error(`[Booking] Not enough seats left on departure ${booking.departure} for late-paid booking ${reference} (${booking.passengers} passengers). Manual follow-up required.`);
+            } else if (heldSeats.length !== previous.seatNumbers.length) {
+                booking = await Booking.findById(previous._id);
+            }
+        }
+
+        await sessionService.updateSessionStep(booking.userId, 'booking_complete');
+        const lang = await sessionService.getUserLanguage(booking.userId);
+
+        try {
+            await booking.populate(DEPARTURE_DETAILS);
+            await channelService.sendMessage(booking.userId, buildConfirmationMessage(booking, lang));
+        } catch (error) {
+            // The payment is already recorded, so a failed notification must not fail the webhook
+            logger.error(`[Booking] Could not send payment confirmation for ${reference}: ${error.message}`, { error });
+        }
+
+        try {
+            await ticketService.sendTicket(booking, lang);
+        } catch (error) {
+            // The traveller can ask for the ticket again from chat
+            logger.error(`[Booking] Could not send e-ticket for ${reference}: ${error.message}`, { error });
+        }
+
+        logger.info(`[Booking] Booking ${reference} marked as paid.`);
+        return booking;
+    },
+
+    /**
+     * Marks every leg of a trip as paid after one successful charge for the whole trip.
+     * Legs whose seat hold expired are held again. If that isn't possible for every leg, or the trip
+     * was cancelled before the payment arrived, no leg is kept: the whole trip is cancelled and refunded.
+     * Safe to call more than once; the delivery that claims the first leg handles the trip.
+     * @param {string} tripReference - The trip reference sent to the payment provider.
+     * @param {number} amountKobo - The amount the provider reports as charged, in kobo.
+     * @param {string} [providerName] - The provider reporting the payment; ignored unless the trip is paid through it.
+     * @returns {Promise<Array<object>|null>} The updated legs, or null if nothing was changed.
+     */
+    confirmTripPayment: async (tripReference, amountKobo, providerName) => {
+        const legs = await Booking.find({ tripReference }).sort({ leg: 1 });
+        if (legs.every(leg => leg.paymentStatus !== 'pending')) {
+            logger.info(`[Booking] Duplicate payment confirmation for trip ${tripReference}. Ignoring.`);
+            return null;
+        }
+        if (providerName && legs[0].paymentProvider !== providerName) {
+            logger.warn(`[Booking] Payment confirmation for trip ${tripReference} came from ${providerName}, but it is paid through ${legs[0].paymentProvider}. Ignoring.`);
+            return null;
+        }
+        const expectedKobo = legs.reduce((sum, leg) => sum + Math.round(leg.totalAmount * 100), 0);
+        if (expectedKobo !== amountKobo) {
+            logger.error(`[Booking] Amount mismatch for trip ${tripReference}. Expected ${expectedKobo} kobo, received ${amountKobo}. Not confirming.`);
+            return null;
+        }
+
+        // Claim the legs in order; whoever claims the first one owns the rest, so concurrent deliveries can't split the trip
+        const claimed = [];
+        for (const leg of legs) {
+            const previous = await Booking.findOneAndUpdate(
+                { _id: leg._id, paymentStatus: 'pending' },
+                {
+                    $set: { paymentStatus: 'paid', paidAt: Date.now() },
+                    $push: { history: { action: 'payment_confirmed', note: `${providerNameOf(leg)} payment of ${amountKobo} kobo for trip ${tripReference} received`, at: Date.now() } }
+                },
+                { new: false }
+            );
+            if (!previous && claimed.length === 0) {
+                logger.info(`[Booking] Trip ${tripReference} was confirmed by a concurrent request. Ignoring.`);
+                return null;
+            }
+            if (previous) {
+                claimed.push(previous);
+            }
+        }
+
+        // Legs whose hold expired (or whose payment failed earlier) have to get their seats back
+        let keepTrip = !claimed.some(previous => previous.status === 'cancelled');
+        const reheld = new Map(); // Leg _id -> seat numbers held again
+        if (keepTrip) {
+            for (const previous of claimed.filter(p => p.status === 'failed' || !p.holdExpiresAt)) {
+                const heldSeats = await reholdSeats(previous);
+                if (!heldSeats) {
+                    logger.error(`[Booking] Not enough seats left on departure ${previous.departure} for late-paid trip ${tripReference}. Refunding the whole trip.`);
+                    keepTrip = false;
+                    break;
+                }
+                reheld.set(previous._id.toString(), heldSeats);
+            }
+        }
+
+        if (!keepTrip) {
+            for (const previous of claimed) {
+                if (reheld.has(previous._id.toString())) {
+                    await seatHoldService.releaseSeats(previous.departure, previous.passengers, reheld.get(previous._id.toString()));
+                } else if (previous.status === 'pending' && previous.holdExpiresAt) {
+                    await seatHoldService.releaseSeats(previous.departure, previous.passengers, previous.seatNumbers);
+                }
+                await Booking.updateOne({ _id: previous._id }, {
+                    $set: {
+                        status: 'cancelled',
+                        holdExpiresAt: null,
+                        'cancellation.cancelledAt': previous.cancellation && previous.cancellation.cancelledAt ? previous.cancellation.cancelledAt : Date.now(),
+                        'cancellation.reason': previous.status === 'cancelled' ? previous.cancellation.reason : 'Trip could not be completed after payment',
+                        'cancellation.refundPercent': 100,
+                        'cancellation.refundAmount': previous.totalAmount,
+                        'cancellation.refundStatus': 'pending'
+                    },
+                    $push: { history: { action: 'payment_after_cancellation', note: 'Trip paid but not every leg could be kept. Full refund issued.', at: Date.now() } }
+                });
+                try {
+                    await requestRefund(previous, previous.totalAmount);
+                } catch (error) {
+                    await Booking.updateOne({ _id: previous._id }, { $set: { 'cancellation.refundStatus': 'failed' } });
+                    await recordHistory(previous._id, 'refund_failed', error.message);
+                    logger.error(`[Booking] Refund of leg ${previous.bookingReference} of trip ${tripReference} failed. Manual refund required.`, { error });
+                }
+            }
+
+            await sessionService.resetSession(claimed[0].userId);
+            try {
+                const lang = await sessionService.getUserLanguage(claimed[0].userId);
+                await channelService.sendMessage(claimed[0].userId, t(lang, 'notice.tripRefunded', { reference: tripReference }));
+            } catch (error) {
+                logger.error(`[Booking] Could not send trip refund notice for ${tripReference}: ${error.message}`, { error });
+            }
+            logger.warn(`[Booking] Trip ${tripReference} paid but cancelled and refunded in full.`);
+            return null;
+        }
+
+        await Booking.updateMany(
+            { _id: { $in: claimed.map(previous => previous._id) } },
+            { $set: { status: 'confirmed', holdExpiresAt: null } }
+        );
+        const confirmed = await Booking.find({ tripReference }).sort({ leg: 1 }).populate(DEPARTURE_DETAILS);
+
+        await sessionService.updateSessionStep(confirmed[0].userId, 'booking_complete');
+        const lang = await sessionService.getUserLanguage(confirmed[0].userId);
+
+        try {
+            await channelService.sendMessage(confirmed[0].userId, buildTripConfirmationMessage(tripReference, confirmed, lang));
+        } catch (error) {
+            // The payment is already recorded, so a failed notification must not fail the webhook
+            logger.error(`[Booking] Could not send payment confirmation for trip ${tripReference}: ${error.message}`, { error });
+        }
+
+        for (const booking of confirmed) {
+            try {
+                await ticketService.sendTicket(booking, lang);
+            } catch (error) {
+                // The traveller can ask for the ticket again from chat
+                logger.error(`[Booking] Could not send e-ticket for ${booking.bookingReference}: ${error.message}`, { error });
+            }
+        }
+
+        logger.info(`[Booking] Trip ${tripReference} (${confirmed.length} legs) marked as paid.`);
+        return confirmed;
+    },
+
+    /**
+     * Marks a pending booking as failed after an unsuccessful charge and releases its seat hold.
+     * For a trip, every leg is failed together. Bookings that are already paid or failed are left untouched.
+     * @param {string} reference - The booking or trip reference sent to the payment provider.
+     * @param {string} [reason] - The gateway's failure message, for logging and the user.
+     * @param {string} [providerName] - The provider reporting the failure; only bookings paid through it are failed.
+     * @returns {Promise<object|null>} The updated booking (the first leg for a trip), or null if nothing was changed.
+     */
+    failPayment: async (reference, reason, providerName) => {
+        const filter = { ...paymentFilter(reference), paymentStatus: 'pending', status: { $ne: 'failed' } };
+        if (providerName) {
+            filter.paymentProvider = providerName;
+        }
+        const candidates = await Booking.find(filter);
+
+        const failed = [];
+        for (const candidate of candidates) {
+            const previous = await Booking.findOneAndUpdate(
+                { _id: candidate._id, paymentStatus: 'pending', status: { $ne: 'failed' } },
+                {
+                    $set: { status: 'failed', holdExpiresAt: null },
+                    $push: { history: { action: 'payment_failed', note: reason || null, at: Date.now() } }
+                },
+                { new: false }
+            );
+            if (!previous) {
+                continue; // Settled by a concurrent request
+            }
+            if (previous.holdExpiresAt) {
+                await seatHoldService.releaseSeats(previous.departure, previous.passengers, previous.seatNumbers);
+                await offerToWaitlist(previous.departure);
+            }
+            failed.push(await Booking.findById(previous._id));
+        }
+        if (failed.length === 0) {
+            logger.info(`[Booking] Ignoring failed-payment event for ${reference}: booking not found or already settled.`);
+            return null;
+        }
+        const booking = failed[0];
+        if (booking.promoCode) {
+            await promoService.release(booking.promoCode, paymentReferenceOf(booking)); // Nothing was paid, so the code can be used again
+        }
+
+        await sessionService.resetSession(booking.userId);
+
+        try {
+            const lang = await sessionService.getUserLanguage(booking.userId);
+            await channelService.sendMessage(
+                booking.userId,
+                t(lang, 'notice.paymentFailed', { reference, reason: reason ? ` (${reason})` : '' })
+            );
+        } catch (error) {
+            logger.error(`[Booking] Could not send payment failure notice for ${reference}: ${error.message}`, { error });
+        }
+
+        logger.info(`[Booking] Booking ${reference} marked as failed (${failed.length} booking(s)). Reason: ${reason || 'n/a'}`);
+        return booking;
+    },
+
+    /**
+     * Works out whether a booking can be cancelled right now and how much would be refunded,
+     * following the configured cancellation policy. Paid trips the operator cancelled or rescheduled are refunded in full.
+     * @param {object} booking - Booking with departure populated.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @returns {{allowed: boolean, reason?: string, refundPercent?: number, refundAmount?: number, hoursUntilDeparture?: number}}
+     *          reason is a code for the traveller's message: 'alreadyCancelled', 'alreadyCompleted', 'alreadyFailed',
+     *          'notScheduled', 'tooLate' (or 'notFound' from cancelBooking).
+     */
+    getCancellationQuote: (booking, now = new Date()) => {
+        const policy = config.cancellation;
+
+        if (!['pending', 'confirmed'].includes(booking.status)) {
+            const reasons = { cancelled: 'alreadyCancelled', completed: 'alreadyCompleted', failed: 'alreadyFailed' };
+            return { allowed: false, reason: reasons[booking.status] };
+        }
+        const departure = booking.departure;
+        if (departure && booking.paymentStatus === 'paid' && new Date(departure.departureTime).getTime() > now.getTime() &&
+            (departure.status === 'cancelled' || (departure.status === 'scheduled' && departure.rescheduledFrom))) {
+            // The operator cancelled or moved the trip, so the traveller gets everything back
+            const hoursUntilDeparture = (new Date(departure.departureTime).getTime() - now.getTime()) / (60 * 60 * 1000);
+            return { allowed: true, refundPercent: 100, refundAmount: booking.totalAmount, hoursUntilDeparture };
+        }
+        if (!departure || departure.status !== 'scheduled') {
+            return { allowed: false, reason: 'notScheduled' };
+        }
+
+        const hoursUntilDeparture = (new Date(departure.departureTime).getTime() - now.getTime()) / (60 * 60 * 1000);
+        if (hoursUntilDeparture < policy.cutoffHours) {
+            return { allowed: false, reason: 'tooLate' };
+        }
+
+        if (booking.paymentStatus !== 'paid') {
+            // Nothing has been charged yet, so there is nothing to refund
+            return { allowed: true, refundPercent: 0, refundAmount: 0, hoursUntilDeparture };
+        }
+
+        const refundPercent = hoursUntilDeparture >= policy.fullRefundHours ? 100 : policy.partialRefundPercent;
+        const refundAmount = Math.floor(booking.totalAmount * refundPercent) / 100; // Rounded down to the kobo
+        return { allowed: true, refundPercent, refundAmount, hoursUntilDeparture };
+    },
+
+    /**
+     * Cancels a booking on the traveller's request: applies the cancellation policy,
+     * returns the seats to the departure and requests a refund from the payment provider where one is due.
+     * Each step is recorded in the booking's history. One payment covers every leg of a trip, so cancelling one leg
+     * of an unpaid trip cancels the whole trip; legs of a paid trip are cancelled and refunded one at a time.
+     * @param {string} bookingId - The Booking _id.
+     * @param {string} [reason] - Why the booking was cancelled.
+     * @returns {Promise<{booking: object|null, quote: object, refundRequested: boolean}>}
+     */
+    cancelBooking: async (bookingId, reason = 'Cancelled by traveller') => {
+        const booking = await bookingService.findById(bookingId);
+        if (!booking) {
+            return { booking: null, quote: { allowed: false, reason: 'notFound' }, refundRequested: false };
+        }
+
+        const quote = bookingService.getCancellationQuote(booking);
+        if (!quote.allowed) {
+            logger.info(`[Booking] Cancellation of ${booking.bookingReference} refused: ${quote.reason}`);
+            return { booking, quote, refundRequested: false };
+        }
+        if (booking.tripReference && booking.paymentStatus !== 'paid') {
+            return cancelUnpaidTrip(booking, quote, reason);
+        }
+
+        // Conditional update so the booking can only be cancelled once
+        const previous = await Booking.findOneAndUpdate(
+            { _id: booking._id, status: { $in: ['pending', 'confirmed'] } },
+            {
+                $set: {
+                    status: 'cancelled',
+                    holdExpiresAt: null,
+                    'cancellation.cancelledAt': Date.now(),
+                    'cancellation.reason': reason,
+                    'cancellation.refundPercent': quote.refundPercent,
+                    'cancellation.refundAmount': quote.refundAmount,
+                    'cancellation.refundStatus': quote.refundAmount > 0 ? 'pending' : 'not_applicable'
+                },
+                $push: {
+                    history: {
+                        action: 'cancelled',
+                        note: `${reason} ${Math.floor(quote.hoursUntilDeparture)}h before departure. Refund: ${quote.refundPercent}% (NGN${quote.refundAmount.toLocaleString()})`,
+                        at: Date.now()
+                    }
+                }
+            },
+            { new: false }
+        );
+        if (!previous) {
+            return { booking, quote: { allowed: false, reason: 'alreadyCancelled' }, refundRequested: false };
+        }
+        logger.info(`[Booking] Booking ${previous.bookingReference} cancelled. Refund due: NGN${quote.refundAmount} (${quote.refundPercent}%).`);
+
+        // Paid bookings and unpaid bookings with an active hold both have seats taken off the departure
+        if (previous.paymentStatus === 'paid' || previous.holdExpiresAt) {
+            await seatHoldService.releaseSeats(previous.departure, previous.passengers, previous.seatNumbers);
+            await recordHistory(previous._id, 'seats_released', `${previous.passengers} seat(s) returned to the departure`);
+            await offerToWaitlist(previous.departure);
+        }
+
+        let refundRequested = false;
+        if (quote.refundAmount > 0) {
+            try {
+                await requestRefund(previous, quote.refundAmount);
+                refundRequested = true;
+            } catch (error) {
+                await Booking.updateOne({ _id: previous._id }, { $set: { 'cancellation.refundStatus': 'failed' } });
+                await recordHistory(previous._id, 'refund_failed', error.message);
+                logger.error(`[Booking] Refund request for cancelled booking ${previous.bookingReference} failed. Manual refund required.`, { error });
+            }
+        }
+
+        if (previous.promoCode && previous.paymentStatus !== 'paid') {
+            await promoService.release(previous.promoCode, paymentReferenceOf(previous));
+        }
+
+        return { booking: await bookingService.findById(previous._id), quote, refundRequested };
+    },
+
+    /**
+     * Handles a successful charge on a booking that was cancelled before the payment arrived
+     * by refunding the full amount.
+     * @param {object} booking - The cancelled booking.
+     * @returns {Promise<object|null>} The updated booking, or null if it was already handled.
+     */
+    refundLatePayment: async (booking) => {
+        const updated = await Booking.findOneAndUpdate(
+            { _id: booking._id, status: 'cancelled', paymentStatus: 'pending' },
+            {
+                $set: {
+                    paymentStatus: 'paid',
+                    paidAt: Date.now(),
+                    'cancellation.refundPercent': 100,
+                    'cancellation.refundAmount': booking.totalAmount,
+                    'cancellation.refundStatus': 'pending'
+                },
+                $push: { history: { action: 'payment_after_cancellation', note: 'Payment received after the booking was cancelled', at: Date.now() } }
+            },
+            { new: true }
+        );
+        if (!updated) {
+            logger.info(`[Booking] Late payment for cancelled booking ${booking.bookingReference} already handled. Ignoring.`);
+            return null;
+        }
+
+        try {
+            await requestRefund(updated, updated.totalAmount);
+        } catch (error) {
+            await Booking.updateOne({ _id: updated._id }, { $set: { 'cancellation.refundStatus': 'failed' } });
+            await recordHistory(updated._id, 'refund_failed', error.message);
+            logger.error(`[Booking] Refund of late payment for ${updated.bookingReference} failed. Manual refund required.`, { error });
+        }
+
+        logger.warn(`[Booking] Payment received for cancelled booking ${updated.bookingReference}. Full refund issued.`);
+        return updated;
+    },
+
+    /**
+     * Records that the payment provider has processed a refund and tells the traveller.
+     * Duplicate notifications, and refunds we never requested, are ignored.
+     * @param {string} reference - The transaction (booking or trip) reference the refund was made against.
+     * @param {number} [amountKobo] - The refunded amount, used to tell apart refunds of different legs of a trip.
+     * @returns {Promise<object|null>} The updated booking, or null if nothing was changed.
+     */
+    completeRefund: async (reference, amountKobo) => {
+        // A trip's legs share one transaction, so pick the leg whose refund this is
+        const candidates = await Booking.find(paymentFilter(reference)).sort({ leg: 1 });
+        const awaiting = candidates.filter(b => b.cancellation && ['pending', 'failed'].includes(b.cancellation.refundStatus));
+        const pending = awaiting.find(b => amountKobo && Math.round((b.cancellation.refundAmount || 0) * 100) === amountKobo)
+            || awaiting[0];
+        if (!pending) {
+            if (candidates.length === 0) {
+                logger.warn(`[Booking] Refund notification for unknown reference ${reference}. Ignoring.`);
+            } else if (candidates.some(b => b.cancellation && b.cancellation.refundStatus === 'processed')) {
+                logger.info(`[Booking] Duplicate refund notification for ${reference}. Ignoring.`);
+            } else {
+                // Not a refund we asked for (e.g. one made from the provider's dashboard), so leave the bookings as they are
+                logger.error(`[Booking] Refund notification for ${reference} matches no refund we requested. Ignoring; reconcile it manually.`, { amountKobo });
+            }
+            return null;
+        }
+
+        const refundAmount = pending.cancellation.refundAmount || 0;
+        const booking = await Booking.findOneAndUpdate(
+            { _id: pending._id, 'cancellation.refundStatus': { $in: ['pending', 'failed'] } },
+            {
+                $set: {
+                    paymentStatus: refundAmount >= pending.totalAmount ? 'refunded' : 'partially_refunded',
+                    'cancellation.refundStatus': 'processed'
+                },
+                $push: { history: { action: 'refund_processed', note: `NGN${refundAmount.toLocaleString()} refunded by ${providerNameOf(pending)}`, at: Date.now() } }
+            },
+            { new: true }
+        );
+        if (!booking) {
+            logger.info(`[Booking] Duplicate refund notification for ${pending.bookingReference}. Ignoring.`);
+            return null;
+        }
+
+        try {
+            const lang = await sessionService.getUserLanguage(booking.userId);
+            await channelService.sendMessage(
+                booking.userId,
+                t(lang, 'notice.refundProcessed', { amount: refundAmount.toLocaleString(), reference: booking.bookingReference })
+            );
+        } catch (error) {
+            logger.error(`[Booking] Could not send refund notice for ${reference}: ${error.message}`, { error });
+        }
+
+        logger.info(`[Booking] Refund for ${booking.bookingReference} processed.`);
+        return booking;
+    },
+
+    /**
+     * Records that the payment provider could not process a refund so staff can follow up.
+     * @param {string} reference - The transaction (booking or trip) reference the refund was made against.
+     * @param {string} [reason] - Failure details from the provider.
+     * @returns {Promise<object|null>} The updated booking, or null if not found.
+     */
+    failRefund: async (reference, reason) => {
+        const booking = await Booking.findOneAndUpdate(
+            { ...paymentFilter(reference), 'cancellation.refundStatus': 'pending' },
+            {
+                $set: { 'cancellation.refundStatus': 'failed' },
+                $push: { history: { action: 'refund_failed', note: reason || null, at: Date.now() } }
+            },
+            { new: true }
+        );
+        if (!booking) {
+            logger.info(`[Booking] Ignoring refund failure for ${reference}: no pending refund.`);
+            return null;
+        }
+        logger.error(`[Booking] ${providerNameOf(booking)} refund for ${reference} failed (${reason || 'no reason given'}). Manual refund required.`);
+        return booking;
+    }
+};
+
+module.exports = bookingService;
@@ -0,0 +1,106 @@
+// services/channelService.js
+const logger = require('../utils/logger');
+const whatsappService = require('./whatsappService');
+const smsService = require('./smsService');
+const telegramService = require('./telegramService');
+const webChatService = require('./webChatService');
+
+// Every channel adapter implements:
+//   parseIncoming(req) -> { userId, text } or null if the request isn't a message the bot can answer
+//   renderReply(incoming, text, choices) -> { contentType, body } answering the webhook request itself
+//   sendMessage(userId, text) and sendMedia(userId, mediaUrl, caption) for messages sent outside a reply
+// and describes itself with name, displayName, alwaysAcknowledge (answer errors with a 2xx so the platform
+// doesn't redeliver) and isEnabled().
+//
+// Conversations, users, bookings and tickets are keyed by address: 'channel:userId', e.g. 'telegram:51234567'
+// or 'sms:+23480xxxxxxxx'. WhatsApp addresses are the bare number, as stored before there were other
+// channels, so existing sessions and bookings still belong to the same traveller.
+const CHANNELS = {
+    [whatsappService.name]: whatsappService,
+    [smsService.name]: smsService,
+    [telegramService.name]: telegramService,
+    [webChatService.name]: webChatService
+};
+
+// Channels whose user IDs are phone numbers
+const PHONE_CHANNELS = [whatsappService.name, smsService.name];
+
+const channelService = {
+    /**
+     * @param {string} name - Channel name, e.g. 'telegram'.
+     * @returns {object|null} The channel, or null if there is no such channel or it isn't configured.
+     */
+    getChannel: (name) => {
+        const channel = CHANNELS[name];
+        return channel && channel.isEnabled() ? channel : null;
+    },
+
+    /**
+     * @param {string} channelName - Channel name.
+     * @param {string} userId - The user's ID on that channel.
+     * @returns {string} The conversation address.
+     */
+    addressOf: (channelName, userId) => {
+        return channelName === whatsappService.name ? userId : `${channelName}:${userId}`;
+    },
+
+    /**
+     * @param {string} address - A conversation address.
+     * @returns {{channel: object, userId: string}} The channel it belongs to and the user's ID there.
+     */
+    parseAddress: (address) => {
+        const separator = address.indexOf(':');
+        const channel = separator > 0 ? CHANNELS[address.slice(0, separator)] : null;
+        if (!channel || channel === whatsappService) {
+            return { channel: whatsappService, userId: address };
+        }
+        return { channel, userId: address.slice(separator + 1) };
+    },
+
+    /**
+     * The traveller's phone number, where the channel has one.
+     * @param {string} address - A conversation address.
+     * @returns {string|null} e.g. '+23480xxxxxxxx', or null for Telegram and web chat.
+     */
+    phoneNumberOf: (address) => {
+        const { channel, userId } = channelService.parseAddress(address);
+        return PHONE_CHANNELS.includes(channel.name) ? userId : null;
+    },
+
+    /**
+     * Stand-in email address for payment providers that require one.
+     * @param {string} address - A conversation address.
+     * @returns {string}
+     */
+    placeholderEmail: (address) => `${address.replace(/[^A-Za-z0-9+._-]/g, '.')}@wa.com`,
+
+    /**
+     * Sends a message outside a reply, on whichever channel the traveller used. A channel that has since
+     * been switched off still delivers if it can (e.g. a Telegram bot token that's still valid).
+     * @param {string} address - The traveller's conversation address.
+     * @param {string} text - Message text.
+     * @returns {Promise<object>} What the channel returned for the sent message.
+     * @throws {Error} If the channel couldn't send it.
+     */
+    sendMessage: async (address, text) => {
+        const { channel, userId } = channelService.parseAddress(address);
+        logger.debug(`[Channels] Sending ${channel.displayName} message to ${userId}.`);
+        return channel.sendMessage(userId, text);
+    },
+
+    /**
+     * Sends a file (e.g. an e-ticket) outside a reply.
+     * @param {string} address - The traveller's conversation address.
+     * @param {string} mediaUrl - Public URL of the file.
+     * @param {string} caption - Text sent with it.
+     * @returns {Promise<object>} What the channel returned for the sent message.
+     * @throws {Error} If the channel couldn't send it.
+     */
+    sendMedia: async (address, mediaUrl, caption) => {
+        const { channel, userId } = channelService.parseAddress(address);
+        logger.debug(`[Channels] Sending ${channel.displayName} file to ${userId}.`);
+        return channel.sendMedia(userId, mediaUrl, caption);
+    }
+};
+
+module.exports = channelService;
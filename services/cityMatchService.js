@@ -0,0 +1,102 @@
+// services/cityMatchService.js
+const natural = require('natural');
+const logger = require('../utils/logger');
+const cityAliases = require('../config/cityAliases');
+
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Reduces a city name to lowercase letters and digits, so "Port-Harcourt", "port harcourt" and "PortHarcourt" compare equal.
+ * @param {string} text - City name or alias as typed.
+ * @returns {string} The comparison key.
+ */
+const toKey = (text) => (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+// Alias key -> city name, e.g. 'ph' -> 'PORT HARCOURT'
+const ALIASES = new Map();
+for (const [city, aliases] of Object.entries(cityAliases)) {
+    for (const alias of aliases) {
+        ALIASES.set(toKey(alias), city.toUpperCase());
+    }
+}
+
+/**
+ * How many typos we forgive for an input of the given length.
+ * @param {number} length - Length of the comparison key.
+ * @returns {number} Maximum Damerau-Levenshtein distance.
+ */
+const allowedDistance = (length) => (length <= 4 ? 1 : length <= 8 ? 2 : 3);
+
+/**
+ * Matches a city by its name or a registered alias, ignoring case, spacing and punctuation. No typo tolerance.
+ * @param {string} input - What the traveller typed.
+ * @param {Array<string>} cities - The cities to choose from.
+ * @returns {string|null} The city as it appears in `cities`, or null.
+ */
+const resolveCity = (input, cities) => {
+    const key = toKey(input);
+    if (!key) {
+        return null;
+    }
+    const byName = cities.find(city => toKey(city) === key);
+    if (byName) {
+        return byName;
+    }
+    const aliased = ALIASES.get(key);
+    return aliased ? cities.find(city => city.toUpperCase() === aliased) || null : null;
+};
+
+const cityMatchService = {
+    resolveCity,
+
+    /**
+     * Matches what a traveller typed to one of the given cities, forgiving typos ("Lagoss"), run-together
+     * names ("Portharcourt"), abbreviations ("PH", "FCT") and the start of a name ("Abj").
+     * A match is only returned when it is unambiguous; otherwise the closest cities come back as suggestions
+     * so the traveller can be asked "Did you mean …?".
+     * @param {string} input - What the traveller typed.
+     * @param {Array<string>} cities - The cities to choose from.
+     * @returns {{city: string|null, suggestions: Array<string>}} The matched city, or up to three suggestions.
+     */
+    matchCity: (input, cities) => {
+        const exact = resolveCity(input, cities);
+        if (exact) {
+            return { city: exact, suggestions: [] };
+        }
+
+        const key = toKey(input);
+        if (key.length < 2) {
+            return { city: null, suggestions: [] };
+        }
+
+        const prefixed = key.length >= 3 ? cities.filter(city => toKey(city).startsWith(key)) : [];
+        if (prefixed.length === 1) {
+            logger.debug(`[CityMatch] "${input}" matched ${prefixed[0]} by prefix.`);
+            return { city: prefixed[0], suggestions: [] };
+        }
+
+        // Compare against each city's name and its longer aliases; short aliases like "PH" are too close to everything
+        const scored = cities
+            .map(city => {
+                const keys = [toKey(city), ...(cityAliases[city.toUpperCase()] || []).map(toKey).filter(alias => alias.length >= 4)];
+                return { city, distance: Math.min(...keys.map(k => natural.DamerauLevenshteinDistance(key, k))) };
+            })
+            .filter(({ distance }) => distance <= allowedDistance(key.length))
+            .sort((a, b) => a.distance - b.distance);
+
+        if (prefixed.length === 0 && scored.length === 1 && scored[0].distance <= 1) {
+            logger.debug(`[CityMatch] "${input}" matched ${scored[0].city} with one typo.`);
+            return { city: scored[0].city, suggestions: [] };
+        }
+
+        const suggestions = [...new Set([...prefixed, ...scored.map(({ city }) => city)])].slice(0, MAX_SUGGESTIONS);
+        logger.debug(`[CityMatch] "${input}" is ambiguous or unknown. Suggestions: ${suggestions.join(', ') || 'none'}`);
+        return { city: null, suggestions };
+    }
+};
+
+module.exports = cityMatchService;
@@ -4,12 +4,28 @@ const Session = require('../models/Session');
 const Departure = require('../models/Departure');
 const Route = require('../models/Route');
 const Vehicle = require('../models/Vehicle');
+const config = require('../config');
 const logger = require('../utils/logger');
 const sessionService = require('./sessionService');
-const waService = require('./whatsappService');
+const channelService = require('./channelService');
+const seatHoldService = require('./seatHoldService');
+const bookingService = require('./bookingService');
+const supportService = require('./supportService');
+const ticketService = require('./ticketService');
+const boardingService = require('./boardingService');
+const tripIntentService = require('./tripIntentService');
+const cityMatchService = require('./cityMatchService');
+const pricingService = require('./pricingService');
+const promoService = require('./promoService');
+const waitlistService = require('./waitlistService');
+const paymentService = require('./paymentService');
+const { t, matchCommand, isKeyword, buildLanguagePicker, parseLanguageChoice, formatDate, formatTime } = require('../utils/i18n');
+const { parseTravelDate, getTravelWindow } = require('../utils/dateParser');
+const { startOfZonedDay } = require('../utils/timezone');
+const { getDepartureLayout, listSeats, renderSeatMap, parseSeatSelection } = require('../utils/seatMap');
+const { defineFlow } = require('../utils/flowEngine');
+const { BOOKING_REFERENCE_PATTERN, newBookingReference, newTripReference } = require('../utils/bookingReference');
 
-const axios = require('axios'); // For making HTTP requests to Paystack
-const { v4: uuidv4 } = require('uuid'); // For unique references
 require('dotenv').config(); // Load environment variables
 
 // --- AI Feature: Sentiment Analysis Imports and Initialization ---
@@ -23,9 +39,6 @@ const stemmer = natural.PorterStemmer; // PorterStemmer is suitable for English
 const analyzer = new Analyzer("English", stemmer, "afinn");
 // --- End AI Feature Initialization ---
 
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
-const PAYSTACK_BASE_URL = 'https://api.paystack.co';
-
 /**
  * Helper to validate user's choice from a list (by number or name).
  * @param {string} userInput The user's message.
@@ -51,500 +64,1691 @@ const validateChoice = (userInput, options) => {
 };
 
 /**
- * Helper to parse date input from user (YYYY-MM-DD, tomorrow, next Monday etc.)
- * This always returns a Date object set to midnight UTC for the given day.
+ * Records the options a prompt offers on the context, so the channel can show them as buttons or a list
+ * and they can be tapped instead of typed.
+ * @param {object} ctx The message context.
+ * @param {string} prompt The prompt. It still lists the options, for clients that can't show buttons.
+ * @param {Array<{id: string, title: string, description: string}>} options Each id is the typed answer the step accepts.
+ * @returns {string} The prompt.
+ */
+const offerChoices = (ctx, prompt, options) => {
+    ctx.choices = { prompt, options, button: t(ctx.lang, 'choice.list') };
+    return prompt;
+};
+
+/**
+ * @param {Array<string>} titles Option names, e.g. cities.
+ * @returns {Array<object>} Options answered by their number in the list.
+ */
+const numberedChoices = (titles) => titles.map((title, i) => ({ id: String(i + 1), title }));
+
+/**
+ * @param {Array<string>} titles Option names, e.g. cities.
+ * @returns {string} The options as a numbered list, one per line.
+ */
+const formatOptions = (titles) => titles.map((title, i) => `*${i + 1}.* ${title}`).join('\n');
+
+/**
+ * A message listing numbered options, which are also offered as buttons.
+ * @param {object} ctx The message context.
+ * @param {string} key Message key; the list goes in its {options}.
+ * @param {object} params The message's other placeholders.
+ * @param {Array<string>} titles The options.
+ * @returns {string} The message.
+ */
+const offerList = (ctx, key, params, titles) => offerChoices(ctx, t(ctx.lang, key, { ...params, options: formatOptions(titles) }), numberedChoices(titles));
+
+/**
+ * @param {string} lang The traveller's language.
+ * @returns {Array<object>} The main menu options.
+ */
+const menuChoices = (lang) => numberedChoices([t(lang, 'choice.book'), t(lang, 'choice.myBookings'), t(lang, 'choice.support')]);
+
+/**
+ * @param {string} lang The traveller's language.
+ * @returns {Array<object>} Yes and No buttons. Their ids are the English keywords, which every language accepts.
+ */
+const yesNoChoices = (lang) => [{ id: 'yes', title: t(lang, 'choice.yes') }, { id: 'no', title: t(lang, 'choice.no') }];
+
+/**
+ * The main menu, with its options offered as buttons.
+ * @param {object} ctx The message context.
+ * @param {string} [key] The message wrapping the options, 'menu.welcomeBack' by default.
+ * @returns {string} The menu.
+ */
+const showMenu = (ctx, key = 'menu.welcomeBack') => offerChoices(ctx, t(ctx.lang, key, { options: t(ctx.lang, 'menu.options') }), menuChoices(ctx.lang));
+
+/**
+ * Translated name of a booking, payment or departure status.
+ * @param {string} lang The traveller's language.
+ * @param {string} status e.g. 'partially_refunded'.
+ * @returns {string} e.g. "Partially refunded"
+ */
+const statusLabel = (lang, status) => t(lang, `status.${status}`);
+
+/**
+ * Formats a departure time as a short date and time in Africa/Lagos.
+ * @param {Date|string} value The departure time.
+ * @param {string} [lang] The traveller's language.
+ * @returns {string} e.g. "Fri, Jul 18, 2025 at 07:00 AM"
+ */
+const formatDepartureDateTime = (value, lang = 'en') => {
+    const datePart = formatDate(lang, value, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    return t(lang, 'date.at', { date: datePart, time: formatTime(lang, value) });
+};
+
+/**
+ * Formats a travel date chosen in the booking flow (stored as midnight in Africa/Lagos).
+ * @param {Date|string} value The travel date.
+ * @param {string} lang The traveller's language.
+ * @returns {string} e.g. "Fri, Jul 18, 2025" in English.
+ */
+const formatTravelDate = (value, lang) => formatDate(lang, value, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Formats one line of the "Check my booking" list.
+ * @param {object} booking Booking with departure, route and vehicle populated.
+ * @param {number} index Zero-based position in the list.
+ * @param {string} lang The traveller's language.
+ * @returns {string} The list entry.
+ */
+const formatBookingListItem = (booking, index, lang) => {
+    const departure = booking.departure;
+    const params = { number: index + 1, reference: booking.bookingReference, paymentStatus: statusLabel(lang, booking.paymentStatus) };
+    if (!departure || !departure.route) {
+        return t(lang, 'bookings.listItemUnavailable', params);
+    }
+    return t(lang, 'bookings.listItem', {
+        ...params,
+        origin: departure.route.origin,
+        destination: departure.route.destination,
+        dateTime: formatDepartureDateTime(departure.departureTime, lang),
+        vehicle: departure.vehicle ? departure.vehicle.name : 'N/A'
+    });
+};
+
+/**
+ * Formats the full details of a single booking.
+ * @param {object} booking Booking with departure, route and vehicle populated.
+ * @param {string} lang The traveller's language.
+ * @returns {string} The details message.
+ */
+const formatBookingDetails = (booking, lang) => {
+    const departure = booking.departure;
+    const lines = [t(lang, 'details.title', { reference: booking.bookingReference }), ''];
+    if (departure && departure.route) {
+        lines.push(t(lang, 'details.from', { value: departure.route.origin }));
+        lines.push(t(lang, 'details.to', { value: departure.route.destination }));
+        lines.push(t(lang, 'details.departure', { value: formatDepartureDateTime(departure.departureTime, lang) }));
+        lines.push(t(lang, 'details.vehicle', { value: departure.vehicle ? departure.vehicle.name : 'N/A' }));
+        if (departure.status !== 'scheduled') {
+            lines.push(t(lang, 'details.departureStatus', { value: statusLabel(lang, departure.status) }));
+        }
+    } else {
+        lines.push(t(lang, 'details.departureUnavailable'));
+    }
+    lines.push(t(lang, 'details.passengers', { value: booking.passengers }));
+    lines.push(t(lang, 'details.totalAmount', { value: booking.totalAmount.toLocaleString() }));
+    lines.push(t(lang, 'details.bookingStatus', { value: statusLabel(lang, booking.status) }));
+    lines.push(t(lang, 'details.paymentStatus', { value: statusLabel(lang, booking.paymentStatus) }));
+    return lines.join('\n');
+};
+
+/**
+ * Adds hints on what the traveller can do with a booking (get the e-ticket, cancel) to its details.
+ * @param {string} waId The traveller's WhatsApp ID.
+ * @param {object} booking Booking with departure populated.
+ * @param {string} lang The traveller's language.
+ * @returns {string} The hints, or an empty string.
+ */
+const bookingActionsHint = (waId, booking, lang) => {
+    if (booking.userId !== waId) {
+        return '';
+    }
+    const hints = [];
+    if (booking.paymentStatus === 'paid' && booking.status === 'confirmed') {
+        hints.push(t(lang, 'bookings.hintTicket', { reference: booking.bookingReference }));
+    }
+    if (bookingService.getCancellationQuote(booking).allowed) {
+        hints.push(t(lang, 'bookings.hintCancel', { reference: booking.bookingReference }));
+    }
+    return hints.length > 0 ? `\n\n${hints.join('\n')}` : '';
+};
+
+/**
+ * Re-sends e-tickets: for the given reference, or for all of the traveller's upcoming paid trips.
+ * @param {string} waId The traveller's WhatsApp ID.
+ * @param {string} [reference] Optional booking reference.
+ * @param {string} lang The traveller's language.
+ * @returns {Promise<string>} The reply text.
+ */
+const resendTickets = async (waId, reference, lang) => {
+    let bookings;
+    if (reference) {
+        const booking = await bookingService.findByReference(reference);
+        if (!booking || booking.userId !== waId) {
+            return t(lang, 'tickets.notFound', { reference: reference.toUpperCase() });
+        }
+        bookings = [booking];
+    } else {
+        bookings = (await bookingService.getUserBookings(waId)).upcoming;
+    }
+
+    const ticketable = bookings.filter(b => b.paymentStatus === 'paid' && b.status === 'confirmed' && b.departure);
+    if (ticketable.length === 0) {
+        return reference
+            ? t(lang, 'tickets.notTicketable', { reference: reference.toUpperCase() })
+            : t(lang, 'tickets.noUpcoming');
+    }
+
+    const sent = [];
+    for (const booking of ticketable) {
+        try {
+            await ticketService.sendTicket(booking, lang);
+            sent.push(booking.bookingReference);
+        } catch (error) {
+            logger.error(`[Conversation] Could not re-send e-ticket for ${booking.bookingReference}: ${error.message}`, { error });
+        }
+    }
+    if (sent.length === 0) {
+        return t(lang, 'tickets.sendFailed');
+    }
+    return t(lang, sent.length > 1 ? 'tickets.sentMany' : 'tickets.sent', { references: sent.map(ref => `*${ref}*`).join(', ') });
+};
+
+/**
+ * Explains why a booking can't be cancelled.
+ * @param {string} lang The traveller's language.
+ * @param {{reason: string}} quote From bookingService.getCancellationQuote or cancelBooking.
+ * @returns {string} The explanation.
+ */
+const describeCancellationProblem = (lang, quote) => t(lang, `cancel.${quote.reason}`, {
+    hours: config.cancellation.cutoffHours
+});
+
+/**
+ * Quotes the refund for a booking and asks the traveller to confirm the cancellation.
+ * @param {object} ctx The message context.
+ * @param {object} booking Booking with departure, route and vehicle populated.
+ * @returns {Promise<string>} The reply text.
+ */
+const startCancellation = async (ctx, booking) => {
+    const { waId, lang } = ctx;
+    if (booking.userId !== waId) {
+        return t(lang, 'cancel.notOwner');
+    }
+    const quote = bookingService.getCancellationQuote(booking);
+    if (!quote.allowed) {
+        return t(lang, 'cancel.notAllowed', { reference: booking.bookingReference, reason: describeCancellationProblem(lang, quote) });
+    }
+
+    await ctx.updateContext({ cancelBookingId: booking._id.toString() });
+    await ctx.goTo('confirm_cancellation');
+
+    const departure = booking.departure;
+    const refundLine = booking.paymentStatus === 'paid'
+        ? t(lang, 'cancel.refundQuote', { amount: quote.refundAmount.toLocaleString(), percent: quote.refundPercent, total: booking.totalAmount.toLocaleString() })
+        : t(lang, 'cancel.noPayment');
+    return t(lang, 'cancel.confirmIntro', {
+        reference: booking.bookingReference,
+        origin: departure.route.origin,
+        destination: departure.route.destination,
+        dateTime: formatDepartureDateTime(departure.departureTime, lang)
+    }) + `\n\n${refundLine}\n\n` + t(lang, 'cancel.confirmPrompt');
+};
+
+/**
+ * Builds the "Check my booking" overview for a traveller and moves them to the check_booking step.
+ * @param {object} ctx The message context.
+ * @returns {Promise<string>} The reply text.
+ */
+const showUserBookings = async (ctx) => {
+    const { waId, lang } = ctx;
+    const { upcoming, recent } = await bookingService.getUserBookings(waId);
+    const listed = [...upcoming, ...recent];
+
+    await ctx.updateContext({ availableBookings: listed.map(b => b._id.toString()) });
+    await ctx.goTo('check_booking');
+
+    if (listed.length === 0) {
+        return t(lang, 'bookings.none');
+    }
+
+    let reply = '';
+    if (upcoming.length > 0) {
+        reply += t(lang, 'bookings.upcoming') + "\n" + upcoming.map((b, i) => formatBookingListItem(b, i, lang)).join('\n') + "\n\n";
+    }
+    if (recent.length > 0) {
+        reply += t(lang, 'bookings.recent') + "\n" + recent.map((b, i) => formatBookingListItem(b, upcoming.length + i, lang)).join('\n') + "\n\n";
+    }
+    reply += t(lang, 'bookings.listFooter');
+    return reply;
+};
+/**
+ * Formats the result of a staff 'board' or 'verify' command.
+ * @param {object} result Result from boardingService.validateTicket or boardPassenger.
+ * @param {boolean} boarded Whether the boarding was recorded.
+ * @param {string} lang The staff member's language.
+ * @returns {string} The reply text.
+ */
+const formatBoardingResult = (result, boarded, lang) => {
+    if (!result.valid) {
+        const reference = result.booking ? ` *${result.booking.bookingReference}*` : '';
+        return t(lang, 'boarding.rejected', { reference, reason: result.reason });
+    }
+    const booking = result.booking;
+    const departure = booking.departure;
+    return t(lang, boarded ? 'boarding.boarded' : 'boarding.valid', { reference: booking.bookingReference }) + '\n' +
+           t(lang, 'boarding.details', {
+               passengers: booking.passengers,
+               origin: departure.route.origin,
+               destination: departure.route.destination,
+               dateTime: formatDepartureDateTime(departure.departureTime, lang),
+               vehicle: departure.vehicle ? departure.vehicle.name : 'N/A'
+           }) +
+           (boarded ? '' : `\n\n${t(lang, 'boarding.recordHint', { reference: booking.bookingReference })}`);
+};
+
+
+/**
+ * Parses a date typed in the booking flow, accepting 'today' and 'tomorrow' in the traveller's language
+ * (also with a part of the day, e.g. "ọ̀la morning").
  * @param {string} input The user's date message text.
- * @returns {Date|null} Parsed Date object (set to midnight UTC) or null if invalid or in the past.
- */
-const parseDateInput = (input) => {
-    const today = new Date();
-    // Set today to midnight UTC for consistent comparison with parsed dates
-    today.setUTCHours(0, 0, 0, 0);
-
-    let parsedDate = null;
-    const normalizedInput = input.trim().toLowerCase();
-
-    logger.debug(`[parseDateInput] Parsing input: "${input}"`);
-
-    // Handle 'today'
-    if (normalizedInput === 'today') {
-        parsedDate = new Date(today); // Clone today (already at UTC midnight)
-        logger.debug(`[parseDateInput] Parsed as 'today': ${parsedDate.toISOString()}`);
-    }
-    // Handle 'tomorrow'
-    else if (normalizedInput === 'tomorrow') {
-        parsedDate = new Date(today);
-        parsedDate.setUTCDate(today.getUTCDate() + 1); // Add one day in UTC
-        logger.debug(`[parseDateInput] Parsed as 'tomorrow': ${parsedDate.toISOString()}`);
-    }
-    // Handle 'next [day of week]' (e.g., 'next monday')
-    else if (normalizedInput.startsWith('next ')) {
-        const dayOfWeekStr = normalizedInput.substring(5);
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const dayIndex = days.indexOf(dayOfWeekStr);
-
-        if (dayIndex !== -1) {
-            parsedDate = new Date(today); // Start from today's UTC midnight
-            const currentDayIndex = today.getUTCDay(); // 0 for Sunday, 1 for Monday... in UTC
-            let daysToAdd = dayIndex - currentDayIndex;
-            if (daysToAdd <= 0) { // If it's today or a past day this week, go to next week
-                daysToAdd += 7;
-            }
-            parsedDate.setUTCDate(today.getUTCDate() + daysToAdd);
-            logger.debug(`[parseDateInput] Parsed as 'next ${dayOfWeekStr}': ${parsedDate.toISOString()}`);
-        }
-    }
-    // Handle YYYY-MM-DD format
-    else if (/^\d{4}-\d{2}-\d{2}$/.test(normalizedInput)) {
-        const parts = normalizedInput.split('-');
-        const year = parseInt(parts[0], 10);
-        const month = parseInt(parts[1], 10) - 1; // Month is 0-indexed
-        const day = parseInt(parts[2], 10);
-
-        // Create date assuming UTC to avoid local timezone shifts during parsing
-        parsedDate = new Date(Date.UTC(year, month, day));
-
-        // Validate if the date parts match after creating the Date object (handles invalid dates like Feb 30)
-        if (parsedDate.getUTCFullYear() !== year || parsedDate.getUTCMonth() !== month || parsedDate.getUTCDate() !== day) {
-            parsedDate = null; // Invalid date
+ * @param {string} lang The traveller's language.
+ * @returns {{date: Date, timeOfDay: string|null}|null} The travel day (local midnight) and part of the day, or null.
+ */
+const parseLocalizedDate = (input, lang) => {
+    const [firstWord, ...rest] = input.trim().split(/\s+/);
+    const dayWord = isKeyword(lang, 'today', firstWord) ? 'today'
+        : isKeyword(lang, 'tomorrow', firstWord) ? 'tomorrow'
+        : firstWord;
+    const parsed = parseTravelDate([dayWord, ...rest].join(' '));
+    logger.debug(`[Conversation] Parsed date from "${input}": ${parsed ? `${parsed.date.toISOString()} ${parsed.timeOfDay || ''}` : 'null'}`);
+    return parsed;
+};
+
+/**
+ * Reads a name with an optional Nigerian phone number, e.g. "Ada Obi, 08031234567".
+ * @param {string} text The message.
+ * @returns {{name: string, phone: string|null}|null} The contact, with the phone in +234 form, or null if it can't be read.
+ */
+const parseContact = (text) => {
+    const input = (text || '').trim();
+    const phoneMatch = input.match(/\+?\d[\d\s-]{8,}\d/);
+    let phone = null;
+    if (phoneMatch) {
+        const digits = phoneMatch[0].replace(/\D/g, '');
+        if (/^0\d{10}$/.test(digits)) {
+            phone = `+234${digits.substring(1)}`;
+        } else if (/^234\d{10}$/.test(digits)) {
+            phone = `+${digits}`;
         } else {
-             logger.debug(`[parseDateInput] Parsed as YYYY-MM-DD: ${parsedDate.toISOString()}`);
+            return null;
         }
     }
-
-    // Final check: ensure the parsed date is not in the past relative to today (UTC midnight)
-    if (parsedDate && parsedDate.getTime() < today.getTime()) {
-        logger.debug(`[parseDateInput] Parsed date ${parsedDate.toISOString()} is in the past, returning null.`);
+    const name = (phoneMatch ? input.replace(phoneMatch[0], ' ') : input).replace(/[,;:]/g, ' ').replace(/\s+/g, ' ').trim();
+    // Letters, spaces, apostrophes, dots and hyphens only, so a stray number or answer isn't taken as a name
+    if (name.length > 80 || name.replace(/[^\p{L}]/gu, '').length < 2 || !/^\p{L}[\p{L}\p{M}' .-]*$/u.test(name)) {
         return null;
     }
+    return { name, phone };
+};
+
+/**
+ * Reads whatever trip details a free-text message contains, e.g. "Lagos to Abuja tomorrow for 2",
+ * and stores them in the session's booking details.
+ * @param {object} ctx The message context.
+ * @param {string} [defaultRole] Role of a lone city: 'origin' or 'destination'.
+ * @returns {Promise<boolean>} Whether anything was understood.
+ */
+const applyTripIntent = async (ctx, defaultRole = 'origin') => {
+    const { waId, lang } = ctx;
+    const [origins, destinations] = await Promise.all([
+        Route.distinct('origin', { isActive: true }),
+        Route.distinct('destination', { isActive: true })
+    ]);
+    const intent = tripIntentService.parseTripIntent(ctx.text, {
+        origins,
+        destinations,
+        defaultRole,
+        parseDate: (text) => parseLocalizedDate(text, lang)
+    });
+    if (!intent.matched) {
+        return false;
+    }
+
+    const details = ctx.session.bookingDetails;
+    const updates = {};
+    if (intent.origin && intent.origin !== details.origin) {
+        updates.origin = intent.origin;
+        // A different origin invalidates a destination chosen for the old one, unless one came with it
+        if (!intent.destination && details.destination) updates.destination = null;
+    }
+    if (intent.destination) updates.destination = intent.destination;
+    if (intent.date) {
+        updates.date = intent.date;
+        updates.timeOfDay = intent.timeOfDay; // null clears an earlier preference
+    }
+    if (intent.passengers) updates.passengers = intent.passengers;
+    if (Object.keys(updates).length === 0) {
+        return false;
+    }
 
-    logger.debug(`[parseDateInput] Final parsed date result: ${parsedDate ? parsedDate.toISOString() : 'null'}`);
-    return parsedDate;
+    await ctx.updateDetails(updates);
+    logger.info(`[Conversation] Trip details understood from free text for ${waId}: ${JSON.stringify(updates)}`);
+    return true;
 };
 
+/**
+ * Lists the departures for the chosen route and date. Those that can't seat the whole party are
+ * shown as full, and choosing one offers a place on its waitlist.
+ * @param {object} ctx The message context.
+ * @param {object} route The chosen route.
+ * @returns {Promise<string>} The departure list, or a "no departures" message.
+ */
+const showDepartures = async (ctx, route) => {
+    const { lang } = ctx;
+    const details = ctx.session.bookingDetails;
+    const { origin, destination, date, timeOfDay, passengers } = details;
+    // A return or connecting leg can't leave before the previous leg arrives
+    const previousLeg = details.legs && details.legs.length > 0 ? details.legs[details.legs.length - 1] : null;
+    const earliest = previousLeg ? new Date(previousLeg.arrivalTime) : null;
+
+    const query = {
+        route: route._id,
+        status: 'scheduled'
+    };
+    const findDepartures = ({ start, end }) => {
+        if (earliest && earliest > start) {
+            start = earliest;
+        }
+        logger.debug(`[Conversation - departures] Query range for departures: $gte ${start.toISOString()}, $lt ${end.toISOString()}`);
+        return Departure.find({ ...query, departureTime: { $gte: start, $lt: end } })
+            .populate('route').populate('vehicle').sort('departureTime'); // Route and vehicle are needed for pricing
+    };
+
+    let departures = await findDepartures(getTravelWindow(date, timeOfDay));
+    let header = t(lang, 'booking.departuresHeader', { origin, destination, date: formatTravelDate(date, lang) });
+    if (departures.length === 0 && timeOfDay) {
+        // Nothing in the part of the day they asked for; show the rest of the day instead
+        departures = await findDepartures(getTravelWindow(date));
+        if (departures.length > 0) {
+            header = `${t(lang, 'booking.noDeparturesInPeriod', { period: t(lang, `period.${timeOfDay}`) })}\n\n${header}`;
+        }
+    }
 
-const conversationService = {
-    handleIncomingMessage: async (waId, messageText) => {
-        let reply = '';
-        let session = await sessionService.getSession(waId); // Always get freshest session
-
-        // --- AI Feature: Sentiment Analysis Implementation ---
-        const tokens = new natural.WordTokenizer().tokenize(messageText.toLowerCase());
-        const sentimentScore = analyzer.getSentiment(tokens); // Get score
-        let sentiment = 'neutral';
-        if (sentimentScore > 0.5) { // Thresholds can be tuned
-            sentiment = 'positive';
-        } else if (sentimentScore < -0.5) { // Thresholds can be tuned
-            sentiment = 'negative';
-        }
-        logger.info(`[AI - Sentiment] User message: "${messageText}" | Sentiment Score: ${sentimentScore} | Detected Sentiment: ${sentiment}`);
-        // --- End AI Feature Implementation ---
-
-
-        // --- AI Enhanced Responses based on Sentiment ---
-        // If user expresses strong negative sentiment, offer help/reset
-        if (sentiment === 'negative' && !['reset', 'menu', 'support'].includes(messageText.toLowerCase())) {
-            reply = "I sense some frustration. I apologize if something isn't working as expected. Would you like me to reset our conversation, or perhaps connect you to human support? Just type 'reset' or 'support'.";
-            // For the contest, we might *force* this response, but in production, you might still try to process their command
-            // If you want to return this immediately and override other logic: return reply;
-        }
-
-        // Check for explicit commands first (like reset, menu, support)
-        if (messageText.toLowerCase() === 'reset') {
-            await sessionService.resetSession(waId);
-            return "Okay, I've reset our conversation. Type 'menu' to start over.";
-        }
-        if (messageText.toLowerCase() === 'menu') {
-            // Your existing menu logic
-            reply = "Welcome back! Here's what I can do for you:\n\n" +
-                    "*1.* Book a new trip\n" +
-                    "*2.* Check my booking (Coming Soon)\n" +
-                    "*3.* Help & Support (Coming Soon)\n\n" +
-                    "Please reply with the number of your choice, or type 'reset' to start over.";
-            await sessionService.updateSessionStep(waId, 'Welcome');
-            return reply; // Return early if explicit menu
-        }
-        if (messageText.toLowerCase() === 'support') {
-            reply = "Please wait while I connect you to a human agent. (This is a placeholder for actual support integration).";
-            return reply; // Return early for support
-        }
-
-
-        // Main conversational flow based on session step
-        switch (session.currentStep) {
-            case 'welcome':
-                logger.debug(`[Conversation - start] Processing message: "${messageText}"`);
-                if (messageText === '1' || messageText.toLowerCase() === 'book a new trip') {
-                    const origins = await Route.distinct('origin', { isActive: true });
-                    if (origins && origins.length > 0) {
-                        let welcomeMessage = "Great! Where would you like to **depart from**?\n\n" +
-                                            origins.map((o, i) => `*${i + 1}.* ${o}`).join('\n') +
-                                            "\n\nPlease reply with the city name or number.";
-                        // Enhance welcome message based on positive sentiment
-                        if (sentiment === 'positive') {
-                            welcomeMessage = "Fantastic choice! Let's get you set up for your next trip. " + welcomeMessage;
-                        }
-                        reply = welcomeMessage;
-                        await sessionService.updateSessionContext(waId, { availableOrigins: origins });
-                        await sessionService.updateSessionStep(waId, 'ask_origin');
-                    } else {
-                        reply = "Sorry, no routes are currently available. Please try again later or type 'reset'.";
-                        await sessionService.resetSession(waId);
-                    }
-                } else if (messageText === '2' || messageText.toLowerCase() === 'check my booking') {
-                    reply = "Checking your booking is coming soon! Stay tuned.";
-                    // Keep on 'start' or move to a 'future_feature_pending' step
-                } else if (messageText === '3' || messageText.toLowerCase() === 'help & support') {
-                    reply = "Help & Support features are coming soon! For now, you can try 'reset'.";
-                    // Keep on 'start'
-                } else {
-                    reply = "I didn't understand that. Please choose from the options (1, 2, 3) or type 'menu' to see options.";
-                }
-                break;
-
-            case 'ask_origin':
-                logger.debug(`[Conversation - ask_origin] Processing message: "${messageText}"`);
-                session = await sessionService.getSession(waId); // Re-fetch session
-                const availableOrigins = session.context.availableOrigins || [];
-
-                const chosenOrigin = validateChoice(messageText, availableOrigins);
-
-                if (chosenOrigin) {
-                    await sessionService.updateBookingDetails(waId, { origin: chosenOrigin.toUpperCase() });
-                    session = await sessionService.getSession(waId); // Refresh session
-
-                    const destinations = await Route.distinct('destination', { origin: session.bookingDetails.origin, isActive: true });
-                    if (destinations && destinations.length > 0) {
-                        reply = `Okay, from ${chosenOrigin}. Where would you like to **go to**?\n\n` +
-                                destinations.map((d, i) => `*${i + 1}.* ${d}`).join('\n') +
-                                "\n\nPlease reply with the city name or number.";
-                        await sessionService.updateSessionContext(waId, { availableDestinations: destinations });
-                        await sessionService.updateSessionStep(waId, 'ask_destination');
-                    } else {
-                        reply = `Sorry, no destinations available from ${chosenOrigin}. Please choose a different origin or type 'reset'.`;
-                        await sessionService.resetSession(waId);
-                        logger.warn(`[Conversation - ask_origin] No destinations found for origin ${chosenOrigin}. Resetting session.`);
-                    }
+    logger.debug(`[Conversation - departures] Found ${departures.length} departures.`);
+
+    if (departures.length === 0) {
+        await ctx.goTo('ask_date'); // Keep on ask_date to allow re-entry
+        return t(lang, 'booking.noDepartures', { origin, destination, date: formatTravelDate(date, lang) });
+    }
+
+    // Fares shown are quotes; the one for the departure they pick is locked in when they choose it
+    const quotes = await pricingService.quoteFares(departures);
+    let departureOptions = header + "\n\n";
+    const choices = [];
+    departures.forEach((dep, i) => {
+        const isFull = dep.availableSeats < (passengers || 1);
+        const params = {
+            number: i + 1,
+            vehicle: dep.vehicle.name,
+            time: formatTime(lang, dep.departureTime), // Display time in WAT (Africa/Lagos) for user readability
+            fare: quotes.get(dep._id.toString()).fare.toLocaleString(),
+            seats: dep.availableSeats
+        };
+        departureOptions += t(lang, isFull ? 'booking.departureOptionFull' : 'booking.departureOption', params) + "\n";
+        choices.push({ id: String(i + 1), title: params.time, description: t(lang, isFull ? 'choice.departureFull' : 'choice.departure', params) });
+    });
+    departureOptions += "\n" + t(lang, 'booking.chooseDeparture');
+    await ctx.updateContext({ availableDepartures: departures.map(d => d._id.toString()) });
+    await ctx.goTo('ask_departure_choice');
+    return offerChoices(ctx, departureOptions, choices);
+};
+
+/**
+ * Finds a city to change at when there's no direct route, preferring the shortest total travel time.
+ * @param {string} origin Where the traveller starts.
+ * @param {string} destination Where they want to end up.
+ * @returns {Promise<string|null>} The connecting city, or null if there's no one-stop connection.
+ */
+const findConnection = async (origin, destination) => {
+    const firstLegs = await Route.find({ origin, isActive: true });
+    const secondLegs = await Route.find({ origin: { $in: firstLegs.map(r => r.destination) }, destination, isActive: true });
+    const connections = secondLegs.map(second => {
+        const first = firstLegs.find(r => r.destination === second.origin);
+        return { via: second.origin, duration: (first.duration || 0) + (second.duration || 0) };
+    });
+    connections.sort((a, b) => a.duration - b.duration);
+    return connections.length > 0 ? connections[0].via : null;
+};
+
+/**
+ * Captures the leg currently being chosen so another leg can be added after it.
+ * @param {object} details The session's booking details.
+ * @param {object} departure The chosen departure, with route populated.
+ * @returns {object} The leg, as stored in bookingDetails.legs.
+ */
+const snapshotLeg = (details, departure) => ({
+    origin: details.origin,
+    destination: details.destination,
+    date: details.date,
+    departureId: departure._id,
+    departureTime: departure.departureTime,
+    arrivalTime: new Date(new Date(departure.departureTime).getTime() + ((departure.route && departure.route.duration) || 0) * 60 * 1000),
+    passengers: details.passengers,
+    seatNumbers: details.seatNumbers || [],
+    fare: details.fare,
+    fareLockedUntil: details.fareLockedUntil,
+    totalAmount: details.fare * details.passengers
+});
+
+/**
+ * When a fare quoted now stops being honoured.
+ * @param {Date} [now] Time of the quote.
+ * @returns {Date} The end of the lock.
+ */
+const fareLockExpiry = (now = new Date()) => new Date(now.getTime() + config.pricing.quoteLockMinutes * 60 * 1000);
+
+/**
+ * Re-prices, just before checkout, every leg whose locked fare has expired. Quotes that come out the same
+ * are locked again; changed ones are saved so the traveller can review the new total.
+ * @param {object} ctx The message context, at review_booking or ask_payment_method.
+ * @returns {Promise<boolean>} true if any fare changed.
+ */
+const recheckFares = async (ctx) => {
+    const details = ctx.session.bookingDetails;
+    const now = new Date();
+    const isExpired = leg => !leg.fareLockedUntil || new Date(leg.fareLockedUntil) <= now;
+    const legs = [
+        ...(details.legs || []).map(leg => (leg.toObject ? leg.toObject() : { ...leg })),
+        { departureId: details.departureId, passengers: details.passengers, fare: details.fare, fareLockedUntil: details.fareLockedUntil }
+    ];
+    const expiredLegs = legs.filter(isExpired);
+    if (expiredLegs.length === 0) {
+        return false;
+    }
+
+    const departures = await Departure.find({ _id: { $in: expiredLegs.map(leg => leg.departureId) } }).populate('route').populate('vehicle');
+    const quotes = await pricingService.quoteFares(departures, now);
+    const lockedUntil = fareLockExpiry(now);
+    let changed = false;
+    const repriced = legs.map(leg => {
+        const quote = isExpired(leg) && leg.departureId ? quotes.get(leg.departureId.toString()) : null;
+        if (!quote) {
+            return leg; // Still locked, or the departure is gone and checkout will say so
+        }
+        if (quote.fare !== leg.fare) {
+            logger.info(`[Conversation] Fare for departure ${leg.departureId} changed from NGN${leg.fare} to NGN${quote.fare} for ${ctx.waId} after the quote expired.`);
+            changed = true;
+        }
+        return { ...leg, fare: quote.fare, fareLockedUntil: lockedUntil, totalAmount: quote.fare * leg.passengers };
+    });
+
+    const current = repriced.pop();
+    await ctx.updateDetails({
+        legs: repriced,
+        fare: current.fare,
+        fareLockedUntil: current.fareLockedUntil,
+        totalAmount: current.fare * current.passengers
+    });
+    return changed;
+};
+
+/**
+ * Shows the free seats on the chosen departure and asks the traveller to pick one per passenger.
+ * @param {object} ctx The message context.
+ * @param {object} departure Departure with vehicle populated.
+ * @param {number} passengers How many seats to pick.
+ * @returns {Promise<string>} The seat map prompt.
+ */
+const showSeatMap = async (ctx, departure, passengers) => {
+    await ctx.goTo('ask_seats');
+    return t(ctx.lang, 'booking.askSeats', {
+        count: passengers,
+        map: renderSeatMap(getDepartureLayout(departure), departure.takenSeats || [])
+    });
+};
+
+/**
+ * Builds the review summary for a trip with more than one leg.
+ * @param {Array<object>} legs Every leg, the current one last.
+ * @param {string} lang The traveller's language.
+ * @param {string} [discount] Promo discount lines to show under the total.
+ * @returns {Promise<string>} The summary.
+ */
+const formatTripReview = async (legs, lang, discount = '') => {
+    const departures = await Departure.find({ _id: { $in: legs.map(leg => leg.departureId) } }).populate('vehicle');
+    const lines = legs.map((leg, i) => {
+        const departure = departures.find(d => d._id.toString() === leg.departureId.toString());
+        return t(lang, 'booking.reviewLeg', {
+            number: i + 1,
+            origin: leg.origin,
+            destination: leg.destination,
+            date: formatTravelDate(leg.date, lang),
+            time: formatTime(lang, leg.departureTime),
+            vehicle: departure && departure.vehicle ? departure.vehicle.name : '-',
+            passengers: leg.passengers,
+            seats: (leg.seatNumbers || []).join(', ') || '-',
+            fare: leg.fare.toLocaleString()
+        });
+    });
+    return t(lang, 'booking.reviewTrip', {
+        legs: lines.join('\n\n'),
+        total: legs.reduce((sum, leg) => sum + leg.totalAmount, 0).toLocaleString(),
+        discount
+    });
+};
+
+/**
+ * Collects what a promo code is checked against: the route of every leg and the checkout total.
+ * @param {string} waId The traveller's WhatsApp ID.
+ * @param {Array<object>} legs Every leg of the checkout, with departureId and totalAmount.
+ * @returns {Promise<{waId: string, routeIds: Array<object>, amount: number}>}
+ */
+const buildPromoCheckout = async (waId, legs) => {
+    const departures = await Departure.find({ _id: { $in: legs.map(leg => leg.departureId) } }, 'route');
+    return {
+        waId,
+        routeIds: departures.map(d => d.route),
+        amount: legs.reduce((sum, leg) => sum + leg.totalAmount, 0)
+    };
+};
+
+/**
+ * Explains why a promo code can't be used.
+ * @param {string} lang The traveller's language.
+ * @param {{promo?: object, reason: string}} result From promoService.quoteDiscount or redeem.
+ * @returns {string} The explanation.
+ */
+const describePromoProblem = (lang, result) => t(lang, `promo.${result.reason}`, {
+    minAmount: result.promo ? (result.promo.minAmount || 0).toLocaleString() : '0'
+});
+
+/**
+ * Builds the discount lines for the review. A code that has stopped being valid since it was
+ * applied (e.g. it ran out) is dropped from the session and the traveller is told why.
+ * @param {object} ctx The message context.
+ * @param {string|null} promoCode The code applied to the session, if any.
+ * @param {Array<object>} legs Every leg of the checkout.
+ * @returns {Promise<string>} The lines to add under the total, or '' without a code.
+ */
+const formatPromoDiscount = async (ctx, promoCode, legs) => {
+    const { lang } = ctx;
+    if (!promoCode) {
+        return '';
+    }
+    const checkout = await buildPromoCheckout(ctx.waId, legs);
+    const result = await promoService.quoteDiscount(promoCode, checkout);
+    if (result.reason) {
+        await ctx.updateDetails({ promoCode: null });
+        return `\n${t(lang, 'promo.removed', { code: promoCode, reason: describePromoProblem(lang, result) })}`;
+    }
+    return `\n${t(lang, 'promo.discountLine', {
+        code: promoCode,
+        discount: result.discount.toLocaleString(),
+        total: (checkout.amount - result.discount).toLocaleString()
+    })}`;
+};
+
+/**
+ * Moves the booking flow to the first step whose answer is still missing and returns its prompt.
+ * Steps already answered (e.g. from a free-text request) are skipped.
+ * It is the prompt of every booking step, so going back to one asks again whatever was cleared.
+ * @param {object} ctx The message context.
+ * @returns {Promise<string>} The prompt for the next step.
+ */
+const promptNextStep = async (ctx) => {
+    const { waId, lang } = ctx;
+    const details = ctx.session.bookingDetails;
+    const { origin, destination, date, departureId, passengers } = details;
+
+    if (!origin) {
+        const origins = await Route.distinct('origin', { isActive: true });
+        if (origins.length === 0) {
+            await ctx.reset();
+            return t(lang, 'booking.noRoutes');
+        }
+        await ctx.updateContext({ availableOrigins: origins });
+        await ctx.goTo('ask_origin');
+        return offerList(ctx, 'booking.askOrigin', {}, origins);
+    }
+
+    const route = destination ? await Route.findOne({ origin, destination, isActive: true }) : null;
+    if (!route) {
+        const destinations = await Route.distinct('destination', { origin, isActive: true });
+        if (destinations.length === 0) {
+            await ctx.reset();
+            logger.warn(`[Conversation] No destinations found for origin ${origin}. Resetting session.`);
+            return t(lang, 'booking.noDestinations', { origin });
+        }
+        if (destination && !details.connectTo) {
+            const via = await findConnection(origin, destination);
+            if (via) {
+                // No direct trip, so book the two legs through the connecting city one after the other
+                await ctx.updateDetails({ destination: via, connectTo: destination });
+                logger.info(`[Conversation] No direct route ${origin} -> ${destination} for ${waId}. Connecting via ${via}.`);
+                return `${t(lang, 'booking.connectionPlanned', { origin, via, destination })}\n\n${await promptNextStep(ctx)}`;
+            }
+        }
+        await ctx.updateContext({ availableDestinations: destinations });
+        await ctx.goTo('ask_destination');
+        const prompt = offerList(ctx, 'booking.askDestination', { origin }, destinations);
+        if (destination) {
+            // e.g. "Kano to Calabar" when we don't run that route
+            await ctx.updateDetails({ destination: null });
+            return `${t(lang, 'booking.routeNotServed', { origin, destination })}\n\n${prompt}`;
+        }
+        return prompt;
+    }
+
+    if (!date) {
+        await ctx.goTo('ask_date');
+        return t(lang, 'booking.askDate', { destination });
+    }
+
+    if (!departureId) {
+        return showDepartures(ctx, route);
+    }
+
+    const departure = await Departure.findById(departureId).populate('route').populate('vehicle');
+    if (!departure) {
+        await ctx.reset();
+        logger.error(`[Conversation] Departure ${departureId} not found while building the booking. Resetting session.`);
+        return t(lang, 'booking.departureNotFound');
+    }
+
+    if (!passengers || passengers > departure.availableSeats) {
+        await ctx.goTo('ask_passengers');
+        return t(lang, 'booking.departureSelected', {
+            time: formatTime(lang, departure.departureTime),
+            vehicle: departure.vehicle.name,
+            seats: departure.availableSeats
+        });
+    }
+
+    if ((details.seatNumbers || []).length !== passengers) {
+        return showSeatMap(ctx, departure, passengers);
+    }
+
+    // The manifest is collected once and shared by every leg of the trip
+    const manifest = details.passengerDetails || [];
+    if (manifest.length < passengers) {
+        await ctx.goTo('ask_passenger_name');
+        return t(lang, 'booking.askPassengerName', { number: manifest.length + 1, total: passengers });
+    }
+
+    const legs = details.legs || [];
+    const { connectTo } = details;
+    if (connectTo) {
+        // First leg of a connecting trip chosen; the second leaves from the connecting city once it arrives
+        const leg = snapshotLeg(details, departure);
+        await ctx.updateDetails({
+            legs: [...legs, leg],
+            origin: destination,
+            destination: connectTo,
+            connectTo: null,
+            date: startOfZonedDay(leg.arrivalTime),
+            timeOfDay: null,
+            departureId: null,
+            seatNumbers: [],
+            fare: null,
+            fareLockedUntil: null,
+            totalAmount: null
+        });
+        return `${t(lang, 'booking.connectionNextLeg', { origin: destination, destination: connectTo })}\n\n${await promptNextStep(ctx)}`;
+    }
+
+    const totalAmount = details.fare * passengers;
+    await ctx.updateDetails({ totalAmount });
+    logger.debug(`[Conversation] Calculated total amount: ${totalAmount}. Moving to review_booking.`);
+    await ctx.goTo('review_booking');
+    const allLegs = [...legs, snapshotLeg(details, departure)];
+    const discount = await formatPromoDiscount(ctx, details.promoCode, allLegs);
+    const promoHint = details.promoCode ? '' : `\n${t(lang, 'booking.promoHint')}`;
+    if (legs.length > 0) {
+        const review = await formatTripReview(allLegs, lang, discount);
+        return offerChoices(ctx, (ctx.session.context.returnAdded ? review : `${review}\n${t(lang, 'booking.returnHint')}`) + promoHint, yesNoChoices(lang));
+    }
+    return offerChoices(ctx, t(lang, 'booking.review', {
+        origin,
+        destination,
+        date: formatTravelDate(date, lang),
+        time: formatTime(lang, departure.departureTime),
+        vehicle: departure.vehicle.name,
+        passengers: `${passengers} (${manifest.slice(0, passengers).map(p => p.name).join(', ')})`,
+        seats: details.seatNumbers.join(', '),
+        fare: details.fare.toLocaleString(),
+        total: totalAmount.toLocaleString(),
+        discount
+    }) + `\n${t(lang, 'booking.returnHint')}` + promoHint, yesNoChoices(lang));
+};
+
+/**
+ * Handles the answer to "where from?" or "where to?": a list number, a city name with typos or
+ * aliases forgiven ("Lagoss", "PH"), or a whole free-text trip request.
+ * An unclear city gets a "Did you mean …?" question before the flow continues.
+ * @param {object} ctx The message context.
+ * @param {string} role 'origin' or 'destination'.
+ * @returns {Promise<string>} reply
+ */
+const handleCityAnswer = async (ctx, role) => {
+    const { text: messageText, lang } = ctx;
+    const { context } = ctx.session;
+    const options = (role === 'origin' ? context.availableOrigins : context.availableDestinations) || [];
+
+    let chosenCity = validateChoice(messageText, options);
+    let suggestions = [];
+    if (!chosenCity) {
+        ({ city: chosenCity, suggestions } = cityMatchService.matchCity(messageText, options));
+    }
+    if (chosenCity) {
+        await ctx.updateDetails({ [role]: chosenCity.toUpperCase() });
+        return promptNextStep(ctx);
+    }
+
+    if (suggestions.length > 0) {
+        await ctx.updateContext({ citySuggestions: suggestions, citySuggestionRole: role });
+        await ctx.goTo('confirm_city');
+        if (suggestions.length === 1) {
+            return t(lang, 'booking.didYouMean', { city: suggestions[0] });
+        }
+        return offerList(ctx, 'booking.didYouMeanList', {}, suggestions);
+    }
+
+    if (await applyTripIntent(ctx, role)) {
+        return promptNextStep(ctx);
+    }
+
+    if (role === 'origin') {
+        const reply = t(lang, 'booking.invalidOrigin');
+        const origins = await Route.distinct('origin', { isActive: true });
+        if (origins && origins.length > 0) {
+            return offerChoices(ctx, `${reply}\n\n${t(lang, 'booking.availableOrigins')}\n${formatOptions(origins)}`, numberedChoices(origins));
+        }
+        return reply;
+    }
+
+    const reply = t(lang, 'booking.invalidDestination');
+    const currentOrigin = ctx.session.bookingDetails.origin;
+    if (currentOrigin) {
+        const destinations = await Route.distinct('destination', { origin: currentOrigin, isActive: true });
+        if (destinations && destinations.length > 0) {
+            return offerChoices(ctx, `${reply}\n\n${t(lang, 'booking.availableDestinations', { origin: currentOrigin })}\n${formatOptions(destinations)}`, numberedChoices(destinations));
+        }
+    }
+    return reply;
+};
+
+/**
+ * Departure time of every leg of the trip being booked, for working out which payment methods fit.
+ * @param {object} details The session's bookingDetails.
+ * @returns {Promise<Array<Date>>}
+ */
+const loadDepartureTimes = async (details) => {
+    const departureIds = [...(details.legs || []).map(leg => leg.departureId), details.departureId];
+    const departures = await Departure.find({ _id: { $in: departureIds } }, 'departureTime');
+    return departures.map(departure => departure.departureTime);
+};
+
+/**
+ * Moves a confirmed booking on to payment. With only one payment method usable for these departures
+ * checkout starts straight away; otherwise the traveller is asked to pick one. With none (e.g. only
+ * pay at the park is enabled and the departure is too soon), the traveller stays at review.
+ * @param {object} ctx The message context, confirming the booking.
+ * @returns {Promise<string>} reply
+ */
+const offerPaymentMethods = async (ctx) => {
+    const methods = paymentService.listMethods(await loadDepartureTimes(ctx.session.bookingDetails));
+    if (methods.length === 0) {
+        logger.warn(`[Conversation - review_booking] No payment method can be used for ${ctx.waId}'s departures.`);
+        return t(ctx.lang, 'booking.noPaymentMethod');
+    }
+    if (methods.length === 1) {
+        return startCheckout(ctx, methods[0].name);
+    }
+    await ctx.updateContext({ paymentMethods: methods.map(method => method.name) });
+    await ctx.goTo('ask_payment_method');
+    return t(ctx.lang, 'booking.askPaymentMethod', {
+        options: formatOptions(methods.map(method => t(ctx.lang, `payment.${method.name}`)))
+    });
+};
+
+/**
+ * Holds seats on every leg of the trip, redeems the promo code if one was applied, opens one payment with the
+ * chosen provider for the total less the discount and records a booking per leg.
+ * If any leg can't be held, the code can't be redeemed or the payment can't be started, every hold (and the
+ * redemption) taken so far is released, so a trip is never left half-booked.
+ * @param {object} ctx The message context, at review_booking or ask_payment_method.
+ * @param {string} providerName The payment provider chosen, e.g. 'paystack' or 'pay_at_park'.
+ * @returns {Promise<string>} reply
+ */
+const startCheckout = async (ctx, providerName) => {
+    const { waId, lang, session, sentiment } = ctx;
+    const details = session.bookingDetails;
+    const legs = [
+        ...(details.legs || []),
+        {
+            origin: details.origin,
+            destination: details.destination,
+            date: details.date,
+            departureId: details.departureId,
+            passengers: details.passengers,
+            seatNumbers: details.seatNumbers || [],
+            fare: details.fare,
+            totalAmount: details.totalAmount
+        }
+    ];
+
+    if (legs.some(leg => !leg.origin || !leg.destination || !leg.date || !leg.departureId || !leg.passengers || !leg.fare || leg.totalAmount === undefined || leg.totalAmount === null)) {
+        await ctx.reset();
+        logger.error(`[Conversation - review_booking] Missing critical booking details despite 'yes' confirmation. Session bookingDetails: ${JSON.stringify(details)}. Resetting session.`);
+        return t(lang, 'booking.criticalDetailsMissing');
+    }
+
+    const provider = paymentService.getProvider(providerName);
+    if (!provider) {
+        return offerPaymentMethods(ctx); // Switched off since it was offered
+    }
+    // Cash bookings are held until shortly before departure; that may no longer leave enough time
+    const holdExpiresAt = paymentService.getHoldExpiry(provider, await loadDepartureTimes(details));
+    if (!holdExpiresAt) {
+        return `${t(lang, 'booking.paymentMethodUnavailable')}\n\n${await offerPaymentMethods(ctx)}`;
+    }
+    const holdExpiryTime = provider.collectsInPerson
+        ? `${formatDate(lang, holdExpiresAt, { weekday: 'short', month: 'short', day: 'numeric' })}, ${formatTime(lang, holdExpiresAt)}`
+        : formatTime(lang, holdExpiresAt);
+
+    // Atomically hold the seats before issuing a payment link so two travellers can't pay for the same seats
+    const heldLegs = [];
+    const releaseHeldLegs = async () => {
+        for (const leg of heldLegs) {
+            await seatHoldService.releaseSeats(leg.departureId, leg.passengers, leg.seatNumbers || []);
+        }
+    };
+    for (const leg of legs) {
+        const heldDeparture = await seatHoldService.holdSeats(leg.departureId, leg.passengers, leg.seatNumbers || []);
+        if (!heldDeparture) {
+            await releaseHeldLegs();
+            const latestDeparture = await Departure.findById(leg.departureId);
+            const takenSeats = (leg.seatNumbers || []).filter(seat => latestDeparture && latestDeparture.takenSeats.includes(seat));
+            if (leg === legs[legs.length - 1] && takenSeats.length > 0 && latestDeparture.availableSeats >= leg.passengers) {
+                // Someone else got one of the chosen seats first; let them pick again instead of starting over
+                await ctx.updateDetails({ seatNumbers: [] });
+                logger.info(`[Conversation - review_booking] Seats ${takenSeats.join(', ')} on ${leg.departureId} were taken before checkout. Asking ${waId} to pick again.`);
+                return `${t(lang, 'booking.seatsTaken', { seats: takenSeats.join(', ') })}\n\n${await promptNextStep(ctx)}`;
+            }
+            await ctx.reset();
+            logger.warn(`[Conversation - review_booking] Not enough seats for booking ${leg.departureId}. Requested: ${leg.passengers}. Resetting session.`);
+            return t(lang, 'booking.notEnoughSeats', { seats: latestDeparture ? latestDeparture.availableSeats : 0 });
+        }
+        heldLegs.push(leg);
+    }
+
+    const bookingReferences = legs.map(() => newBookingReference());
+    // A trip with several legs is paid in one transaction under a reference shared by all of them
+    const tripReference = legs.length > 1 ? newTripReference() : null;
+    const paymentReference = tripReference || bookingReferences[0];
+    const totalAmount = legs.reduce((sum, leg) => sum + leg.totalAmount, 0);
+
+    // Redeem the promo code now, after the seats are safe, so an abandoned review doesn't use it up
+    let discount = 0;
+    if (details.promoCode) {
+        const redemption = await promoService.redeem(details.promoCode, { ...(await buildPromoCheckout(waId, legs)), reference: paymentReference });
+        if (redemption.reason) {
+            await releaseHeldLegs();
+            await ctx.updateDetails({ promoCode: null });
+            return `${t(lang, 'promo.unavailable', { code: details.promoCode, reason: describePromoProblem(lang, redemption) })}\n\n${await promptNextStep(ctx)}`;
+        }
+        discount = redemption.discount;
+    }
+    const releasePromo = async () => {
+        if (details.promoCode) {
+            await promoService.release(details.promoCode, paymentReference);
+        }
+    };
+    // Each leg carries its share of the discount, so a refund for one leg never exceeds what was paid for it
+    const legDiscounts = legs.map(leg => Math.floor(discount * leg.totalAmount / totalAmount));
+    legDiscounts[legDiscounts.length - 1] += discount - legDiscounts.reduce((sum, share) => sum + share, 0);
+    const amountDue = totalAmount - discount;
+
+    const customerEmail = session.userEmail || channelService.placeholderEmail(waId);
+
+    try {
+        if (discount > 0) {
+            logger.debug(`[Conversation - review_booking] NGN${discount} off ${paymentReference} with promo ${details.promoCode}. Charging NGN${amountDue}.`);
+        }
+        const payment = await provider.initialize({
+            email: customerEmail,
+            amountKobo: amountDue * 100,
+            reference: paymentReference,
+            customFields: [
+                { display_name: "Customer WhatsApp ID", variable_name: "whatsapp_id", value: waId },
+                { display_name: "Booking Session ID", variable_name: "session_id", value: session._id.toString() }
+            ]
+        });
+
+        if (!payment) {
+            await releaseHeldLegs();
+            await releasePromo();
+            await ctx.reset();
+            return t(lang, 'booking.paymentInitFailed');
+        }
+
+        const authorizationUrl = payment.authorizationUrl;
+        const transactionReference = payment.reference;
+
+        const bookings = await Booking.insertMany(legs.map((leg, i) => ({
+            userId: waId,
+            sessionId: session._id,
+            departure: leg.departureId,
+            passengers: leg.passengers,
+            seatNumbers: leg.seatNumbers || [],
+            passengerDetails: (details.passengerDetails || []).slice(0, leg.passengers),
+            totalAmount: leg.totalAmount - legDiscounts[i],
+            promoCode: details.promoCode || null,
+            discountAmount: legDiscounts[i],
+            bookingReference: bookingReferences[i],
+            tripReference,
+            leg: i + 1,
+            paymentReference: transactionReference,
+            paymentProvider: provider.name,
+            status: 'pending',
+            paymentStatus: 'pending',
+            holdExpiresAt: holdExpiresAt,
+            history: [{
+                action: 'created',
+                note: `${provider.collectsInPerson ? 'Pay at the park chosen' : `${provider.displayName} payment link issued`}${tripReference ? ` for trip ${tripReference} (leg ${i + 1} of ${legs.length})` : ''}${legDiscounts[i] > 0 ? `, NGN${legDiscounts[i]} off with promo ${details.promoCode}` : ''}. Seats held until ${holdExpiresAt.toISOString()}`
+            }]
+        })));
+
+        // --- AI Enhanced Response for Confirmation ---
+        let reply = t(lang, provider.collectsInPerson ? 'booking.payAtPark' : 'booking.paymentLink', {
+            reference: paymentReference,
+            amount: amountDue.toLocaleString(),
+            url: authorizationUrl,
+            holdTime: holdExpiryTime
+        });
+        if (sentiment === 'positive') {
+            reply = t(lang, 'booking.positiveCreated') + reply;
+        }
+        // --- End AI Enhancement ---
+
+        await ctx.goTo('awaiting_payment');
+        await ctx.updateContext({
+            currentBookingId: bookings[0]._id.toString(),
+            tripReference,
+            paymentGatewayReference: transactionReference
+        });
+        logger.info(`[Conversation - review_booking] ${bookings.length} booking(s) (Ref: ${paymentReference}) created, payment initiated with ${provider.displayName}.${authorizationUrl ? ` User redirected to: ${authorizationUrl}` : ''}`);
+        return reply;
+    } catch (paymentError) {
+        logger.error(`[Payments - Initialization Error] ${provider.displayName}: ${paymentError.message}. Details: ${paymentError.response ? JSON.stringify(paymentError.response.data) : 'No response data'}`);
+        await releaseHeldLegs();
+        await releasePromo();
+        await ctx.reset();
+        return t(lang, 'booking.paymentInitError');
+    }
+};
+
+/**
+ * Works out how a message feels, so replies can be warmer or a frustrated traveller's handoff flagged.
+ * @param {string} messageText The message.
+ * @returns {string} 'positive', 'negative' or 'neutral'.
+ */
+const detectSentiment = (messageText) => {
+    // --- AI Feature: Sentiment Analysis Implementation ---
+    const tokens = new natural.WordTokenizer().tokenize(messageText.toLowerCase());
+    const sentimentScore = analyzer.getSentiment(tokens); // Get score
+    let sentiment = 'neutral';
+    if (sentimentScore > 0.5) { // Thresholds can be tuned
+        sentiment = 'positive';
+    } else if (sentimentScore < -0.5) { // Thresholds can be tuned
+        sentiment = 'negative';
+    }
+    logger.info(`[AI - Sentiment] User message: "${messageText}" | Sentiment Score: ${sentimentScore} | Detected Sentiment: ${sentiment}`);
+    // --- End AI Feature Implementation ---
+    return sentiment;
+};
+
+// Steps of the booking flow. Their prompt is promptNextStep, which asks the first question still unanswered,
+// and any of them can lead to any other (e.g. a free-text "Abuja friday for 2" answers several at once).
+const BOOKING_STEPS = ['ask_origin', 'ask_destination', 'ask_date', 'ask_departure_choice', 'ask_passengers', 'ask_seats', 'ask_passenger_name', 'review_booking'];
+
+// Every step a session can be at (see flowEngine for what each part means). Each step reads the
+// message from ctx and changes the session only through ctx, so it can be called on its own.
+const steps = {
+    welcome: {
+        // Also where the 'menu' command and going back from the first question lead
+        prompt: async (ctx) => {
+            await ctx.reset();
+            return showMenu(ctx);
+        },
+        transitions: [...BOOKING_STEPS, 'check_booking', 'with_agent'],
+        handle: async (ctx) => {
+            const { text: messageText, lang } = ctx;
+            if (messageText === '1' || messageText.toLowerCase() === 'book a new trip') {
+                const prompt = await promptNextStep(ctx);
+                // Enhance welcome message based on positive sentiment
+                return ctx.sentiment === 'positive' ? t(lang, 'booking.positiveIntro') + prompt : prompt;
+            }
+            if (messageText === '2' || messageText.toLowerCase() === 'check my booking') {
+                return showUserBookings(ctx);
+            }
+            if (messageText === '3' || messageText.toLowerCase() === 'help & support') {
+                await supportService.startHandoff(ctx.waId, 'Help & Support menu option');
+                return t(lang, 'support.handoff');
+            }
+            if (await applyTripIntent(ctx)) {
+                // e.g. "Lagos to Abuja tomorrow for 2" straight from the menu
+                return promptNextStep(ctx);
+            }
+            return offerChoices(ctx, t(lang, 'menu.invalid'), menuChoices(lang));
+        }
+    },
+
+    // Language picker: shown on first contact and whenever the traveller asks for it
+    choose_language: {
+        commands: false,
+        prompt: async (ctx) => {
+            await ctx.goTo('choose_language');
+            return buildLanguagePicker();
+        },
+        transitions: ['welcome'],
+        handle: async (ctx) => {
+            const chosenLanguage = parseLanguageChoice(ctx.text);
+            if (!chosenLanguage) {
+                return `${t(ctx.lang, 'language.invalid')}\n\n${buildLanguagePicker()}`;
+            }
+            await sessionService.setUserLanguage(ctx.waId, chosenLanguage);
+            ctx.lang = chosenLanguage;
+            return `${t(ctx.lang, 'language.saved')}\n\n${await conversationFlow.prompt(ctx, 'welcome')}`;
+        }
+    },
+
+    // While a human agent is handling the chat (see supportService), forward everything to the support
+    // ticket and stay silent
+    with_agent: {
+        commands: false,
+        transitions: ['welcome'],
+        handle: async (ctx) => {
+            const { waId, lang } = ctx;
+            if (isKeyword(lang, 'reset', ctx.text)) {
+                const ticket = await supportService.getOpenTicket(waId);
+                if (ticket) {
+                    await supportService.closeTicket(ticket, { closedBy: 'traveller', notify: false });
                 } else {
-                    reply = "I didn't recognize that departure city. Please choose from the list or type 'menu' to start over.";
-                    const origins = await Route.distinct('origin', { isActive: true });
-                    if (origins && origins.length > 0) {
-                        reply += "\n\nAvailable origins:\n" + origins.map((o, i) => `*${i + 1}.* ${o}`).join('\n');
-                    }
+                    await ctx.reset();
                 }
-                break;
+                return t(lang, 'support.ended');
+            }
+            await supportService.recordTravellerMessage(waId, ctx.text);
+            logger.debug(`[Conversation - with_agent] Forwarded message from ${waId} to support.`);
+            return '';
+        }
+    },
+
+    ask_origin: {
+        prompt: promptNextStep,
+        back: { step: 'welcome' },
+        transitions: [...BOOKING_STEPS, 'confirm_city'],
+        handle: (ctx) => handleCityAnswer(ctx, 'origin')
+    },
 
-            case 'ask_destination':
-                logger.debug(`[Conversation - ask_destination] Processing message: "${messageText}"`);
-                session = await sessionService.getSession(waId);
-                const availableDestinations = session.context.availableDestinations || [];
+    ask_destination: {
+        prompt: promptNextStep,
+        back: { step: 'ask_origin', clear: ['origin', 'destination', 'connectTo'] },
+        transitions: [...BOOKING_STEPS, 'confirm_city'],
+        handle: (ctx) => handleCityAnswer(ctx, 'destination')
+    },
 
-                const chosenDestination = validateChoice(messageText, availableDestinations);
+    // Waiting for a yes to "Did you mean …?" after an unclear city
+    confirm_city: {
+        prompt: promptNextStep,
+        back: { step: 'ask_origin' }, // Asks again for the city that was unclear, origin or destination
+        transitions: [...BOOKING_STEPS, 'confirm_city'],
+        handle: async (ctx) => {
+            const { text: messageText, lang } = ctx;
+            const citySuggestions = ctx.session.context.citySuggestions || [];
+            const citySuggestionRole = ctx.session.context.citySuggestionRole === 'destination' ? 'destination' : 'origin';
+
+            const confirmedCity = citySuggestions.length === 1 && isKeyword(lang, 'yes', messageText)
+                ? citySuggestions[0]
+                : validateChoice(messageText, citySuggestions);
+
+            await ctx.updateContext({ citySuggestions: null, citySuggestionRole: null });
+            if (confirmedCity) {
+                await ctx.updateDetails({ [citySuggestionRole]: confirmedCity.toUpperCase() });
+                return promptNextStep(ctx);
+            }
+            if (isKeyword(lang, 'no', messageText)) {
+                // Ask for the city again
+                return promptNextStep(ctx);
+            }
+            // They typed the city again (or something else): treat it as a fresh answer
+            return handleCityAnswer(ctx, citySuggestionRole);
+        }
+    },
 
-                if (chosenDestination) {
-                    await sessionService.updateBookingDetails(waId, { destination: chosenDestination.toUpperCase() });
-                    session = await sessionService.getSession(waId); // Refresh session
-                    reply = `Got it, to ${chosenDestination}. When would you like to travel? Please provide the **date** (e.g., *YYYY-MM-DD*, *tomorrow*, or *next Monday*).`;
-                    await sessionService.updateSessionStep(waId, 'ask_date');
-                } else {
-                    reply = "I didn't recognize that destination city. Please choose from the list or type 'menu' to start over.";
-                    const currentOrigin = session.bookingDetails.origin;
-                    if (currentOrigin) {
-                        const destinations = await Route.distinct('destination', { origin: currentOrigin, isActive: true });
-                        if (destinations && destinations.length > 0) {
-                            reply += `\n\nAvailable destinations from ${currentOrigin}:\n` + destinations.map((d, i) => `*${i + 1}.* ${d}`).join('\n');
-                        }
-                    }
+    ask_date: {
+        prompt: promptNextStep,
+        back: { step: 'ask_destination', clear: ['destination', 'connectTo'] },
+        transitions: BOOKING_STEPS,
+        handle: async (ctx) => {
+            const parsedDate = parseLocalizedDate(ctx.text, ctx.lang);
+            if (parsedDate) {
+                await ctx.updateDetails({ date: parsedDate.date, timeOfDay: parsedDate.timeOfDay });
+                return promptNextStep(ctx);
+            }
+            if (await applyTripIntent(ctx, 'destination')) {
+                // e.g. "friday for 3 people", or a change of plan like "actually Abuja next monday"
+                return promptNextStep(ctx);
+            }
+            logger.debug(`[Conversation - ask_date] Invalid date input: "${ctx.text}".`);
+            return t(ctx.lang, 'booking.invalidDate');
+        }
+    },
+
+    ask_departure_choice: {
+        prompt: promptNextStep,
+        back: { step: 'ask_date', clear: ['date', 'timeOfDay'] },
+        transitions: [...BOOKING_STEPS, 'ask_waitlist_seats'],
+        handle: async (ctx) => {
+            const { lang, session } = ctx;
+            const availableDepartureIds = session.context.availableDepartures || [];
+            const chosenDepartureIndex = parseInt(ctx.text, 10) - 1; // Convert to 0-based index
+            if (isNaN(chosenDepartureIndex) || chosenDepartureIndex < 0 || chosenDepartureIndex >= availableDepartureIds.length) {
+                return t(lang, 'booking.invalidDeparture');
+            }
+
+            const chosenDeparture = await Departure.findById(availableDepartureIds[chosenDepartureIndex]).populate('route').populate('vehicle');
+            if (!chosenDeparture || chosenDeparture.status !== 'scheduled') {
+                // Keep on ask_departure_choice to let them choose again from remaining list
+                return t(lang, 'booking.departureUnavailable');
+            }
+            if (chosenDeparture.availableSeats < (session.bookingDetails.passengers || 1)) {
+                // Full for this party, so offer the waitlist instead
+                await ctx.updateContext({ waitlistDepartureId: chosenDeparture._id.toString() });
+                await ctx.goTo('ask_waitlist_seats');
+                return t(lang, 'booking.askWaitlistSeats', { time: formatTime(lang, chosenDeparture.departureTime) });
+            }
+            // Lock the quoted fare for a while; review_booking re-checks it once the lock runs out
+            const fareQuote = await pricingService.quoteFare(chosenDeparture);
+            await ctx.updateDetails({
+                departureId: chosenDeparture._id,
+                seatNumbers: [], // Seats belong to a departure, so pick again
+                fare: fareQuote.fare,
+                fareLockedUntil: fareLockExpiry()
+            });
+            // Goes straight to the review if the party size is already known and still fits
+            return promptNextStep(ctx);
+        }
+    },
+
+    // The chosen departure is full; asking how many seats to waitlist
+    ask_waitlist_seats: {
+        back: { step: 'ask_departure_choice' },
+        transitions: BOOKING_STEPS,
+        handle: async (ctx) => {
+            const { lang, text: messageText } = ctx;
+            if (isKeyword(lang, 'no', messageText)) {
+                await ctx.updateContext({ waitlistDepartureId: null });
+                return promptNextStep(ctx); // Back to the departure list
+            }
+            const waitlistDeparture = await Departure.findById(ctx.session.context.waitlistDepartureId).populate('vehicle');
+            if (!waitlistDeparture || waitlistDeparture.status !== 'scheduled') {
+                await ctx.reset();
+                return t(lang, 'booking.departureNotFound');
+            }
+            const waitlistSeats = parseInt(messageText, 10);
+            if (isNaN(waitlistSeats) || waitlistSeats < 1 || waitlistSeats > waitlistDeparture.vehicle.capacity) {
+                return t(lang, 'booking.invalidWaitlistSeats', { max: waitlistDeparture.vehicle.capacity });
+            }
+            const { position } = await waitlistService.join(ctx.session, waitlistDeparture._id, waitlistSeats, lang);
+            await ctx.reset();
+            return t(lang, 'waitlist.joined', {
+                seats: waitlistSeats,
+                time: formatTime(lang, waitlistDeparture.departureTime),
+                date: formatTravelDate(waitlistDeparture.departureTime, lang),
+                position
+            });
+        }
+    },
+
+    ask_passengers: {
+        prompt: promptNextStep,
+        back: { step: 'ask_departure_choice', clear: () => ({ departureId: null, seatNumbers: [], fare: null, fareLockedUntil: null }) },
+        transitions: BOOKING_STEPS,
+        handle: async (ctx) => {
+            const { lang } = ctx;
+            const { origin, destination, date, departureId, fare } = ctx.session.bookingDetails;
+            if (!origin || !destination || !date || !departureId || !fare) {
+                logger.error(`[Conversation - ask_passengers] Missing essential booking details (origin, dest, date, depId, fare) at start of ask_passengers. Session: ${JSON.stringify(ctx.session.bookingDetails)}. Resetting session.`);
+                await ctx.reset();
+                return t(lang, 'booking.missingDetails');
+            }
+
+            const numPassengersInput = parseInt(ctx.text, 10);
+            const departureToBook = await Departure.findById(departureId);
+            logger.debug(`[Conversation - ask_passengers] Parsed passengers: ${numPassengersInput}, Departure seats available: ${departureToBook ? departureToBook.availableSeats : 'N/A'}`);
+            if (departureToBook && !isNaN(numPassengersInput) && numPassengersInput > 0 && numPassengersInput <= departureToBook.availableSeats) {
+                await ctx.updateDetails({ passengers: numPassengersInput });
+                return promptNextStep(ctx);
+            }
+            logger.debug(`[Conversation - ask_passengers] Invalid passengers input: "${ctx.text}".`);
+            return t(lang, 'booking.invalidPassengers', { seats: departureToBook ? departureToBook.availableSeats : 0 });
+        }
+    },
+
+    // Picking seats on the seat map
+    ask_seats: {
+        prompt: promptNextStep,
+        back: { step: 'ask_passengers', clear: () => ({ passengers: null, seatNumbers: [] }) },
+        transitions: BOOKING_STEPS,
+        handle: async (ctx) => {
+            const { lang, text: messageText } = ctx;
+            const seatDeparture = await Departure.findById(ctx.session.bookingDetails.departureId).populate('vehicle');
+            if (!seatDeparture) {
+                await ctx.reset();
+                return t(lang, 'booking.departureNotFound');
+            }
+            const seatsWanted = ctx.session.bookingDetails.passengers;
+            const allSeats = listSeats(getDepartureLayout(seatDeparture));
+            const freeSeats = allSeats.filter(seat => !(seatDeparture.takenSeats || []).includes(seat));
+            const pickedSeats = isKeyword(lang, 'skip', messageText)
+                ? freeSeats.slice(0, seatsWanted)
+                : parseSeatSelection(messageText, allSeats);
+            if (!pickedSeats || pickedSeats.length !== seatsWanted) {
+                return t(lang, 'booking.invalidSeats', { count: seatsWanted });
+            }
+            const unavailableSeats = pickedSeats.filter(seat => !freeSeats.includes(seat));
+            if (unavailableSeats.length > 0) {
+                return `${t(lang, 'booking.seatsTaken', { seats: unavailableSeats.join(', ') })}\n\n${await showSeatMap(ctx, seatDeparture, seatsWanted)}`;
+            }
+            await ctx.updateDetails({ seatNumbers: pickedSeats });
+            return promptNextStep(ctx);
+        }
+    },
+
+    // Collecting the manifest, one traveller at a time
+    ask_passenger_name: {
+        prompt: promptNextStep,
+        // Re-asks the previous passenger, or the seats before the first one
+        back: {
+            step: 'ask_seats',
+            clear: (details) => (details.passengerDetails || []).length > 0
+                ? { passengerDetails: details.passengerDetails.slice(0, -1) }
+                : { seatNumbers: [] }
+        },
+        transitions: [...BOOKING_STEPS, 'ask_next_of_kin'],
+        handle: async (ctx) => {
+            const namedPassengers = ctx.session.bookingDetails.passengerDetails || [];
+            const passengerContact = parseContact(ctx.text);
+            if (!passengerContact) {
+                return t(ctx.lang, 'booking.invalidPassengerName');
+            }
+            // The lead passenger is usually the one chatting, so default to their number (none on Telegram or web chat)
+            const passengerPhone = passengerContact.phone || (namedPassengers.length === 0 ? channelService.phoneNumberOf(ctx.waId) : null);
+            await ctx.updateDetails({
+                passengerDetails: [...namedPassengers, { name: passengerContact.name, phone: passengerPhone, nextOfKin: { name: null, phone: null } }]
+            });
+            await ctx.goTo('ask_next_of_kin');
+            return t(ctx.lang, 'booking.askNextOfKin', { name: passengerContact.name });
+        }
+    },
+
+    ask_next_of_kin: {
+        back: { step: 'ask_passenger_name', clear: (details) => ({ passengerDetails: (details.passengerDetails || []).slice(0, -1) }) },
+        transitions: BOOKING_STEPS,
+        handle: async (ctx) => {
+            const manifestSoFar = [...(ctx.session.bookingDetails.passengerDetails || [])];
+            if (manifestSoFar.length > 0 && !isKeyword(ctx.lang, 'skip', ctx.text)) {
+                const kinContact = parseContact(ctx.text);
+                if (!kinContact || !kinContact.phone) {
+                    return t(ctx.lang, 'booking.invalidNextOfKin');
                 }
-                break;
-
-            case 'ask_date':
-                logger.debug(`[Conversation - ask_date] Processing message: "${messageText}"`);
-                session = await sessionService.getSession(waId); // Re-fetch session for latest origin/destination
-                const parsedDate = parseDateInput(messageText);
-                logger.debug(`[Conversation - ask_date] Parsed date (from user input): ${parsedDate ? parsedDate.toISOString() : 'null'}`);
-
-                if (parsedDate && parsedDate instanceof Date && !isNaN(parsedDate.getTime())) {
-                    await sessionService.updateBookingDetails(waId, { date: parsedDate });
-                    session = await sessionService.getSession(waId); // Refresh session
-                    const { origin, destination } = session.bookingDetails;
-                    logger.debug(`[Conversation - ask_date] Attempting to find route for Origin: ${origin}, Destination: ${destination}`);
-                    const route = await Route.findOne({ origin: origin, destination: destination, isActive: true });
-
-                    if (route) {
-                        logger.debug(`[Conversation - ask_date] Route found: ${route._id}. Searching for departures.`);
-
-                        const startOfSelectedDayUTC = new Date(parsedDate);
-                        startOfSelectedDayUTC.setUTCHours(0, 0, 0, 0);
-
-                        const endOfSelectedDayUTC = new Date(parsedDate);
-                        endOfSelectedDayUTC.setUTCDate(endOfSelectedDayUTC.getUTCDate() + 1);
-                        endOfSelectedDayUTC.setUTCHours(0, 0, 0, 0);
-
-                        logger.debug(`[Conversation - ask_date] Query Range for Departures (UTC): $gte ${startOfSelectedDayUTC.toISOString()}, $lt ${endOfSelectedDayUTC.toISOString()}`);
-
-                        const departures = await Departure.find({
-                            route: route._id,
-                            departureTime: {
-                                $gte: startOfSelectedDayUTC,
-                                $lt: endOfSelectedDayUTC
-                            },
-                            availableSeats: { $gt: 0 },
-                            status: 'scheduled'
-                        }).populate('vehicle').sort('departureTime'); // Populate vehicle details
-
-                        logger.debug(`[Conversation - ask_date] Found ${departures.length} departures.`);
-
-                        if (departures && departures.length > 0) {
-                            let departureOptions = `Great! Here are the available departures for ${origin} to ${destination} on ${parsedDate.toDateString()}:\n\n`;
-                            departures.forEach((dep, i) => {
-                                // Display time in WAT (Africa/Lagos) for user readability
-                                const departureTime = new Date(dep.departureTime).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone: 'Africa/Lagos' });
-                                departureOptions += `*${i + 1}.* ${dep.vehicle.name} at ${departureTime} - Fare: NGN${dep.fare.toLocaleString()} - Seats: ${dep.availableSeats}\n`;
-                            });
-                            departureOptions += "\nPlease reply with the number of your preferred departure.";
-                            await sessionService.updateSessionContext(waId, { availableDepartures: departures.map(d => d._id.toString()) });
-                            await sessionService.updateSessionStep(waId, 'ask_departure_choice');
-                            reply = departureOptions;
-                        } else {
-                            reply = `Sorry, no available departures found for ${origin} to ${destination} on ${parsedDate.toDateString()}. Please choose another date or type 'reset'.`;
-                            await sessionService.updateSessionStep(waId, 'ask_date'); // Keep on ask_date to allow re-entry
-                            logger.debug(`[Conversation - ask_date] No departures found for chosen date.`);
-                        }
-                    } else {
-                        reply = "Internal error: Route not found for selected origin and destination. Please type 'reset' to start over.";
-                        await sessionService.resetSession(waId);
-                        logger.error(`[Conversation - ask_date] Route not found after origin/destination selected. Resetting session.`);
-                    }
-                } else {
-                    reply = "I couldn't understand that date or it's in the past. Please provide the date in format YYYY-MM-DD (e.g., 2025-07-20), 'tomorrow', or 'next [day of week]'.";
-                    logger.debug(`[Conversation - ask_date] Invalid date input: "${messageText}".`);
+                const lastPassenger = manifestSoFar[manifestSoFar.length - 1];
+                manifestSoFar[manifestSoFar.length - 1] = { name: lastPassenger.name, phone: lastPassenger.phone, nextOfKin: kinContact };
+                await ctx.updateDetails({ passengerDetails: manifestSoFar });
+            }
+            return promptNextStep(ctx);
+        }
+    },
+
+    review_booking: {
+        prompt: promptNextStep,
+        back: { step: 'ask_seats', clear: () => ({ seatNumbers: [] }) },
+        transitions: [...BOOKING_STEPS, 'ask_payment_method', 'awaiting_payment'],
+        handle: async (ctx) => {
+            const { waId, lang, text: messageText } = ctx;
+            const details = ctx.session.bookingDetails;
+            const promoArgument = matchCommand(lang, 'promo', messageText); // e.g. "promo EASTER10"
+
+            if (isKeyword(lang, 'yes', messageText)) {
+                logger.debug(`[Conversation - review_booking] User confirmed booking.`);
+                if (await recheckFares(ctx)) {
+                    return `${t(lang, 'booking.priceChanged')}\n\n${await promptNextStep(ctx)}`;
                 }
-                break;
-
-            case 'ask_departure_choice':
-                logger.debug(`[Conversation - ask_departure_choice] Processing message: "${messageText}"`);
-                session = await sessionService.getSession(waId); // Re-fetch session
-                const availableDepartureIds = session.context.availableDepartures || [];
-
-                const chosenDepartureIndex = parseInt(messageText, 10) - 1; // Convert to 0-based index
-
-                if (!isNaN(chosenDepartureIndex) && chosenDepartureIndex >= 0 && chosenDepartureIndex < availableDepartureIds.length) {
-                    const chosenDepartureId = availableDepartureIds[chosenDepartureIndex];
-                    const chosenDeparture = await Departure.findById(chosenDepartureId).populate('route');
-
-                    if (chosenDeparture && chosenDeparture.availableSeats > 0) {
-                        await sessionService.updateBookingDetails(waId, {
-                            departureId: chosenDeparture._id,
-                            fare: chosenDeparture.fare // Store fare at this point for calculation
-                        });
-                        session = await sessionService.getSession(waId); // Refresh after update
-                        reply = `You've selected the ${new Date(chosenDeparture.departureTime).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone: 'Africa/Lagos' })} departure with ${chosenDeparture.vehicle.name}. How many passengers will be traveling? (Available seats: ${chosenDeparture.availableSeats})`;
-                        await sessionService.updateSessionStep(waId, 'ask_passengers');
-                    } else {
-                        reply = "Sorry, that departure is no longer available or has no seats. Please choose another one or type 'reset'.";
-                        // Keep on ask_departure_choice to let them choose again from remaining list
-                        // Or, fetch fresh departures and re-list them here
-                    }
-                } else {
-                    reply = "I didn't understand that choice. Please reply with the number of your preferred departure.";
+                return offerPaymentMethods(ctx);
+            }
+            if (promoArgument === '') {
+                return t(lang, 'promo.usage');
+            }
+            if (promoArgument !== null) {
+                // Only checked here; the code is redeemed when the traveller confirms
+                const promoLegs = [...(details.legs || []), { departureId: details.departureId, totalAmount: details.totalAmount }];
+                const promoResult = await promoService.quoteDiscount(promoArgument, await buildPromoCheckout(waId, promoLegs));
+                if (promoResult.reason) {
+                    logger.debug(`[Conversation - review_booking] Promo code "${promoArgument}" rejected: ${promoResult.reason}.`);
+                    return describePromoProblem(lang, promoResult);
+                }
+                await ctx.updateDetails({ promoCode: promoResult.promo.code });
+                return `${t(lang, 'promo.applied', { code: promoResult.promo.code, discount: promoResult.discount.toLocaleString() })}\n\n${await promptNextStep(ctx)}`;
+            }
+            if (isKeyword(lang, 'return', messageText) && !ctx.session.context.returnAdded) {
+                // Keep the trip so far and book the way back, for the same party
+                const outboundDeparture = await Departure.findById(details.departureId).populate('route');
+                if (!outboundDeparture) {
+                    await ctx.reset();
+                    return t(lang, 'booking.departureNotFound');
                 }
-                break;
+                const tripLegs = [...(details.legs || []), snapshotLeg(details, outboundDeparture)];
+                await ctx.updateDetails({
+                    legs: tripLegs,
+                    origin: tripLegs[tripLegs.length - 1].destination,
+                    destination: tripLegs[0].origin,
+                    date: null,
+                    timeOfDay: null,
+                    departureId: null,
+                    seatNumbers: [],
+                    fare: null,
+                    fareLockedUntil: null,
+                    totalAmount: null
+                });
+                await ctx.updateContext({ returnAdded: true });
+                await ctx.goTo('ask_date');
+                return t(lang, 'booking.askReturnDate', { origin: tripLegs[tripLegs.length - 1].destination, destination: tripLegs[0].origin });
+            }
+            if (isKeyword(lang, 'no', messageText) || isKeyword(lang, 'cancel', messageText)) {
+                await ctx.reset();
+                logger.debug(`[Conversation - review_booking] User cancelled booking.`);
+                return t(lang, 'booking.abandoned');
+            }
+            logger.debug(`[Conversation - review_booking] Invalid input during review, re-prompting.`);
+            return offerChoices(ctx, t(lang, 'booking.reviewInvalid'), yesNoChoices(lang));
+        }
+    },
 
-            case 'ask_passengers':
-                logger.debug(`[Conversation - ask_passengers] Processing message: "${messageText}"`);
-                session = await sessionService.getSession(waId); // Get freshest session for initial checks
+    // Only asked when more than one payment method can be used
+    ask_payment_method: {
+        back: { step: 'review_booking' },
+        transitions: [...BOOKING_STEPS, 'awaiting_payment'],
+        handle: async (ctx) => {
+            const { lang, text: messageText } = ctx;
+            const paymentMethods = ctx.session.context.paymentMethods || [];
+            const methodNumber = parseInt(messageText.trim(), 10);
+
+            if (isKeyword(lang, 'no', messageText) || isKeyword(lang, 'cancel', messageText)) {
+                await ctx.reset();
+                return t(lang, 'booking.abandoned');
+            }
+            if (isNaN(methodNumber) || methodNumber < 1 || methodNumber > paymentMethods.length) {
+                return t(lang, 'booking.invalidPaymentMethod');
+            }
+            if (await recheckFares(ctx)) {
+                // The fare lock ran out while choosing; show the new price before taking payment
+                return `${t(lang, 'booking.priceChanged')}\n\n${await promptNextStep(ctx)}`;
+            }
+            logger.debug(`[Conversation - ask_payment_method] User chose to pay with ${paymentMethods[methodNumber - 1]}.`);
+            return startCheckout(ctx, paymentMethods[methodNumber - 1]);
+        }
+    },
 
-                const numPassengersInput = parseInt(messageText, 10);
+    awaiting_payment: {
+        transitions: [],
+        handle: async (ctx) => {
+            // This step is specifically for when the bot is waiting for a webhook confirmation.
+            // If the user sends a message while in this state, it means they might have questions or issues.
+            // The bot shouldn't try to process it as a booking step.
+            logger.debug(`[Conversation - awaiting_payment] User sent message "${ctx.text}" while awaiting payment.`);
+            return t(ctx.lang, 'booking.awaitingPayment');
+        }
+    },
 
-                const { origin, destination, date, departureId, fare } = session.bookingDetails;
+    // Reached via the payment webhook (or staff recording a cash payment) once payment is confirmed
+    booking_complete: {
+        transitions: ['welcome'],
+        handle: async (ctx) => {
+            const reply = showMenu(ctx, 'booking.paymentReceived');
+            await ctx.reset();
+            logger.debug(`[Conversation - booking_complete] User sent message "${ctx.text}" after booking completion. Session reset to welcome.`);
+            return reply;
+        }
+    },
 
-                if (!origin || !destination || !date || !departureId || !fare) {
-                    reply = "Missing previous booking details. Please try 'reset' and start over.";
-                    await sessionService.resetSession(waId);
-                    logger.error(`[Conversation - ask_passengers] Missing essential booking details (origin, dest, date, depId, fare) at start of ask_passengers. Session: ${JSON.stringify(session.bookingDetails)}. Resetting session.`);
-                    break;
-                }
+    // Browsing the traveller's own bookings
+    check_booking: {
+        prompt: showUserBookings,
+        back: { step: 'welcome' },
+        transitions: ['confirm_cancellation'],
+        handle: async (ctx) => {
+            const { lang, text: messageText } = ctx;
+            const availableBookingIds = ctx.session.context.availableBookings || [];
+            const cancelIndex = matchCommand(lang, 'cancel', messageText);
+            const cancelIndexMatch = cancelIndex && /^\d+$/.test(cancelIndex);
+            const chosenBookingIndex = parseInt(cancelIndexMatch ? cancelIndex : messageText, 10) - 1;
+            if (isNaN(chosenBookingIndex) || chosenBookingIndex < 0 || chosenBookingIndex >= availableBookingIds.length) {
+                return t(lang, 'bookings.invalidChoice');
+            }
 
-                const departureToBook = await Departure.findById(departureId);
-                logger.debug(`[Conversation - ask_passengers] Parsed passengers: ${numPassengersInput}, Departure seats available: ${departureToBook ? departureToBook.availableSeats : 'N/A'}`);
-
-                if (departureToBook && !isNaN(numPassengersInput) && numPassengersInput > 0 && numPassengersInput <= departureToBook.availableSeats) {
-                    logger.debug(`[Conversation - ask_passengers] Valid number of passengers.`);
-
-                    await sessionService.updateBookingDetails(waId, { passengers: numPassengersInput });
-                    session = await sessionService.getSession(waId);
-
-                    const passengersFromSession = session.bookingDetails.passengers;
-                    const finalDeparture = await Departure.findById(departureId).populate('route').populate('vehicle');
-
-                    if (finalDeparture) {
-                        const totalAmount = finalDeparture.fare * passengersFromSession;
-                        await sessionService.updateBookingDetails(waId, { totalAmount: totalAmount });
-                        session = await sessionService.getSession(waId);
-
-                        let reviewMessage = `Please review your booking details:\n\n`;
-                        reviewMessage += `*From:* ${session.bookingDetails.origin}\n`;
-                        reviewMessage += `*To:* ${session.bookingDetails.destination}\n`;
-                        reviewMessage += `*Date:* ${new Date(session.bookingDetails.date).toDateString()}\n`;
-                        reviewMessage += `*Time:* ${new Date(finalDeparture.departureTime).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone: 'Africa/Lagos' })}\n`;
-                        reviewMessage += `*Vehicle:* ${finalDeparture.vehicle.name}\n`;
-                        reviewMessage += `*Passengers:* ${session.bookingDetails.passengers}\n`;
-                        reviewMessage += `*Fare per person:* NGN${session.bookingDetails.fare.toLocaleString()}\n`;
-                        reviewMessage += `*Total Amount:* NGN${session.bookingDetails.totalAmount.toLocaleString()}\n\n`;
-                        reviewMessage += "Reply 'Yes' to confirm or 'No' to cancel.";
-
-                        reply = reviewMessage;
-                        logger.debug(`[Conversation - ask_passengers] Calculated total amount: ${totalAmount}. Moving to review_booking.`);
-                        await sessionService.updateSessionStep(waId, 'review_booking');
-                    } else {
-                        reply = "Could not find departure details for your booking. Please type 'reset' to start over.";
-                        await sessionService.resetSession(waId);
-                        logger.error(`[Conversation - ask_passengers] Final departure not found after passengers selected. Resetting session.`);
-                    }
-                } else {
-                    reply = `Invalid number of passengers or not enough seats available (${departureToBook ? departureToBook.availableSeats : 0} seats left). Please enter a valid number.`;
-                    logger.debug(`[Conversation - ask_passengers] Invalid passengers input: "${messageText}".`);
+            const chosenBooking = await bookingService.findById(availableBookingIds[chosenBookingIndex]);
+            if (!chosenBooking) {
+                logger.warn(`[Conversation - check_booking] Listed booking ${availableBookingIds[chosenBookingIndex]} not found.`);
+                return t(lang, 'bookings.gone');
+            }
+            if (cancelIndexMatch) {
+                return startCancellation(ctx, chosenBooking);
+            }
+            return formatBookingDetails(chosenBooking, lang) + bookingActionsHint(ctx.waId, chosenBooking, lang) +
+                   "\n\n" + t(lang, 'bookings.detailsFooter');
+        }
+    },
+
+    confirm_cancellation: {
+        back: { step: 'check_booking' },
+        transitions: ['welcome'],
+        handle: async (ctx) => {
+            const { lang, text: messageText } = ctx;
+            const cancelBookingId = ctx.session.context.cancelBookingId;
+
+            if (isKeyword(lang, 'yes', messageText)) {
+                const { booking: cancelledBooking, quote, refundRequested } = await bookingService.cancelBooking(cancelBookingId);
+                await ctx.reset();
+                if (!cancelledBooking || !quote.allowed) {
+                    return t(lang, 'cancel.failed', { reason: describeCancellationProblem(lang, quote) });
                 }
-                break;
-
-            case 'review_booking':
-                logger.debug(`[Conversation - review_booking] Processing message: "${messageText}"`);
-                session = await sessionService.getSession(waId);
-
-                const { origin: finalOrigin, destination: finalDestination, date: finalDate,
-                        departureId: finalDepartureId, passengers: finalPassengers,
-                        fare: finalFare, totalAmount: finalTotalAmount } = session.bookingDetails;
-
-                if (messageText.toLowerCase() === 'yes' || messageText.toLowerCase() === 'confirm') {
-                    logger.debug(`[Conversation - review_booking] User confirmed booking.`);
-
-                    if (!finalOrigin || !finalDestination || !finalDate || !finalDepartureId || !finalPassengers || !finalFare || finalTotalAmount === undefined || finalTotalAmount === null) {
-                        reply = "Missing critical booking details. Please try 'reset' and start over.";
-                        await sessionService.resetSession(waId);
-                        logger.error(`[Conversation - review_booking] Missing critical booking details despite 'yes' confirmation. Session bookingDetails: ${JSON.stringify(session.bookingDetails)}. Resetting session.`);
-                        break;
-                    }
-
-                    const finalDeparture = await Departure.findById(finalDepartureId).populate('route').populate('vehicle');
-
-                    if (finalDeparture) {
-                        if (finalDeparture.availableSeats < finalPassengers) {
-                            reply = `Sorry, only ${finalDeparture.availableSeats} seats are now available for that departure. Please try again or type 'reset'.`;
-                            await sessionService.resetSession(waId);
-                            logger.warn(`[Conversation - review_booking] Not enough seats for booking ${finalDepartureId}. Requested: ${finalPassengers}, Available: ${finalDeparture.availableSeats}. Resetting session.`);
-                            break;
-                        }
-
-                        const bookingReference = `BOOK-${uuidv4().substring(0, 8).toUpperCase()}`;
-
-                        const callbackUrl = process.env.PAYSTACK_CALLBACK_URL || `${process.env.APP_BASE_URL}/paystack-webhook`;
-                        const customerEmail = session.userEmail || `${waId}@wa.com`;
-
-                        try {
-                            logger.debug(`[Paystack] Initializing payment for booking reference: ${bookingReference}, amount: ${finalTotalAmount}`);
-                            const paystackResponse = await axios.post(
-                                `${PAYSTACK_BASE_URL}/transaction/initialize`,
-                                {
-                                    email: customerEmail,
-                                    amount: finalTotalAmount * 100, // Amount in kobo
-                                    reference: bookingReference,
-                                    currency: 'NGN',
-                                    callback_url: callbackUrl,
-                                    metadata: {
-                                        custom_fields: [
-                                            { display_name: "Customer WhatsApp ID", variable_name: "whatsapp_id", value: waId },
-                                            { display_name: "Booking Session ID", variable_name: "session_id", value: session._id.toString() }
-                                        ]
-                                    }
-                                },
-                                {
-                                    headers: {
-                                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                                        'Content-Type': 'application/json'
-                                    }
-                                }
-                            );
-
-                            if (paystackResponse.data && paystackResponse.data.status) {
-                                const authorizationUrl = paystackResponse.data.data.authorization_url;
-                                const transactionReference = paystackResponse.data.data.reference;
-
-                                const newBooking = new Booking({
-                                    userId: waId,
-                                    sessionId: session._id,
-                                    departure: finalDeparture._id,
-                                    passengers: finalPassengers,
-                                    totalAmount: finalTotalAmount,
-                                    bookingReference: bookingReference,
-                                    paymentReference: transactionReference,
-                                    status: 'confirmed',
-                                    paymentStatus: 'pending'
-                                });
-
-                                await newBooking.save();
-
-                                // --- AI Enhanced Response for Confirmation ---
-                                if (sentiment === 'positive') {
-                                    reply = `Fantastic! 🎉 Your booking (Ref: *${bookingReference}*) has been created. Please complete your payment of NGN${finalTotalAmount.toLocaleString()} using this secure link:\n\n${authorizationUrl}\n\n*Important:* Your seats are not reserved until payment is successful.`;
-                                } else {
-                                    reply = `Your booking (Ref: *${bookingReference}*) has been created. Please complete your payment of NGN${finalTotalAmount.toLocaleString()} using this secure link:\n\n${authorizationUrl}\n\n*Important:* Your seats are not reserved until payment is successful.`;
-                                }
-                                // --- End AI Enhancement ---
-
-                                await sessionService.updateSessionStep(waId, 'awaiting_payment');
-                                await sessionService.updateSessionContext(waId, {
-                                    currentBookingId: newBooking._id.toString(),
-                                    paymentGatewayReference: transactionReference
-                                });
-                                logger.info(`[Conversation - review_booking] Booking ${newBooking._id} (Ref: ${newBooking.bookingReference}) created, payment initiated. User redirected to: ${authorizationUrl}`);
-                            } else {
-                                logger.error(`[Paystack] Payment initialization failed: ${JSON.stringify(paystackResponse.data)}`);
-                                reply = "Sorry, I couldn't initiate payment at this time. Please try again or type 'reset'.";
-                                await sessionService.resetSession(waId);
-                            }
-
-                        } catch (paymentError) {
-                            logger.error(`[Paystack - Initialization Error] ${paymentError.message}. Details: ${paymentError.response ? JSON.stringify(paymentError.response.data) : 'No response data'}`);
-                            reply = "Sorry, there was an error initiating payment. Please try again later or type 'reset'.";
-                            await sessionService.resetSession(waId);
-                        }
-
-                    } else {
-                        reply = "Could not find departure details for your booking. Please type 'reset' to start over.";
-                        await sessionService.resetSession(waId);
-                        logger.error(`[Conversation - review_booking] Final departure not found after confirmation. Resetting session.`);
-                    }
-                } else if (messageText.toLowerCase() === 'no' || messageText.toLowerCase() === 'cancel') {
-                    reply = "Okay, I've cancelled the booking process. Type 'menu' to start over.";
-                    await sessionService.resetSession(waId);
-                    logger.debug(`[Conversation - review_booking] User cancelled booking.`);
-                } else {
-                    reply = "Please reply with 'Yes' to confirm or 'No' to cancel.";
-                    logger.debug(`[Conversation - review_booking] Invalid input during review, re-prompting.`);
+                let reply = t(lang, 'cancel.done', { reference: cancelledBooking.bookingReference });
+                if (quote.refundAmount > 0) {
+                    reply += ' ' + t(lang, refundRequested ? 'cancel.refundRequested' : 'cancel.refundManual', { amount: quote.refundAmount.toLocaleString() });
                 }
-                break;
+                return reply + ' ' + t(lang, 'cancel.bookAnother');
+            }
+            if (isKeyword(lang, 'no', messageText)) {
+                await ctx.reset();
+                logger.debug(`[Conversation - confirm_cancellation] User kept booking ${cancelBookingId}.`);
+                return t(lang, 'cancel.kept');
+            }
+            return t(lang, 'cancel.invalid');
+        }
+    }
+};
 
-            case 'awaiting_payment':
-                // This step is specifically for when the bot is waiting for a webhook confirmation.
-                // If the user sends a message while in this state, it means they might have questions or issues.
-                // The bot shouldn't try to process it as a booking step.
-                reply = "I'm currently waiting for your payment confirmation. If you've already paid, please wait a moment for me to update. If you're having trouble, please type 'support' or 'reset'.";
-                logger.debug(`[Conversation - awaiting_payment] User sent message "${messageText}" while awaiting payment.`);
-                break;
+// Commands that work at any step (except those that read every message themselves), in the traveller's
+// language or English. The first one a message matches answers it.
+const commands = [
+    {
+        name: 'language',
+        match: (ctx) => isKeyword(ctx.lang, 'language', ctx.text) || (!ctx.user.languageChosenAt && ctx.session.currentStep === 'welcome'),
+        run: (ctx) => conversationFlow.prompt(ctx, 'choose_language')
+    },
+    {
+        name: 'reset',
+        match: (ctx) => isKeyword(ctx.lang, 'reset', ctx.text),
+        run: async (ctx) => {
+            await ctx.reset();
+            return t(ctx.lang, 'general.reset');
+        }
+    },
+    {
+        name: 'menu',
+        match: (ctx) => isKeyword(ctx.lang, 'menu', ctx.text),
+        run: (ctx) => conversationFlow.prompt(ctx, 'welcome')
+    },
+    {
+        name: 'support',
+        match: (ctx) => isKeyword(ctx.lang, 'support', ctx.text),
+        run: async (ctx) => {
+            await supportService.startHandoff(ctx.waId, ctx.sentiment === 'negative' ? 'support command (frustrated)' : 'support command');
+            return t(ctx.lang, 'support.handoff');
+        }
+    },
+    {
+        name: 'back',
+        match: (ctx) => isKeyword(ctx.lang, 'back', ctx.text),
+        run: async (ctx) => (await conversationFlow.goBack(ctx)) || t(ctx.lang, 'general.noBack')
+    },
+    {
+        // Station staff can check and board tickets by reference or by pasting the scanned QR code
+        name: 'boarding',
+        match: (ctx) => {
+            const boardingMatch = ctx.text.trim().match(/^(board|verify)\s+(\S+)$/i);
+            return boardingMatch && boardingService.isStaff(ctx.waId) ? { action: boardingMatch[1].toLowerCase(), ticket: boardingMatch[2] } : null;
+        },
+        run: async (ctx, { action, ticket }) => {
+            if (action === 'verify') {
+                return formatBoardingResult(await boardingService.validateTicket(ticket), false, ctx.lang);
+            }
+            return formatBoardingResult(await boardingService.boardPassenger(ticket, ctx.waId), true, ctx.lang);
+        }
+    },
+    {
+        name: 'ticket',
+        match: (ctx) => {
+            const ticketArgument = matchCommand(ctx.lang, 'ticket', ctx.text);
+            return ticketArgument === '' || BOOKING_REFERENCE_PATTERN.test(ticketArgument || '') ? { reference: ticketArgument || undefined } : null;
+        },
+        run: (ctx, { reference }) => resendTickets(ctx.waId, reference, ctx.lang)
+    },
+    {
+        name: 'cancel',
+        match: (ctx) => {
+            const cancelArgument = matchCommand(ctx.lang, 'cancel', ctx.text);
+            return cancelArgument && BOOKING_REFERENCE_PATTERN.test(cancelArgument) ? { reference: cancelArgument } : null;
+        },
+        run: async (ctx, { reference }) => {
+            const booking = await bookingService.findByReference(reference);
+            if (!booking) {
+                return t(ctx.lang, 'bookings.referenceNotFound', { reference: reference.toUpperCase() });
+            }
+            return startCancellation(ctx, booking);
+        }
+    },
+    {
+        // A booking reference can be looked up from any step without losing the current progress
+        name: 'lookup',
+        match: (ctx) => BOOKING_REFERENCE_PATTERN.test(ctx.text.trim()),
+        run: async (ctx) => {
+            const booking = await bookingService.findByReference(ctx.text);
+            if (!booking) {
+                return t(ctx.lang, 'bookings.referenceNotFound', { reference: ctx.text.trim().toUpperCase() });
+            }
+            logger.debug(`[Conversation] Booking ${booking.bookingReference} looked up by ${ctx.waId}.`);
+            return formatBookingDetails(booking, ctx.lang) + bookingActionsHint(ctx.waId, booking, ctx.lang);
+        }
+    }
+];
+
+// Checked on load: a step missing from the Session model (or a model step without a handler) stops startup
+const conversationFlow = defineFlow({
+    name: 'conversation',
+    steps,
+    commands,
+    validSteps: Session.schema.path('currentStep').enumValues
+});
 
-            default:
-                logger.warn(`[Conversation] Unknown step or unhandled message: ${session.currentStep}, Message: ${messageText}`);
-                reply = "I'm not sure how to respond to that. Please type 'menu' to see what I can do, or 'reset' to start over.";
-                break;
+/**
+ * Builds the context a step or command works with: the message, the traveller and their session, and
+ * the updates to the session. Each update keeps ctx.session current, so the session is read only once
+ * per message.
+ * @param {object} message { waId, text, session, user, sentiment }.
+ * @returns {object} The context.
+ */
+const createContext = ({ waId, text, session, user, sentiment = 'neutral' }) => {
+    const ctx = {
+        waId,
+        text,
+        session,
+        user,
+        lang: user.language,
+        sentiment,
+        handlingStep: null, // Set by the flow while a step handles the message
+        choices: null, // Set by offerChoices; see replyChoicesOf
+        goTo: async (step) => {
+            conversationFlow.checkTransition(ctx.handlingStep, step);
+            ctx.session = await sessionService.updateSessionStep(waId, step);
+        },
+        updateDetails: async (updates) => {
+            ctx.session = await sessionService.updateBookingDetails(waId, updates);
+        },
+        updateContext: async (updates) => {
+            ctx.session = await sessionService.updateSessionContext(waId, updates);
+        },
+        reset: async () => {
+            ctx.session = await sessionService.resetSession(waId);
         }
+    };
+    return ctx;
+};
 
-        return reply;
+/**
+ * The choices offered by a reply, for showing as buttons or a list.
+ * @param {object} ctx The context the reply was worked out with.
+ * @param {string} reply The reply.
+ * @returns {{options: Array<object>, button: string}|null} Null if the reply offers no choices.
+ */
+const replyChoicesOf = (ctx, reply) => {
+    const { choices } = ctx;
+    // A prompt that was built and then replaced by another message (e.g. an error) doesn't count
+    if (!choices || !reply || !reply.includes(choices.prompt)) {
+        return null;
+    }
+    return { options: choices.options, button: choices.button };
+};
+
+const conversationService = {
+    /**
+     * Works out the reply to a traveller's message from where their conversation is.
+     * @param {string} waId The traveller's conversation address.
+     * @param {string} messageText The message.
+     * @returns {Promise<{reply: string, choices: object|null}>} The reply, empty when the bot stays silent, and
+     *          the choices it offers ({ options, button }), if any.
+     */
+    handleIncomingMessage: async (waId, messageText) => {
+        const session = await sessionService.getSession(waId);
+        const user = await sessionService.getOrCreateUser(waId);
+        const sentiment = session.currentStep === 'with_agent' ? 'neutral' : detectSentiment(messageText);
+        const ctx = createContext({ waId, text: messageText, session, user, sentiment });
+        const reply = await conversationFlow.run(ctx);
+        return { reply, choices: replyChoicesOf(ctx, reply) };
     },
 
-    // Export validateChoice and parseDateInput if they are used elsewhere directly
-    // or keep them as internal helpers if only used within conversationService.js
-    parseDateInput: parseDateInput,
+    // The conversation's steps and commands, and the context they take, so each can be exercised on its own
+    flow: conversationFlow,
+    createContext,
+    replyChoicesOf,
+
+    // Export validateChoice if it is used elsewhere directly
+    // or keep it as an internal helper if only used within conversationService.js
     validateChoice: validateChoice
 };
 
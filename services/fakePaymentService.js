@@ -0,0 +1,88 @@
+// services/fakePaymentService.js
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Transactions opened since the process started, keyed by reference. Nothing leaves the machine.
+const transactions = new Map();
+
+// A gateway that lives in memory, for running the whole checkout locally. The payment link it hands out
+// points back at this service (GET /payments/fake/pay/:reference), and opening it settles the payment.
+// paymentService never enables it in production.
+const fakePaymentService = {
+    name: 'fake',
+    displayName: 'Test gateway',
+    collectsInPerson: false,
+
+    /**
+     * Records a transaction and returns a local link that settles it.
+     * @param {object} params
+     * @param {number} params.amountKobo - Amount to charge, in kobo.
+     * @param {string} params.reference - Our booking or trip reference.
+     * @returns {Promise<{authorizationUrl: string, reference: string}>}
+     */
+    initialize: async ({ amountKobo, reference }) => {
+        transactions.set(reference, { amountKobo, status: 'pending', refundedKobo: 0 });
+        logger.info(`[FakePayments] Transaction ${reference} opened for ${amountKobo} kobo.`);
+        return { authorizationUrl: `${config.appBaseUrl}/payments/fake/pay/${encodeURIComponent(reference)}`, reference };
+    },
+
+    /**
+     * @param {string} reference - The booking or trip reference.
+     * @returns {Promise<{reference: string, status: string, amountKobo: number|null}>}
+     */
+    verify: async (reference) => {
+        const transaction = transactions.get(reference);
+        return { reference, status: transaction ? transaction.status : 'pending', amountKobo: transaction ? transaction.amountKobo : null };
+    },
+
+    /**
+     * Refunds complete immediately.
+     * @param {string} transactionReference - The booking or trip reference.
+     * @param {number} amountKobo - Amount to refund, in kobo.
+     * @returns {Promise<{reference: string, status: string, processed: boolean}>}
+     */
+    refund: async (transactionReference, amountKobo) => {
+        const transaction = transactions.get(transactionReference);
+        if (!transaction || transaction.status !== 'success') {
+            throw new Error(`No successful test payment under ${transactionReference} to refund.`);
+        }
+        transaction.refundedKobo += amountKobo;
+        logger.info(`[FakePayments] Refunded ${amountKobo} kobo on ${transactionReference}.`);
+        return { reference: transactionReference, status: 'processed', processed: true };
+    },
+
+    /**
+     * Settles a transaction the way a gateway would after the customer paid (or gave up).
+     * @param {string} reference - The booking or trip reference.
+     * @param {string} [outcome] - 'success' (default) or 'failed'.
+     * @returns {{type: string, event: string, reference: string, amountKobo: number, reason: string|null}|null}
+     *          The payment event, or null if no transaction is pending under that reference.
+     */
+    settle: (reference, outcome = 'success') => {
+        const transaction = transactions.get(reference);
+        if (!transaction || transaction.status !== 'pending') {
+            return null;
+        }
+        transaction.status = outcome === 'failed' ? 'failed' : 'success';
+        return {
+            type: transaction.status === 'success' ? 'payment.succeeded' : 'payment.failed',
+            event: `fake.${transaction.status}`,
+            reference,
+            amountKobo: transaction.amountKobo,
+            reason: transaction.status === 'failed' ? 'Declined by test gateway' : null
+        };
+    },
+
+    /**
+     * Settles a transaction from a webhook-style request: POST { reference, outcome }.
+     * @param {object} req - Express request.
+     * @returns {Promise<object|null>} The payment event, with type null if nothing was pending under the reference.
+     */
+    parseWebhook: async (req) => {
+        const { reference, outcome } = req.body || {};
+        return fakePaymentService.settle(reference, outcome)
+            || { type: null, event: 'fake.unknown', reference, amountKobo: null, reason: null };
+    }
+};
+
+module.exports = fakePaymentService;
@@ -0,0 +1,155 @@
+// services/flutterwaveService.js
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Headers for Flutterwave API calls.
+ * @returns {object}
+ */
+const authHeaders = () => ({
+    Authorization: `Bearer ${config.flutterwave.secretKey}`,
+    'Content-Type': 'application/json'
+});
+
+/**
+ * Looks a transaction up by our reference (Flutterwave's tx_ref).
+ * @param {string} reference - The booking or trip reference.
+ * @returns {Promise<object|null>} Flutterwave's transaction data, or null if it has none under that reference.
+ */
+const findTransaction = async (reference) => {
+    const response = await axios.get(
+        `${config.flutterwave.baseUrl}/transactions/verify_by_reference`,
+        { params: { tx_ref: reference }, headers: authHeaders(), validateStatus: status => status < 500 }
+    );
+    if (!response.data || response.data.status !== 'success' || !response.data.data) {
+        return null;
+    }
+    return response.data.data;
+};
+
+const flutterwaveService = {
+    name: 'flutterwave',
+    displayName: 'Flutterwave',
+    collectsInPerson: false,
+
+    /**
+     * Opens a Flutterwave Standard checkout and returns the link the traveller pays through.
+     * @param {object} params
+     * @param {string} params.email - Customer email; travellers without one get a placeholder based on their number.
+     * @param {number} params.amountKobo - Amount to charge, in kobo. Flutterwave takes naira.
+     * @param {string} params.reference - Our booking or trip reference, sent as tx_ref and echoed back in the webhook.
+     * @param {Array<object>} [params.customFields] - Stored as meta on the transaction.
+     * @returns {Promise<{authorizationUrl: string, reference: string}|null>} The payment link, or null if Flutterwave declined.
+     * @throws {Error} If Flutterwave couldn't be reached.
+     */
+    initialize: async ({ email, amountKobo, reference, customFields = [] }) => {
+        logger.debug(`[Flutterwave] Initializing payment for reference: ${reference}, amount: ${amountKobo} kobo`);
+        const meta = {};
+        for (const field of customFields) {
+            meta[field.variable_name] = field.value;
+        }
+        const response = await axios.post(
+            `${config.flutterwave.baseUrl}/payments`,
+            {
+                tx_ref: reference,
+                amount: amountKobo / 100,
+                currency: 'NGN',
+                redirect_url: config.flutterwave.redirectUrl,
+                customer: { email },
+                meta
+            },
+            { headers: authHeaders(), validateStatus: status => status < 500 }
+        );
+        if (!response.data || response.data.status !== 'success' || !response.data.data) {
+            logger.error(`[Flutterwave] Payment initialization failed: ${JSON.stringify(response.data)}`);
+            return null;
+        }
+        return { authorizationUrl: response.data.data.link, reference };
+    },
+
+    /**
+     * Asks Flutterwave for the current state of a transaction.
+     * @param {string} reference - The booking or trip reference the payment was opened under.
+     * @returns {Promise<{reference: string, status: string, amountKobo: number|null}>} status is 'success', 'failed' or 'pending'.
+     * @throws {Error} If Flutterwave couldn't be reached.
+     */
+    verify: async (reference) => {
+        const transaction = await findTransaction(reference);
+        if (!transaction) {
+            return { reference, status: 'pending', amountKobo: null };
+        }
+        const status = transaction.status === 'successful' ? 'success' : (transaction.status === 'failed' ? 'failed' : 'pending');
+        // Only naira charges count; anything else must not be mistaken for the booking's amount
+        const amountKobo = transaction.currency === 'NGN' ? Math.round(transaction.amount * 100) : null;
+        return { reference, status, amountKobo };
+    },
+
+    /**
+     * Requests a (full or partial) refund for a successful transaction.
+     * @param {string} transactionReference - The booking or trip reference the payment was opened under.
+     * @param {number} amountKobo - Amount to refund, in kobo.
+     * @returns {Promise<{reference: string, status: string, processed: boolean}>} processed is true when
+     *          Flutterwave completed the refund straight away.
+     */
+    refund: async (transactionReference, amountKobo) => {
+        try {
+            const transaction = await findTransaction(transactionReference);
+            if (!transaction) {
+                throw new Error('Transaction not found');
+            }
+            const response = await axios.post(
+                `${config.flutterwave.baseUrl}/transactions/${transaction.id}/refund`,
+                { amount: amountKobo / 100 },
+                { headers: authHeaders() }
+            );
+            if (!response.data || response.data.status !== 'success') {
+                throw new Error(response.data && response.data.message ? response.data.message : 'Unexpected response from Flutterwave');
+            }
+            const status = response.data.data ? response.data.data.status : 'pending';
+            logger.info(`[Flutterwave] Refund of ${amountKobo} kobo requested for ${transactionReference}. Status: ${status}`);
+            return { reference: transactionReference, status, processed: status === 'completed' };
+        } catch (error) {
+            logger.error(`[Flutterwave - Refund Error] ${error.message}. Details: ${error.response ? JSON.stringify(error.response.data) : 'No response data'}`);
+            throw new Error(`Failed to request Flutterwave refund for ${transactionReference}.`);
+        }
+    },
+
+    /**
+     * Checks a webhook request's secret hash and turns its event into a payment event.
+     * The hash is a fixed shared secret rather than a signature of the body, so charges are
+     * re-verified with the API and only what Flutterwave reports there is trusted.
+     * @param {object} req - Express request.
+     * @returns {Promise<{type: string|null, event: string, reference: string, amountKobo: number|null, reason: string|null}|null>}
+     *          null if the hash is missing or wrong; type is null for events we don't act on.
+     */
+    parseWebhook: async (req) => {
+        if (!config.flutterwave.webhookHash) {
+            logger.error('[Flutterwave] FLUTTERWAVE_WEBHOOK_HASH is not set. Cannot verify webhook.');
+            return null;
+        }
+        const expected = Buffer.from(config.flutterwave.webhookHash, 'utf8');
+        const received = Buffer.from(String(req.get('verif-hash') || ''), 'utf8');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return null;
+        }
+
+        const event = req.body || {};
+        const data = event.data || {};
+        if (event.event !== 'charge.completed' || !data.tx_ref) {
+            return { type: null, event: event.event, reference: data.tx_ref, amountKobo: null, reason: null };
+        }
+        const transaction = await flutterwaveService.verify(data.tx_ref);
+        const type = transaction.status === 'success' ? 'payment.succeeded' : (transaction.status === 'failed' ? 'payment.failed' : null);
+        return {
+            type,
+            event: event.event,
+            reference: data.tx_ref,
+            amountKobo: transaction.amountKobo,
+            reason: data.processor_response || null
+        };
+    }
+};
+
+module.exports = flutterwaveService;
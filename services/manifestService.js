@@ -0,0 +1,149 @@
+// services/manifestService.js
+const PDFDocument = require('pdfkit');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const logger = require('../utils/logger');
+
+const CSV_COLUMNS = [
+    ['bookingReference', 'Booking Reference'],
+    ['seat', 'Seat'],
+    ['name', 'Name'],
+    ['phone', 'Phone'],
+    ['nextOfKinName', 'Next of Kin'],
+    ['nextOfKinPhone', 'Next of Kin Phone'],
+    ['boarded', 'Boarded']
+];
+
+/**
+ * Quotes a value for CSV, and stops spreadsheet apps from running text that looks like a formula.
+ * @param {*} value - Cell value.
+ * @returns {string} The CSV cell.
+ */
+const toCsvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=@]/.test(text) || /^[+-][^\d]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats a departure time for the manifest header, in Africa/Lagos.
+ * @param {Date|string} value - The departure time.
+ * @returns {string} e.g. "Fri, Jul 18, 2025, 07:00 AM (WAT)"
+ */
+const formatManifestTime = (value) => {
+    return new Date(value).toLocaleString('en-US', {
+        weekday: 'short', year: 'numeric', month: 'short', day: 'numeric',
+        hour: '2-digit', minute: '2-digit', timeZone: 'Africa/Lagos'
+    }) + ' (WAT)';
+};
+
+const manifestService = {
+    /**
+     * Builds the passenger manifest for a departure: one row per traveller on a paid booking.
+     * Bookings made before names were collected, or without them (waitlist offers), get a row per seat with only the booker's number.
+     * @param {string} departureId - The Departure _id.
+     * @returns {Promise<{departure: object, rows: Array<object>}|null>} The manifest, or null if the departure doesn't exist.
+     */
+    getManifest: async (departureId) => {
+        const departure = await Departure.findById(departureId).populate('route').populate('vehicle');
+        if (!departure) {
+            return null;
+        }
+
+        const bookings = await Booking.find({
+            departure: departure._id,
+            paymentStatus: 'paid',
+            status: { $in: ['confirmed', 'completed'] }
+        }).sort({ createdAt: 1 });
+
+        const rows = [];
+        for (const booking of bookings) {
+            for (let i = 0; i < booking.passengers; i++) {
+                const passenger = (booking.passengerDetails || [])[i];
+                rows.push({
+                    bookingReference: booking.bookingReference,
+                    seat: (booking.seatNumbers || [])[i] || '',
+                    name: passenger ? passenger.name : booking.passengerDetailsPending ? 'To be taken at boarding' : '',
+                    phone: passenger && passenger.phone ? passenger.phone : i === 0 ? booking.userId : '',
+                    nextOfKinName: passenger && passenger.nextOfKin ? passenger.nextOfKin.name || '' : '',
+                    nextOfKinPhone: passenger && passenger.nextOfKin ? passenger.nextOfKin.phone || '' : '',
+                    boarded: booking.boarding && booking.boarding.boardedAt ? 'Yes' : 'No'
+                });
+            }
+        }
+
+        logger.info(`[Manifest] Built manifest for departure ${departure._id}: ${rows.length} passenger(s) on ${bookings.length} booking(s).`);
+        return { departure, rows };
+    },
+
+    /**
+     * Renders a manifest as CSV, with a header row.
+     * @param {{rows: Array<object>}} manifest - From getManifest.
+     * @returns {string} The CSV text.
+     */
+    toCsv: (manifest) => {
+        const lines = [CSV_COLUMNS.map(([, label]) => label).join(',')];
+        for (const row of manifest.rows) {
+            lines.push(CSV_COLUMNS.map(([key]) => toCsvCell(row[key])).join(','));
+        }
+        return `${lines.join('\r\n')}\r\n`;
+    },
+
+    /**
+     * Renders a manifest as a printable PDF for the driver and park staff.
+     * @param {{departure: object, rows: Array<object>}} manifest - From getManifest, with route and vehicle populated.
+     * @returns {Promise<Buffer>} The PDF contents.
+     */
+    renderManifestPdf: (manifest) => {
+        const { departure, rows } = manifest;
+
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            doc.fontSize(18).font('Helvetica-Bold').text('Passenger Manifest');
+            doc.moveDown(0.3);
+            doc.fontSize(11).font('Helvetica')
+                .text(`${departure.route.origin} to ${departure.route.destination}`)
+                .text(`Departure: ${formatManifestTime(departure.departureTime)}`)
+                .text(`Vehicle: ${departure.vehicle ? departure.vehicle.name : 'N/A'}`)
+                .text(`Passengers: ${rows.length}`);
+            doc.moveDown(1);
+
+            // Column x positions and widths across the landscape page
+            const columns = [
+                ['#', 30], ['Seat', 40], ['Booking', 90], ['Name', 160], ['Phone', 110], ['Next of Kin', 140], ['Next of Kin Phone', 110], ['Boarded', 60]
+            ];
+            const drawRow = (cells, bold) => {
+                if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+                    doc.addPage();
+                }
+                const y = doc.y;
+                let x = doc.page.margins.left;
+                doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+                cells.forEach((cell, i) => {
+                    doc.text(String(cell), x, y, { width: columns[i][1] - 6, lineBreak: false, ellipsis: true });
+                    x += columns[i][1];
+                });
+                doc.x = doc.page.margins.left;
+                doc.y = y + 18;
+            };
+
+            drawRow(columns.map(([label]) => label), true);
+            rows.forEach((row, i) => {
+                drawRow([i + 1, row.seat || '-', row.bookingReference, row.name || '-', row.phone || '-', row.nextOfKinName || '-', row.nextOfKinPhone || '-', row.boarded], false);
+            });
+            if (rows.length === 0) {
+                doc.font('Helvetica').fontSize(10).text('No paid bookings on this departure.');
+            }
+            doc.end();
+        });
+    }
+};
+
+module.exports = manifestService;
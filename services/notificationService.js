@@ -0,0 +1,305 @@
+// services/notificationService.js
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const Notification = require('../models/Notification');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { t, formatDate, formatTime } = require('../utils/i18n');
+const sessionService = require('./sessionService');
+const channelService = require('./channelService');
+
+let schedulerTimer = null;
+
+/**
+ * Formats a departure time for outbound messages, in Africa/Lagos.
+ * @param {Date|string} value - The departure time.
+ * @param {string} lang - The traveller's language code.
+ * @returns {string} e.g. "Fri, Jul 18 at 07:00 AM"
+ */
+const formatTripTime = (value, lang) => {
+    const date = formatDate(lang, value, { weekday: 'short', month: 'short', day: 'numeric' });
+    return t(lang, 'date.at', { date, time: formatTime(lang, value) });
+};
+
+/**
+ * Describes how long until a departure, e.g. "about 24 hours" or "45 minutes".
+ * @param {number} ms - Milliseconds until departure.
+ * @param {string} lang - The traveller's language code.
+ * @returns {string} The description.
+ */
+const formatTimeLeft = (ms, lang) => {
+    const minutes = Math.max(1, Math.round(ms / (60 * 1000)));
+    if (minutes < 60) {
+        return minutes === 1 ? t(lang, 'reminder.minute') : t(lang, 'reminder.minutes', { count: minutes });
+    }
+    const hours = Math.round(minutes / 60);
+    return hours === 1 ? t(lang, 'reminder.hour') : t(lang, 'reminder.hours', { count: hours });
+};
+
+/**
+ * Claims a dedupe key and sends the message if the claim succeeds.
+ * The claim is an upsert on the unique dedupeKey that only matches a previously failed send,
+ * so a key that was already sent (or is being sent) fails with a duplicate key error and is skipped.
+ * @param {object} notification - dedupeKey, type, booking and userId.
+ * @param {string} body - The message text.
+ * @param {Date} now - Reference time.
+ * @param {Function} send - Delivers the text: (address, text) => Promise.
+ * @returns {Promise<boolean>} Whether the message was sent by this call.
+ */
+const sendOnce = async ({ dedupeKey, type, booking, userId }, body, now, send) => {
+    let claimed;
+    try {
+        claimed = await Notification.findOneAndUpdate(
+            { dedupeKey, status: 'failed', attempts: { $lt: config.notifications.maxAttempts } },
+            {
+                $set: { status: 'sending', error: null },
+                $inc: { attempts: 1 },
+                $setOnInsert: { type, booking, userId, createdAt: now }
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) { // Already sent, in flight, or out of retries
+            return false;
+        }
+        throw error;
+    }
+
+    try {
+        await send(userId, body);
+    } catch (error) {
+        await Notification.updateOne({ _id: claimed._id }, { $set: { status: 'failed', error: error.message } });
+        logger.error(`[Notification] Sending ${dedupeKey} to ${userId} failed (attempt ${claimed.attempts}): ${error.message}`);
+        return false;
+    }
+    await Notification.updateOne({ _id: claimed._id }, { $set: { status: 'sent', sentAt: now } });
+    logger.info(`[Notification] Sent ${dedupeKey} to ${userId}.`);
+    return true;
+};
+
+/**
+ * Builds the reminder sent ahead of a trip.
+ * @param {object} booking - Paid booking.
+ * @param {object} departure - Departure with route and vehicle populated.
+ * @param {Date} now - Reference time.
+ * @param {string} lang - The traveller's language code.
+ * @returns {string} The message text.
+ */
+const buildReminderMessage = (booking, departure, now, lang) => {
+    const msLeft = new Date(departure.departureTime).getTime() - now.getTime();
+    return t(lang, 'reminder.message', {
+        origin: departure.route.origin,
+        destination: departure.route.destination,
+        timeLeft: formatTimeLeft(msLeft, lang),
+        dateTime: formatTripTime(departure.departureTime, lang),
+        reference: booking.bookingReference,
+        vehicle: departure.vehicle ? departure.vehicle.name : 'N/A',
+        passengers: booking.passengers
+    });
+};
+
+/**
+ * Builds the notice sent when the operator cancels a departure.
+ * @param {object} booking - Paid booking.
+ * @param {object} departure - Cancelled departure with route populated.
+ * @param {Array<object>} alternatives - Other upcoming departures on the same route.
+ * @param {string} lang - The traveller's language code.
+ * @returns {string} The message text.
+ */
+const buildCancellationNotice = (booking, departure, alternatives, lang) => {
+    let message = t(lang, 'disruption.cancelled', {
+        origin: departure.route.origin,
+        destination: departure.route.destination,
+        dateTime: formatTripTime(departure.departureTime, lang),
+        reference: booking.bookingReference,
+        amount: booking.totalAmount.toLocaleString()
+    });
+    if (alternatives.length > 0) {
+        message += `\n\n${t(lang, 'disruption.alternatives')}\n` +
+                   alternatives.map(d => t(lang, 'disruption.alternative', { dateTime: formatTripTime(d.departureTime, lang), seats: d.availableSeats })).join('\n');
+    }
+    return message;
+};
+
+/**
+ * Builds the notice sent when the operator moves a departure to a new time.
+ * @param {object} booking - Paid booking.
+ * @param {object} departure - Rescheduled departure with route populated.
+ * @param {string} lang - The traveller's language code.
+ * @returns {string} The message text.
+ */
+const buildRescheduleNotice = (booking, departure, lang) => {
+    return t(lang, 'disruption.rescheduled', {
+        origin: departure.route.origin,
+        destination: departure.route.destination,
+        reference: booking.bookingReference,
+        from: formatTripTime(departure.rescheduledFrom, lang),
+        to: formatTripTime(departure.departureTime, lang),
+        amount: booking.totalAmount.toLocaleString()
+    });
+};
+
+/**
+ * Finds the paid bookings travelling on a departure.
+ * @param {object} departure - The departure.
+ * @returns {Promise<Array<object>>} Paid, confirmed bookings.
+ */
+const findPaidBookings = (departure) => {
+    return Booking.find({ departure: departure._id, status: 'confirmed', paymentStatus: 'paid' });
+};
+
+const notificationService = {
+    /**
+     * Sends the reminders that are due. For each paid booking, only the smallest reminder
+     * offset that has been reached is sent, so a late booking doesn't get a "24 hours"
+     * and a "2 hours" reminder back to back. Reminders are keyed on the departure time,
+     * so a rescheduled trip gets fresh reminders.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @param {Function} [send] - Delivers a message: (address, text) => Promise. Defaults to the traveller's channel.
+     * @returns {Promise<number>} Number of reminders sent.
+     */
+    sendDueReminders: async (now = new Date(), send = channelService.sendMessage) => {
+        const offsets = config.notifications.reminderOffsetsHours;
+        if (offsets.length === 0) {
+            return 0;
+        }
+        const maxOffsetMs = offsets[offsets.length - 1] * 60 * 60 * 1000;
+
+        const departures = await Departure.find({
+            status: 'scheduled',
+            departureTime: { $gt: now, $lte: new Date(now.getTime() + maxOffsetMs) }
+        }).populate('route').populate('vehicle');
+
+        let sent = 0;
+        for (const departure of departures) {
+            const departureTime = new Date(departure.departureTime);
+            const hoursLeft = (departureTime.getTime() - now.getTime()) / (60 * 60 * 1000);
+            const offset = offsets.find(h => hoursLeft <= h);
+
+            for (const booking of await findPaidBookings(departure)) {
+                const lang = await sessionService.getUserLanguage(booking.userId);
+                const delivered = await sendOnce({
+                    dedupeKey: `reminder:${offset}h:${booking._id}:${departureTime.getTime()}`,
+                    type: 'reminder',
+                    booking: booking._id,
+                    userId: booking.userId
+                }, buildReminderMessage(booking, departure, now, lang), now, send);
+                if (delivered) sent++;
+            }
+        }
+        return sent;
+    },
+
+    /**
+     * Tells every paid traveller on a cancelled or rescheduled departure what changed and what they can do.
+     * Safe to call repeatedly: each traveller is notified once per cancellation or new departure time.
+     * @param {object|string} departureOrId - The departure or its _id.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @param {Function} [send] - Delivers a message: (address, text) => Promise. Defaults to the traveller's channel.
+     * @returns {Promise<number>} Number of notices sent.
+     */
+    sendDisruptionNotices: async (departureOrId, now = new Date(), send = channelService.sendMessage) => {
+        const departure = await Departure.findById(departureOrId._id || departureOrId).populate('route').populate('vehicle');
+        if (!departure || !departure.route) {
+            return 0;
+        }
+
+        const cancelled = departure.status === 'cancelled';
+        if (!cancelled && !departure.rescheduledFrom) {
+            return 0;
+        }
+
+        let alternatives = [];
+        if (cancelled) {
+            alternatives = await Departure.find({
+                route: departure.route._id,
+                status: 'scheduled',
+                departureTime: { $gt: now },
+                availableSeats: { $gt: 0 }
+            }).sort({ departureTime: 1 }).limit(3);
+        }
+
+        let sent = 0;
+        for (const booking of await findPaidBookings(departure)) {
+            const lang = await sessionService.getUserLanguage(booking.userId);
+            const notification = cancelled
+                ? { dedupeKey: `departure_cancelled:${booking._id}`, type: 'departure_cancelled' }
+                : { dedupeKey: `departure_rescheduled:${booking._id}:${new Date(departure.departureTime).getTime()}`, type: 'departure_rescheduled' };
+            const body = cancelled
+                ? buildCancellationNotice(booking, departure, alternatives, lang)
+                : buildRescheduleNotice(booking, departure, lang);
+
+            const delivered = await sendOnce({ ...notification, booking: booking._id, userId: booking.userId }, body, now, send);
+            if (delivered) sent++;
+        }
+        if (sent > 0) {
+            logger.info(`[Notification] Sent ${sent} ${cancelled ? 'cancellation' : 'reschedule'} notice(s) for departure ${departure._id}.`);
+        }
+        return sent;
+    },
+
+    /**
+     * Catches up on disruption notices for upcoming departures, e.g. ones interrupted by a restart
+     * or that failed at Twilio when the admin made the change.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @param {Function} [send] - Delivers a message: (address, text) => Promise. Defaults to the traveller's channel.
+     * @returns {Promise<number>} Number of notices sent.
+     */
+    sendPendingDisruptionNotices: async (now = new Date(), send = channelService.sendMessage) => {
+        const departures = await Departure.find({
+            departureTime: { $gt: now },
+            $or: [{ status: 'cancelled' }, { status: 'scheduled', rescheduledFrom: { $ne: null } }]
+        }, '_id');
+
+        let sent = 0;
+        for (const departure of departures) {
+            sent += await notificationService.sendDisruptionNotices(departure._id, now, send);
+        }
+        return sent;
+    },
+
+    /**
+     * One scheduler pass: due reminders, then any outstanding disruption notices.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @param {Function} [send] - Delivers a message: (address, text) => Promise. Defaults to the traveller's channel.
+     * @returns {Promise<{reminders: number, disruptions: number}>} Counts of messages sent.
+     */
+    runScheduler: async (now = new Date(), send = channelService.sendMessage) => {
+        const reminders = await notificationService.sendDueReminders(now, send);
+        const disruptions = await notificationService.sendPendingDisruptionNotices(now, send);
+        if (reminders > 0 || disruptions > 0) {
+            logger.info(`[Notification] Scheduler run sent ${reminders} reminder(s) and ${disruptions} disruption notice(s).`);
+        }
+        return { reminders, disruptions };
+    },
+
+    /**
+     * Runs the scheduler on the configured interval.
+     * @returns {object} The interval timer.
+     */
+    startScheduler: () => {
+        if (schedulerTimer) {
+            return schedulerTimer;
+        }
+        schedulerTimer = setInterval(() => {
+            notificationService.runScheduler().catch(error => {
+                logger.error(`[Notification] Scheduler run failed: ${error.message}`, { error });
+            });
+        }, config.notifications.schedulerIntervalSeconds * 1000);
+        schedulerTimer.unref();
+        logger.info(`[Notification] Scheduler started. Reminders at ${config.notifications.reminderOffsetsHours.join('h, ')}h before departure, runs every ${config.notifications.schedulerIntervalSeconds}s.`);
+        return schedulerTimer;
+    },
+
+    /**
+     * Stops the scheduler started by startScheduler.
+     */
+    stopScheduler: () => {
+        if (schedulerTimer) {
+            clearInterval(schedulerTimer);
+            schedulerTimer = null;
+        }
+    }
+};
+
+module.exports = notificationService;
@@ -0,0 +1,71 @@
+// services/payAtParkService.js
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Cash is paid over the counter at the park, so there is no gateway: seats are held for longer and
+// station staff record the payment through the boarding API, which confirms the booking as usual.
+const payAtParkService = {
+    name: 'pay_at_park',
+    displayName: 'Pay at the park',
+    collectsInPerson: true,
+
+    /**
+     * Works out how long seats are held for a traveller paying cash: the configured number of hours,
+     * but never past the cash cutoff before the earliest departure.
+     * @param {Array<Date>} departureTimes - Departure time of every leg.
+     * @param {number} [from] - Start time in milliseconds, defaults to now.
+     * @returns {Date|null} The hold expiry, or null if there isn't time to pay at the park before departure.
+     */
+    getHoldExpiry: (departureTimes, from = Date.now()) => {
+        const earliest = Math.min(...departureTimes.map(time => new Date(time).getTime()));
+        const expiry = Math.min(
+            from + config.payments.payAtPark.holdHours * 60 * 60 * 1000,
+            earliest - config.payments.payAtPark.cutoffMinutes * 60 * 1000
+        );
+        // Not worth offering if it wouldn't even give the traveller as long as an online payment gets
+        if (expiry < from + config.seatHold.holdMinutes * 60 * 1000) {
+            return null;
+        }
+        return new Date(expiry);
+    },
+
+    /**
+     * Nothing to open with a gateway; the booking reference is what the traveller quotes at the counter.
+     * @param {object} params
+     * @param {string} params.reference - Our booking or trip reference.
+     * @returns {Promise<{authorizationUrl: null, reference: string}>}
+     */
+    initialize: async ({ reference }) => {
+        return { authorizationUrl: null, reference };
+    },
+
+    /**
+     * Cash payments are only ever confirmed by staff, so there is nothing to look up.
+     * @param {string} reference - The booking or trip reference.
+     * @returns {Promise<{reference: string, status: string, amountKobo: null}>} Always 'pending'.
+     */
+    verify: async (reference) => {
+        return { reference, status: 'pending', amountKobo: null };
+    },
+
+    /**
+     * Cash refunds are handed over at the park; this only records that one is owed.
+     * @param {string} transactionReference - The booking or trip reference.
+     * @param {number} amountKobo - Amount to refund, in kobo.
+     * @returns {Promise<{reference: string, status: string, processed: boolean}>}
+     */
+    refund: async (transactionReference, amountKobo) => {
+        logger.warn(`[PayAtPark] Cash refund of ${amountKobo} kobo due for ${transactionReference}. To be paid out at the park.`);
+        return { reference: transactionReference, status: 'manual', processed: false };
+    },
+
+    /**
+     * There are no webhooks for cash, so every request is rejected.
+     * @returns {Promise<null>}
+     */
+    parseWebhook: async () => {
+        return null;
+    }
+};
+
+module.exports = payAtParkService;
@@ -0,0 +1,124 @@
+// services/paymentService.js
+const config = require('../config');
+const logger = require('../utils/logger');
+const seatHoldService = require('./seatHoldService');
+const paystackService = require('./paystackService');
+const flutterwaveService = require('./flutterwaveService');
+const payAtParkService = require('./payAtParkService');
+const fakePaymentService = require('./fakePaymentService');
+
+// Every provider implements the same operations:
+//   initialize({ email, amountKobo, reference, customFields }) -> { authorizationUrl, reference } or null if declined
+//   verify(reference) -> { reference, status: 'success' | 'failed' | 'pending', amountKobo }
+//   refund(reference, amountKobo) -> { reference, status, processed }
+//   parseWebhook(req) -> { type, event, reference, amountKobo, reason } or null if the request isn't authentic
+// and describes itself with name, displayName and collectsInPerson. Providers that hold seats for longer
+// than an online payment (pay at the park) also have getHoldExpiry(departureTimes).
+const PROVIDERS = {
+    [paystackService.name]: paystackService,
+    [flutterwaveService.name]: flutterwaveService,
+    [payAtParkService.name]: payAtParkService,
+    [fakePaymentService.name]: fakePaymentService
+};
+
+/**
+ * Resolves PAYMENT_PROVIDERS into the providers travellers can use, in the configured order.
+ * @returns {Array<object>}
+ */
+const loadEnabledProviders = () => {
+    const enabled = [];
+    for (const name of config.payments.providers) {
+        const provider = PROVIDERS[name];
+        if (!provider) {
+            logger.error(`[Payments] Unknown payment provider "${name}" in PAYMENT_PROVIDERS. Ignoring it.`);
+        } else if (name === fakePaymentService.name && config.env === 'production') {
+            logger.error('[Payments] The fake payment provider cannot be used in production. Ignoring it.');
+        } else if (!enabled.includes(provider)) {
+            enabled.push(provider);
+        }
+    }
+    if (enabled.length === 0) {
+        logger.error('[Payments] No usable payment provider configured. Falling back to Paystack.');
+        enabled.push(paystackService);
+    }
+    return enabled;
+};
+
+const enabledProviders = loadEnabledProviders();
+
+const paymentService = {
+    /**
+     * @param {string} name - Provider name, e.g. 'paystack'.
+     * @returns {object|null} The provider, or null if it isn't enabled.
+     */
+    getProvider: (name) => {
+        return enabledProviders.find(provider => provider.name === name) || null;
+    },
+
+    /**
+     * Looks up any known provider, enabled or not. Bookings are refunded and reconciled through the
+     * provider they were paid with, even if it has since been switched off.
+     * @param {string} name - Provider name.
+     * @returns {object|null} The provider, or null if there is no such provider (or it is the fake one in production).
+     */
+    getProviderForBooking: (name) => {
+        const provider = PROVIDERS[name || paystackService.name];
+        if (!provider || (provider === fakePaymentService && config.env === 'production')) {
+            return null;
+        }
+        return provider;
+    },
+
+    /**
+     * @returns {Array<object>} The enabled providers, in the order travellers see them.
+     */
+    listProviders: () => {
+        return [...enabledProviders];
+    },
+
+    /**
+     * The provider used when a payment link has to be sent without asking, e.g. for waitlist offers.
+     * @returns {object|null} The first enabled online provider, or null if only pay at the park is enabled.
+     */
+    getOnlineProvider: () => {
+        return enabledProviders.find(provider => !provider.collectsInPerson) || null;
+    },
+
+    /**
+     * The payment methods a traveller can choose from for a checkout. Pay at the park is left out
+     * when the departure is too soon to get to the counter in time.
+     * @param {Array<Date>} departureTimes - Departure time of every leg.
+     * @returns {Array<object>} Usable providers, in the configured order.
+     */
+    listMethods: (departureTimes) => {
+        return enabledProviders.filter(provider => !provider.getHoldExpiry || provider.getHoldExpiry(departureTimes));
+    },
+
+    /**
+     * How long seats are held while waiting for a payment through this provider.
+     * @param {object} provider - The provider.
+     * @param {Array<Date>} departureTimes - Departure time of every leg.
+     * @returns {Date|null} The hold expiry, or null if the provider can't be used for these departures.
+     */
+    getHoldExpiry: (provider, departureTimes) => {
+        return provider.getHoldExpiry ? provider.getHoldExpiry(departureTimes) : seatHoldService.getHoldExpiry();
+    },
+
+    /**
+     * Requests a refund through the provider a booking was paid with.
+     * @param {string} providerName - The booking's paymentProvider.
+     * @param {string} reference - The booking or trip reference the payment was made under.
+     * @param {number} amountKobo - Amount to refund, in kobo.
+     * @returns {Promise<{reference: string, status: string, processed: boolean}>}
+     * @throws {Error} If the provider is unknown or refused the refund.
+     */
+    refund: async (providerName, reference, amountKobo) => {
+        const provider = paymentService.getProviderForBooking(providerName);
+        if (!provider) {
+            throw new Error(`Unknown payment provider "${providerName}" for ${reference}.`);
+        }
+        return provider.refund(reference, amountKobo);
+    }
+};
+
+module.exports = paymentService;
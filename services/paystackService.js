@@ -0,0 +1,163 @@
+// services/paystackService.js
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Paystack webhook events and the payment events they stand for
+const WEBHOOK_EVENTS = {
+    'charge.success': 'payment.succeeded',
+    'charge.failed': 'payment.failed',
+    'refund.processed': 'refund.processed',
+    'refund.failed': 'refund.failed'
+};
+
+const paystackService = {
+    name: 'paystack',
+    displayName: 'Paystack',
+    collectsInPerson: false,
+
+    /**
+     * Verifies a Paystack webhook signature.
+     * Paystack signs the raw request body with HMAC SHA512 using the secret key
+     * and sends the hex digest in the 'x-paystack-signature' header.
+     * @param {Buffer|string} rawBody - The raw (unparsed) request body.
+     * @param {string} signature - The value of the 'x-paystack-signature' header.
+     * @returns {boolean} True if the signature is valid.
+     */
+    verifySignature: (rawBody, signature) => {
+        if (!config.paystack.secretKey) {
+            logger.error('[Paystack] PAYSTACK_SECRET_KEY is not set. Cannot verify webhook signature.');
+            return false;
+        }
+        if (!rawBody || !signature) {
+            return false;
+        }
+
+        const expected = crypto
+            .createHmac('sha512', config.paystack.secretKey)
+            .update(rawBody)
+            .digest('hex');
+
+        const expectedBuffer = Buffer.from(expected, 'utf8');
+        const receivedBuffer = Buffer.from(String(signature), 'utf8');
+
+        // timingSafeEqual throws on length mismatch, so check that first
+        if (expectedBuffer.length !== receivedBuffer.length) {
+            return false;
+        }
+        return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+    },
+
+    /**
+     * Requests a (full or partial) refund for a successful transaction.
+     * Paystack processes refunds asynchronously and reports the outcome through
+     * the 'refund.processed' and 'refund.failed' webhook events.
+     * @param {string} transactionReference - The reference the transaction was initialized with.
+     * @param {number} amountKobo - Amount to refund, in kobo.
+     * @returns {Promise<{reference: string, status: string, processed: boolean}>} The refund as Paystack reports it;
+     *          never processed yet, since the outcome always arrives by webhook.
+     */
+    refund: async (transactionReference, amountKobo) => {
+        try {
+            const response = await axios.post(
+                `${config.paystack.baseUrl}/refund`,
+                { transaction: transactionReference, amount: amountKobo },
+                {
+                    headers: {
+                        Authorization: `Bearer ${config.paystack.secretKey}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+            if (!response.data || !response.data.status) {
+                throw new Error(response.data && response.data.message ? response.data.message : 'Unexpected response from Paystack');
+            }
+            logger.info(`[Paystack] Refund of ${amountKobo} kobo requested for ${transactionReference}. Status: ${response.data.data.status}`);
+            return { reference: transactionReference, status: response.data.data.status, processed: false };
+        } catch (error) {
+            logger.error(`[Paystack - Refund Error] ${error.message}. Details: ${error.response ? JSON.stringify(error.response.data) : 'No response data'}`);
+            throw new Error(`Failed to request Paystack refund for ${transactionReference}.`);
+        }
+    },
+
+    /**
+     * Opens a Paystack transaction and returns the link the traveller pays through.
+     * @param {object} params
+     * @param {string} params.email - Customer email; travellers without one get a placeholder based on their number.
+     * @param {number} params.amountKobo - Amount to charge, in kobo.
+     * @param {string} params.reference - Our booking or trip reference, echoed back in the webhook.
+     * @param {Array<object>} [params.customFields] - Shown on the transaction in the Paystack dashboard.
+     * @returns {Promise<{authorizationUrl: string, reference: string}|null>} The payment link, or null if Paystack declined.
+     * @throws {Error} If Paystack couldn't be reached.
+     */
+    initialize: async ({ email, amountKobo, reference, customFields = [] }) => {
+        logger.debug(`[Paystack] Initializing payment for reference: ${reference}, amount: ${amountKobo} kobo`);
+        const response = await axios.post(
+            `${config.paystack.baseUrl}/transaction/initialize`,
+            {
+                email,
+                amount: amountKobo,
+                reference,
+                currency: 'NGN',
+                callback_url: config.paystack.callbackUrl,
+                metadata: { custom_fields: customFields }
+            },
+            {
+                headers: {
+                    Authorization: `Bearer ${config.paystack.secretKey}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+        if (!response.data || !response.data.status) {
+            logger.error(`[Paystack] Payment initialization failed: ${JSON.stringify(response.data)}`);
+            return null;
+        }
+        return { authorizationUrl: response.data.data.authorization_url, reference: response.data.data.reference };
+    },
+
+    /**
+     * Asks Paystack for the current state of a transaction.
+     * @param {string} reference - The reference the transaction was initialized with.
+     * @returns {Promise<{reference: string, status: string, amountKobo: number|null}>} status is 'success', 'failed' or 'pending'.
+     * @throws {Error} If Paystack couldn't be reached.
+     */
+    verify: async (reference) => {
+        const response = await axios.get(
+            `${config.paystack.baseUrl}/transaction/verify/${encodeURIComponent(reference)}`,
+            { headers: { Authorization: `Bearer ${config.paystack.secretKey}` }, validateStatus: status => status < 500 }
+        );
+        const data = response.data && response.data.data;
+        if (!response.data || !response.data.status || !data) {
+            // Paystack answers 404 for references it never saw, e.g. an abandoned initialization
+            return { reference, status: 'pending', amountKobo: null };
+        }
+        const status = data.status === 'success' ? 'success' : (['failed', 'reversed'].includes(data.status) ? 'failed' : 'pending');
+        return { reference, status, amountKobo: data.amount };
+    },
+
+    /**
+     * Checks a webhook request's signature and turns its event into a payment event.
+     * @param {object} req - Express request, with rawBody kept by the JSON body parser.
+     * @returns {Promise<{type: string|null, event: string, reference: string, amountKobo: number, reason: string|null}|null>}
+     *          null if the signature is missing or wrong; type is null for events we don't act on, event is Paystack's own name.
+     */
+    parseWebhook: async (req) => {
+        if (!paystackService.verifySignature(req.rawBody, req.get('x-paystack-signature'))) {
+            return null;
+        }
+        const event = req.body || {};
+        const data = event.data || {};
+        const isRefund = event.event && event.event.startsWith('refund.');
+        return {
+            type: WEBHOOK_EVENTS[event.event] || null,
+            event: event.event,
+            reference: isRefund ? data.transaction_reference : data.reference,
+            amountKobo: data.amount,
+            reason: (isRefund ? (data.merchant_note || data.customer_note) : data.gateway_response) || null
+        };
+    }
+};
+
+module.exports = paystackService;
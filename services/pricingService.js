@@ -0,0 +1,208 @@
+// services/pricingService.js
+const PricingRule = require('../models/PricingRule');
+const Holiday = require('../models/Holiday');
+const logger = require('../utils/logger');
+const { InvalidInputError } = require('../utils/errors');
+const { getZonedParts, startOfZonedDay, toDateKey } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields operations staff may set through the admin API
+const RULE_FIELDS = ['name', 'type', 'route', 'adjustmentPercent', 'minLoadFactor', 'minDaysBefore', 'maxDaysBefore',
+    'daysOfWeek', 'daysBeforeHoliday', 'isActive'];
+
+/**
+ * Copies only the allowed keys from a request body.
+ * @param {object} body - The request body.
+ * @returns {object} The filtered fields.
+ * @throws {InvalidInputError} If the body has a key that isn't a rule field.
+ */
+const pickRuleFields = (body) => {
+    const unknown = Object.keys(body || {}).filter(field => !RULE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new InvalidInputError(`Unknown pricing rule field(s): ${unknown.join(', ')}`);
+    }
+    const result = {};
+    for (const field of RULE_FIELDS) {
+        if (body && body[field] !== undefined) {
+            result[field] = body[field];
+        }
+    }
+    return result;
+};
+
+// How each rule type decides whether it applies to a departure; the context is built by buildContext
+const RULE_MATCHERS = {
+    load_factor: (rule, context) => context.loadFactor >= rule.minLoadFactor,
+    days_before: (rule, context) => (rule.minDaysBefore === null || context.daysBefore >= rule.minDaysBefore)
+        && (rule.maxDaysBefore === null || context.daysBefore <= rule.maxDaysBefore),
+    weekday: (rule, context) => rule.daysOfWeek.includes(context.weekday),
+    holiday: (rule, context) => {
+        const { year, month, day } = context.date;
+        for (let offset = 0; offset <= (rule.daysBeforeHoliday || 0); offset++) {
+            const date = new Date(Date.UTC(year, month, day + offset));
+            if (context.holidays.has(toDateKey(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))) {
+                return true;
+            }
+        }
+        return false;
+    }
+};
+
+/**
+ * Works out the pricing inputs for a departure.
+ * @param {object} departure - Departure with vehicle populated.
+ * @param {Set<string>} holidays - Holiday dates (YYYY-MM-DD).
+ * @param {Date} now - Time of the quote.
+ * @returns {object} loadFactor, daysBefore, weekday, the departure's local date parts and the holidays.
+ */
+const buildContext = (departure, holidays, now) => {
+    const capacity = departure.vehicle && departure.vehicle.capacity ? departure.vehicle.capacity : departure.availableSeats;
+    const sold = Math.max(0, capacity - departure.availableSeats);
+    const date = getZonedParts(new Date(departure.departureTime));
+    return {
+        loadFactor: capacity > 0 ? Math.min(1, sold / capacity) : 1,
+        daysBefore: Math.max(0, Math.round((startOfZonedDay(new Date(departure.departureTime)).getTime() - startOfZonedDay(now).getTime()) / DAY_MS)),
+        weekday: date.weekday,
+        date,
+        holidays
+    };
+};
+
+/**
+ * Prices one departure against already-loaded rules.
+ * For each rule type only one rule applies: a matching rule for the departure's route beats the
+ * all-routes ones, and among those the largest adjustment wins. Adjustments of different types add up.
+ * @param {object} departure - Departure with route and vehicle populated.
+ * @param {Array<object>} rules - Active pricing rules.
+ * @param {Set<string>} holidays - Holiday dates (YYYY-MM-DD).
+ * @param {Date} now - Time of the quote.
+ * @returns {{fare: number, baseFare: number, adjustments: Array<{name: string, type: string, percent: number}>, capped: boolean}}
+ */
+const priceDeparture = (departure, rules, holidays, now) => {
+    const routeId = departure.route && departure.route._id ? departure.route._id.toString() : String(departure.route);
+    const context = buildContext(departure, holidays, now);
+
+    const adjustments = [];
+    for (const type of Object.keys(RULE_MATCHERS)) {
+        const matching = rules.filter(rule => rule.type === type
+            && (!rule.route || rule.route.toString() === routeId)
+            && RULE_MATCHERS[type](rule, context));
+        const routeSpecific = matching.filter(rule => rule.route);
+        const candidates = routeSpecific.length > 0 ? routeSpecific : matching;
+        if (candidates.length > 0) {
+            const rule = candidates.reduce((best, r) => (r.adjustmentPercent > best.adjustmentPercent ? r : best));
+            adjustments.push({ name: rule.name, type, percent: rule.adjustmentPercent });
+        }
+    }
+
+    const baseFare = departure.fare;
+    const totalPercent = Math.max(-90, adjustments.reduce((sum, a) => sum + a.percent, 0));
+    let fare = Math.round(baseFare * (1 + totalPercent / 100));
+
+    const route = departure.route && departure.route._id ? departure.route : {};
+    let capped = false;
+    if (route.maxFare !== null && route.maxFare !== undefined && fare > route.maxFare) {
+        fare = route.maxFare;
+        capped = true;
+    }
+    if (route.minFare !== null && route.minFare !== undefined && fare < route.minFare) {
+        fare = route.minFare;
+        capped = true;
+    }
+    return { fare, baseFare, adjustments, capped };
+};
+
+/**
+ * Loads the active rules and holiday dates needed to price departures.
+ * @returns {Promise<{rules: Array<object>, holidays: Set<string>}>}
+ */
+const loadPricingInputs = async () => {
+    const [rules, holidays] = await Promise.all([
+        PricingRule.find({ isActive: true }),
+        Holiday.find({}, 'date')
+    ]);
+    return { rules, holidays: new Set(holidays.map(h => h.date)) };
+};
+
+const pricingService = {
+    /**
+     * Quotes the current fare for a departure: its base fare adjusted by the pricing rules, within the route's caps.
+     * @param {object} departure - Departure with route and vehicle populated.
+     * @param {Date} [now] - Time of the quote, defaults to now.
+     * @returns {Promise<{fare: number, baseFare: number, adjustments: Array<object>, capped: boolean}>} The quote.
+     */
+    quoteFare: async (departure, now = new Date()) => {
+        const { rules, holidays } = await loadPricingInputs();
+        const quote = priceDeparture(departure, rules, holidays, now);
+        logger.debug(`[Pricing] Departure ${departure._id}: base NGN${quote.baseFare}, quoted NGN${quote.fare}${quote.adjustments.length > 0 ? ` (${quote.adjustments.map(a => `${a.name} ${a.percent > 0 ? '+' : ''}${a.percent}%`).join(', ')})` : ''}${quote.capped ? ', capped' : ''}.`);
+        return quote;
+    },
+
+    /**
+     * Quotes several departures at once, loading the rules only once.
+     * @param {Array<object>} departures - Departures with route and vehicle populated.
+     * @param {Date} [now] - Time of the quote, defaults to now.
+     * @returns {Promise<Map<string, object>>} Quotes keyed by departure _id.
+     */
+    quoteFares: async (departures, now = new Date()) => {
+        const { rules, holidays } = await loadPricingInputs();
+        const quotes = new Map();
+        for (const departure of departures) {
+            quotes.set(departure._id.toString(), priceDeparture(departure, rules, holidays, now));
+        }
+        return quotes;
+    },
+
+    /**
+     * @param {object} [filter] - e.g. { isActive: true }.
+     * @returns {Promise<Array<object>>} Pricing rules, with route populated.
+     */
+    listRules: async (filter = {}) => {
+        return PricingRule.find(filter).sort({ type: 1, createdAt: 1 }).populate('route');
+    },
+
+    /**
+     * @param {object} body - name, type, adjustmentPercent, the conditions for its type and optional route.
+     * @returns {Promise<object>} The new rule.
+     * @throws {InvalidInputError} If the body has a key that isn't a rule field.
+     */
+    createRule: async (body) => {
+        const rule = new PricingRule(pickRuleFields(body));
+        await rule.save();
+        logger.info(`[Pricing] Rule "${rule.name}" (${rule.type}, ${rule.adjustmentPercent}%) created (${rule._id}).`);
+        return rule;
+    },
+
+    /**
+     * @param {string} ruleId - The PricingRule _id.
+     * @param {object} body - Fields to change.
+     * @returns {Promise<object|null>} The updated rule, or null if not found.
+     * @throws {InvalidInputError} If the body has a key that isn't a rule field.
+     */
+    updateRule: async (ruleId, body) => {
+        const updates = pickRuleFields(body);
+        const rule = await PricingRule.findById(ruleId);
+        if (!rule) {
+            return null;
+        }
+        rule.set(updates);
+        await rule.save();
+        logger.info(`[Pricing] Rule ${rule._id} updated.`, { updates });
+        return rule;
+    },
+
+    /**
+     * @param {string} ruleId - The PricingRule _id.
+     * @returns {Promise<object|null>} The deleted rule, or null if not found.
+     */
+    deleteRule: async (ruleId) => {
+        const rule = await PricingRule.findByIdAndDelete(ruleId);
+        if (rule) {
+            logger.info(`[Pricing] Rule "${rule.name}" (${rule._id}) deleted.`);
+        }
+        return rule;
+    }
+};
+
+module.exports = pricingService;
@@ -0,0 +1,216 @@
+// services/promoService.js
+const PromoCode = require('../models/PromoCode');
+const logger = require('../utils/logger');
+const { ConflictError } = require('../utils/errors');
+
+// Fields operations staff may set through the admin API; the redemption counters are managed here
+const PROMO_FIELDS = ['code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'minAmount', 'validFrom', 'validUntil',
+    'maxRedemptions', 'maxRedemptionsPerUser', 'routes', 'isActive'];
+
+// No code takes more than this share off a checkout, so there is always something left to pay online
+const MAX_DISCOUNT_SHARE = 0.9;
+
+/**
+ * Copies only the allowed keys from a request body.
+ * @param {object} body - The request body.
+ * @returns {object} The filtered fields.
+ */
+const pickPromoFields = (body) => {
+    const result = {};
+    for (const field of PROMO_FIELDS) {
+        if (body && body[field] !== undefined) {
+            result[field] = body[field];
+        }
+    }
+    return result;
+};
+
+/**
+ * Works out how much a code takes off a checkout total.
+ * @param {object} promo - PromoCode document.
+ * @param {number} amount - Checkout total in NGN.
+ * @returns {number} The discount in whole NGN.
+ */
+const calculateDiscount = (promo, amount) => {
+    let discount = promo.discountType === 'percent'
+        ? Math.floor(amount * promo.discountValue / 100)
+        : promo.discountValue;
+    if (promo.maxDiscount !== null && promo.maxDiscount !== undefined) {
+        discount = Math.min(discount, promo.maxDiscount);
+    }
+    return Math.min(discount, Math.floor(amount * MAX_DISCOUNT_SHARE));
+};
+
+/**
+ * Checks a code against a checkout, without using it up.
+ * @param {object} promo - PromoCode document.
+ * @param {object} checkout - waId, routeIds (one per leg), amount (NGN) and now.
+ * @returns {string|null} Why the code can't be used ('expired', 'exhausted', 'alreadyUsed', 'routeNotEligible', 'minAmount'), or null if it can.
+ */
+const findIneligibility = (promo, { waId, routeIds, amount, now }) => {
+    if (!promo.isActive || (promo.validFrom && promo.validFrom > now) || (promo.validUntil && promo.validUntil < now)) {
+        return 'expired';
+    }
+    if (promo.maxRedemptions !== null && promo.redemptionCount >= promo.maxRedemptions) {
+        return 'exhausted';
+    }
+    if (promo.redemptions.filter(r => r.waId === waId).length >= promo.maxRedemptionsPerUser) {
+        return 'alreadyUsed';
+    }
+    const allowedRoutes = promo.routes.map(id => id.toString());
+    if (allowedRoutes.length > 0 && routeIds.some(id => !allowedRoutes.includes(id.toString()))) {
+        return 'routeNotEligible';
+    }
+    if (amount < (promo.minAmount || 0)) {
+        return 'minAmount';
+    }
+    return null;
+};
+
+const promoService = {
+    /**
+     * Looks up a code and works out the discount it would give, without using it up.
+     * @param {string} code - The code as typed; case doesn't matter.
+     * @param {object} checkout - waId, routeIds (the route of each leg) and amount (the checkout total in NGN).
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @returns {Promise<{promo?: object, discount?: number, reason?: string}>} The code and discount, or the reason
+     *          it can't be used ('notFound' plus the reasons from findIneligibility).
+     */
+    quoteDiscount: async (code, checkout, now = new Date()) => {
+        const promo = await PromoCode.findOne({ code: (code || '').trim().toUpperCase() });
+        if (!promo) {
+            return { reason: 'notFound' };
+        }
+        const reason = findIneligibility(promo, { ...checkout, now });
+        if (reason) {
+            return { promo, reason };
+        }
+        return { promo, discount: calculateDiscount(promo, checkout.amount) };
+    },
+
+    /**
+     * Uses up one redemption of a code for a checkout. The limits are re-checked in the same
+     * conditional update that records the redemption, so concurrent checkouts can't exceed them.
+     * @param {string} code - The code.
+     * @param {object} checkout - waId, routeIds, amount (NGN) and reference (the booking or trip reference being paid).
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @returns {Promise<{promo?: object, discount?: number, reason?: string}>} The discount applied, or why the code couldn't be used.
+     */
+    redeem: async (code, checkout, now = new Date()) => {
+        const quote = await promoService.quoteDiscount(code, checkout, now);
+        if (quote.reason) {
+            return quote;
+        }
+
+        const promo = await PromoCode.findOneAndUpdate(
+            {
+                _id: quote.promo._id,
+                isActive: true,
+                $and: [
+                    { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+                    { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+                    { $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }] },
+                    { $expr: { $lt: [{ $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.waId', checkout.waId] } } } }, '$maxRedemptionsPerUser'] } }
+                ]
+            },
+            {
+                $inc: { redemptionCount: 1 },
+                $push: { redemptions: { waId: checkout.waId, reference: checkout.reference, discountAmount: quote.discount, redeemedAt: now } }
+            },
+            { new: true }
+        );
+        if (!promo) {
+            // A concurrent checkout took the last redemption; say which limit was hit
+            const latest = await promoService.quoteDiscount(code, checkout, now);
+            logger.info(`[Promo] Code ${quote.promo.code} could not be redeemed for ${checkout.reference}: ${latest.reason || 'limit reached'}.`);
+            return { promo: quote.promo, reason: latest.reason || 'exhausted' };
+        }
+
+        logger.info(`[Promo] Code ${promo.code} redeemed by ${checkout.waId} for ${checkout.reference}: NGN${quote.discount} off NGN${checkout.amount}.`);
+        return { promo, discount: quote.discount };
+    },
+
+    /**
+     * Gives back a redemption whose payment never completed, so the code can be used again.
+     * Safe to call more than once for the same reference.
+     * @param {string} code - The code.
+     * @param {string} reference - The booking or trip reference it was redeemed for.
+     * @returns {Promise<boolean>} true if a redemption was released.
+     */
+    release: async (code, reference) => {
+        const result = await PromoCode.updateOne(
+            { code, 'redemptions.reference': reference },
+            { $pull: { redemptions: { reference } }, $inc: { redemptionCount: -1 } }
+        );
+        if (result.modifiedCount > 0) {
+            logger.info(`[Promo] Redemption of ${code} for ${reference} released.`);
+            return true;
+        }
+        return false;
+    },
+
+    // --- Admin ---
+
+    /**
+     * @param {object} [filter] - e.g. { isActive: true }.
+     * @returns {Promise<Array<object>>} Promo codes, newest first, without the redemption list.
+     */
+    listCodes: async (filter = {}) => {
+        return PromoCode.find(filter, { redemptions: 0 }).sort({ createdAt: -1 });
+    },
+
+    /**
+     * @param {string} promoId - The PromoCode _id.
+     * @returns {Promise<object|null>} The code with its redemptions, or null if not found.
+     */
+    getCode: async (promoId) => {
+        return PromoCode.findById(promoId);
+    },
+
+    /**
+     * @param {object} body - code, discountType, discountValue and optional limits, validity window and routes.
+     * @returns {Promise<object>} The new code.
+     */
+    createCode: async (body) => {
+        const promo = new PromoCode(pickPromoFields(body));
+        await promo.save();
+        logger.info(`[Promo] Code ${promo.code} created (${promo.discountType} ${promo.discountValue}).`);
+        return promo;
+    },
+
+    /**
+     * @param {string} promoId - The PromoCode _id.
+     * @param {object} body - Fields to change.
+     * @returns {Promise<object|null>} The updated code, or null if not found.
+     */
+    updateCode: async (promoId, body) => {
+        const promo = await PromoCode.findById(promoId);
+        if (!promo) {
+            return null;
+        }
+        promo.set(pickPromoFields(body));
+        await promo.save();
+        logger.info(`[Promo] Code ${promo.code} updated.`, { updates: pickPromoFields(body) });
+        return promo;
+    },
+
+    /**
+     * Deletes a code that was never used.
+     * @param {string} promoId - The PromoCode _id.
+     * @returns {Promise<object|null>} The deleted code, or null if not found.
+     */
+    deleteCode: async (promoId) => {
+        const promo = await PromoCode.findById(promoId);
+        if (!promo) {
+            return null;
+        }
+        if (promo.redemptionCount > 0) {
+            throw new ConflictError('Promo code has been redeemed. Deactivate it instead (isActive: false).');
+        }
+        await PromoCode.deleteOne({ _id: promo._id });
+        logger.info(`[Promo] Code ${promo.code} deleted.`);
+        return promo;
+    }
+};
+
+module.exports = promoService;
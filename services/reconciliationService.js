@@ -0,0 +1,289 @@
+// services/reconciliationService.js
+const Booking = require('../models/Booking');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const config = require('../config');
+const logger = require('../utils/logger');
+const paymentService = require('./paymentService');
+const bookingService = require('./bookingService');
+const { InvalidInputError } = require('../utils/errors');
+const { getZonedParts, zonedTimeToUtc, toDateKey } = require('../utils/timezone');
+
+let jobTimer = null;
+
+/**
+ * The reference a booking's payment was opened under. Bookings made before paymentReference
+ * was stored fall back to their trip or booking reference, which is what was sent to the provider.
+ * @param {object} booking - The booking.
+ * @returns {string}
+ */
+const paymentReferenceOf = (booking) => booking.paymentReference || booking.tripReference || booking.bookingReference;
+
+/**
+ * Groups bookings by the payment they share, so each trip is only checked with the provider once.
+ * @param {Array<object>} bookings - Bookings.
+ * @returns {Map<string, Array<object>>} Bookings keyed by payment reference, in the order first seen.
+ */
+const groupByPayment = (bookings) => {
+    const groups = new Map();
+    for (const booking of bookings) {
+        const reference = paymentReferenceOf(booking);
+        if (!groups.has(reference)) {
+            groups.set(reference, []);
+        }
+        groups.get(reference).push(booking);
+    }
+    return groups;
+};
+
+/**
+ * Rounds an NGN amount to kobo.
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundNaira = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Adds a payment's amounts to a running total.
+ * @param {object} totals - bookings, bookingTotal, gatewayTotal and cashTotal.
+ * @param {object} amounts - The same fields for one booking.
+ */
+const addTotals = (totals, amounts) => {
+    totals.bookings += amounts.bookings;
+    totals.bookingTotal = roundNaira(totals.bookingTotal + amounts.bookingTotal);
+    totals.gatewayTotal = roundNaira(totals.gatewayTotal + amounts.gatewayTotal);
+    totals.cashTotal = roundNaira(totals.cashTotal + amounts.cashTotal);
+    totals.difference = roundNaira(totals.bookingTotal - totals.gatewayTotal - totals.cashTotal);
+};
+
+/**
+ * Turns a YYYY-MM-DD date into the start and end of that day in Lagos.
+ * @param {string} dateKey - e.g. "2025-07-20".
+ * @returns {{start: Date, end: Date}}
+ * @throws {InvalidInputError} If the date isn't valid.
+ */
+const dayRange = (dateKey) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || '');
+    if (!match) {
+        throw new InvalidInputError('date must be in YYYY-MM-DD format');
+    }
+    const [year, month, day] = [parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)];
+    return { start: zonedTimeToUtc(year, month, day), end: zonedTimeToUtc(year, month, day + 1) };
+};
+
+/**
+ * The Lagos calendar date before the one containing the given instant.
+ * @param {Date} now - The instant.
+ * @returns {string} YYYY-MM-DD.
+ */
+const previousDateKey = (now) => {
+    const today = getZonedParts(now);
+    const yesterday = new Date(Date.UTC(today.year, today.month, today.day - 1));
+    return toDateKey(yesterday.getUTCFullYear(), yesterday.getUTCMonth(), yesterday.getUTCDate());
+};
+
+const reconciliationService = {
+    /**
+     * Checks unpaid bookings with their payment provider, for when a webhook never arrived.
+     * Payments the provider reports as successful are confirmed (late ones are held again or refunded
+     * as usual), failed ones are marked as failed, and bookings whose hold has run out with nothing paid
+     * are expired and their seats released. Bookings younger than the grace period are left for the
+     * webhook; cash bookings are only ever settled by station staff.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @returns {Promise<{checked: number, confirmed: number, failed: number, expired: number, errors: number}>}
+     *          Counts of payments (not bookings; a trip is one payment).
+     */
+    reconcilePendingPayments: async (now = new Date()) => {
+        const candidates = await Booking.find({
+            paymentStatus: 'pending',
+            status: { $in: ['pending', 'failed', 'cancelled'] },
+            createdAt: {
+                $gte: new Date(now.getTime() - config.reconciliation.lookbackHours * 60 * 60 * 1000),
+                $lte: new Date(now.getTime() - config.reconciliation.graceMinutes * 60 * 1000)
+            }
+        }).sort({ createdAt: 1 });
+
+        const result = { checked: 0, confirmed: 0, failed: 0, expired: 0, errors: 0 };
+        for (const [reference, bookings] of groupByPayment(candidates)) {
+            const first = bookings[0];
+            const provider = paymentService.getProviderForBooking(first.paymentProvider);
+            if (!provider || provider.collectsInPerson) {
+                continue;
+            }
+            // The booking or trip reference the booking service settles payments under
+            const settleReference = first.tripReference || first.bookingReference;
+
+            try {
+                const transaction = await provider.verify(reference);
+                result.checked++;
+                const awaitingPayment = bookings.some(booking => booking.status === 'pending');
+
+                if (transaction.status === 'success') {
+                    logger.warn(`[Reconciliation] ${provider.displayName} reports ${reference} as paid but the booking was still pending. Confirming it now.`);
+                    if (await bookingService.confirmPayment(settleReference, transaction.amountKobo, provider.name)) {
+                        result.confirmed++;
+                    }
+                } else if (transaction.status === 'failed' && awaitingPayment) {
+                    if (await bookingService.failPayment(settleReference, 'Payment declined', provider.name)) {
+                        result.failed++;
+                    }
+                } else if (transaction.status === 'pending' && awaitingPayment
+                    && bookings.every(booking => booking.status !== 'pending' || (booking.holdExpiresAt && booking.holdExpiresAt <= now))) {
+                    // Never completed and the seats' hold has run out: the traveller walked away
+                    if (await bookingService.failPayment(settleReference, 'Payment not completed in time', provider.name)) {
+                        result.expired++;
+                    }
+                }
+            } catch (error) {
+                // Try again on the next run
+                result.errors++;
+                logger.error(`[Reconciliation] Could not check ${reference} with ${provider.displayName}: ${error.message}`, { error });
+            }
+        }
+
+        if (result.checked > 0 || result.errors > 0) {
+            logger.info(`[Reconciliation] Checked ${result.checked} pending payment(s): ${result.confirmed} confirmed, ${result.failed} failed, ${result.expired} expired, ${result.errors} error(s).`);
+        }
+        return result;
+    },
+
+    /**
+     * Compares what each payment provider reports as charged with what the bookings say was paid,
+     * for every payment taken on one day, per route. A trip's payment is split across its legs in
+     * proportion to their amounts. Saves the report, replacing any earlier one for the same day.
+     * @param {string} dateKey - The day, YYYY-MM-DD in Lagos time.
+     * @returns {Promise<object>} The saved ReconciliationReport.
+     * @throws {InvalidInputError} If the date isn't valid.
+     * @throws {Error} If a provider couldn't be reached; nothing is saved, so the next run tries again.
+     */
+    buildDailyReport: async (dateKey) => {
+        const { start, end } = dayRange(dateKey);
+        const bookings = await Booking.find({ paidAt: { $gte: start, $lt: end } })
+            .populate({ path: 'departure', populate: { path: 'route' } });
+
+        const routeTotals = new Map();
+        const totals = { bookings: 0, bookingTotal: 0, gatewayTotal: 0, cashTotal: 0, difference: 0 };
+        const discrepancies = [];
+
+        for (const [reference, legs] of groupByPayment(bookings)) {
+            const provider = paymentService.getProviderForBooking(legs[0].paymentProvider);
+            const paymentTotal = legs.reduce((sum, leg) => sum + leg.totalAmount, 0);
+            const isCash = Boolean(provider && provider.collectsInPerson);
+
+            let gatewayAmount = 0;
+            if (!isCash) {
+                const transaction = provider
+                    ? await provider.verify(reference)
+                    : { status: 'pending', amountKobo: null };
+                gatewayAmount = transaction.status === 'success' && transaction.amountKobo ? transaction.amountKobo / 100 : 0;
+                if (transaction.status !== 'success' || gatewayAmount !== paymentTotal) {
+                    discrepancies.push({
+                        reference,
+                        provider: legs[0].paymentProvider,
+                        bookingTotal: paymentTotal,
+                        gatewayTotal: gatewayAmount,
+                        gatewayStatus: transaction.status
+                    });
+                }
+            }
+
+            for (const leg of legs) {
+                const route = leg.departure && leg.departure.route;
+                const key = route ? route._id.toString() : 'unknown';
+                if (!routeTotals.has(key)) {
+                    routeTotals.set(key, {
+                        route: route ? route._id : null,
+                        origin: route ? route.origin : null,
+                        destination: route ? route.destination : null,
+                        bookings: 0, bookingTotal: 0, gatewayTotal: 0, cashTotal: 0, difference: 0
+                    });
+                }
+                const share = paymentTotal > 0 ? leg.totalAmount / paymentTotal : 1 / legs.length;
+                const amounts = {
+                    bookings: 1,
+                    bookingTotal: leg.totalAmount,
+                    gatewayTotal: isCash ? 0 : roundNaira(gatewayAmount * share),
+                    cashTotal: isCash ? leg.totalAmount : 0
+                };
+                addTotals(routeTotals.get(key), amounts);
+                addTotals(totals, amounts);
+            }
+        }
+
+        const report = await ReconciliationReport.findOneAndUpdate(
+            { date: dateKey },
+            {
+                $set: {
+                    routes: [...routeTotals.values()].sort((a, b) => `${a.origin}${a.destination}`.localeCompare(`${b.origin}${b.destination}`)),
+                    totals,
+                    discrepancies,
+                    generatedAt: Date.now()
+                }
+            },
+            { new: true, upsert: true, runValidators: true }
+        );
+        const level = discrepancies.length > 0 || totals.difference !== 0 ? 'warn' : 'info';
+        logger[level](`[Reconciliation] Report for ${dateKey}: ${totals.bookings} paid booking(s), NGN${totals.bookingTotal.toLocaleString()} booked, NGN${totals.gatewayTotal.toLocaleString()} at the gateways, NGN${totals.cashTotal.toLocaleString()} in cash, ${discrepancies.length} discrepancy(ies).`);
+        return report;
+    },
+
+    /**
+     * One run of the job: reconciles pending payments, then writes yesterday's report if it hasn't been written yet.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @returns {Promise<{payments: object, report: object|null}>} The reconciliation counts, and the report if one was written.
+     */
+    runJob: async (now = new Date()) => {
+        const payments = await reconciliationService.reconcilePendingPayments(now);
+        const dateKey = previousDateKey(now);
+        let report = null;
+        if (!await ReconciliationReport.exists({ date: dateKey })) {
+            report = await reconciliationService.buildDailyReport(dateKey);
+        }
+        return { payments, report };
+    },
+
+    /**
+     * @param {number} [limit] - How many reports to return, newest first.
+     * @returns {Promise<Array<object>>} Reports without the discrepancy lists.
+     */
+    listReports: async (limit = 30) => {
+        return ReconciliationReport.find({}, { discrepancies: 0 }).sort({ date: -1 }).limit(limit);
+    },
+
+    /**
+     * @param {string} dateKey - YYYY-MM-DD.
+     * @returns {Promise<object|null>} The report for that day, or null if none has been written.
+     */
+    getReport: async (dateKey) => {
+        return ReconciliationReport.findOne({ date: dateKey });
+    },
+
+    /**
+     * Starts the periodic reconciliation job.
+     * @returns {object} The interval timer.
+     */
+    startJob: () => {
+        if (jobTimer) {
+            return jobTimer;
+        }
+        jobTimer = setInterval(() => {
+            reconciliationService.runJob().catch(error => {
+                logger.error(`[Reconciliation] Job run failed: ${error.message}`, { error });
+            });
+        }, config.reconciliation.intervalMinutes * 60 * 1000);
+        jobTimer.unref(); // Never keep the process alive just for the job
+        logger.info(`[Reconciliation] Job started. Runs every ${config.reconciliation.intervalMinutes} minutes, checking payments pending for more than ${config.reconciliation.graceMinutes} minutes.`);
+        return jobTimer;
+    },
+
+    /**
+     * Stops the job started by startJob.
+     */
+    stopJob: () => {
+        if (jobTimer) {
+            clearInterval(jobTimer);
+            jobTimer = null;
+        }
+    }
+};
+
+module.exports = reconciliationService;
@@ -0,0 +1,156 @@
+// services/seatHoldService.js
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const Session = require('../models/Session');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
+const sessionService = require('./sessionService');
+const promoService = require('./promoService');
+const channelService = require('./channelService');
+
+let sweeperTimer = null;
+
+const seatHoldService = {
+    /**
+     * Atomically takes seats off a departure's availableSeats counter, and claims specific seats if given.
+     * The update only happens if enough seats are left and none of the chosen seats is taken, all in one
+     * document write, so the counter can never go negative and no seat can be given out twice.
+     * @param {string|object} departureId - The Departure _id.
+     * @param {number} seats - Number of seats to hold.
+     * @param {Array<string>} [seatNumbers] - Seats picked on the seat map, one per passenger.
+     * @returns {Promise<object|null>} The updated departure, or null if not enough seats (or the chosen ones) were available.
+     */
+    holdSeats: async (departureId, seats, seatNumbers = []) => {
+        const filter = { _id: departureId, status: 'scheduled', availableSeats: { $gte: seats } };
+        const update = { $inc: { availableSeats: -seats } };
+        if (seatNumbers.length > 0) {
+            filter.takenSeats = { $nin: seatNumbers };
+            update.$push = { takenSeats: { $each: seatNumbers } };
+        }
+        const departure = await Departure.findOneAndUpdate(filter, update, { new: true });
+        if (!departure) {
+            logger.warn(`[SeatHold] Could not hold ${seats} seats${seatNumbers.length > 0 ? ` (${seatNumbers.join(', ')})` : ''} on departure ${departureId}: not available.`);
+            return null;
+        }
+        logger.info(`[SeatHold] Held ${seats} seats${seatNumbers.length > 0 ? ` (${seatNumbers.join(', ')})` : ''} on departure ${departureId}. Seats left: ${departure.availableSeats}.`);
+        return departure;
+    },
+
+    /**
+     * Returns previously held seats to a departure.
+     * @param {string|object} departureId - The Departure _id.
+     * @param {number} seats - Number of seats to release.
+     * @param {Array<string>} [seatNumbers] - The specific seats that were held, if any.
+     * @returns {Promise<object|null>} The updated departure.
+     */
+    releaseSeats: async (departureId, seats, seatNumbers = []) => {
+        const update = { $inc: { availableSeats: seats } };
+        if (seatNumbers.length > 0) {
+            update.$pullAll = { takenSeats: seatNumbers };
+        }
+        const departure = await Departure.findByIdAndUpdate(departureId, update, { new: true });
+        logger.info(`[SeatHold] Released ${seats} seats on departure ${departureId}. Seats left: ${departure ? departure.availableSeats : 'N/A'}.`);
+        return departure;
+    },
+
+    /**
+     * Calculates when a hold placed now should expire.
+     * @param {number} [from] - Start time in milliseconds, defaults to now.
+     * @returns {Date} The expiry time.
+     */
+    getHoldExpiry: (from = Date.now()) => {
+        return new Date(from + config.seatHold.holdMinutes * 60 * 1000);
+    },
+
+    /**
+     * Fails every unpaid booking whose hold has expired and gives its seats back.
+     * Each booking is claimed with a conditional update, so a payment confirmation
+     * racing with the sweeper either wins outright or sees the booking as failed.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @returns {Promise<number>} Number of holds released.
+     */
+    releaseExpiredHolds: async (now = new Date()) => {
+        const expired = await Booking.find({
+            status: 'pending',
+            paymentStatus: 'pending',
+            holdExpiresAt: { $ne: null, $lte: now }
+        });
+
+        let released = 0;
+        const notified = new Set(); // Legs of one trip expire together; tell the traveller once
+        for (const candidate of expired) {
+            const booking = await Booking.findOneAndUpdate(
+                { _id: candidate._id, status: 'pending', paymentStatus: 'pending' },
+                {
+                    $set: { status: 'failed' },
+                    $push: { history: { action: 'hold_expired', note: 'Payment not completed before the seat hold expired', at: Date.now() } }
+                },
+                { new: true }
+            );
+            if (!booking) {
+                continue; // Paid or failed in the meantime
+            }
+
+            await seatHoldService.releaseSeats(booking.departure, booking.passengers, booking.seatNumbers);
+            released++;
+            logger.info(`[SeatHold] Hold for booking ${booking.bookingReference} expired. Booking marked as failed.`);
+
+            const session = await Session.findOne({ waId: booking.userId });
+            if (session && session.context && session.context.currentBookingId === booking._id.toString()) {
+                await sessionService.resetSession(booking.userId);
+            }
+
+            const reference = booking.tripReference || booking.bookingReference;
+            if (notified.has(reference)) {
+                continue;
+            }
+            notified.add(reference);
+            if (booking.promoCode) {
+                await promoService.release(booking.promoCode, reference);
+            }
+            try {
+                const lang = await sessionService.getUserLanguage(booking.userId);
+                await channelService.sendMessage(booking.userId, t(lang, 'notice.holdExpired', { reference }));
+            } catch (error) {
+                logger.error(`[SeatHold] Could not send hold expiry notice for ${reference}: ${error.message}`, { error });
+            }
+        }
+
+        if (released > 0) {
+            logger.info(`[SeatHold] Sweeper released ${released} expired hold(s).`);
+        }
+        return released;
+    },
+
+    /**
+     * Starts the periodic sweeper that releases expired holds.
+     * @returns {object} The interval timer.
+     */
+    startSweeper: () => {
+        if (sweeperTimer) {
+            return sweeperTimer;
+        }
+        const intervalMs = config.seatHold.sweepIntervalSeconds * 1000;
+        sweeperTimer = setInterval(() => {
+            seatHoldService.releaseExpiredHolds().catch(error => {
+                logger.error(`[SeatHold] Sweeper run failed: ${error.message}`, { error });
+            });
+        }, intervalMs);
+        sweeperTimer.unref(); // Never keep the process alive just for the sweeper
+        logger.info(`[SeatHold] Sweeper started. Holds last ${config.seatHold.holdMinutes} minutes, checked every ${config.seatHold.sweepIntervalSeconds} seconds.`);
+        return sweeperTimer;
+    },
+
+    /**
+     * Stops the sweeper started by startSweeper.
+     */
+    stopSweeper: () => {
+        if (sweeperTimer) {
+            clearInterval(sweeperTimer);
+            sweeperTimer = null;
+        }
+    }
+};
+
+module.exports = seatHoldService;
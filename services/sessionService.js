@@ -2,6 +2,7 @@
 const Session = require('../models/Session');
 const User = require('../models/User'); // Will be useful for language preferences, etc.
 const logger = require('../utils/logger');
+const { resolveLanguage } = require('../utils/i18n');
 
 const SESSION_TIMEOUT_MS = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
 
@@ -24,9 +25,12 @@ const sessionService = {
             // Check for session timeout
             const lastActiveTime = session.lastActive.getTime();
             const currentTime = Date.now();
+            // A step that is no longer valid (e.g. saved by an older release) can't be continued either
+            const previousStep = session.currentStep;
+            const stepIsValid = Session.schema.path('currentStep').enumValues.includes(previousStep);
 
-            if (currentTime - lastActiveTime > SESSION_TIMEOUT_MS) {
-                // Session timed out, reset it
+            if (currentTime - lastActiveTime > SESSION_TIMEOUT_MS || !stepIsValid) {
+                // Session timed out (or is stuck at an unknown step), reset it
                 // Using findOneAndUpdate to ensure the reset is atomic and returns the new state
                 session = await Session.findOneAndUpdate( // <<< IMPORTANT: Reassign session here
                     { waId },
@@ -40,7 +44,7 @@ const sessionService = {
                     },
                     { new: true, upsert: true } // Returns the updated document, creates if not found
                 );
-                logger.info(`Session timed out for ${waId}. Resetting.`);
+                logger.info(stepIsValid ? `Session timed out for ${waId}. Resetting.` : `Session for ${waId} was at unknown step "${previousStep}". Resetting.`);
                 return session; // Return the newly reset session immediately
             }
         }
@@ -58,7 +62,7 @@ const sessionService = {
         const session = await Session.findOneAndUpdate(
             { waId },
             { $set: { currentStep: newStep, lastActive: Date.now() } },
-            { new: true, upsert: true } // IMPORTANT: returns the updated document
+            { new: true, upsert: true, runValidators: true } // Refuses a step that isn't in the Session model
         );
         logger.debug(`Session for ${waId} updated to step: ${newStep}.`);
         return session;
@@ -77,10 +81,17 @@ const sessionService = {
             { $set: { "bookingDetails.origin": updates.origin, // Example for specific fields
                       "bookingDetails.destination": updates.destination,
                       "bookingDetails.date": updates.date,
+                      "bookingDetails.timeOfDay": updates.timeOfDay,
                       "bookingDetails.passengers": updates.passengers,
+                      "bookingDetails.passengerDetails": updates.passengerDetails,
                       "bookingDetails.departureId": updates.departureId,
+                      "bookingDetails.seatNumbers": updates.seatNumbers,
                       "bookingDetails.fare": updates.fare,
+                      "bookingDetails.fareLockedUntil": updates.fareLockedUntil,
                       "bookingDetails.totalAmount": updates.totalAmount,
+                      "bookingDetails.promoCode": updates.promoCode,
+                      "bookingDetails.connectTo": updates.connectTo,
+                      "bookingDetails.legs": updates.legs,
                       lastActive: Date.now()
                     }
             },
@@ -135,14 +146,47 @@ const sessionService = {
         return session;
     },
 
-    // A placeholder for a user model interaction (if you want to store user preferences long-term)
-    getOrCreateUser: async (waId) => {
+    /**
+     * Finds or creates the long-term user record (language preference etc.).
+     * @param {string} waId - The WhatsApp ID of the user.
+     * @param {object} [updates] - Fields to set on the user, e.g. { language: 'yo' }.
+     * @returns {Promise<object>} The user document.
+     */
+    getOrCreateUser: async (waId, updates = null) => {
         let user = await User.findOne({ waId });
         if (!user) {
             user = new User({ waId });
-            await user.save();
             logger.info(`New user created: ${waId}`);
         }
+        if (updates) {
+            user.set(updates);
+        }
+        if (user.isNew || user.isModified()) {
+            user.lastActive = Date.now();
+            await user.save();
+        }
+        return user;
+    },
+
+    /**
+     * The traveller's language, for messages sent outside a conversation (confirmations, reminders, tickets).
+     * @param {string} waId - The traveller's conversation address.
+     * @returns {Promise<string>} A supported language code; the default for travellers we don't know.
+     */
+    getUserLanguage: async (waId) => {
+        const user = await User.findOne({ waId }, 'language');
+        return resolveLanguage(user && user.language);
+    },
+
+    /**
+     * Saves the traveller's chosen language.
+     * @param {string} waId - The WhatsApp ID of the user.
+     * @param {string} language - A supported language code.
+     * @returns {Promise<object>} The updated user.
+     */
+    setUserLanguage: async (waId, language) => {
+        const user = await sessionService.getOrCreateUser(waId, { language, languageChosenAt: Date.now() });
+        logger.info(`Language for ${waId} set to ${language}.`);
         return user;
     }
 };
@@ -0,0 +1,92 @@
+// services/smsService.js
+const twilio = require('twilio');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+let client = new twilio(config.twilio.accountSid, config.twilio.authToken);
+
+/**
+ * SMS can't show WhatsApp's *bold*, so the asterisks are dropped.
+ * @param {string} text - Message text.
+ * @returns {string}
+ */
+const toPlainText = (text) => text.replace(/\*/g, '');
+
+// The SMS channel through Twilio (see channelService), for travellers without WhatsApp.
+// Travellers are identified by their number, e.g. '+23480xxxxxxxx'. Choices are answered by typing their number.
+const smsService = {
+    name: 'sms',
+    displayName: 'SMS',
+    alwaysAcknowledge: false,
+
+    /**
+     * @returns {boolean} Whether a Twilio SMS number is configured.
+     */
+    isEnabled: () => Boolean(config.twilio.smsNumber),
+
+    /**
+     * Reads a Twilio SMS webhook request.
+     * @param {object} req - Express request.
+     * @returns {{userId: string, text: string}|null} Null if it isn't a message.
+     */
+    parseIncoming: (req) => {
+        const { From: sender, Body: messageText } = req.body || {};
+        if (!sender || messageText === undefined) {
+            return null;
+        }
+        return { userId: sender, text: messageText };
+    },
+
+    /**
+     * Answers the webhook request with TwiML.
+     * @param {object|null} incoming - The message being answered, or null if it couldn't be read.
+     * @param {string} text - The reply; empty to stay silent.
+     * @returns {Promise<{contentType: string, body: string}>}
+     */
+    renderReply: async (incoming, text) => {
+        const twiml = new twilio.twiml.MessagingResponse();
+        if (text) {
+            twiml.message(toPlainText(text));
+        }
+        return { contentType: 'text/xml', body: twiml.toString() };
+    },
+
+    /**
+     * @param {string} userId - The traveller's number.
+     * @param {string} text - Message text.
+     * @returns {Promise<object>} The Twilio message.
+     */
+    sendMessage: async (userId, text) => {
+        try {
+            const message = await client.messages.create({
+                to: userId,
+                from: config.twilio.smsNumber,
+                body: toPlainText(text)
+            });
+            logger.info(`SMS sent to ${userId}: ${text}`, { sid: message.sid });
+            return message;
+        } catch (error) {
+            logger.error(`Error sending SMS to ${userId}: ${error.message}`, { error: error, recipient: userId });
+            throw new Error('Failed to send SMS.');
+        }
+    },
+
+    /**
+     * Picture messages aren't widely supported on Nigerian networks, so the file goes as a link.
+     * @param {string} userId - The traveller's number.
+     * @param {string} mediaUrl - Public URL of the file.
+     * @param {string} caption - Text sent with it.
+     * @returns {Promise<object>} The Twilio message.
+     */
+    sendMedia: (userId, mediaUrl, caption) => smsService.sendMessage(userId, `${caption}\n${mediaUrl}`),
+
+    /**
+     * Replaces the Twilio client, e.g. with a stub that records messages instead of sending them.
+     * @param {object} newClient - Any object exposing messages.create(params).
+     */
+    setClient: (newClient) => {
+        client = newClient;
+    }
+};
+
+module.exports = smsService;
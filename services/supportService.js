@@ -0,0 +1,136 @@
+// services/supportService.js
+const SupportTicket = require('../models/SupportTicket');
+const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
+const sessionService = require('./sessionService');
+const channelService = require('./channelService');
+
+const supportService = {
+    /**
+     * Hands a traveller over to a human agent.
+     * Reuses the traveller's open ticket if there is one, otherwise opens a new one,
+     * and flags the session as 'with_agent' so the bot stops answering.
+     * @param {string} waId - The traveller's WhatsApp ID.
+     * @param {string} [reason] - What triggered the handoff.
+     * @returns {Promise<object>} The open ticket.
+     */
+    startHandoff: async (waId, reason = null) => {
+        let ticket = await SupportTicket.findOne({ waId, status: 'open' });
+        if (!ticket) {
+            ticket = new SupportTicket({
+                waId,
+                reason,
+                messages: [{ from: 'system', text: `Traveller asked for a human agent${reason ? ` (${reason})` : ''}.` }]
+            });
+            await ticket.save();
+            logger.info(`[Support] Ticket ${ticket._id} opened for ${waId}.`);
+        }
+
+        await sessionService.updateSessionContext(waId, { supportTicketId: ticket._id.toString() });
+        await sessionService.updateSessionStep(waId, 'with_agent');
+        return ticket;
+    },
+
+    /**
+     * Stores a message the traveller sent while talking to an agent.
+     * Opens a new ticket if the previous one was closed in the meantime.
+     * @param {string} waId - The traveller's WhatsApp ID.
+     * @param {string} text - The message text.
+     * @returns {Promise<object>} The ticket the message was added to.
+     */
+    recordTravellerMessage: async (waId, text) => {
+        const ticket = await SupportTicket.findOneAndUpdate(
+            { waId, status: 'open' },
+            { $push: { messages: { from: 'traveller', text } }, $set: { updatedAt: Date.now() } },
+            { new: true }
+        );
+        if (ticket) {
+            logger.info(`[Support] Message from ${waId} added to ticket ${ticket._id}.`);
+            return ticket;
+        }
+
+        const newTicket = await supportService.startHandoff(waId, 'Message received without an open ticket');
+        newTicket.messages.push({ from: 'traveller', text });
+        newTicket.updatedAt = Date.now();
+        await newTicket.save();
+        return newTicket;
+    },
+
+    /**
+     * Finds the traveller's open ticket, if any.
+     * @param {string} waId - The traveller's WhatsApp ID.
+     * @returns {Promise<object|null>} The open ticket, or null.
+     */
+    getOpenTicket: async (waId) => {
+        return SupportTicket.findOne({ waId, status: 'open' });
+    },
+
+    /**
+     * Lists tickets for the agent inbox, most recently active first.
+     * @param {string} [status='open'] - 'open' or 'closed'.
+     * @returns {Promise<Array<object>>} The tickets.
+     */
+    listTickets: async (status = 'open') => {
+        return SupportTicket.find({ status }).sort({ updatedAt: -1 }).limit(100);
+    },
+
+    /**
+     * Finds a ticket by its _id.
+     * @param {string} ticketId - The SupportTicket _id.
+     * @returns {Promise<object|null>} The ticket, or null.
+     */
+    getTicket: async (ticketId) => {
+        return SupportTicket.findById(ticketId);
+    },
+
+    /**
+     * Sends an agent's reply to the traveller and stores it on the ticket.
+     * @param {object} ticket - An open ticket.
+     * @param {string} agentName - Name of the replying agent.
+     * @param {string} text - The reply text.
+     * @returns {Promise<object>} The updated ticket.
+     */
+    replyAsAgent: async (ticket, agentName, text) => {
+        await channelService.sendMessage(ticket.waId, text);
+
+        ticket.messages.push({ from: 'agent', agentName, text });
+        if (!ticket.assignedAgent) {
+            ticket.assignedAgent = agentName;
+        }
+        ticket.updatedAt = Date.now();
+        await ticket.save();
+        logger.info(`[Support] Agent ${agentName} replied on ticket ${ticket._id}.`);
+        return ticket;
+    },
+
+    /**
+     * Closes a ticket and hands the traveller back to the bot.
+     * @param {object} ticket - An open ticket.
+     * @param {object} [options]
+     * @param {string} [options.closedBy] - Agent name, or 'traveller' when the traveller ends the chat.
+     * @param {boolean} [options.notify=true] - Whether to message the traveller about it.
+     * @returns {Promise<object>} The closed ticket.
+     */
+    closeTicket: async (ticket, { closedBy = null, notify = true } = {}) => {
+        ticket.status = 'closed';
+        ticket.closedAt = Date.now();
+        ticket.updatedAt = Date.now();
+        ticket.messages.push({ from: 'system', text: `Conversation handed back to the bot${closedBy ? ` by ${closedBy}` : ''}.` });
+        await ticket.save();
+
+        await sessionService.resetSession(ticket.waId);
+        logger.info(`[Support] Ticket ${ticket._id} closed${closedBy ? ` by ${closedBy}` : ''}. ${ticket.waId} is back with the bot.`);
+
+        if (notify) {
+            try {
+                const lang = await sessionService.getUserLanguage(ticket.waId);
+                await channelService.sendMessage(ticket.waId, t(lang, 'support.handback'));
+            } catch (error) {
+                logger.error(`[Support] Could not send handback notice for ticket ${ticket._id}: ${error.message}`, { error });
+            }
+        }
+        return ticket;
+    }
+};
+
+module.exports = supportService;
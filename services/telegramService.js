@@ -0,0 +1,151 @@
+// services/telegramService.js
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * @param {string} method - Bot API method, e.g. 'sendMessage'.
+ * @returns {string} The method's URL.
+ */
+const apiUrl = (method) => `${config.telegram.baseUrl}/bot${config.telegram.botToken}/${method}`;
+
+/**
+ * Converts a message to Telegram HTML: the text is escaped, and the *bold* (or **bold**) used in the
+ * message catalogues becomes <b>bold</b>.
+ * @param {string} text - Message text.
+ * @returns {string}
+ */
+const toTelegramHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\*{1,2}([^*\n]+?)\*{1,2}/g, '<b>$1</b>');
+
+/**
+ * Turns a reply's choices into an inline keyboard, one button per row. Tapping a button sends its id back.
+ * @param {object|null} choices - { options: [{ id, title, description }] }.
+ * @returns {object|undefined} The reply_markup, or undefined if there are no choices.
+ */
+const buildKeyboard = (choices) => {
+    if (!choices) {
+        return undefined;
+    }
+    return {
+        inline_keyboard: choices.options.map(option => [{
+            text: option.description ? `${option.title} · ${option.description}` : option.title,
+            callback_data: option.id
+        }])
+    };
+};
+
+// The Telegram channel (see channelService), through a bot whose webhook points at /channels/telegram.
+// Travellers are identified by their chat ID.
+const telegramService = {
+    name: 'telegram',
+    displayName: 'Telegram',
+    alwaysAcknowledge: true, // Telegram keeps redelivering updates that don't get a 2xx, even ones it sent in error
+
+    /**
+     * @returns {boolean} Whether a bot token is configured.
+     */
+    isEnabled: () => Boolean(config.telegram.botToken),
+
+    /**
+     * Checks the secret token Telegram sends with every update, as given to setWebhook.
+     * @param {object} req - Express request.
+     * @returns {boolean} False if it's missing or wrong, or no secret is configured.
+     */
+    isAuthentic: (req) => {
+        const received = Buffer.from(req.get('x-telegram-bot-api-secret-token') || '', 'utf8');
+        const expected = Buffer.from(config.telegram.webhookSecret || '', 'utf8');
+        // timingSafeEqual throws on length mismatch, so check that first
+        return expected.length > 0 && expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    /**
+     * Reads an update: a text message, or a tap on one of our inline keyboard buttons.
+     * @param {object} req - Express request.
+     * @returns {{userId: string, text: string, callbackQueryId: string}|null} Null for anything else
+     *          (edits, photos, stickers, group events).
+     */
+    parseIncoming: (req) => {
+        const update = req.body || {};
+        if (update.callback_query && update.callback_query.message) {
+            const query = update.callback_query;
+            return { userId: String(query.message.chat.id), text: query.data || '', callbackQueryId: query.id };
+        }
+        const message = update.message;
+        if (!message || typeof message.text !== 'string') {
+            return null;
+        }
+        return { userId: String(message.chat.id), text: message.text };
+    },
+
+    /**
+     * Answers the update. Telegram lets the webhook response carry one Bot API call, so the reply is
+     * sent that way instead of with a separate request.
+     * @param {object|null} incoming - The message being answered, or null if it couldn't be read.
+     * @param {string} text - The reply; empty to stay silent.
+     * @param {object|null} choices - Choices offered by the reply, shown as an inline keyboard.
+     * @returns {Promise<{contentType: string, body: string}>}
+     */
+    renderReply: async (incoming, text, choices) => {
+        if (incoming && incoming.callbackQueryId) {
+            // Stops the spinner on the tapped button; the reply itself doesn't depend on it
+            axios.post(apiUrl('answerCallbackQuery'), { callback_query_id: incoming.callbackQueryId }).catch(error => {
+                logger.warn(`[Telegram] Could not answer button tap from ${incoming.userId}: ${error.message}`);
+            });
+        }
+        if (!incoming || !text) {
+            return { contentType: 'application/json', body: '{}' };
+        }
+        return {
+            contentType: 'application/json',
+            body: JSON.stringify({
+                method: 'sendMessage',
+                chat_id: incoming.userId,
+                text: toTelegramHtml(text),
+                parse_mode: 'HTML',
+                reply_markup: buildKeyboard(choices)
+            })
+        };
+    },
+
+    /**
+     * @param {string} userId - The traveller's chat ID.
+     * @param {string} text - Message text.
+     * @returns {Promise<object>} The sent Telegram message.
+     */
+    sendMessage: async (userId, text) => {
+        try {
+            const response = await axios.post(apiUrl('sendMessage'), { chat_id: userId, text: toTelegramHtml(text), parse_mode: 'HTML' });
+            logger.info(`[Telegram] Message sent to ${userId}: ${text}`);
+            return response.data.result;
+        } catch (error) {
+            // The error itself isn't logged: its request URL contains the bot token
+            logger.error(`[Telegram] Error sending message to ${userId}: ${error.message}. Details: ${error.response ? JSON.stringify(error.response.data) : 'No response data'}`);
+            throw new Error('Failed to send Telegram message.');
+        }
+    },
+
+    /**
+     * Sends a file by URL; Telegram fetches it.
+     * @param {string} userId - The traveller's chat ID.
+     * @param {string} mediaUrl - Public URL of the file.
+     * @param {string} caption - Text sent with it.
+     * @returns {Promise<object>} The sent Telegram message.
+     */
+    sendMedia: async (userId, mediaUrl, caption) => {
+        try {
+            const response = await axios.post(apiUrl('sendDocument'), { chat_id: userId, document: mediaUrl, caption: toTelegramHtml(caption), parse_mode: 'HTML' });
+            logger.info(`[Telegram] Document sent to ${userId} with URL: ${mediaUrl}`);
+            return response.data.result;
+        } catch (error) {
+            logger.error(`[Telegram] Error sending document to ${userId}: ${error.message}. Details: ${error.response ? JSON.stringify(error.response.data) : 'No response data'}`);
+            throw new Error('Failed to send Telegram document.');
+        }
+    }
+};
+
+module.exports = telegramService;
@@ -0,0 +1,184 @@
+// services/ticketService.js
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { t, formatDate, formatTime } = require('../utils/i18n');
+const channelService = require('./channelService');
+
+/**
+ * Returns the ticket signing secret, failing loudly if it isn't configured.
+ * @returns {string} The secret.
+ */
+const getSigningSecret = () => {
+    if (!config.tickets.signingSecret) {
+        throw new Error('TICKET_SIGNING_SECRET is not set. Cannot sign or verify tickets.');
+    }
+    return config.tickets.signingSecret;
+};
+
+/**
+ * Signs a payload as "<base64url JSON>.<base64url HMAC-SHA256>".
+ * @param {object} payload - Data to sign. Add an 'exp' (ms timestamp) to make it expire.
+ * @returns {string} The token.
+ */
+const signToken = (payload) => {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', getSigningSecret()).update(body).digest('base64url');
+    return `${body}.${signature}`;
+};
+
+/**
+ * Formats a departure time for the ticket, in Africa/Lagos.
+ * @param {Date|string} value - The departure time.
+ * @param {string} lang - The traveller's language code.
+ * @returns {string} e.g. "Friday, July 18, 2025 at 07:00 AM (WAT)"
+ */
+const formatTicketTime = (value, lang) => {
+    const date = formatDate(lang, value, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    return `${t(lang, 'date.at', { date, time: formatTime(lang, value) })} (WAT)`;
+};
+
+// Hausa hooked letters have no plain decomposition, so spell them the way they're often typed without them
+const HOOKED_LETTERS = { 'ƙ': 'k', 'Ƙ': 'K', 'ɗ': 'd', 'Ɗ': 'D', 'ɓ': 'b', 'Ɓ': 'B', 'ƴ': 'y', 'Ƴ': 'Y' };
+
+/**
+ * Picks the PDF fonts. The built-in Helvetica only covers Western European letters, so without a configured
+ * TrueType font, text is reduced to plain letters (ọ to o, ƙ to k) rather than printed with missing glyphs.
+ * @returns {{regular: string, bold: string, toPrintable: Function}} Font names or paths, and a text filter.
+ */
+const getTicketFonts = () => {
+    if (config.tickets.fontPath) {
+        return { regular: config.tickets.fontPath, bold: config.tickets.boldFontPath, toPrintable: (text) => text };
+    }
+    return {
+        regular: 'Helvetica',
+        bold: 'Helvetica-Bold',
+        toPrintable: (text) => text.normalize('NFD').replace(/\p{M}/gu, '').replace(/[ƙƘɗƊɓƁƴƳ]/g, letter => HOOKED_LETTERS[letter])
+    };
+};
+
+const ticketService = {
+    /**
+     * Checks a token's signature and expiry.
+     * @param {string} token - A token produced by this service.
+     * @returns {object|null} The payload, or null if the token is invalid or expired.
+     */
+    verifyToken: (token) => {
+        if (!token || typeof token !== 'string' || !token.includes('.')) {
+            return null;
+        }
+        const [body, signature] = token.split('.');
+        const expected = crypto.createHmac('sha256', getSigningSecret()).update(body).digest('base64url');
+        const expectedBuffer = Buffer.from(expected);
+        const receivedBuffer = Buffer.from(signature || '');
+        if (expectedBuffer.length !== receivedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+            return null;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+        if (payload.exp && Date.now() > payload.exp) {
+            return null;
+        }
+        return payload;
+    },
+
+    /**
+     * Creates the signed token printed in the ticket's QR code.
+     * It identifies the booking without expiring, so staff can scan it at boarding.
+     * @param {object} booking - The booking.
+     * @returns {string} The token.
+     */
+    createBoardingToken: (booking) => {
+        return signToken({ typ: 'boarding', ref: booking.bookingReference, bid: booking._id.toString() });
+    },
+
+    /**
+     * Creates a short-lived, app-hosted URL that Twilio can fetch the PDF from.
+     * @param {object} booking - The booking.
+     * @param {string} lang - Language to print the ticket in.
+     * @returns {string} The download URL.
+     */
+    createTicketUrl: (booking, lang) => {
+        const token = signToken({
+            typ: 'download',
+            ref: booking.bookingReference,
+            lang,
+            exp: Date.now() + config.tickets.linkTtlMinutes * 60 * 1000
+        });
+        return `${config.appBaseUrl}/tickets/${token}.pdf`;
+    },
+
+    /**
+     * Renders the e-ticket PDF.
+     * @param {object} booking - Paid booking with departure, route and vehicle populated.
+     * @param {string} lang - The traveller's language code.
+     * @returns {Promise<Buffer>} The PDF contents.
+     */
+    renderTicketPdf: async (booking, lang) => {
+        const departure = booking.departure;
+        const fonts = getTicketFonts();
+        const qrImage = await QRCode.toBuffer(ticketService.createBoardingToken(booking), { errorCorrectionLevel: 'M', width: 220, margin: 1 });
+
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A5', margin: 36 });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            doc.fontSize(18).font(fonts.bold).text(fonts.toPrintable(t(lang, 'ticketPdf.title')), { align: 'center' });
+            doc.moveDown(0.3);
+            doc.fontSize(12).font(fonts.regular).text(booking.bookingReference, { align: 'center' });
+            doc.moveDown(1);
+
+            const rows = [
+                ['ticketPdf.from', departure.route.origin],
+                ['ticketPdf.to', departure.route.destination],
+                ['ticketPdf.departure', formatTicketTime(departure.departureTime, lang)],
+                ['ticketPdf.vehicle', departure.vehicle.name],
+                ['ticketPdf.passengers', String(booking.passengers)],
+                ['ticketPdf.amountPaid', `NGN${booking.totalAmount.toLocaleString()}`]
+            ];
+            if (booking.seatNumbers && booking.seatNumbers.length > 0) {
+                rows.splice(5, 0, ['ticketPdf.seats', booking.seatNumbers.join(', ')]);
+            }
+            for (const [label, value] of rows) {
+                doc.font(fonts.bold).fontSize(11).text(fonts.toPrintable(`${t(lang, label)}: `), { continued: true });
+                doc.font(fonts.regular).text(fonts.toPrintable(value));
+                doc.moveDown(0.2);
+            }
+
+            doc.moveDown(0.8);
+            doc.image(qrImage, (doc.page.width - 160) / 2, doc.y, { width: 160 });
+            doc.y += 170;
+            doc.fontSize(9).fillColor('#555555').text(fonts.toPrintable(t(lang, 'ticketPdf.instructions')), { align: 'center' });
+            doc.end();
+        });
+    },
+
+    /**
+     * Sends the e-ticket to the traveller as a media message on the channel they booked through.
+     * @param {object} booking - Paid booking.
+     * @param {string} lang - The traveller's language code.
+     * @returns {Promise<object>} What the channel returned for the sent message.
+     */
+    sendTicket: async (booking, lang) => {
+        const url = ticketService.createTicketUrl(booking, lang);
+        const message = await channelService.sendMedia(
+            booking.userId,
+            url,
+            t(lang, 'tickets.caption', { reference: booking.bookingReference })
+        );
+        logger.info(`[Ticket] E-ticket for ${booking.bookingReference} sent to ${booking.userId}.`);
+        return message;
+    }
+};
+
+module.exports = ticketService;
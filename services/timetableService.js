@@ -0,0 +1,252 @@
+// services/timetableService.js
+const Timetable = require('../models/Timetable');
+const Holiday = require('../models/Holiday');
+const Departure = require('../models/Departure');
+const Booking = require('../models/Booking');
+const Route = require('../models/Route');
+const Vehicle = require('../models/Vehicle');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getZonedParts, zonedTimeToUtc, toDateKey } = require('../utils/timezone');
+const { InvalidInputError } = require('../utils/errors');
+const { getSeatLayout } = require('../utils/seatMap');
+
+let generatorTimer = null;
+
+/**
+ * Lists the departure instants a timetable produces within the horizon.
+ * @param {object} timetable - Timetable document.
+ * @param {Date} now - Reference time; nothing at or before it is returned.
+ * @param {number} horizonDays - Number of local days to look ahead, including today.
+ * @param {Set<string>} holidays - Local dates (YYYY-MM-DD) to skip.
+ * @returns {Array<Date>} Departure times in UTC.
+ */
+const expandTimetable = (timetable, now, horizonDays, holidays) => {
+    const today = getZonedParts(now, timetable.timezone);
+    const times = [];
+
+    for (let offset = 0; offset < horizonDays; offset++) {
+        // Calendar arithmetic on a UTC date gives the right local year/month/day/weekday
+        const day = new Date(Date.UTC(today.year, today.month, today.day + offset));
+        const dateKey = toDateKey(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+
+        if (!timetable.daysOfWeek.includes(day.getUTCDay())) continue;
+        if (timetable.startDate && dateKey < timetable.startDate) continue;
+        if (timetable.endDate && dateKey > timetable.endDate) continue;
+        if (holidays.has(dateKey)) continue;
+
+        for (const time of timetable.times) {
+            const [hour, minute] = time.split(':').map(n => parseInt(n, 10));
+            const departureTime = zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute, timetable.timezone);
+            if (departureTime.getTime() > now.getTime()) {
+                times.push(departureTime);
+            }
+        }
+    }
+    return times;
+};
+
+const timetableService = {
+    /**
+     * Creates a recurring timetable for a route/vehicle pair.
+     * @param {object} body - route, vehicle, daysOfWeek, times and optional name, timezone, startDate, endDate.
+     * @returns {Promise<object>} The new timetable.
+     */
+    createTimetable: async (body) => {
+        const { name, route, vehicle, daysOfWeek, times, timezone, startDate, endDate } = body || {};
+        const timetable = new Timetable({ name, route, vehicle, daysOfWeek, times, timezone, startDate, endDate });
+        await timetable.validate();
+
+        const [routeDoc, vehicleDoc] = await Promise.all([Route.findById(route), Vehicle.findById(vehicle)]);
+        if (!routeDoc || !vehicleDoc) {
+            throw new InvalidInputError('route and vehicle must reference existing records');
+        }
+
+        await timetable.save();
+        logger.info(`[Timetable] Timetable ${timetable._id} created for route ${route}: days ${timetable.daysOfWeek.join(',')} at ${timetable.times.join(', ')} ${timetable.timezone}.`);
+        return timetable;
+    },
+
+    /**
+     * Lists timetables.
+     * @param {object} [filter] - Mongo filter, e.g. { isActive: true }.
+     * @returns {Promise<Array<object>>} Timetables with route and vehicle populated.
+     */
+    listTimetables: async (filter = {}) => {
+        return Timetable.find(filter).sort({ createdAt: -1 }).populate('route').populate('vehicle');
+    },
+
+    /**
+     * @param {string} timetableId - The Timetable _id.
+     * @returns {Promise<object|null>} The timetable with route and vehicle populated, or null.
+     */
+    getTimetable: async (timetableId) => {
+        return Timetable.findById(timetableId).populate('route').populate('vehicle');
+    },
+
+    /**
+     * Builds Departure documents for every active timetable over the rolling horizon.
+     * Uses upserts keyed on { route, departureTime } so it never clashes with the unique index:
+     * slots that already have a departure (generated or created by hand) are left alone.
+     * @param {object} [options]
+     * @param {Date} [options.now] - Reference time, defaults to now.
+     * @param {number} [options.horizonDays] - Days to look ahead, defaults to the configured horizon.
+     * @returns {Promise<{created: number, skipped: number}>} Counts of new and already-existing slots.
+     */
+    generateDepartures: async ({ now = new Date(), horizonDays = config.timetable.horizonDays } = {}) => {
+        const timetables = await Timetable.find({ isActive: true }).populate('route').populate('vehicle');
+        const holidays = new Set((await Holiday.find({}, 'date')).map(h => h.date));
+
+        let created = 0;
+        let skipped = 0;
+        for (const timetable of timetables) {
+            const { route, vehicle } = timetable;
+            if (!route || !vehicle || !route.isActive || !vehicle.isActive) {
+                logger.warn(`[Timetable] Skipping timetable ${timetable._id}: route or vehicle is missing or inactive.`);
+                continue;
+            }
+
+            for (const departureTime of expandTimetable(timetable, now, horizonDays, holidays)) {
+                try {
+                    const result = await Departure.updateOne(
+                        { route: route._id, departureTime },
+                        {
+                            $setOnInsert: {
+                                route: route._id,
+                                vehicle: vehicle._id,
+                                departureTime,
+                                availableSeats: vehicle.capacity,
+                                seatLayout: getSeatLayout(vehicle),
+                                fare: Departure.calculateFare(route, vehicle),
+                                timetable: timetable._id,
+                                status: 'scheduled',
+                                createdAt: new Date()
+                            }
+                        },
+                        { upsert: true }
+                    );
+                    if (result.upsertedCount > 0) {
+                        created++;
+                    } else {
+                        skipped++;
+                    }
+                } catch (error) {
+                    if (error.code === 11000) { // Another generator run inserted the same slot first
+                        skipped++;
+                        continue;
+                    }
+                    throw error;
+                }
+            }
+        }
+
+        logger.info(`[Timetable] Generation complete: ${created} departure(s) created, ${skipped} already existed, from ${timetables.length} active timetable(s).`);
+        return { created, skipped };
+    },
+
+    /**
+     * Retires a timetable and removes the future departures it generated that have no bookings.
+     * Departures with pending or confirmed bookings, or with seats held, are kept so staff can handle them.
+     * @param {string} timetableId - The Timetable _id.
+     * @param {Date} [now] - Reference time, defaults to now.
+     * @returns {Promise<{timetable: object, removed: number, kept: number}|null>} The result, or null if not found.
+     */
+    retireTimetable: async (timetableId, now = new Date()) => {
+        const timetable = await Timetable.findByIdAndUpdate(
+            timetableId,
+            { $set: { isActive: false, retiredAt: now } },
+            { new: true }
+        );
+        if (!timetable) {
+            return null;
+        }
+
+        const futureDepartures = await Departure.find({
+            timetable: timetable._id,
+            status: 'scheduled',
+            departureTime: { $gt: now }
+        }).populate('vehicle');
+
+        let removed = 0;
+        let kept = 0;
+        for (const departure of futureDepartures) {
+            const sold = await Booking.exists({ departure: departure._id, status: { $in: ['pending', 'confirmed'] } });
+            if (sold || !departure.vehicle) {
+                kept++;
+                continue;
+            }
+            // Checkout holds seats before it records the booking, so only delete if no seat is held at that moment
+            const { deletedCount } = await Departure.deleteOne({
+                _id: departure._id,
+                availableSeats: departure.vehicle.capacity,
+                takenSeats: { $size: 0 }
+            });
+            if (deletedCount === 0) {
+                kept++;
+                continue;
+            }
+            removed++;
+        }
+
+        logger.info(`[Timetable] Timetable ${timetable._id} retired. Removed ${removed} unsold future departure(s); kept ${kept} with bookings or held seats.`);
+        return { timetable, removed, kept };
+    },
+
+    /**
+     * Lists configured holidays.
+     * @returns {Promise<Array<object>>} Holidays in date order.
+     */
+    listHolidays: async () => {
+        return Holiday.find().sort({ date: 1 });
+    },
+
+    /**
+     * Adds a holiday on which no timetabled departures are generated.
+     * @param {object} body - date (YYYY-MM-DD) and optional name.
+     * @returns {Promise<object>} The new holiday.
+     */
+    createHoliday: async (body) => {
+        const holiday = new Holiday({ date: body && body.date, name: body && body.name });
+        await holiday.save();
+        logger.info(`[Timetable] Holiday ${holiday.date} added${holiday.name ? ` (${holiday.name})` : ''}.`);
+        return holiday;
+    },
+
+    /**
+     * @param {string} holidayId - The Holiday _id.
+     * @returns {Promise<object|null>} The deleted holiday, or null.
+     */
+    deleteHoliday: async (holidayId) => {
+        return Holiday.findByIdAndDelete(holidayId);
+    },
+
+    /**
+     * Runs the generator now and then on the configured interval.
+     * @returns {object} The interval timer.
+     */
+    startGenerator: () => {
+        if (generatorTimer) {
+            return generatorTimer;
+        }
+        const run = () => timetableService.generateDepartures().catch(error => {
+            logger.error(`[Timetable] Generator run failed: ${error.message}`, { error });
+        });
+        run();
+        generatorTimer = setInterval(run, config.timetable.generatorIntervalMinutes * 60 * 1000);
+        generatorTimer.unref();
+        logger.info(`[Timetable] Generator started. Horizon: ${config.timetable.horizonDays} days, runs every ${config.timetable.generatorIntervalMinutes} minutes.`);
+        return generatorTimer;
+    },
+
+    /**
+     * Stops the generator started by startGenerator.
+     */
+    stopGenerator: () => {
+        if (generatorTimer) {
+            clearInterval(generatorTimer);
+            generatorTimer = null;
+        }
+    }
+};
+
+module.exports = timetableService;
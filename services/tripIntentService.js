@@ -0,0 +1,200 @@
+// services/tripIntentService.js
+const natural = require('natural');
+const logger = require('../utils/logger');
+const cityMatchService = require('./cityMatchService');
+
+// Splits on whitespace and sentence punctuation but keeps dates like 20/07 or 2025-07-20 in one piece
+const tokenizer = new natural.RegexpTokenizer({ pattern: /[\s,;!?]+/ });
+
+const MAX_CITY_WORDS = 3; // Longest city name, in words, that we try to match
+const MAX_DATE_WORDS = 4; // e.g. "day after tomorrow morning"
+const MAX_PASSENGERS = 20;
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    single: 1, couple: 2
+};
+const PASSENGER_NOUNS = new Set(['people', 'person', 'persons', 'passenger', 'passengers', 'pax', 'adult', 'adults', 'seat', 'seats', 'ticket', 'tickets', 'travellers', 'travelers']);
+// Words that never start or end a city or date, so we don't waste comparisons on them
+const FILLER_WORDS = new Set([
+    'i', 'we', 'me', 'us', 'want', 'wan', 'need', 'would', 'like', 'to', 'go', 'going', 'travel', 'travelling', 'traveling',
+    'from', 'for', 'on', 'at', 'the', 'a', 'an', 'book', 'trip', 'please', 'abeg', 'and', 'of', 'by', 'leaving', 'bus', 'ride'
+]);
+
+/**
+ * Lowercases a token and strips surrounding punctuation.
+ * @param {string} token - Raw token.
+ * @returns {string} The cleaned token.
+ */
+const cleanToken = (token) => token.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+/**
+ * Reads a passenger count from a token ("2", "two").
+ * @param {string} token - Cleaned token.
+ * @returns {number|null} The count, or null if it isn't a number within range.
+ */
+const readCount = (token) => {
+    const count = /^\d+$/.test(token) ? parseInt(token, 10) : NUMBER_WORDS[token];
+    return count && count > 0 && count <= MAX_PASSENGERS ? count : null;
+};
+
+/**
+ * Finds the passenger count: "2 people", "for 3", "two of us".
+ * @param {Array<string>} tokens - Cleaned tokens.
+ * @param {Set<number>} used - Indexes already consumed; updated in place.
+ * @returns {number|null} The count, or null.
+ */
+const extractPassengers = (tokens, used) => {
+    for (let i = 0; i < tokens.length; i++) {
+        const count = readCount(tokens[i]);
+        if (!count) continue;
+
+        const next = tokens[i + 1];
+        if (PASSENGER_NOUNS.has(next)) {
+            used.add(i).add(i + 1);
+            return count;
+        }
+        if (next === 'of' && tokens[i + 2] === 'us') {
+            used.add(i).add(i + 1).add(i + 2);
+            return count;
+        }
+        if (tokens[i - 1] === 'for' && !/^\d{3,}$/.test(tokens[i])) {
+            used.add(i - 1).add(i);
+            return count;
+        }
+    }
+    return null;
+};
+
+/**
+ * Finds city mentions, best matches first, without overlapping.
+ * @param {Array<string>} tokens - Cleaned tokens.
+ * @param {Set<number>} used - Indexes already consumed; updated in place.
+ * @param {Array<string>} cities - Known city names.
+ * @returns {Array<{city: string, start: number, end: number}>} Up to two matches in message order.
+ */
+const extractCities = (tokens, used, cities) => {
+    const candidates = [];
+    for (let size = MAX_CITY_WORDS; size >= 1; size--) {
+        for (let start = 0; start + size <= tokens.length; start++) {
+            const words = tokens.slice(start, start + size);
+            if (words.some((w, i) => used.has(start + i) || !w) || FILLER_WORDS.has(words[0]) || FILLER_WORDS.has(words[size - 1])) {
+                continue;
+            }
+            const phrase = words.join(' ');
+            // Exact names and aliases ("PH", "FCT") win outright
+            const exact = cityMatchService.resolveCity(phrase, cities);
+            if (exact) {
+                candidates.push({ city: exact, start, end: start + size, score: 1, size });
+                continue;
+            }
+            if (phrase.length < 3) continue;
+
+            // Typos and partial names, forgiven the same way as when the city is asked for on its own
+            const { city } = cityMatchService.matchCity(phrase, cities);
+            if (city) {
+                candidates.push({ city, start, end: start + size, score: 0.5, size });
+            }
+        }
+    }
+
+    candidates.sort((a, b) => b.score - a.score || b.size - a.size);
+    const matches = [];
+    for (const candidate of candidates) {
+        const overlaps = matches.some(m => candidate.start < m.end && m.start < candidate.end);
+        if (overlaps || matches.some(m => m.city === candidate.city)) continue;
+        matches.push(candidate);
+        if (matches.length === 2) break;
+    }
+    for (const match of matches) {
+        for (let i = match.start; i < match.end; i++) used.add(i);
+    }
+    return matches.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Finds a travel date by trying the unused word windows, longest first, with the given date parser.
+ * @param {Array<string>} tokens - Cleaned tokens.
+ * @param {Set<number>} used - Indexes already consumed; updated in place.
+ * @param {Function} parseDate - (text) => {date, timeOfDay}|null.
+ * @returns {{date: Date, timeOfDay: string|null}|null} The parsed date, or null.
+ */
+const extractDate = (tokens, used, parseDate) => {
+    for (let size = MAX_DATE_WORDS; size >= 1; size--) {
+        for (let start = 0; start + size <= tokens.length; start++) {
+            const words = tokens.slice(start, start + size);
+            if (words.some((w, i) => used.has(start + i) || !w) || FILLER_WORDS.has(words[0])) {
+                continue;
+            }
+            const parsed = parseDate(words.join(' '));
+            if (parsed) {
+                for (let i = start; i < start + size; i++) used.add(i);
+                return parsed;
+            }
+        }
+    }
+    return null;
+};
+
+const tripIntentService = {
+    /**
+     * Pulls origin, destination, travel date (and part of the day) and passenger count out of a free-text message,
+     * e.g. "Lagos to Abuja tomorrow morning for 2" or "I want to travel from Abja to Lagos next friday, 3 people".
+     * Cities are fuzzy-matched against the known ones, so small typos are forgiven.
+     * Cities after "to" are destinations and after "from" are origins; otherwise the first city is the origin.
+     * @param {string} text - The traveller's message.
+     * @param {object} options
+     * @param {Array<string>} options.origins - Active origin cities.
+     * @param {Array<string>} options.destinations - Active destination cities.
+     * @param {Function} options.parseDate - (text) => {date, timeOfDay}|null, e.g. the conversation's date parser.
+     * @param {string} [options.defaultRole='origin'] - Role of a lone city with no "from"/"to", e.g. 'destination' while asking for one.
+     * @returns {{origin: string|null, destination: string|null, date: Date|null, timeOfDay: string|null, passengers: number|null, matched: boolean}}
+     */
+    parseTripIntent: (text, { origins = [], destinations = [], parseDate, defaultRole = 'origin' }) => {
+        const tokens = tokenizer.tokenize(text || '').map(cleanToken);
+        const used = new Set();
+
+        const passengers = extractPassengers(tokens, used);
+        const cities = extractCities(tokens, used, [...new Set([...origins, ...destinations])]);
+        const parsedDate = parseDate ? extractDate(tokens, used, parseDate) : null;
+        const date = parsedDate ? parsedDate.date : null;
+        const timeOfDay = parsedDate ? parsedDate.timeOfDay : null;
+
+        let origin = null;
+        let destination = null;
+        const unlabelled = [];
+        for (const match of cities) {
+            const previous = tokens[match.start - 1];
+            if (['to', 'into', 'reach'].includes(previous)) {
+                destination = match.city;
+            } else if (previous === 'from') {
+                origin = match.city;
+            } else {
+                unlabelled.push(match.city);
+            }
+        }
+        if (unlabelled.length === 1 && cities.length === 1) {
+            // Fall back to the other role if the city only has that one, e.g. a destination-only city
+            const city = unlabelled[0];
+            const asDestination = defaultRole === 'destination' ? destinations.includes(city) || !origins.includes(city) : !origins.includes(city);
+            if (asDestination) destination = city;
+            else origin = city;
+        } else {
+            for (const city of unlabelled) {
+                if (!origin) origin = city;
+                else if (!destination) destination = city;
+            }
+        }
+
+        // A city can be both, but only keep it in a role it actually has
+        if (origin && !origins.includes(origin)) origin = null;
+        if (destination && !destinations.includes(destination)) destination = null;
+        if (origin && origin === destination) destination = null;
+
+        const intent = { origin, destination, date, timeOfDay, passengers, matched: Boolean(origin || destination || date || passengers) };
+        logger.debug(`[TripIntent] "${text}" => ${JSON.stringify(intent)}`);
+        return intent;
+    }
+};
+
+module.exports = tripIntentService;
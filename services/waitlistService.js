@@ -0,0 +1,253 @@
+// services/waitlistService.js
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const config = require('../config');
+const logger = require('../utils/logger');
+const seatHoldService = require('./seatHoldService');
+const pricingService = require('./pricingService');
+const paymentService = require('./paymentService');
+const channelService = require('./channelService');
+const { t, formatDate, formatTime } = require('../utils/i18n');
+const { newBookingReference } = require('../utils/bookingReference');
+const { getDepartureLayout, listSeats } = require('../utils/seatMap');
+
+let sweeperTimer = null;
+
+/**
+ * Picks free seats on the seat map for an offer, front of the vehicle first.
+ * @param {object} departure - Departure with vehicle populated.
+ * @param {number} seats - Seats wanted.
+ * @returns {Array<string>} The seat labels, or none if the map doesn't have that many free (seats are then assigned at the park).
+ */
+const pickFreeSeats = (departure, seats) => {
+    const freeSeats = listSeats(getDepartureLayout(departure)).filter(seat => !(departure.takenSeats || []).includes(seat));
+    return freeSeats.length >= seats ? freeSeats.slice(0, seats) : [];
+};
+
+/**
+ * Holds seats for a waitlisted traveller, opens a payment link for them and sends the offer.
+ * Offers always go through an online provider: there's no time to pay at the park before they lapse,
+ * so with none enabled the entry stays queued.
+ * The entry must already be claimed (status 'offered'); if anything fails it goes back in the queue.
+ * Passenger names aren't asked for when joining, so the booking is flagged for staff to take them at boarding.
+ * @param {object} entry - The claimed WaitlistEntry.
+ * @param {object} departure - Departure with route and vehicle populated.
+ * @returns {Promise<boolean>} true if the offer was sent.
+ */
+const makeOffer = async (entry, departure) => {
+    const backInQueue = () => WaitlistEntry.updateOne({ _id: entry._id, status: 'offered' }, { $set: { status: 'waiting' } });
+
+    const provider = paymentService.getOnlineProvider();
+    if (!provider) {
+        logger.warn(`[Waitlist] No online payment provider is enabled. Leaving waitlist entry ${entry._id} in the queue.`);
+        await backInQueue();
+        return false;
+    }
+
+    const seatNumbers = pickFreeSeats(departure, entry.seats);
+    const heldDeparture = await seatHoldService.holdSeats(departure._id, entry.seats, seatNumbers);
+    if (!heldDeparture) {
+        await backInQueue(); // Someone else got the seats first
+        return false;
+    }
+    departure.takenSeats = heldDeparture.takenSeats; // So the next offer on this departure doesn't pick the same seats
+
+    const offerExpiresAt = new Date(Date.now() + config.waitlist.offerMinutes * 60 * 1000);
+    const bookingReference = newBookingReference();
+    let totalAmount;
+    let payment;
+    let booking = null;
+    try {
+        const quote = await pricingService.quoteFare(departure);
+        totalAmount = quote.fare * entry.seats;
+
+        payment = await provider.initialize({
+            email: channelService.placeholderEmail(entry.waId),
+            amountKobo: totalAmount * 100,
+            reference: bookingReference,
+            customFields: [
+                { display_name: "Customer WhatsApp ID", variable_name: "whatsapp_id", value: entry.waId },
+                { display_name: "Waitlist Entry ID", variable_name: "waitlist_entry_id", value: entry._id.toString() }
+            ]
+        });
+        if (!payment) {
+            throw new Error(`${provider.displayName} did not open a payment`);
+        }
+
+        // The offer is an ordinary pending booking, so the seat hold sweeper expires it if it isn't paid in time
+        booking = await Booking.create({
+            userId: entry.waId,
+            sessionId: entry.sessionId,
+            departure: departure._id,
+            passengers: entry.seats,
+            seatNumbers,
+            passengerDetailsPending: true,
+            totalAmount,
+            bookingReference,
+            paymentReference: payment.reference,
+            paymentProvider: provider.name,
+            status: 'pending',
+            paymentStatus: 'pending',
+            holdExpiresAt: offerExpiresAt,
+            history: [{ action: 'created', note: `Waitlist offer. ${provider.displayName} payment link issued. Seats held until ${offerExpiresAt.toISOString()}` }]
+        });
+        await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { booking: booking._id, offeredAt: Date.now(), offerExpiresAt } });
+    } catch (error) {
+        // Nothing else would ever give these seats back or put the traveller back in line
+        logger.error(`[Waitlist] Could not make an offer for waitlist entry ${entry._id}: ${error.message}`, { error });
+        const abandoned = !booking || (await Booking.updateOne(
+            { _id: booking._id, status: 'pending' },
+            {
+                $set: { status: 'failed', holdExpiresAt: null },
+                $push: { history: { action: 'offer_failed', note: `Waitlist offer abandoned: ${error.message}`, at: Date.now() } }
+            }
+        )).modifiedCount > 0;
+        if (abandoned) {
+            await seatHoldService.releaseSeats(departure._id, entry.seats, seatNumbers);
+            departure.takenSeats = departure.takenSeats.filter(seat => !seatNumbers.includes(seat));
+        }
+        await backInQueue();
+        return false;
+    }
+
+    try {
+        await channelService.sendMessage(entry.waId, t(entry.language, 'waitlist.offer', {
+            seats: entry.seats,
+            origin: departure.route.origin,
+            destination: departure.route.destination,
+            date: formatDate(entry.language, departure.departureTime, { weekday: 'short', month: 'short', day: 'numeric' }),
+            time: formatTime(entry.language, departure.departureTime),
+            reference: bookingReference,
+            amount: totalAmount.toLocaleString(),
+            url: payment.authorizationUrl,
+            expiryTime: formatTime(entry.language, offerExpiresAt)
+        }));
+    } catch (error) {
+        // The seats stay held until the offer expires, then roll to the next person
+        logger.error(`[Waitlist] Could not send offer for ${bookingReference} to ${entry.waId}: ${error.message}`, { error });
+    }
+
+    logger.info(`[Waitlist] Offered ${entry.seats} seat(s) on departure ${departure._id} to ${entry.waId} (Ref: ${bookingReference}) until ${offerExpiresAt.toISOString()}.`);
+    return true;
+};
+
+const waitlistService = {
+    /**
+     * Puts a traveller on the waitlist for a departure. Joining again for the same departure
+     * only changes the number of seats and keeps their place in the queue.
+     * @param {object} session - The traveller's session.
+     * @param {string} departureId - The Departure _id.
+     * @param {number} seats - Seats wanted.
+     * @param {string} language - The traveller's language, for the offer message.
+     * @returns {Promise<{entry: object, position: number}>} The entry and its place in the queue (1 = next).
+     */
+    join: async (session, departureId, seats, language) => {
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { waId: session.waId, departure: departureId, status: 'waiting' },
+            {
+                $set: { seats, language, sessionId: session._id },
+                $setOnInsert: { waId: session.waId, departure: departureId, status: 'waiting', createdAt: Date.now() }
+            },
+            { new: true, upsert: true }
+        );
+        const ahead = await WaitlistEntry.countDocuments({ departure: departureId, status: 'waiting', createdAt: { $lt: entry.createdAt } });
+        logger.info(`[Waitlist] ${session.waId} is waiting for ${seats} seat(s) on departure ${departureId} (position ${ahead + 1}).`);
+        return { entry, position: ahead + 1 };
+    },
+
+    /**
+     * Offers a departure's free seats to the waitlist: each traveller, oldest first, whose party fits in the seats
+     * left is claimed with a conditional update, has the seats held and gets a payment link.
+     * Waiting entries for departures that have left or been cancelled are closed instead.
+     * @param {string|object} departureId - The Departure _id.
+     * @returns {Promise<number>} Number of offers sent.
+     */
+    offerFreedSeats: async (departureId) => {
+        const departure = await Departure.findById(departureId).populate('route').populate('vehicle');
+        if (!departure || departure.status !== 'scheduled' || new Date(departure.departureTime) <= new Date()) {
+            const closed = await WaitlistEntry.updateMany({ departure: departureId, status: 'waiting' }, { $set: { status: 'expired' } });
+            if (closed.modifiedCount > 0) {
+                logger.info(`[Waitlist] Departure ${departureId} is no longer bookable. Closed ${closed.modifiedCount} waiting entries.`);
+            }
+            return 0;
+        }
+
+        let offers = 0;
+        let seatsLeft = departure.availableSeats;
+        while (seatsLeft > 0) {
+            const entry = await WaitlistEntry.findOneAndUpdate(
+                { departure: departure._id, status: 'waiting', seats: { $lte: seatsLeft } },
+                { $set: { status: 'offered' } },
+                { sort: { createdAt: 1 }, new: true }
+            );
+            if (!entry) {
+                break;
+            }
+            if (!await makeOffer(entry, departure)) {
+                break; // Seats went elsewhere or payments are down; the sweeper tries again later
+            }
+            offers++;
+            seatsLeft -= entry.seats;
+        }
+        return offers;
+    },
+
+    /**
+     * Settles offers whose bookings were paid or have lapsed, then offers any free seats to the next in line.
+     * Offer bookings lapse through the seat hold sweeper, which releases their seats.
+     * @returns {Promise<number>} Number of new offers sent.
+     */
+    processWaitlists: async () => {
+        const offered = await WaitlistEntry.find({ status: 'offered', booking: { $ne: null } }).populate('booking');
+        for (const entry of offered) {
+            if (!entry.booking) {
+                continue;
+            }
+            if (entry.booking.paymentStatus === 'paid') {
+                await WaitlistEntry.updateOne({ _id: entry._id, status: 'offered' }, { $set: { status: 'accepted' } });
+                logger.info(`[Waitlist] Offer ${entry.booking.bookingReference} taken by ${entry.waId}.`);
+            } else if (['failed', 'cancelled'].includes(entry.booking.status)) {
+                await WaitlistEntry.updateOne({ _id: entry._id, status: 'offered' }, { $set: { status: 'expired' } });
+                logger.info(`[Waitlist] Offer ${entry.booking.bookingReference} to ${entry.waId} lapsed. Rolling to the next traveller.`);
+            }
+        }
+
+        let offers = 0;
+        const departureIds = await WaitlistEntry.distinct('departure', { status: 'waiting' });
+        for (const departureId of departureIds) {
+            offers += await waitlistService.offerFreedSeats(departureId);
+        }
+        return offers;
+    },
+
+    /**
+     * Starts the periodic job that rolls lapsed offers on and offers freed seats.
+     * @returns {object} The interval timer.
+     */
+    startSweeper: () => {
+        if (sweeperTimer) {
+            return sweeperTimer;
+        }
+        sweeperTimer = setInterval(() => {
+            waitlistService.processWaitlists().catch(error => {
+                logger.error(`[Waitlist] Sweeper run failed: ${error.message}`, { error });
+            });
+        }, config.waitlist.sweepIntervalSeconds * 1000);
+        sweeperTimer.unref(); // Never keep the process alive just for the sweeper
+        logger.info(`[Waitlist] Sweeper started. Offers last ${config.waitlist.offerMinutes} minutes, checked every ${config.waitlist.sweepIntervalSeconds} seconds.`);
+        return sweeperTimer;
+    },
+
+    /**
+     * Stops the sweeper started by startSweeper.
+     */
+    stopSweeper: () => {
+        if (sweeperTimer) {
+            clearInterval(sweeperTimer);
+            sweeperTimer = null;
+        }
+    }
+};
+
+module.exports = waitlistService;
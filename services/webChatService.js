@@ -0,0 +1,159 @@
+// services/webChatService.js
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const WebChatOutbox = require('../models/WebChatOutbox');
+const logger = require('../utils/logger');
+
+// A visitor ID is "<uuid>.<signature>"; only the uuid part is used as the conversation address
+const VISITOR_ID_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12})\.([A-Za-z0-9_-]{43})$/i;
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Signs a visitor's uuid with WEB_CHAT_VISITOR_SECRET, failing loudly if it isn't configured.
+ * @param {string} uuid - The visitor's uuid, lowercase.
+ * @returns {string} The base64url HMAC-SHA256 signature.
+ */
+const signVisitor = (uuid) => {
+    if (!config.webChat.visitorSecret) {
+        throw new Error('WEB_CHAT_VISITOR_SECRET is not set. Cannot issue or check web chat visitor IDs.');
+    }
+    return crypto.createHmac('sha256', config.webChat.visitorSecret).update(uuid).digest('base64url');
+};
+
+/**
+ * Checks that a visitor ID was issued by createVisitor.
+ * @param {string} visitorId - The ID sent by the widget.
+ * @returns {string|null} The visitor's uuid (their address on this channel), or null if the ID is malformed or forged.
+ */
+const verifyVisitor = (visitorId) => {
+    const match = VISITOR_ID_PATTERN.exec(visitorId || '');
+    if (!match) {
+        return null;
+    }
+    const uuid = match[1].toLowerCase();
+    const expectedBuffer = Buffer.from(signVisitor(uuid));
+    const receivedBuffer = Buffer.from(match[2]);
+    if (expectedBuffer.length !== receivedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+        return null;
+    }
+    return uuid;
+};
+
+/**
+ * Adds a message to a visitor's outbox, dropping the oldest beyond the history limit. The outbox expires
+ * once the visitor has had no messages for the retention period.
+ * @param {string} visitorId - The visitor.
+ * @param {object} message - { text, mediaUrl }.
+ * @returns {Promise<object>} The stored message, with its id and time.
+ */
+const storeMessage = async (visitorId, message) => {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.webChat.retentionHours * 60 * 60 * 1000);
+    const { lastMessageId } = await WebChatOutbox.findOneAndUpdate(
+        { visitorId },
+        { $inc: { lastMessageId: 1 }, $set: { expiresAt } },
+        { upsert: true, new: true }
+    );
+
+    const stored = { id: lastMessageId, text: message.text, mediaUrl: message.mediaUrl || null, sentAt: now };
+    // Sorted on the way in, as two messages sent at once may be numbered and stored in different orders
+    await WebChatOutbox.updateOne(
+        { visitorId },
+        { $push: { messages: { $each: [stored], $sort: { id: 1 }, $slice: -config.webChat.historyLimit } } }
+    );
+    return stored;
+};
+
+// The chat widget channel (see channelService). A visitor is identified by a random, signed ID issued with
+// createVisitor and sent in the X-Visitor-Id header. IDs we didn't sign are refused, so visitors can only be
+// created through the origin check and rate limit on issuing them. The ID is the only credential, so the
+// widget should keep it private (e.g. in localStorage).
+const webChatService = {
+    name: 'web',
+    displayName: 'Web chat',
+    alwaysAcknowledge: false,
+
+    /**
+     * @returns {boolean} Whether WEB_CHAT_ENABLED is set.
+     */
+    isEnabled: () => config.webChat.enabled,
+
+    /**
+     * @returns {string} A new, signed visitor ID.
+     */
+    createVisitor: () => {
+        const uuid = uuidv4();
+        return `${uuid}.${signVisitor(uuid)}`;
+    },
+
+    /**
+     * Reads a message posted by the widget: { text }, with the visitor ID in the X-Visitor-Id header
+     * (kept out of URLs, which end up in logs).
+     * @param {object} req - Express request.
+     * @returns {{userId: string, text: string}|null} Null if the visitor ID or text is missing or invalid,
+     *          or the visitor ID wasn't issued by us.
+     */
+    parseIncoming: (req) => {
+        const userId = verifyVisitor(req.get('x-visitor-id'));
+        const { text } = req.body || {};
+        if (!userId || typeof text !== 'string' || !text.trim()) {
+            return null;
+        }
+        return { userId, text: text.slice(0, MAX_MESSAGE_LENGTH) };
+    },
+
+    /**
+     * Answers the widget with JSON: { reply, choices }. The widget shows choices as buttons and posts
+     * a tapped button's id as the next message.
+     * @param {object|null} incoming - The message being answered, or null if it couldn't be read.
+     * @param {string} text - The reply; empty when the bot stays silent.
+     * @param {object|null} choices - Choices offered by the reply.
+     * @returns {Promise<{contentType: string, body: string}>}
+     */
+    renderReply: async (incoming, text, choices) => ({
+        contentType: 'application/json',
+        body: JSON.stringify({ reply: text || null, choices: choices ? choices.options : [] })
+    }),
+
+    /**
+     * @param {string} userId - The visitor ID.
+     * @param {string} text - Message text.
+     * @returns {Promise<object>} The stored message.
+     */
+    sendMessage: async (userId, text) => {
+        const message = await storeMessage(userId, { text });
+        logger.info(`[WebChat] Message queued for ${userId}: ${text}`);
+        return message;
+    },
+
+    /**
+     * @param {string} userId - The visitor ID.
+     * @param {string} mediaUrl - Public URL of the file, shown as a download link.
+     * @param {string} caption - Text sent with it.
+     * @returns {Promise<object>} The stored message.
+     */
+    sendMedia: async (userId, mediaUrl, caption) => {
+        const message = await storeMessage(userId, { text: caption, mediaUrl });
+        logger.info(`[WebChat] File queued for ${userId} with URL: ${mediaUrl}`);
+        return message;
+    },
+
+    /**
+     * Messages sent to a visitor outside a reply, for the widget to poll.
+     * @param {string} visitorId - The visitor ID.
+     * @param {number} [after] - Only messages with a higher id, i.e. those the widget hasn't shown yet.
+     * @returns {Promise<Array<{id: number, text: string, mediaUrl: string|null, sentAt: Date}>|null>}
+     *          The messages, oldest first, or null if the visitor ID isn't valid or wasn't issued by us.
+     */
+    listMessages: async (visitorId, after = 0) => {
+        const uuid = verifyVisitor(visitorId);
+        if (!uuid) {
+            return null;
+        }
+        const outbox = await WebChatOutbox.findOne({ visitorId: uuid }, 'messages').lean();
+        return outbox ? outbox.messages.filter(message => message.id > after) : [];
+    }
+};
+
+module.exports = webChatService;
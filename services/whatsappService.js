@@ -4,10 +4,165 @@ const config = require('../config');
 const logger = require('../utils/logger'); // Import the logger
 
 // Initialize Twilio client
-const client = new twilio(config.twilio.accountSid, config.twilio.authToken);
+let client = new twilio(config.twilio.accountSid, config.twilio.authToken);
 const TWILIO_WHATSAPP_NUMBER = config.twilio.whatsappNumber; // Your Twilio WhatsApp number
 
+// WhatsApp's limits for interactive messages
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE = 20;
+const MAX_LIST_ITEMS = 10;
+const MAX_LIST_TITLE = 24;
+const MAX_LIST_DESCRIPTION = 72;
+const MAX_INTERACTIVE_BODY = 1024;
+
+// Content templates used for interactive messages, keyed by friendly name. Every piece of text is a
+// variable, so one template per shape (e.g. "three buttons") covers every prompt in every language.
+let contentSids = new Map();
+
+/**
+ * Shortens text to fit a WhatsApp field.
+ * @param {string} text - The text.
+ * @param {number} max - Maximum length.
+ * @returns {string}
+ */
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/**
+ * Works out the Content template and variables for a prompt with choices. Up to three options without
+ * descriptions become quick-reply buttons, up to ten become a list picker. Every template also has a
+ * twilio/text version carrying just the body, which Twilio sends to clients that can't show the buttons.
+ * @param {string} messageBody - The prompt, including the typed-answer instructions.
+ * @param {object} choices - { options: [{ id, title, description }], button }.
+ * @returns {{friendlyName: string, types: object, variables: object}|null} Null if there are too many options or the body is too long.
+ */
+const buildInteractiveContent = (messageBody, { options, button }) => {
+    if (options.length === 0 || options.length > MAX_LIST_ITEMS || messageBody.length > MAX_INTERACTIVE_BODY) {
+        return null;
+    }
+    const variables = {};
+    // Stores a value as the next numbered variable and returns its placeholder
+    const variable = (value) => {
+        const key = Object.keys(variables).length + 1;
+        variables[key] = value;
+        return `{{${key}}}`;
+    };
+    const body = variable(messageBody);
+    const text = { body };
+
+    if (options.length <= MAX_BUTTONS && options.every(option => !option.description)) {
+        const actions = options.map(option => ({
+            type: 'QUICK_REPLY',
+            title: variable(truncate(option.title, MAX_BUTTON_TITLE)),
+            id: variable(option.id)
+        }));
+        return {
+            friendlyName: `booking_buttons_${options.length}`,
+            types: { 'twilio/quick-reply': { body, actions }, 'twilio/text': text },
+            variables
+        };
+    }
+
+    const described = options.some(option => option.description);
+    const listButton = variable(truncate(button, MAX_BUTTON_TITLE));
+    const items = options.map(option => {
+        const item = { item: variable(truncate(option.title, MAX_LIST_TITLE)), id: variable(option.id) };
+        if (described) {
+            // WhatsApp rejects empty variables, so options without a description repeat their title
+            item.description = variable(truncate(option.description || option.title, MAX_LIST_DESCRIPTION));
+        }
+        return item;
+    });
+    return {
+        friendlyName: `booking_list_${options.length}${described ? '_described' : ''}`,
+        types: { 'twilio/list-picker': { body, button: listButton, items }, 'twilio/text': text },
+        variables
+    };
+};
+
+/**
+ * Finds the Content template with this name, creating it the first time it's needed.
+ * @param {string} friendlyName - Template name.
+ * @param {object} types - Template definition, used if it has to be created.
+ * @returns {Promise<string>} The template's content SID.
+ */
+const getContentSid = (friendlyName, types) => {
+    if (!contentSids.has(friendlyName)) {
+        // The promise is cached so that concurrent replies don't create the same template twice
+        const lookup = (async () => {
+            const existing = (await client.content.v1.contents.list()).find(content => content.friendlyName === friendlyName);
+            if (existing) {
+                return existing.sid;
+            }
+            const created = await client.content.v1.contents.create({ friendly_name: friendlyName, language: 'en', types });
+            logger.info(`[WhatsApp] Created content template ${friendlyName} (${created.sid}).`);
+            return created.sid;
+        })();
+        lookup.catch(() => contentSids.delete(friendlyName)); // Try again next time
+        contentSids.set(friendlyName, lookup);
+    }
+    return contentSids.get(friendlyName);
+};
+
+// The WhatsApp channel (see channelService). Travellers are identified by their number, e.g. '+23480xxxxxxxx'.
 const whatsappService = {
+    name: 'whatsapp',
+    displayName: 'WhatsApp',
+    alwaysAcknowledge: false,
+
+    /**
+     * @returns {boolean} Always true; WhatsApp is the main channel.
+     */
+    isEnabled: () => true,
+
+    /**
+     * Reads a Twilio WhatsApp webhook request.
+     * @param {object} req - Express request.
+     * @returns {{userId: string, text: string}|null} Null if it isn't a message.
+     */
+    parseIncoming: (req) => {
+        const incoming = whatsappService.parseIncomingMessage(req.body);
+        return incoming && { userId: incoming.sender, text: incoming.messageText };
+    },
+
+    /**
+     * Answers the webhook request. Prompts with choices are sent through the API as buttons or a list,
+     * which TwiML can't carry; anything that can't be sent that way goes back as TwiML text.
+     * @param {object|null} incoming - The message being answered, or null if it couldn't be read.
+     * @param {string} text - The reply; empty to stay silent.
+     * @param {object|null} choices - Choices offered by the reply.
+     * @returns {Promise<{contentType: string, body: string}>}
+     */
+    renderReply: async (incoming, text, choices) => {
+        let sentInteractive = null;
+        if (incoming && text && choices) {
+            try {
+                sentInteractive = await whatsappService.sendInteractiveMessage(`whatsapp:${incoming.userId}`, text, choices);
+            } catch (error) {
+                logger.warn(`Falling back to a plain text reply for ${incoming.userId}: ${error.message}`);
+            }
+        }
+        const twiml = new twilio.twiml.MessagingResponse();
+        if (text && !sentInteractive) {
+            twiml.message(text);
+        }
+        return { contentType: 'text/xml', body: twiml.toString() };
+    },
+
+    /**
+     * @param {string} userId - The traveller's number.
+     * @param {string} text - Message text.
+     * @returns {Promise<object>} The Twilio message.
+     */
+    sendMessage: (userId, text) => whatsappService.sendTextMessage(`whatsapp:${userId}`, text),
+
+    /**
+     * @param {string} userId - The traveller's number.
+     * @param {string} mediaUrl - Public URL of the file.
+     * @param {string} caption - Text sent with it.
+     * @returns {Promise<object>} The Twilio message.
+     */
+    sendMedia: (userId, mediaUrl, caption) => whatsappService.sendMediaMessage(`whatsapp:${userId}`, mediaUrl, caption),
+
     /**
      * Sends a simple text message via Twilio WhatsApp.
      * @param {string} to - The recipient's WhatsApp number (e.g., 'whatsapp:+23480xxxxxxxx').
@@ -50,9 +205,49 @@ const whatsappService = {
         }
     },
 
+    /**
+     * Sends a prompt with its choices as WhatsApp quick-reply buttons or a list picker. Tapping one sends
+     * its id back as the reply (see parseIncomingMessage). Clients that can't show them get the plain body,
+     * so it should still explain how to answer by typing.
+     * @param {string} to - The recipient's WhatsApp number.
+     * @param {string} messageBody - The prompt.
+     * @param {object} choices - { options: [{ id, title, description }], button }, where button labels the list picker.
+     * @returns {Promise<object|null>} The sent message, or null if interactive messages are turned off or
+     *          the choices don't fit; nothing is sent then and the caller should send plain text.
+     */
+    sendInteractiveMessage: async (to, messageBody, choices) => {
+        const content = config.twilio.interactiveMessages ? buildInteractiveContent(messageBody, choices) : null;
+        if (!content) {
+            return null;
+        }
+        try {
+            const message = await client.messages.create({
+                to: to,
+                from: TWILIO_WHATSAPP_NUMBER,
+                contentSid: await getContentSid(content.friendlyName, content.types),
+                contentVariables: JSON.stringify(content.variables)
+            });
+            logger.info(`Interactive message sent to ${to} with ${choices.options.length} choice(s): ${messageBody}`, { sid: message.sid });
+            return message;
+        } catch (error) {
+            logger.error(`Error sending interactive message to ${to}: ${error.message}`, { error: error, recipient: to, messageBody: messageBody });
+            throw new Error('Failed to send WhatsApp interactive message.');
+        }
+    },
+
+    /**
+     * Replaces the Twilio client, e.g. with a stub that records messages instead of sending them.
+     * @param {object} newClient - Any object exposing messages.create(params) (and content.v1.contents for interactive messages).
+     */
+    setClient: (newClient) => {
+        client = newClient;
+        contentSids = new Map(); // Templates belong to the account
+    },
+
     /**
      * Handles incoming WhatsApp messages from Twilio webhook payload.
-     * Extracts sender and message body.
+     * Extracts sender and message body. A tapped button or list item is read as its id, which is the
+     * same answer the traveller could have typed (e.g. '2' or 'yes').
      * @param {object} payload - The raw request body from Twilio webhook.
      * @returns {object|null} - An object with { sender, messageText } or null if invalid.
      */
@@ -61,7 +256,8 @@ const whatsappService = {
         // The sender's WhatsApp ID is in 'From' field (e.g., 'whatsapp:+23480xxxxxxxx')
         // The message body is in 'Body' field.
         const sender = payload.From;
-        const messageText = payload.Body;
+        const choiceId = payload.ButtonPayload || payload.ListId; // Set when a button or list item was tapped
+        const messageText = choiceId || payload.Body;
         const mediaUrl = payload.MediaUrl0; // If media is sent
         const numMedia = parseInt(payload.NumMedia || '0');
 
@@ -0,0 +1,160 @@
+// test/conversationFlow.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Departure = require('../models/Departure');
+const sessionService = require('../services/sessionService');
+const supportService = require('../services/supportService');
+const waitlistService = require('../services/waitlistService');
+const { t } = require('../utils/i18n');
+const { defineFlow } = require('../utils/flowEngine');
+const conversationService = require('../services/conversationService');
+
+const WA_ID = '2348012345678';
+
+// A stand-in for a Mongoose query: chainable, and resolves to the given result when awaited
+const query = (result) => {
+    const chain = {
+        populate: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+};
+
+describe('conversation flow', () => {
+    let session;
+    let user;
+
+    // Keeps the session in memory, updated the way sessionService updates the stored one
+    const stubSessionUpdates = () => {
+        mock.method(sessionService, 'updateSessionStep', async (waId, step) => {
+            session = { ...session, currentStep: step };
+            return session;
+        });
+        mock.method(sessionService, 'updateBookingDetails', async (waId, updates) => {
+            session = { ...session, bookingDetails: { ...session.bookingDetails, ...updates } };
+            return session;
+        });
+        mock.method(sessionService, 'updateSessionContext', async (waId, updates) => {
+            session = { ...session, context: { ...session.context, ...updates } };
+            return session;
+        });
+        mock.method(sessionService, 'resetSession', async () => {
+            session = { waId: WA_ID, currentStep: 'welcome', bookingDetails: {}, context: {} };
+            return session;
+        });
+        mock.method(sessionService, 'setUserLanguage', async (waId, language) => {
+            user = { ...user, language, languageChosenAt: new Date() };
+            return user;
+        });
+    };
+
+    // Answers a message from wherever the session is, as handleIncomingMessage does
+    const send = async (text) => {
+        const ctx = conversationService.createContext({ waId: WA_ID, text, session, user });
+        const reply = await conversationService.flow.run(ctx);
+        return { reply, choices: conversationService.replyChoicesOf(ctx, reply), ctx };
+    };
+
+    beforeEach(() => {
+        session = { waId: WA_ID, currentStep: 'welcome', bookingDetails: {}, context: {} };
+        user = { waId: WA_ID, language: 'en', languageChosenAt: new Date() };
+        stubSessionUpdates();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('asks a new traveller for their language, then shows the menu in it with its choices', async () => {
+        user.languageChosenAt = null;
+
+        const picker = await send('hi');
+        assert.equal(session.currentStep, 'choose_language');
+        assert.equal(picker.choices, null);
+
+        const { reply, choices } = await send('3');
+        assert.equal(user.language, 'yo');
+        assert.ok(reply.startsWith(t('yo', 'language.saved')));
+        assert.equal(session.currentStep, 'welcome');
+        assert.deepEqual(choices.options.map(option => option.id), ['1', '2', '3']);
+        assert.equal(choices.button, t('yo', 'choice.list'));
+    });
+
+    it('hands the traveller to support from the menu and then forwards everything, commands included', async () => {
+        mock.method(supportService, 'startHandoff', async () => {
+            session = { ...session, currentStep: 'with_agent' };
+        });
+        const forwarded = [];
+        mock.method(supportService, 'recordTravellerMessage', async (waId, text) => forwarded.push(text));
+
+        assert.equal((await send('3')).reply, t('en', 'support.handoff'));
+        assert.equal((await send('menu')).reply, '');
+        assert.deepEqual(forwarded, ['menu']);
+        assert.equal(session.currentStep, 'with_agent');
+    });
+
+    it('offers yes and no again for an unclear answer at review', async () => {
+        session.currentStep = 'review_booking';
+
+        const { reply, choices } = await send('maybe');
+        assert.equal(reply, t('en', 'booking.reviewInvalid'));
+        assert.deepEqual(choices.options.map(option => option.id), ['yes', 'no']);
+        assert.equal(session.currentStep, 'review_booking');
+    });
+
+    it('drops choices that a later message replaced', async () => {
+        const ctx = conversationService.createContext({ waId: WA_ID, text: '', session, user });
+        ctx.choices = { prompt: 'Pick one', options: [{ id: '1', title: 'Lagos' }], button: 'See options' };
+
+        assert.equal(conversationService.replyChoicesOf(ctx, 'Something went wrong'), null);
+        assert.deepEqual(conversationService.replyChoicesOf(ctx, 'Pick one'), { options: ctx.choices.options, button: 'See options' });
+    });
+
+    it('puts the traveller on the waitlist for the seats they ask for', async () => {
+        const departure = { _id: 'dep1', status: 'scheduled', departureTime: new Date('2025-07-18T06:00:00Z'), vehicle: { capacity: 14 } };
+        mock.method(Departure, 'findById', () => query(departure));
+        mock.method(waitlistService, 'join', async (joiningSession, departureId, seats, language) => {
+            assert.deepEqual([departureId, seats, language], ['dep1', 2, 'en']);
+            return { entry: {}, position: 3 };
+        });
+        session.currentStep = 'ask_waitlist_seats';
+        session.context = { waitlistDepartureId: 'dep1' };
+
+        assert.equal((await send('20')).reply, t('en', 'booking.invalidWaitlistSeats', { max: 14 }));
+        assert.equal(session.currentStep, 'ask_waitlist_seats');
+
+        const { reply } = await send('2');
+        assert.match(reply, /number 3 in line/);
+        assert.equal(session.currentStep, 'welcome');
+    });
+
+    it('keeps the booking when the traveller says no to cancelling', async () => {
+        session.currentStep = 'confirm_cancellation';
+        session.context = { cancelBookingId: 'booking1' };
+
+        assert.equal((await send('no')).reply, t('en', 'cancel.kept'));
+        assert.equal(session.currentStep, 'welcome');
+    });
+
+    it('refuses a move the step does not declare', async () => {
+        const ctx = conversationService.createContext({ waId: WA_ID, text: '', session, user });
+        ctx.handlingStep = 'awaiting_payment';
+
+        await assert.rejects(ctx.goTo('review_booking'), /does not declare a move to "review_booking"/);
+        assert.equal(session.currentStep, 'welcome');
+    });
+
+    it('only logs an undeclared move when the flow opts out of checking', () => {
+        const steps = {
+            first: { handle: async () => '', transitions: [] },
+            second: { handle: async () => '', transitions: [] }
+        };
+        const strict = defineFlow({ name: 'strict', steps, validSteps: ['first', 'second'] });
+        const lenient = defineFlow({ name: 'lenient', steps, validSteps: ['first', 'second'], allowUndeclaredTransitions: true });
+
+        assert.throws(() => strict.checkTransition('first', 'second'), /does not declare/);
+        assert.doesNotThrow(() => lenient.checkTransition('first', 'second'));
+        assert.doesNotThrow(() => strict.checkTransition(null, 'second')); // Commands may move anywhere
+        assert.throws(() => lenient.checkTransition('first', 'third'), /unknown/);
+    });
+});
@@ -0,0 +1,83 @@
+// test/dateParser.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTravelDate, getTravelWindow } = require('../utils/dateParser');
+
+// Wednesday 16 July 2025, 11:00 in Lagos (UTC+1)
+const NOW = new Date('2025-07-16T10:00:00Z');
+
+// Local midnight in Lagos of a calendar day, as parseTravelDate returns it
+const lagosMidnight = (isoDay) => new Date(new Date(`${isoDay}T00:00:00Z`).getTime() - 60 * 60 * 1000);
+
+describe('parseTravelDate', () => {
+    const cases = [
+        { input: 'today', day: '2025-07-16', timeOfDay: null },
+        { input: 'tomorrow', day: '2025-07-17', timeOfDay: null },
+        { input: 'tonight', day: '2025-07-16', timeOfDay: 'night' },
+        { input: 'this morning', day: '2025-07-16', timeOfDay: 'morning' },
+        { input: 'Friday', day: '2025-07-18', timeOfDay: null },
+        { input: 'this Friday', day: '2025-07-18', timeOfDay: null },
+        { input: 'Wednesday', day: '2025-07-16', timeOfDay: null },
+        { input: 'next Wednesday', day: '2025-07-23', timeOfDay: null },
+        { input: 'in 3 days', day: '2025-07-19', timeOfDay: null },
+        { input: 'in two weeks', day: '2025-07-30', timeOfDay: null },
+        { input: '20th July', day: '2025-07-20', timeOfDay: null },
+        { input: '20 of July 2025', day: '2025-07-20', timeOfDay: null },
+        { input: '20/07', day: '2025-07-20', timeOfDay: null },
+        { input: '20-07-25', day: '2025-07-20', timeOfDay: null },
+        { input: '2025-07-20', day: '2025-07-20', timeOfDay: null },
+        { input: 'July 20', day: '2025-07-20', timeOfDay: null },
+        { input: 'Jul 20th 2025', day: '2025-07-20', timeOfDay: null },
+        { input: 'Friday morning', day: '2025-07-18', timeOfDay: 'morning' },
+        { input: 'on Friday in the evening', day: '2025-07-18', timeOfDay: 'evening' },
+        // Without a year, a day already gone this year means next year's
+        { input: '10/07', day: '2026-07-10', timeOfDay: null },
+        { input: '10th July', day: '2026-07-10', timeOfDay: null },
+        // Past dates
+        { input: '15/07/2025', expected: null },
+        { input: '2025-07-01', expected: null },
+        { input: 'July 1 2024', expected: null },
+        // Days that don't exist, and things that aren't dates
+        { input: '31/02', expected: null },
+        { input: '29/02/2025', expected: null },
+        { input: '32/07', expected: null },
+        { input: 'morning', expected: null },
+        { input: 'Lagos', expected: null },
+        { input: '', expected: null }
+    ];
+
+    for (const { input, day, timeOfDay, expected } of cases) {
+        it(`reads "${input}"`, () => {
+            const result = parseTravelDate(input, NOW);
+            if (expected === null) {
+                assert.equal(result, null);
+                return;
+            }
+            assert.deepEqual(result, { date: lagosMidnight(day), timeOfDay });
+        });
+    }
+});
+
+describe('getTravelWindow', () => {
+    const friday = lagosMidnight('2025-07-18');
+    const cases = [
+        { timeOfDay: null, start: '2025-07-17T23:00:00.000Z', end: '2025-07-18T23:00:00.000Z' },
+        { timeOfDay: 'morning', start: '2025-07-18T04:00:00.000Z', end: '2025-07-18T11:00:00.000Z' },
+        { timeOfDay: 'afternoon', start: '2025-07-18T11:00:00.000Z', end: '2025-07-18T16:00:00.000Z' },
+        { timeOfDay: 'evening', start: '2025-07-18T16:00:00.000Z', end: '2025-07-18T20:00:00.000Z' },
+        { timeOfDay: 'night', start: '2025-07-18T20:00:00.000Z', end: '2025-07-18T23:00:00.000Z' }
+    ];
+
+    for (const { timeOfDay, start, end } of cases) {
+        it(`covers ${timeOfDay || 'the whole day'} in Lagos`, () => {
+            const window = getTravelWindow(friday, timeOfDay);
+            assert.equal(window.start.toISOString(), start);
+            assert.equal(window.end.toISOString(), end);
+        });
+    }
+
+    it('works on a travel day parsed from a message', () => {
+        const { date, timeOfDay } = parseTravelDate('Friday morning', NOW);
+        assert.equal(getTravelWindow(date, timeOfDay).start.toISOString(), '2025-07-18T04:00:00.000Z');
+    });
+});
@@ -0,0 +1,165 @@
+// test/notificationService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const config = require('../config');
+const notificationService = require('../services/notificationService');
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2025-07-16T06:00:00Z');
+
+// A stand-in for a Mongoose query: chainable, and resolves to the given result when awaited
+const query = (result) => {
+    const chain = {
+        populate: () => chain,
+        sort: () => chain,
+        limit: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+};
+
+// Keeps Notification records in memory, claiming dedupe keys the way the unique index does
+const stubNotifications = () => {
+    const records = new Map();
+    mock.method(Notification, 'findOneAndUpdate', async (filter, update) => {
+        const existing = records.get(filter.dedupeKey);
+        if (existing && (existing.status !== 'failed' || existing.attempts >= filter.attempts.$lt)) {
+            throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        const record = existing || { _id: filter.dedupeKey, dedupeKey: filter.dedupeKey, attempts: 0, ...update.$setOnInsert };
+        Object.assign(record, update.$set);
+        record.attempts += update.$inc.attempts;
+        records.set(filter.dedupeKey, record);
+        return record;
+    });
+    mock.method(Notification, 'updateOne', async ({ _id }, update) => {
+        Object.assign(records.get(_id), update.$set);
+        return { modifiedCount: 1 };
+    });
+    return records;
+};
+
+describe('notificationService', () => {
+    let departure;
+    let booking;
+    let sent;
+    let notifications;
+    let languages;
+    const send = async (address, text) => {
+        sent.push({ address, text });
+    };
+
+    beforeEach(() => {
+        departure = {
+            _id: 'dep1',
+            status: 'scheduled',
+            departureTime: new Date(START.getTime() + 23 * HOUR),
+            rescheduledFrom: null,
+            availableSeats: 4,
+            route: { _id: 'route1', origin: 'Lagos', destination: 'Abuja' },
+            vehicle: { name: 'Toyota Hiace' }
+        };
+        booking = { _id: 'booking1', userId: '2348012345678', bookingReference: 'BOOK-1A2B3C4D', passengers: 2, totalAmount: 30000 };
+        sent = [];
+        notifications = stubNotifications();
+        languages = {};
+
+        mock.method(Departure, 'find', (filter) => {
+            const { $gt, $lte } = filter.departureTime;
+            const due = departure.status === 'scheduled' && departure.departureTime > $gt && (!$lte || departure.departureTime <= $lte);
+            return query(due ? [departure] : []);
+        });
+        mock.method(Departure, 'findById', () => query(departure));
+        mock.method(Booking, 'find', async () => [booking]);
+        mock.method(User, 'findOne', async ({ waId }) => ({ language: languages[waId] }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('sends each reminder once as the clock moves towards departure', async () => {
+        const clock = new Date(START);
+        const run = () => notificationService.sendDueReminders(new Date(clock), send);
+
+        assert.equal(await run(), 1); // 23 hours before: the 24 hour reminder
+        assert.match(sent[0].text, /BOOK-1A2B3C4D/);
+        assert.equal(sent[0].address, booking.userId);
+
+        clock.setTime(clock.getTime() + 5 * 60 * 1000);
+        assert.equal(await run(), 0); // Same reminder, already sent
+
+        clock.setTime(departure.departureTime.getTime() - 90 * 60 * 1000);
+        assert.equal(await run(), 1); // 90 minutes before: the 2 hour reminder
+
+        clock.setTime(departure.departureTime.getTime() + 60 * 1000);
+        assert.equal(await run(), 0); // Gone
+
+        assert.equal(sent.length, 2);
+        assert.deepEqual([...notifications.keys()], [
+            `reminder:24h:booking1:${departure.departureTime.getTime()}`,
+            `reminder:2h:booking1:${departure.departureTime.getTime()}`
+        ]);
+    });
+
+    it('skips to the smallest reminder reached for a late booking', async () => {
+        departure.departureTime = new Date(START.getTime() + HOUR);
+
+        assert.equal(await notificationService.sendDueReminders(START, send), 1);
+        assert.deepEqual([...notifications.keys()], [`reminder:2h:booking1:${departure.departureTime.getTime()}`]);
+    });
+
+    it('retries a failed send on a later run, up to the attempt limit', async () => {
+        const failing = async () => {
+            throw new Error('Channel down');
+        };
+
+        assert.equal(await notificationService.sendDueReminders(START, failing), 0);
+        const [record] = notifications.values();
+        assert.equal(record.status, 'failed');
+        assert.equal(record.error, 'Channel down');
+
+        for (let attempt = 2; attempt <= config.notifications.maxAttempts; attempt++) {
+            assert.equal(await notificationService.sendDueReminders(START, failing), 0);
+        }
+        assert.equal(record.attempts, config.notifications.maxAttempts);
+        assert.equal(await notificationService.sendDueReminders(START, send), 0); // Out of retries
+        assert.equal(sent.length, 0);
+    });
+
+    it('sends a fresh reminder after the departure is rescheduled', async () => {
+        assert.equal(await notificationService.sendDueReminders(START, send), 1);
+
+        departure.rescheduledFrom = departure.departureTime;
+        departure.departureTime = new Date(START.getTime() + 20 * HOUR);
+        assert.equal(await notificationService.sendDueReminders(START, send), 1);
+        assert.equal(await notificationService.sendDisruptionNotices(departure, START, send), 1);
+        assert.equal(await notificationService.sendDisruptionNotices(departure, START, send), 0);
+        assert.equal(sent.length, 3);
+    });
+
+    it('tells travellers on a cancelled departure once', async () => {
+        departure.status = 'cancelled';
+
+        assert.equal(await notificationService.sendDisruptionNotices(departure, START, send), 1);
+        assert.equal(await notificationService.sendDisruptionNotices(departure, START, send), 0);
+        assert.match(sent[0].text, /cancel BOOK-1A2B3C4D/);
+        assert.equal(await notificationService.sendDueReminders(START, send), 0);
+    });
+
+    it("writes reminders and notices in the traveller's language", async () => {
+        languages[booking.userId] = 'yo';
+
+        assert.equal(await notificationService.sendDueReminders(START, send), 1);
+        assert.match(sent[0].text, /Ìránnilétí ìrìn-àjò/);
+        assert.match(sent[0].text, /bí wákàtí 23/);
+
+        departure.status = 'cancelled';
+        assert.equal(await notificationService.sendDisruptionNotices(departure, START, send), 1);
+        assert.match(sent[1].text, /A ti fagilé ìrìn-àjò/);
+    });
+});
@@ -0,0 +1,131 @@
+// test/waitlistService.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const seatHoldService = require('../services/seatHoldService');
+const pricingService = require('../services/pricingService');
+const paymentService = require('../services/paymentService');
+const channelService = require('../services/channelService');
+const waitlistService = require('../services/waitlistService');
+
+// A stand-in for a Mongoose query: chainable, and resolves to the given result when awaited
+const query = (result) => {
+    const chain = {
+        populate: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+};
+
+describe('waitlist offers', () => {
+    let entry;
+    let released;
+    let sent;
+
+    beforeEach(() => {
+        const departure = {
+            _id: 'dep1',
+            status: 'scheduled',
+            departureTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+            availableSeats: 2,
+            takenSeats: [],
+            route: { origin: 'Lagos', destination: 'Ibadan' },
+            vehicle: { capacity: 14 }
+        };
+        entry = { _id: 'entry1', waId: '2348012345678', seats: 2, language: 'en', status: 'waiting' };
+        released = [];
+        sent = [];
+
+        mock.method(Departure, 'findById', () => query(departure));
+        mock.method(WaitlistEntry, 'findOneAndUpdate', async () => {
+            if (entry.status !== 'waiting') {
+                return null;
+            }
+            entry.status = 'offered';
+            return entry;
+        });
+        mock.method(WaitlistEntry, 'updateOne', async (filter, update) => {
+            if (filter.status && filter.status !== entry.status) {
+                return { modifiedCount: 0 };
+            }
+            Object.assign(entry, update.$set);
+            return { modifiedCount: 1 };
+        });
+        mock.method(seatHoldService, 'holdSeats', async (departureId, seats, seatNumbers) => (
+            { ...departure, takenSeats: [...departure.takenSeats, ...seatNumbers] }
+        ));
+        mock.method(seatHoldService, 'releaseSeats', async (departureId, seats, seatNumbers) => {
+            released.push({ departureId, seats, seatNumbers });
+        });
+        mock.method(pricingService, 'quoteFare', async () => ({ fare: 5000 }));
+        mock.method(paymentService, 'getOnlineProvider', () => ({
+            name: 'fake',
+            displayName: 'Test Pay',
+            initialize: async ({ reference }) => ({ reference, authorizationUrl: 'https://pay.test/abc' })
+        }));
+        mock.method(channelService, 'sendMessage', async (waId, text) => sent.push(text));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('gives the held seats back and requeues the traveller when the fare cannot be quoted', async () => {
+        mock.method(pricingService, 'quoteFare', async () => {
+            throw new Error('No fare for this route');
+        });
+
+        assert.equal(await waitlistService.offerFreedSeats('dep1'), 0);
+        assert.equal(released.length, 1);
+        assert.equal(released[0].seats, 2);
+        assert.equal(released[0].seatNumbers.length, 2);
+        assert.equal(entry.status, 'waiting');
+        assert.deepEqual(sent, []);
+    });
+
+    it('gives the held seats back and requeues the traveller when the offer booking cannot be saved', async () => {
+        mock.method(Booking, 'create', async () => {
+            throw new Error('Database unavailable');
+        });
+
+        assert.equal(await waitlistService.offerFreedSeats('dep1'), 0);
+        assert.equal(released.length, 1);
+        assert.equal(entry.status, 'waiting');
+        assert.equal(entry.booking, undefined);
+        assert.deepEqual(sent, []);
+    });
+
+    it('fails the saved booking before giving its seats back when the entry cannot be linked to it', async () => {
+        mock.method(Booking, 'create', async (doc) => ({ _id: 'booking1', ...doc }));
+        const failed = [];
+        mock.method(Booking, 'updateOne', async (filter, update) => {
+            failed.push({ filter, status: update.$set.status });
+            return { modifiedCount: 1 };
+        });
+        mock.method(WaitlistEntry, 'updateOne', async (filter, update) => {
+            if (update.$set.booking) {
+                throw new Error('Database unavailable');
+            }
+            Object.assign(entry, update.$set);
+            return { modifiedCount: 1 };
+        });
+
+        assert.equal(await waitlistService.offerFreedSeats('dep1'), 0);
+        assert.deepEqual(failed, [{ filter: { _id: 'booking1', status: 'pending' }, status: 'failed' }]);
+        assert.equal(released.length, 1);
+        assert.equal(entry.status, 'waiting');
+    });
+
+    it('holds the seats and sends the offer when everything goes through', async () => {
+        mock.method(Booking, 'create', async (doc) => ({ _id: 'booking1', ...doc }));
+
+        assert.equal(await waitlistService.offerFreedSeats('dep1'), 1);
+        assert.deepEqual(released, []);
+        assert.equal(entry.status, 'offered');
+        assert.equal(entry.booking, 'booking1');
+        assert.equal(sent.length, 1);
+        assert.match(sent[0], /https:\/\/pay\.test\/abc/);
+    });
+});
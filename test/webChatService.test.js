@@ -0,0 +1,51 @@
+// test/webChatService.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const webChatService = require('../services/webChatService');
+
+// The parts of an Express request parseIncoming reads
+const request = (visitorId, text = 'hello') => ({
+    get: (header) => (header.toLowerCase() === 'x-visitor-id' ? visitorId : undefined),
+    body: { text }
+});
+
+describe('webChatService visitor IDs', () => {
+    let originalSecret;
+
+    before(() => {
+        originalSecret = config.webChat.visitorSecret;
+        config.webChat.visitorSecret = 'test-secret';
+    });
+
+    after(() => {
+        config.webChat.visitorSecret = originalSecret;
+    });
+
+    it('accepts an ID it issued and uses its uuid as the address', () => {
+        const visitorId = webChatService.createVisitor();
+        const incoming = webChatService.parseIncoming(request(visitorId));
+        assert.equal(incoming.userId, visitorId.split('.')[0]);
+        assert.equal(incoming.text, 'hello');
+    });
+
+    it('refuses made-up, tampered and unsigned IDs', async () => {
+        const [uuid, signature] = webChatService.createVisitor().split('.');
+        const forged = ['8c0b5f1e-3d2a-4b6c-9e7f-1a2b3c4d5e6f', `8c0b5f1e-3d2a-4b6c-9e7f-1a2b3c4d5e6f.${signature}`, `${uuid}.${'A'.repeat(43)}`, '', undefined];
+
+        for (const visitorId of forged) {
+            assert.equal(webChatService.parseIncoming(request(visitorId)), null);
+            assert.equal(await webChatService.listMessages(visitorId), null);
+        }
+    });
+
+    it('refuses every ID signed with another secret', () => {
+        const visitorId = webChatService.createVisitor();
+        config.webChat.visitorSecret = 'rotated-secret';
+        try {
+            assert.equal(webChatService.parseIncoming(request(visitorId)), null);
+        } finally {
+            config.webChat.visitorSecret = 'test-secret';
+        }
+    });
+});
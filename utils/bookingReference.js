@@ -0,0 +1,21 @@
+// utils/bookingReference.js
+const { v4: uuidv4 } = require('uuid');
+
+// Matches booking references as generated at checkout, e.g. BOOK-1A2B3C4D
+const BOOKING_REFERENCE_PATTERN = /^BOOK-[A-Z0-9]{8}$/i;
+
+/**
+ * @returns {string} A new booking reference, e.g. 'BOOK-1A2B3C4D'.
+ */
+const newBookingReference = () => `BOOK-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+/**
+ * @returns {string} A new reference shared by the legs of a return or connecting trip, e.g. 'TRIP-1A2B3C4D'.
+ */
+const newTripReference = () => `TRIP-${uuidv4().substring(0, 8).toUpperCase()}`;
+
+module.exports = {
+    BOOKING_REFERENCE_PATTERN,
+    newBookingReference,
+    newTripReference
+};
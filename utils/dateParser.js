@@ -0,0 +1,191 @@
+// utils/dateParser.js
+// Understands the travel dates people type in chat ("tomorrow", "this Friday", "20th July", "20/07",
+// "in 3 days", "Friday morning"). Days are resolved on the calendar in Africa/Lagos, not UTC.
+const { DEFAULT_TIME_ZONE, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+// Local hours [from, to) for each part of the day
+const TIMES_OF_DAY = {
+    morning: [5, 12],
+    afternoon: [12, 17],
+    evening: [17, 21],
+    night: [21, 24]
+};
+
+/**
+ * @param {string} word - e.g. 'fri', 'friday'.
+ * @returns {number} 0 (Sunday) to 6, or -1.
+ */
+const weekdayIndex = (word) => (word && word.length >= 3 ? WEEKDAYS.findIndex(name => name.startsWith(word)) : -1);
+
+/**
+ * @param {string} word - e.g. 'jul', 'july', 'sept'.
+ * @returns {number} 0-based month, or -1.
+ */
+const monthIndex = (word) => (word && word.length >= 3 ? MONTHS.findIndex(name => name.startsWith(word.replace(/\.$/, ''))) : -1);
+
+/**
+ * Moves a calendar day by a number of days.
+ * @param {{year: number, month: number, day: number}} day - Calendar day.
+ * @param {number} days - Days to add.
+ * @returns {{year: number, month: number, day: number}} The new calendar day.
+ */
+const addDays = ({ year, month, day }, days) => {
+    const date = new Date(Date.UTC(year, month, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+};
+
+/**
+ * Builds a calendar day, rejecting ones that don't exist (e.g. 31/02).
+ * If no year is given, picks the next time that day comes round.
+ * @param {number|null} year - Full or two-digit year, or null.
+ * @param {number} month - 0-based month.
+ * @param {number} day - Day of month.
+ * @param {{year: number, month: number, day: number}} today - Today's calendar day.
+ * @returns {{year: number, month: number, day: number}|null}
+ */
+const calendarDay = (year, month, day, today) => {
+    const resolvedYear = year === null ? today.year : year < 100 ? 2000 + year : year;
+    const date = new Date(Date.UTC(resolvedYear, month, day));
+    if (date.getUTCFullYear() !== resolvedYear || date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+        return null;
+    }
+    if (year === null && date.getTime() < Date.UTC(today.year, today.month, today.day)) {
+        return calendarDay(resolvedYear + 1, month, day, today);
+    }
+    return { year: resolvedYear, month, day };
+};
+
+/**
+ * Resolves the day part of a message (time of day already removed).
+ * @param {string} text - Normalised text, e.g. 'this friday' or '20th july'.
+ * @param {{year: number, month: number, day: number, weekday: number}} today - Today's calendar day.
+ * @returns {{year: number, month: number, day: number}|null}
+ */
+const resolveDay = (text, today) => {
+    if (text === 'today') {
+        return addDays(today, 0);
+    }
+    if (['tomorrow', 'tmrw', 'tmr'].includes(text)) {
+        return addDays(today, 1);
+    }
+    if (['day after tomorrow', 'next tomorrow'].includes(text)) {
+        return addDays(today, 2);
+    }
+
+    let match = text.match(/^in (\d+|[a-z]+) (days?|weeks?)$/);
+    if (match) {
+        const count = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : COUNT_WORDS[match[1]];
+        return count ? addDays(today, count * (match[2].startsWith('week') ? 7 : 1)) : null;
+    }
+
+    // "friday", "this friday", "coming friday": the next one, today included. "next friday": never today.
+    match = text.match(/^(?:(this|coming|next) )?([a-z]+)$/);
+    if (match && weekdayIndex(match[2]) !== -1) {
+        let daysToAdd = (weekdayIndex(match[2]) - today.weekday + 7) % 7;
+        if (match[1] === 'next' && daysToAdd === 0) {
+            daysToAdd = 7;
+        }
+        return addDays(today, daysToAdd);
+    }
+
+    match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        return calendarDay(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10), today);
+    }
+
+    // Day first, as written in Nigeria: 20/07, 20/07/2025, 20-07-25
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/);
+    if (match) {
+        return calendarDay(match[3] ? parseInt(match[3], 10) : null, parseInt(match[2], 10) - 1, parseInt(match[1], 10), today);
+    }
+
+    // 20th July, 20 jul 2025, 20th of July
+    match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?(?: of)? ([a-z]+\.?)(?: (\d{4}))?$/);
+    if (match && monthIndex(match[2]) !== -1) {
+        return calendarDay(match[3] ? parseInt(match[3], 10) : null, monthIndex(match[2]), parseInt(match[1], 10), today);
+    }
+
+    // July 20, Jul 20th 2025
+    match = text.match(/^([a-z]+\.?) (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/);
+    if (match && monthIndex(match[1]) !== -1) {
+        return calendarDay(match[3] ? parseInt(match[3], 10) : null, monthIndex(match[1]), parseInt(match[2], 10), today);
+    }
+
+    return null;
+};
+
+/**
+ * Parses a travel date, with an optional part of the day ("Friday morning", "tonight").
+ * Past dates are rejected.
+ * @param {string} input - The user's message text.
+ * @param {Date} [now] - Current time, for resolving relative dates.
+ * @param {string} [timeZone] - IANA time zone the traveller's calendar is in.
+ * @returns {{date: Date, timeOfDay: string|null}|null} Local midnight of the travel day and
+ *          'morning', 'afternoon', 'evening', 'night' or null; or null if it isn't a valid future date.
+ */
+const parseTravelDate = (input, now = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+    let words = (input || '').toLowerCase().replace(/,/g, ' ').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return null;
+    }
+
+    let timeOfDay = null;
+    if (words.length === 1 && words[0] === 'tonight') {
+        words = ['today'];
+        timeOfDay = 'night';
+    } else if (TIMES_OF_DAY[words[words.length - 1]]) {
+        timeOfDay = words.pop();
+        // "friday in the morning"
+        if (words.slice(-2).join(' ') === 'in the') {
+            words = words.slice(0, -2);
+        }
+        // "this morning" is today; a bare "morning" is more likely a greeting than a date
+        if (words.length === 1 && words[0] === 'this') {
+            words = ['today'];
+        }
+    }
+    if (words[0] === 'on') {
+        words.shift();
+    }
+    if (words.length === 0) {
+        return null;
+    }
+
+    const today = getZonedParts(now, timeZone);
+    const day = resolveDay(words.join(' '), today);
+    if (!day) {
+        return null;
+    }
+
+    const date = zonedTimeToUtc(day.year, day.month, day.day, 0, 0, timeZone);
+    if (date.getTime() < zonedTimeToUtc(today.year, today.month, today.day, 0, 0, timeZone).getTime()) {
+        return null;
+    }
+    return { date, timeOfDay };
+};
+
+/**
+ * The local time range to search for departures on a travel day, narrowed to a part of the day if given.
+ * @param {Date} date - Local midnight of the travel day, as returned by parseTravelDate.
+ * @param {string|null} [timeOfDay] - 'morning', 'afternoon', 'evening' or 'night'.
+ * @param {string} [timeZone] - IANA time zone name.
+ * @returns {{start: Date, end: Date}} Instants to use as $gte and $lt.
+ */
+const getTravelWindow = (date, timeOfDay = null, timeZone = DEFAULT_TIME_ZONE) => {
+    const { year, month, day } = getZonedParts(new Date(date), timeZone);
+    const [fromHour, toHour] = TIMES_OF_DAY[timeOfDay] || [0, 24];
+    return {
+        start: zonedTimeToUtc(year, month, day, fromHour, 0, timeZone),
+        end: zonedTimeToUtc(year, month, day, toHour, 0, timeZone)
+    };
+};
+
+module.exports = {
+    TIMES_OF_DAY,
+    parseTravelDate,
+    getTravelWindow
+};
@@ -0,0 +1,29 @@
+// utils/errors.js
+// Error types that route handlers translate into HTTP status codes.
+
+/**
+ * Input that passes schema validation but is still unusable
+ * (e.g. a departure time in the past). Mapped to 400.
+ */
+class InvalidInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidInputError';
+    }
+}
+
+/**
+ * A well-formed request that isn't allowed in the current state
+ * (e.g. deleting a route that still has departures). Mapped to 409.
+ */
+class ConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConflictError';
+    }
+}
+
+module.exports = {
+    InvalidInputError,
+    ConflictError
+};
@@ -0,0 +1,158 @@
+// utils/flowEngine.js
+const logger = require('./logger');
+
+/**
+ * Builds a conversation flow from a table of steps and a list of global commands, checking the table
+ * when it is loaded so a mistyped step name fails at startup instead of stranding a traveller mid-chat.
+ *
+ * A step is { handle, prompt, transitions, back, commands }:
+ *   handle(ctx) - validates the answer to the step's question, moves the conversation on and returns the reply
+ *   prompt(ctx) - optional; asks the step's question and moves the conversation to it. Needed to go back to the step
+ *   transitions - the steps handle may move to (going back to the start with ctx.reset() is always allowed)
+ *   back - optional { step, clear }: 'back' forgets the booking details in clear (a list of fields, or a function
+ *          of the booking details returning the updates) and asks the question of step
+ *   commands - false if the step reads every message itself, global commands included
+ *
+ * A command is { name, match, run }: match(ctx) returns something truthy if the message is the command
+ * (passed on to run), and run(ctx, match) returns the reply. Commands are tried in order, before the step.
+ *
+ * The context is built by the caller and carries the message (text, lang, session) and the session
+ * updates (goTo, updateDetails, reset); goTo must call checkTransition.
+ * @param {object} definition - { name, steps, commands, validSteps, allowUndeclaredTransitions }.
+ *        validSteps lists every step a session can be at (the Session model's enum); each needs exactly one
+ *        step in the table. allowUndeclaredTransitions (default false) only logs a move a step doesn't
+ *        declare instead of refusing it, e.g. while bringing an older flow's table up to date.
+ * @returns {object} The flow: { name, steps, commands, run, prompt, goBack, checkTransition }.
+ * @throws {Error} If the table names an unknown step or leaves a valid step without a handler.
+ */
+const defineFlow = ({ name, steps, commands = [], validSteps, allowUndeclaredTransitions = false }) => {
+    const problems = [];
+    const stepNames = Object.keys(steps);
+
+    stepNames.forEach(stepName => {
+        const step = steps[stepName];
+        if (!validSteps.includes(stepName)) {
+            problems.push(`step "${stepName}" is not a valid session step`);
+        }
+        if (typeof step.handle !== 'function') {
+            problems.push(`step "${stepName}" has no handle function`);
+        }
+        (step.transitions || []).forEach(target => {
+            if (!steps[target]) {
+                problems.push(`step "${stepName}" moves to unknown step "${target}"`);
+            }
+        });
+        if (step.back) {
+            const target = steps[step.back.step];
+            if (!target || typeof target.prompt !== 'function') {
+                problems.push(`step "${stepName}" goes back to "${step.back.step}", which has no prompt`);
+            }
+        }
+    });
+    validSteps.filter(stepName => !steps[stepName]).forEach(stepName => {
+        problems.push(`session step "${stepName}" has no handler`);
+    });
+    commands.forEach((command, i) => {
+        if (!command.name || typeof command.match !== 'function' || typeof command.run !== 'function') {
+            problems.push(`command ${command.name || `#${i + 1}`} needs a name, match and run`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid ${name} flow: ${problems.join('; ')}.`);
+    }
+
+    const flow = {
+        name,
+        steps,
+        commands,
+
+        /**
+         * Answers a message: with the first global command it matches, otherwise with the current step.
+         * @param {object} ctx - The message context; ctx.session.currentStep is the step being answered.
+         * @returns {Promise<string>} The reply.
+         */
+        run: async (ctx) => {
+            const stepName = ctx.session.currentStep;
+            const step = steps[stepName];
+            if (!step) {
+                throw new Error(`Session is at unknown ${name} step "${stepName}".`);
+            }
+
+            if (step.commands !== false) {
+                for (const command of commands) {
+                    const match = await command.match(ctx);
+                    if (match) {
+                        logger.debug(`[Flow - ${name}] '${command.name}' command at ${stepName}.`);
+                        ctx.handlingStep = null; // Commands may move anywhere
+                        return command.run(ctx, match);
+                    }
+                }
+            }
+
+            logger.debug(`[Flow - ${name}] Handling ${stepName}: "${ctx.text}"`);
+            ctx.handlingStep = stepName;
+            return step.handle(ctx);
+        },
+
+        /**
+         * Asks a step's question, moving the conversation to it.
+         * @param {object} ctx - The message context.
+         * @param {string} stepName - The step.
+         * @returns {Promise<string>} The prompt.
+         */
+        prompt: async (ctx, stepName) => {
+            const step = steps[stepName];
+            if (!step || !step.prompt) {
+                throw new Error(`${name} step "${stepName}" has no prompt.`);
+            }
+            return step.prompt(ctx);
+        },
+
+        /**
+         * Goes back a step, as declared by the current step's back.
+         * @param {object} ctx - The message context.
+         * @returns {Promise<string|null>} The previous step's prompt, or null if the current step has no way back.
+         */
+        goBack: async (ctx) => {
+            const step = steps[ctx.session.currentStep];
+            if (!step || !step.back) {
+                return null;
+            }
+            const { clear } = step.back;
+            if (clear) {
+                const details = ctx.session.bookingDetails || {};
+                const updates = typeof clear === 'function'
+                    ? clear(details)
+                    : Object.fromEntries(clear.map(field => [field, null]));
+                await ctx.updateDetails(updates);
+            }
+            logger.debug(`[Flow - ${name}] Going back from ${ctx.session.currentStep} to ${step.back.step}.`);
+            return flow.prompt(ctx, step.back.step);
+        },
+
+        /**
+         * Checks a move before it is saved. Unknown steps are refused, and so is a move the step being
+         * handled doesn't declare in its transitions (only logged if the flow allows undeclared transitions).
+         * @param {string|null} from - The step being handled, or null outside a step (e.g. in a command).
+         * @param {string} to - The step to move to.
+         * @throws {Error} If to isn't a step of this flow, or the move isn't declared.
+         */
+        checkTransition: (from, to) => {
+            if (!steps[to]) {
+                throw new Error(`Cannot move to unknown ${name} step "${to}".`);
+            }
+            if (from && from !== to && !(steps[from].transitions || []).includes(to)) {
+                if (!allowUndeclaredTransitions) {
+                    throw new Error(`${name} step "${from}" does not declare a move to "${to}".`);
+                }
+                logger.warn(`[Flow - ${name}] Undeclared move from ${from} to ${to}.`);
+            }
+        }
+    };
+    return flow;
+};
+
+module.exports = {
+    defineFlow
+};
@@ -0,0 +1,158 @@
+// utils/i18n.js
+const logger = require('./logger');
+
+// Order here is the order of the language picker
+const CATALOGUES = {
+    en: require('../locales/en'),
+    pcm: require('../locales/pcm'),
+    yo: require('../locales/yo'),
+    ha: require('../locales/ha'),
+    ig: require('../locales/ig')
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGUES);
+
+/**
+ * Lowercases, trims and strips diacritics so "Bẹ́ẹ̀ni" matches "beeni".
+ * @param {string} text - Input text.
+ * @returns {string} The normalised text.
+ */
+const normalizeText = (text) => {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+};
+
+/**
+ * @param {string} language - A language code, possibly unsupported or empty.
+ * @returns {string} The code if supported, otherwise the default language.
+ */
+const resolveLanguage = (language) => CATALOGUES[language] ? language : DEFAULT_LANGUAGE;
+
+/**
+ * Looks up a message in the given language and fills in its {placeholders}.
+ * Falls back to English if the language doesn't have the key.
+ * @param {string} language - Language code.
+ * @param {string} key - Message key, e.g. 'booking.askOrigin'.
+ * @param {object} [params] - Values for the placeholders.
+ * @returns {string} The message.
+ */
+const t = (language, key, params = {}) => {
+    const template = CATALOGUES[resolveLanguage(language)].messages[key] ?? CATALOGUES[DEFAULT_LANGUAGE].messages[key];
+    if (template === undefined) {
+        logger.warn(`[i18n] Missing message key: ${key}`);
+        return key;
+    }
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+};
+
+/**
+ * Words that trigger a command in the given language, plus the English ones.
+ * @param {string} language - Language code.
+ * @param {string} keyword - Keyword name, e.g. 'reset'.
+ * @returns {Array<string>} Normalised words.
+ */
+const getKeywords = (language, keyword) => {
+    const words = [
+        ...(CATALOGUES[resolveLanguage(language)].keywords[keyword] || []),
+        ...(CATALOGUES[DEFAULT_LANGUAGE].keywords[keyword] || [])
+    ];
+    return [...new Set(words.map(normalizeText))];
+};
+
+/**
+ * Checks whether a message starts with a command keyword and returns what follows it,
+ * e.g. matchCommand('en', 'ticket', 'ticket BOOK-1A2B3C4D') returns 'BOOK-1A2B3C4D'.
+ * @param {string} language - Language code.
+ * @param {string} keyword - Keyword name.
+ * @param {string} text - The message.
+ * @returns {string|null} The rest of the message ('' for the bare keyword), or null if it doesn't match.
+ */
+const matchCommand = (language, keyword, text) => {
+    const input = normalizeText(text);
+    // Longest keywords first, so "ee mba" isn't read as "ee" followed by an argument
+    const words = getKeywords(language, keyword).sort((a, b) => b.length - a.length);
+    for (const word of words) {
+        if (input === word) {
+            return '';
+        }
+        if (input.startsWith(`${word} `)) {
+            return input.substring(word.length + 1);
+        }
+    }
+    return null;
+};
+
+/**
+ * Whether a message is exactly one of a command's keywords.
+ * @param {string} language - Language code.
+ * @param {string} keyword - Keyword name, e.g. 'yes'.
+ * @param {string} text - The message.
+ * @returns {boolean}
+ */
+const isKeyword = (language, keyword, text) => getKeywords(language, keyword).includes(normalizeText(text));
+
+/**
+ * Builds the language picker, with the prompt shown in every language.
+ * @returns {string} The picker message.
+ */
+const buildLanguagePicker = () => {
+    const prompts = SUPPORTED_LANGUAGES.map(code => CATALOGUES[code].messages['language.prompt']).join(' / ');
+    const options = SUPPORTED_LANGUAGES.map((code, i) => `*${i + 1}.* ${CATALOGUES[code].name}`).join('\n');
+    return `🌍 ${prompts}:\n\n${options}`;
+};
+
+/**
+ * Reads a language choice from the picker: a number, a code ('yo') or a name ('Yoruba').
+ * @param {string} text - The message.
+ * @returns {string|null} The language code, or null if it isn't a choice.
+ */
+const parseLanguageChoice = (text) => {
+    const input = normalizeText(text);
+    const number = parseInt(input, 10);
+    if (String(number) === input && number > 0 && number <= SUPPORTED_LANGUAGES.length) {
+        return SUPPORTED_LANGUAGES[number - 1];
+    }
+    return SUPPORTED_LANGUAGES.find(code => {
+        const name = normalizeText(CATALOGUES[code].name);
+        return input === code || input === name || name.split(/[\s()]+/).includes(input);
+    }) || null;
+};
+
+/**
+ * Formats a date in the language's calendar conventions, in Africa/Lagos.
+ * @param {string} language - Language code.
+ * @param {Date|string} value - The date.
+ * @param {object} options - Intl.DateTimeFormat options.
+ * @returns {string} The formatted date.
+ */
+const formatDate = (language, value, options) => {
+    return new Date(value).toLocaleDateString(CATALOGUES[resolveLanguage(language)].dateLocale, { timeZone: 'Africa/Lagos', ...options });
+};
+
+/**
+ * Formats a time of day in the language's conventions, in Africa/Lagos.
+ * @param {string} language - Language code.
+ * @param {Date|string} value - The time.
+ * @returns {string} e.g. "07:00 AM" in English.
+ */
+const formatTime = (language, value) => {
+    return new Date(value).toLocaleTimeString(CATALOGUES[resolveLanguage(language)].dateLocale, { hour: '2-digit', minute: '2-digit', timeZone: 'Africa/Lagos' });
+};
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    t,
+    matchCommand,
+    isKeyword,
+    buildLanguagePicker,
+    parseLanguageChoice,
+    resolveLanguage,
+    formatDate,
+    formatTime
+};
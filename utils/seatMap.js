@@ -0,0 +1,112 @@
+// utils/seatMap.js
+// Seat layouts and the text seat map shown in chat. A layout is a list of rows, each a list of seat
+// labels with '' (or null) for an aisle or gap, e.g. [['1', '2', '', '3', '4'], ['5', '6', '', '7', '8']].
+
+const SEATS_PER_ROW = 4;
+
+/**
+ * Builds a plain layout for a vehicle that doesn't define one: numbered seats, four to a row with an aisle in the middle.
+ * @param {number} capacity - Number of seats.
+ * @returns {Array<Array<string>>} The layout.
+ */
+const defaultLayout = (capacity) => {
+    const rows = [];
+    for (let first = 1; first <= capacity; first += SEATS_PER_ROW) {
+        const row = [];
+        for (let seat = first; seat < first + SEATS_PER_ROW; seat++) {
+            if (seat - first === SEATS_PER_ROW / 2) {
+                row.push('');
+            }
+            row.push(seat <= capacity ? String(seat) : '');
+        }
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * @param {Array<Array<string>>} layout - Seat layout.
+ * @returns {Array<string>} Every seat label, front to back.
+ */
+const listSeats = (layout) => layout.flat().filter(Boolean).map(String);
+
+/**
+ * The layout of a vehicle, or the default one for its capacity.
+ * @param {object} vehicle - Vehicle document.
+ * @returns {Array<Array<string>>} The layout.
+ */
+const getSeatLayout = (vehicle) => (vehicle.seatLayout && vehicle.seatLayout.length > 0 ? vehicle.seatLayout : defaultLayout(vehicle.capacity));
+
+/**
+ * The layout a departure was scheduled with, falling back to its vehicle's for older departures.
+ * @param {object} departure - Departure document with vehicle populated.
+ * @returns {Array<Array<string>>} The layout.
+ */
+const getDepartureLayout = (departure) => (departure.seatLayout && departure.seatLayout.length > 0 ? departure.seatLayout : getSeatLayout(departure.vehicle));
+
+/**
+ * Checks a layout against a vehicle's capacity.
+ * @param {Array<Array<string>>} layout - Seat layout.
+ * @param {number} capacity - Number of seats the vehicle has.
+ * @returns {string|null} What is wrong with it, or null if it is usable.
+ */
+const validateLayout = (layout, capacity) => {
+    const seats = listSeats(layout);
+    if (new Set(seats.map(seat => seat.toUpperCase())).size !== seats.length) {
+        return 'seat labels must be unique';
+    }
+    if (seats.length !== capacity) {
+        return `layout has ${seats.length} seats but capacity is ${capacity}`;
+    }
+    return null;
+};
+
+/**
+ * Draws the seat map as a monospace grid for WhatsApp, with taken seats shown as dashes.
+ * @param {Array<Array<string>>} layout - Seat layout.
+ * @param {Array<string>} taken - Labels of seats that can't be chosen.
+ * @returns {string} The grid, wrapped in a code block.
+ */
+const renderSeatMap = (layout, taken = []) => {
+    const takenSeats = new Set(taken.map(String));
+    const width = Math.max(2, ...listSeats(layout).map(seat => seat.length));
+    const rows = layout.map(row => row
+        .map(seat => (!seat ? ' '.repeat(width) : takenSeats.has(String(seat)) ? '-'.repeat(width) : String(seat).padStart(width)))
+        .join(' ')
+        .trimEnd());
+    return `\`\`\`\n${rows.join('\n')}\n\`\`\``;
+};
+
+/**
+ * Reads the seats a traveller picked, e.g. "3 4", "3, 4", "A1 and A2".
+ * @param {string} text - The message.
+ * @param {Array<string>} seats - Every seat label on the vehicle.
+ * @returns {Array<string>|null} The picked labels as written in the layout, without repeats, or null if any isn't a seat.
+ */
+const parseSeatSelection = (text, seats) => {
+    const tokens = (text || '').toUpperCase().split(/[\s,;&]+|\bAND\b/).filter(Boolean);
+    if (tokens.length === 0) {
+        return null;
+    }
+    const picked = [];
+    for (const token of tokens) {
+        const seat = seats.find(label => label.toUpperCase() === token);
+        if (!seat) {
+            return null;
+        }
+        if (!picked.includes(seat)) {
+            picked.push(seat);
+        }
+    }
+    return picked;
+};
+
+module.exports = {
+    defaultLayout,
+    listSeats,
+    getSeatLayout,
+    getDepartureLayout,
+    validateLayout,
+    renderSeatMap,
+    parseSeatSelection
+};
@@ -0,0 +1,113 @@
+// utils/timezone.js
+// Small helpers for working with wall-clock times in an IANA time zone (e.g. Africa/Lagos)
+// using only the built-in Intl API.
+
+const DEFAULT_TIME_ZONE = 'Africa/Lagos';
+
+const formatterCache = {};
+const getFormatter = (timeZone) => {
+    if (!formatterCache[timeZone]) {
+        formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        });
+    }
+    return formatterCache[timeZone];
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Breaks an instant down into its calendar parts as seen in the given time zone.
+ * @param {Date} date - The instant.
+ * @param {string} [timeZone] - IANA time zone name.
+ * @returns {{year: number, month: number, day: number, weekday: number, hour: number, minute: number, second: number}}
+ *          month is 0-based and weekday is 0 (Sunday) to 6 (Saturday), like Date.
+ */
+const getZonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const values = {};
+    for (const part of getFormatter(timeZone).formatToParts(date)) {
+        values[part.type] = part.value;
+    }
+    return {
+        year: parseInt(values.year, 10),
+        month: parseInt(values.month, 10) - 1,
+        day: parseInt(values.day, 10),
+        weekday: WEEKDAYS.indexOf(values.weekday),
+        hour: parseInt(values.hour, 10) % 24,
+        minute: parseInt(values.minute, 10),
+        second: parseInt(values.second, 10)
+    };
+};
+
+/**
+ * Offset of the time zone from UTC at the given instant, in milliseconds (e.g. +1h for Africa/Lagos).
+ * @param {Date} date - The instant.
+ * @param {string} [timeZone] - IANA time zone name.
+ * @returns {number} The offset.
+ */
+const getOffsetMs = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+    return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * Converts a wall-clock time in a time zone to the matching UTC instant.
+ * @param {number} year - Full year.
+ * @param {number} month - 0-based month.
+ * @param {number} day - Day of month.
+ * @param {number} [hour=0]
+ * @param {number} [minute=0]
+ * @param {string} [timeZone] - IANA time zone name.
+ * @returns {Date} The instant.
+ */
+const zonedTimeToUtc = (year, month, day, hour = 0, minute = 0, timeZone = DEFAULT_TIME_ZONE) => {
+    const asUtc = Date.UTC(year, month, day, hour, minute);
+    const offset = getOffsetMs(new Date(asUtc), timeZone);
+    let result = asUtc - offset;
+    // Re-check in case the offset differs on the other side of a DST change
+    const correctedOffset = getOffsetMs(new Date(result), timeZone);
+    if (correctedOffset !== offset) {
+        result = asUtc - correctedOffset;
+    }
+    return new Date(result);
+};
+
+/**
+ * Start of the local calendar day containing the given instant, as a UTC instant.
+ * @param {Date} date - The instant.
+ * @param {string} [timeZone] - IANA time zone name.
+ * @returns {Date} Local midnight.
+ */
+const startOfZonedDay = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToUtc(p.year, p.month, p.day, 0, 0, timeZone);
+};
+
+/**
+ * Formats a local calendar date as YYYY-MM-DD.
+ * @param {number} year - Full year.
+ * @param {number} month - 0-based month.
+ * @param {number} day - Day of month.
+ * @returns {string} e.g. "2025-07-20"
+ */
+const toDateKey = (year, month, day) => {
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    getZonedParts,
+    getOffsetMs,
+    zonedTimeToUtc,
+    startOfZonedDay,
+    toDateKey
+};